@@ -0,0 +1,41 @@
+<?php
+
+declare(strict_types=1);
+
+namespace DoctrineMigrations;
+
+use Doctrine\DBAL\Schema\Schema;
+use Doctrine\Migrations\AbstractMigration;
+
+/**
+ * Dish options (cooking level, side, extras)
+ *
+ * - menu_item_option_group: choice groups declared on a menu item (required, min/max choices)
+ * - menu_item_option: choices of a group with their price delta
+ * - order_item.options: JSON snapshot of the options selected when ordering
+ */
+final class Version20261019090000 extends AbstractMigration
+{
+    public function getDescription(): string
+    {
+        return 'Add menu item option groups/options and order_item.options snapshot';
+    }
+
+    public function up(Schema $schema): void
+    {
+        $this->addSql('CREATE TABLE menu_item_option_group (id INT AUTO_INCREMENT NOT NULL, menu_item_id INT NOT NULL, name VARCHAR(100) NOT NULL, required TINYINT(1) DEFAULT 0 NOT NULL, min_choices INT DEFAULT 0 NOT NULL, max_choices INT DEFAULT 1 NOT NULL, position INT DEFAULT 0 NOT NULL, INDEX IDX_MENU_ITEM_OPTION_GROUP_MENU_ITEM (menu_item_id), PRIMARY KEY(id)) DEFAULT CHARACTER SET utf8mb4 COLLATE `utf8mb4_unicode_ci` ENGINE = InnoDB');
+        $this->addSql('CREATE TABLE menu_item_option (id INT AUTO_INCREMENT NOT NULL, option_group_id INT NOT NULL, name VARCHAR(100) NOT NULL, price_delta NUMERIC(10, 2) DEFAULT \'0.00\' NOT NULL, position INT DEFAULT 0 NOT NULL, INDEX IDX_MENU_ITEM_OPTION_GROUP (option_group_id), PRIMARY KEY(id)) DEFAULT CHARACTER SET utf8mb4 COLLATE `utf8mb4_unicode_ci` ENGINE = InnoDB');
+        $this->addSql('ALTER TABLE menu_item_option_group ADD CONSTRAINT FK_MENU_ITEM_OPTION_GROUP_MENU_ITEM FOREIGN KEY (menu_item_id) REFERENCES menu_item (id) ON DELETE CASCADE');
+        $this->addSql('ALTER TABLE menu_item_option ADD CONSTRAINT FK_MENU_ITEM_OPTION_GROUP FOREIGN KEY (option_group_id) REFERENCES menu_item_option_group (id) ON DELETE CASCADE');
+        $this->addSql('ALTER TABLE order_item ADD options JSON DEFAULT NULL');
+    }
+
+    public function down(Schema $schema): void
+    {
+        $this->addSql('ALTER TABLE order_item DROP options');
+        $this->addSql('ALTER TABLE menu_item_option DROP FOREIGN KEY FK_MENU_ITEM_OPTION_GROUP');
+        $this->addSql('ALTER TABLE menu_item_option_group DROP FOREIGN KEY FK_MENU_ITEM_OPTION_GROUP_MENU_ITEM');
+        $this->addSql('DROP TABLE menu_item_option');
+        $this->addSql('DROP TABLE menu_item_option_group');
+    }
+}
@@ -0,0 +1,29 @@
+<?php
+
+declare(strict_types=1);
+
+namespace DoctrineMigrations;
+
+use Doctrine\DBAL\Schema\Schema;
+use Doctrine\Migrations\AbstractMigration;
+
+/**
+ * Kitchen note per order line (e.g. "sans oignons"), copied from the cart line
+ */
+final class Version20261019100000 extends AbstractMigration
+{
+    public function getDescription(): string
+    {
+        return 'Add order_item.note (per-line kitchen note)';
+    }
+
+    public function up(Schema $schema): void
+    {
+        $this->addSql('ALTER TABLE order_item ADD note VARCHAR(255) DEFAULT NULL');
+    }
+
+    public function down(Schema $schema): void
+    {
+        $this->addSql('ALTER TABLE order_item DROP note');
+    }
+}
@@ -0,0 +1,29 @@
+<?php
+
+declare(strict_types=1);
+
+namespace DoctrineMigrations;
+
+use Doctrine\DBAL\Schema\Schema;
+use Doctrine\Migrations\AbstractMigration;
+
+/**
+ * Orderable drinks: item type and VAT rate per order line
+ */
+final class Version20261019110000 extends AbstractMigration
+{
+    public function getDescription(): string
+    {
+        return 'Add order_item.item_type (dish/drink) and order_item.tax_rate (VAT rate at order time)';
+    }
+
+    public function up(Schema $schema): void
+    {
+        $this->addSql('ALTER TABLE order_item ADD item_type VARCHAR(16) DEFAULT \'dish\' NOT NULL, ADD tax_rate NUMERIC(5, 4) DEFAULT NULL');
+    }
+
+    public function down(Schema $schema): void
+    {
+        $this->addSql('ALTER TABLE order_item DROP item_type, DROP tax_rate');
+    }
+}
@@ -0,0 +1,29 @@
+<?php
+
+declare(strict_types=1);
+
+namespace DoctrineMigrations;
+
+use Doctrine\DBAL\Schema\Schema;
+use Doctrine\Migrations\AbstractMigration;
+
+/**
+ * Menu item availability: available, sold out ("86", optionally until a time) or hidden
+ */
+final class Version20261019120000 extends AbstractMigration
+{
+    public function getDescription(): string
+    {
+        return 'Add menu_item.availability and menu_item.sold_out_until';
+    }
+
+    public function up(Schema $schema): void
+    {
+        $this->addSql('ALTER TABLE menu_item ADD availability VARCHAR(16) DEFAULT \'available\' NOT NULL, ADD sold_out_until DATETIME DEFAULT NULL COMMENT \'(DC2Type:datetime_immutable)\'');
+    }
+
+    public function down(Schema $schema): void
+    {
+        $this->addSql('ALTER TABLE menu_item DROP availability, DROP sold_out_until');
+    }
+}
@@ -0,0 +1,31 @@
+<?php
+
+declare(strict_types=1);
+
+namespace DoctrineMigrations;
+
+use Doctrine\DBAL\Schema\Schema;
+use Doctrine\Migrations\AbstractMigration;
+
+/**
+ * Group orders: shared carts reachable by a share link, per-person attribution of order lines
+ */
+final class Version20261019130000 extends AbstractMigration
+{
+    public function getDescription(): string
+    {
+        return 'Add group_cart table and order_item.participant';
+    }
+
+    public function up(Schema $schema): void
+    {
+        $this->addSql('CREATE TABLE group_cart (id INT AUTO_INCREMENT NOT NULL, token VARCHAR(32) NOT NULL, participants JSON NOT NULL, items JSON NOT NULL, locked TINYINT(1) DEFAULT 0 NOT NULL, closed_at DATETIME DEFAULT NULL COMMENT \'(DC2Type:datetime_immutable)\', created_at DATETIME NOT NULL COMMENT \'(DC2Type:datetime_immutable)\', updated_at DATETIME NOT NULL COMMENT \'(DC2Type:datetime_immutable)\', UNIQUE INDEX UNIQ_GROUP_CART_TOKEN (token), PRIMARY KEY(id)) DEFAULT CHARACTER SET utf8mb4 COLLATE `utf8mb4_unicode_ci` ENGINE = InnoDB');
+        $this->addSql('ALTER TABLE order_item ADD participant VARCHAR(80) DEFAULT NULL');
+    }
+
+    public function down(Schema $schema): void
+    {
+        $this->addSql('DROP TABLE group_cart');
+        $this->addSql('ALTER TABLE order_item DROP participant');
+    }
+}
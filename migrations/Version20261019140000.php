@@ -0,0 +1,32 @@
+<?php
+
+declare(strict_types=1);
+
+namespace DoctrineMigrations;
+
+use Doctrine\DBAL\Schema\Schema;
+use Doctrine\Migrations\AbstractMigration;
+
+/**
+ * Menu categories managed in the back office (menu_item.category holds the slug)
+ */
+final class Version20261019140000 extends AbstractMigration
+{
+    public function getDescription(): string
+    {
+        return 'Add category table, seeded with the existing menu categories';
+    }
+
+    public function up(Schema $schema): void
+    {
+        $this->addSql('CREATE TABLE category (id INT AUTO_INCREMENT NOT NULL, name VARCHAR(100) NOT NULL, slug VARCHAR(50) NOT NULL, icon VARCHAR(16) DEFAULT NULL, position INT DEFAULT 0 NOT NULL, UNIQUE INDEX UNIQ_CATEGORY_SLUG (slug), PRIMARY KEY(id)) DEFAULT CHARACTER SET utf8mb4 COLLATE `utf8mb4_unicode_ci` ENGINE = InnoDB');
+        $this->addSql("INSERT INTO category (name, slug, icon, position) VALUES ('Entrées', 'entrees', '🥗', 10), ('Plats', 'plats', '🍖', 20), ('Desserts', 'desserts', '🍰', 30)");
+        // Dishes saved with any other category: keep them on the menu, to be renamed in the back office
+        $this->addSql("INSERT INTO category (name, slug, icon, position) SELECT DISTINCT category, category, NULL, 100 FROM menu_item WHERE category NOT IN ('entrees', 'plats', 'desserts', 'all', 'boissons')");
+    }
+
+    public function down(Schema $schema): void
+    {
+        $this->addSql('DROP TABLE category');
+    }
+}
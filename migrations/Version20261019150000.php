@@ -0,0 +1,37 @@
+<?php
+
+declare(strict_types=1);
+
+namespace DoctrineMigrations;
+
+use Doctrine\DBAL\Schema\Schema;
+use Doctrine\Migrations\AbstractMigration;
+
+/**
+ * Time-windowed menus (lunch formula, brunch...) and daily specials
+ */
+final class Version20261019150000 extends AbstractMigration
+{
+    public function getDescription(): string
+    {
+        return 'Add menu_schedule availability windows and menu_item.daily_special';
+    }
+
+    public function up(Schema $schema): void
+    {
+        $this->addSql('CREATE TABLE menu_schedule (id INT AUTO_INCREMENT NOT NULL, name VARCHAR(100) NOT NULL, weekdays JSON NOT NULL, start_time VARCHAR(5) NOT NULL, end_time VARCHAR(5) NOT NULL, PRIMARY KEY(id)) DEFAULT CHARACTER SET utf8mb4 COLLATE `utf8mb4_unicode_ci` ENGINE = InnoDB');
+        $this->addSql('CREATE TABLE menu_item_schedule (menu_item_id INT NOT NULL, menu_schedule_id INT NOT NULL, INDEX IDX_90F68CA69AB44FE0 (menu_item_id), INDEX IDX_90F68CA6CCF7DC99 (menu_schedule_id), PRIMARY KEY(menu_item_id, menu_schedule_id)) DEFAULT CHARACTER SET utf8mb4 COLLATE `utf8mb4_unicode_ci` ENGINE = InnoDB');
+        $this->addSql('ALTER TABLE menu_item_schedule ADD CONSTRAINT FK_90F68CA69AB44FE0 FOREIGN KEY (menu_item_id) REFERENCES menu_item (id) ON DELETE CASCADE');
+        $this->addSql('ALTER TABLE menu_item_schedule ADD CONSTRAINT FK_90F68CA6CCF7DC99 FOREIGN KEY (menu_schedule_id) REFERENCES menu_schedule (id) ON DELETE CASCADE');
+        $this->addSql('ALTER TABLE menu_item ADD daily_special TINYINT(1) DEFAULT 0 NOT NULL');
+    }
+
+    public function down(Schema $schema): void
+    {
+        $this->addSql('ALTER TABLE menu_item_schedule DROP FOREIGN KEY FK_90F68CA69AB44FE0');
+        $this->addSql('ALTER TABLE menu_item_schedule DROP FOREIGN KEY FK_90F68CA6CCF7DC99');
+        $this->addSql('DROP TABLE menu_item_schedule');
+        $this->addSql('DROP TABLE menu_schedule');
+        $this->addSql('ALTER TABLE menu_item DROP daily_special');
+    }
+}
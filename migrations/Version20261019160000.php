@@ -0,0 +1,32 @@
+<?php
+
+declare(strict_types=1);
+
+namespace DoctrineMigrations;
+
+use Doctrine\DBAL\Schema\Schema;
+use Doctrine\Migrations\AbstractMigration;
+
+/**
+ * Multiple photos per dish (the existing image becomes the first photo)
+ */
+final class Version20261019160000 extends AbstractMigration
+{
+    public function getDescription(): string
+    {
+        return 'Add menu_item_photo and copy each menu_item.image as the first photo of its dish';
+    }
+
+    public function up(Schema $schema): void
+    {
+        $this->addSql('CREATE TABLE menu_item_photo (id INT AUTO_INCREMENT NOT NULL, menu_item_id INT NOT NULL, path VARCHAR(255) NOT NULL, alt VARCHAR(160) DEFAULT NULL, position INT DEFAULT 0 NOT NULL, INDEX IDX_1FBD2B1A9AB44FE0 (menu_item_id), PRIMARY KEY(id)) DEFAULT CHARACTER SET utf8mb4 COLLATE `utf8mb4_unicode_ci` ENGINE = InnoDB');
+        $this->addSql('ALTER TABLE menu_item_photo ADD CONSTRAINT FK_1FBD2B1A9AB44FE0 FOREIGN KEY (menu_item_id) REFERENCES menu_item (id) ON DELETE CASCADE');
+        $this->addSql("INSERT INTO menu_item_photo (menu_item_id, path, position) SELECT id, image, 0 FROM menu_item WHERE image IS NOT NULL AND image <> ''");
+    }
+
+    public function down(Schema $schema): void
+    {
+        $this->addSql('ALTER TABLE menu_item_photo DROP FOREIGN KEY FK_1FBD2B1A9AB44FE0');
+        $this->addSql('DROP TABLE menu_item_photo');
+    }
+}
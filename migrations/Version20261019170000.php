@@ -0,0 +1,29 @@
+<?php
+
+declare(strict_types=1);
+
+namespace DoctrineMigrations;
+
+use Doctrine\DBAL\Schema\Schema;
+use Doctrine\Migrations\AbstractMigration;
+
+/**
+ * Group orders: version column of the shared cart (optimistic locking of concurrent edits)
+ */
+final class Version20261019170000 extends AbstractMigration
+{
+    public function getDescription(): string
+    {
+        return 'Add group_cart.version';
+    }
+
+    public function up(Schema $schema): void
+    {
+        $this->addSql('ALTER TABLE group_cart ADD version INT DEFAULT 1 NOT NULL');
+    }
+
+    public function down(Schema $schema): void
+    {
+        $this->addSql('ALTER TABLE group_cart DROP version');
+    }
+}
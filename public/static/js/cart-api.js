@@ -7,9 +7,16 @@
 // Features:
 // - API-based cart storage (server-side persistence)
 // - Short-lived cache to prevent duplicate requests
-// - Event-driven updates (dispatches 'cartUpdated' event)
+// - Offline mutation queue (optimistic updates, replayed when back online)
+// - Cross-tab synchronisation (BroadcastChannel, 'cartUpdated' event)
 // - Cart sidebar UI management
+// - Group orders ("commande groupée": shared cart, lines grouped by participant)
+// - Nutrition total of the dishes in the cart (sidebar)
 // - Navigation cart count updates
+//
+// Pages don't call CartAPI directly to display the cart: the cart state is
+// held by window.cartStore (cart-store.js), which uses CartAPI for requests.
+// The sidebar and navbar badge below render from the store.
 
 // ============================================================================
 // CART API CLASS
@@ -21,6 +28,8 @@
  * This class encapsulates all cart operations and handles:
  * - Caching to prevent duplicate API calls
  * - Request deduplication (multiple simultaneous calls reuse the same request)
+ * - Offline tolerance (mutations are queued locally and replayed in order)
+ * - Cross-tab synchronisation (mutation results are broadcast to other tabs)
  * - Error handling with fallbacks
  *
  * @class CartAPI
@@ -62,14 +71,77 @@ class CartAPI {
         this._CACHE_TTL_MS = 500;
 
         /**
-         * Default error messages for cart operations
+         * Default error messages for cart operations (translation keys, see window.t)
          */
         this._ERROR_MESSAGES = {
-            add: "Erreur lors de l'ajout",
-            remove: 'Erreur lors de la suppression',
-            update: 'Erreur lors de la mise à jour',
-            clear: 'Erreur lors du vidage',
+            add: 'cart.error.add',
+            remove: 'cart.error.remove',
+            update: 'cart.error.update',
+            note: 'cart.error.note',
+            acknowledge: 'cart.error.acknowledge',
+            group: 'cart.error.group',
+            batch: 'cart.error.batch',
+            clear: 'cart.error.clear',
         };
+
+        /**
+         * Batched mutations (see batch())
+         *
+         * Stepper clicks made within _BATCH_WINDOW_MS are collected in _batchOps
+         * and sent as one /api/cart/batch request. _batchSending holds the
+         * operations of the request in flight; both lists are applied on top of
+         * the server cart so getCart() already reflects the clicks.
+         * Requests are chained (_batchChain) so they reach the server in order.
+         */
+        this._BATCH_WINDOW_MS = 150;
+        this._batchOps = [];
+        this._batchSending = [];
+        this._batchPromise = null;
+        this._batchChain = Promise.resolve();
+
+        /**
+         * Offline mutation queue
+         *
+         * Customers on the terrace Wi-Fi lose connectivity regularly. Instead of
+         * failing, mutations made while offline are stored in this queue, applied
+         * optimistically to the cart shown on screen, and replayed against the API
+         * in their original order once the connection is back.
+         *
+         * The queue is mirrored in localStorage so pending changes survive a reload.
+         *
+         * Entry structure: { type: 'add'|'update'|'remove'|'clear', itemId, quantity, queuedAt }
+         */
+        this._QUEUE_STORAGE_KEY = 'cartMutationQueue';
+        this._queue = this._loadQueue();
+
+        /**
+         * Last cart confirmed by the server
+         * Used as the base on which queued mutations are applied while offline
+         */
+        this._serverCart = null;
+
+        /**
+         * Replay state
+         * _flushing holds the Promise of an ongoing replay (prevents parallel replays)
+         * _retryTimer re-attempts a replay when the network is flaky but the
+         * browser still reports itself as online (no 'online' event will fire)
+         */
+        this._flushing = null;
+        this._retryTimer = null;
+        this._RETRY_DELAY_MS = 5000;
+
+        /**
+         * Cross-tab synchronisation
+         *
+         * The cart lives server-side, so a change made in one tab is invisible to
+         * the others until they refetch. Every successful mutation is broadcast
+         * with the resulting cart; receiving tabs prime their cache with it and
+         * refresh their UI without hitting the API.
+         *
+         * Null when BroadcastChannel is not supported by the browser.
+         */
+        this._CHANNEL_NAME = 'les-trois-quarts-cart';
+        this._channel = this._openChannel();
     }
 
     /**
@@ -89,7 +161,7 @@ class CartAPI {
      * @returns {Promise<Error>} Error object with message
      */
     async _handleHttpError(response, defaultMessage) {
-        let errorMessage = `Erreur ${response.status}: ${defaultMessage}`;
+        let errorMessage = `${window.t('common.http_error', { status: response.status })}: ${defaultMessage}`;
         try {
             const errorData = await response.json();
             errorMessage = errorData.message || errorData.error || errorMessage;
@@ -110,7 +182,10 @@ class CartAPI {
      */
     async _handleCartResponse(response, operationName) {
         if (!response.ok) {
-            throw await this._handleHttpError(response, this._ERROR_MESSAGES[operationName]);
+            throw await this._handleHttpError(
+                response,
+                window.t(this._ERROR_MESSAGES[operationName])
+            );
         }
 
         this._invalidateCache();
@@ -118,12 +193,789 @@ class CartAPI {
         const data = await response.json();
 
         if (!data.success) {
-            throw new Error(data.message || this._ERROR_MESSAGES[operationName]);
+            throw new Error(data.message || window.t(this._ERROR_MESSAGES[operationName]));
         }
 
+        // Remember the authoritative cart (base for optimistic updates)
+        this._serverCart = data.cart;
+
+        // Let other tabs know about the new cart state
+        this._broadcast(data.cart);
+
         return data.cart;
     }
 
+    // ========================================================================
+    // CROSS-TAB SYNC
+    // ========================================================================
+
+    /**
+     * Open the BroadcastChannel used to share cart updates between tabs
+     *
+     * @returns {BroadcastChannel|null} Channel, or null if unsupported
+     */
+    _openChannel() {
+        if (typeof BroadcastChannel === 'undefined') {
+            return null;
+        }
+
+        try {
+            const channel = new BroadcastChannel(this._CHANNEL_NAME);
+            channel.onmessage = event => this._receiveBroadcast(event.data);
+            return channel;
+        } catch (error) {
+            console.error('Cart sync channel unavailable:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Send the cart resulting from a mutation to the other tabs
+     *
+     * @param {Object} cart - Cart object returned by the server
+     */
+    _broadcast(cart) {
+        if (!this._channel) return;
+
+        try {
+            this._channel.postMessage({ type: 'cart', cart });
+        } catch (error) {
+            console.error('Error broadcasting cart:', error);
+        }
+    }
+
+    /**
+     * Apply a cart received from another tab
+     *
+     * The payload becomes the cached cart; the cart store reacts to the
+     * 'cartUpdated' event by publishing it, without calling the API.
+     *
+     * @param {Object} message - Message { type: 'cart', cart }
+     */
+    _receiveBroadcast(message) {
+        if (!message || message.type !== 'cart' || !message.cart) return;
+        if (!Array.isArray(message.cart.items)) return;
+
+        this._serverCart = message.cart;
+        this._cartCache = this._applyQueue(message.cart);
+        this._cartCacheAt = Date.now();
+
+        window.dispatchEvent(new CustomEvent('cartUpdated', { detail: { source: 'broadcast' } }));
+    }
+
+    // ========================================================================
+    // OFFLINE QUEUE
+    // ========================================================================
+
+    /**
+     * Read the persisted mutation queue from localStorage
+     *
+     * @returns {Array<Object>} Queued operations (empty array if none or unreadable)
+     */
+    _loadQueue() {
+        try {
+            const stored = JSON.parse(window.localStorage.getItem(this._QUEUE_STORAGE_KEY));
+            return Array.isArray(stored) ? stored : [];
+        } catch {
+            // Storage disabled (private mode) or corrupted value: start with an empty queue
+            return [];
+        }
+    }
+
+    /**
+     * Persist the mutation queue to localStorage
+     * An empty queue removes the key entirely
+     */
+    _saveQueue() {
+        try {
+            if (this._queue.length === 0) {
+                window.localStorage.removeItem(this._QUEUE_STORAGE_KEY);
+            } else {
+                window.localStorage.setItem(this._QUEUE_STORAGE_KEY, JSON.stringify(this._queue));
+            }
+        } catch {
+            // Storage unavailable: the queue still lives in memory for this page
+        }
+    }
+
+    /**
+     * Check whether the browser reports being offline
+     *
+     * @returns {boolean}
+     */
+    _isOffline() {
+        return typeof navigator !== 'undefined' && navigator.onLine === false;
+    }
+
+    /**
+     * Check whether an error is caused by the network (and not by the server)
+     *
+     * fetch() rejects with a TypeError when the request never reaches the server.
+     * Server-side rejections always come back as an HTTP response instead.
+     *
+     * @param {Error} error - Error thrown while sending a mutation
+     * @returns {boolean} True if the operation can be retried later
+     */
+    _isNetworkError(error) {
+        return error instanceof TypeError || this._isOffline();
+    }
+
+    /**
+     * Find display data (name, price, image) for an item not yet in the cart
+     *
+     * Needed to render an optimistic line for an item added while offline.
+     * Falls back to a neutral placeholder; the real data arrives after replay.
+     * Selected options are resolved through DishOptions when the page loaded it,
+     * so the optimistic price includes their supplements. Drinks are looked up
+     * in window.drinksData (menu page).
+     *
+     * @param {string|number} itemId - Menu item ID (drink ID for drinks)
+     * @param {number[]} [optionIds=[]] - Selected option IDs
+     * @param {string} [itemType='dish'] - 'dish' or 'drink'
+     * @returns {Object} Cart item shape without quantity
+     */
+    _lookupItem(itemId, optionIds = [], itemType = 'dish') {
+        if (itemType === 'drink') {
+            return this._lookupDrink(itemId);
+        }
+
+        const menuItems = Array.isArray(window.menuItems) ? window.menuItems : [];
+        const item = menuItems.find(i => String(i.id) === String(itemId));
+        const options =
+            item && window.DishOptions ? window.DishOptions.resolveOptions(item, optionIds) : [];
+        const basePrice = item ? parseFloat(item.price) || 0 : 0;
+        const price = options.reduce((sum, option) => sum + option.priceDelta, basePrice);
+
+        return {
+            id: Number(itemId),
+            lineKey: this.buildLineKey(itemId, optionIds),
+            name: item ? item.name : window.t('cart.dish'),
+            price: Math.round(price * 100) / 100,
+            image: item ? item.image || null : null,
+            category: item ? item.category || null : null,
+            options,
+            nutrition: item ? item.nutrition || null : null,
+        };
+    }
+
+    /**
+     * Find display data for a drink not yet in the cart (see _lookupItem())
+     *
+     * @param {string|number} drinkId - Drink ID
+     * @returns {Object} Cart item shape without quantity
+     */
+    _lookupDrink(drinkId) {
+        let drink = null;
+        let type = null;
+        Object.entries(window.drinksData || {}).forEach(([drinkType, drinks]) => {
+            const found = (drinks || []).find(d => String(d.id) === String(drinkId));
+            if (found && !drink) {
+                drink = found;
+                type = drinkType;
+            }
+        });
+
+        return {
+            id: Number(drinkId),
+            lineKey: this.buildLineKey(drinkId, [], 'drink'),
+            itemType: 'drink',
+            name: drink ? drink.name : window.t('cart.drink'),
+            price: drink ? parseFloat(drink.price) || 0 : 0,
+            image: null,
+            category: type,
+            options: [],
+        };
+    }
+
+    /**
+     * Build the cart line key for a dish and a selection of options
+     *
+     * Mirrors CartService::buildLineKey(): the plain item ID without options,
+     * otherwise "itemId-optionId_optionId" with sorted, de-duplicated option IDs.
+     * The same dish with different options therefore lives on separate lines.
+     * Drinks are keyed "d{drinkId}" (drink and menu item IDs overlap).
+     * In a group order the key ends with "@{participantIndex}" of the current
+     * visitor: each participant has their own lines.
+     *
+     * @param {string|number} itemId - Menu item ID (drink ID for drinks)
+     * @param {number[]} [optionIds=[]] - Selected option IDs
+     * @param {string} [itemType='dish'] - 'dish' or 'drink'
+     * @returns {string} Line key
+     *
+     * @example
+     * cartAPI.buildLineKey(12, [7, 3]); // '12-3_7'
+     * cartAPI.buildLineKey(4, [], 'drink'); // 'd4'
+     * cartAPI.buildLineKey(12); // '12@2' for participant 2 of a group order
+     */
+    buildLineKey(itemId, optionIds = [], itemType = 'dish') {
+        const suffix = this._participantSuffix();
+        if (itemType === 'drink') {
+            return `d${parseInt(itemId, 10)}${suffix}`;
+        }
+
+        const ids = Array.from(
+            new Set((optionIds || []).map(id => parseInt(id, 10)).filter(id => id > 0))
+        ).sort((a, b) => a - b);
+        const id = parseInt(itemId, 10);
+
+        return (ids.length ? `${id}-${ids.join('_')}` : String(id)) + suffix;
+    }
+
+    /**
+     * Current group order, as described by the last server cart
+     *
+     * @returns {Object|null} Group { token, shareUrl, participants, locked, owner, me }, null outside group orders
+     */
+    getGroup() {
+        return this._serverCart && this._serverCart.group ? this._serverCart.group : null;
+    }
+
+    /**
+     * Line key suffix of the visitor's lines in a group order ("@2"), empty otherwise
+     *
+     * @returns {string}
+     */
+    _participantSuffix() {
+        const group = this.getGroup();
+        return group ? `@${group.me}` : '';
+    }
+
+    /**
+     * Get the line key of a cart line
+     * Lines stored before options existed have no lineKey: their ID is the key.
+     *
+     * @param {Object} item - Cart line from getCart()
+     * @returns {string} Line key
+     */
+    getLineKey(item) {
+        return String(item.lineKey ?? item.id);
+    }
+
+    /**
+     * Apply the mutations not yet confirmed by the server on top of a cart
+     *
+     * This is how the optimistic cart is computed: the last server state plus
+     * the batched stepper clicks, then every operation still waiting in the
+     * offline queue, in order. Only the offline queue sets pendingSync
+     * (batched clicks are confirmed within a few hundred milliseconds).
+     *
+     * @param {Object|null} baseCart - Cart to start from (server state)
+     * @returns {Object} Cart object { items, total, itemCount, pendingSync }
+     */
+    _applyQueue(baseCart) {
+        let cart = baseCart || { items: [], total: 0, itemCount: 0 };
+
+        const batched = [...this._batchSending, ...this._batchOps];
+        if (batched.length > 0) {
+            cart = this._applyOperations(cart, batched);
+        }
+
+        if (this._queue.length === 0) {
+            return cart;
+        }
+
+        return { ...this._applyOperations(cart, this._queue), pendingSync: true };
+    }
+
+    /**
+     * Apply a list of mutations to a copy of a cart
+     *
+     * @param {Object|null} baseCart - Cart to start from
+     * @param {Array<Object>} operations - Operations { type, itemId, quantity, options, itemType, note }
+     * @returns {Object} New cart object { items, total, itemCount }
+     */
+    _applyOperations(baseCart, operations) {
+        // Work on copies: the server cart must stay untouched
+        let items =
+            baseCart && Array.isArray(baseCart.items)
+                ? baseCart.items.map(item => ({ ...item }))
+                : [];
+
+        operations.forEach(operation => {
+            // 'add' targets a dish + options (or a drink), 'update'/'remove' target a line key
+            const key =
+                operation.type === 'add'
+                    ? this.buildLineKey(operation.itemId, operation.options, operation.itemType)
+                    : String(operation.itemId);
+            const existing = items.find(item => this.getLineKey(item) === key);
+
+            switch (operation.type) {
+                case 'add':
+                    if (existing) {
+                        existing.quantity += operation.quantity;
+                    } else {
+                        items.push({
+                            ...this._lookupItem(
+                                operation.itemId,
+                                operation.options,
+                                operation.itemType
+                            ),
+                            ...this._participantFields(baseCart),
+                            quantity: operation.quantity,
+                        });
+                    }
+                    break;
+                case 'update':
+                    if (operation.quantity <= 0) {
+                        items = items.filter(item => this.getLineKey(item) !== key);
+                    } else if (existing) {
+                        existing.quantity = operation.quantity;
+                    }
+                    break;
+                case 'remove':
+                    items = items.filter(item => this.getLineKey(item) !== key);
+                    break;
+                case 'note':
+                    if (existing) {
+                        existing.note = operation.note || null;
+                    }
+                    break;
+                case 'clear':
+                    // In a group order participants only clear their own lines
+                    items = items.filter(item => !this.isOwnLine(item, baseCart));
+                    break;
+                case 'acknowledge':
+                    // Changed lines take their current price (unavailable lines stay flagged)
+                    items.forEach(item => {
+                        if (item.priceChanged) {
+                            item.addedPrice = item.price;
+                            item.priceChanged = false;
+                        }
+                    });
+                    break;
+            }
+        });
+
+        const total = items.reduce((sum, item) => sum + item.price * item.quantity, 0);
+
+        return {
+            items,
+            total: Math.round(total * 100) / 100,
+            itemCount: items.reduce((sum, item) => sum + item.quantity, 0),
+            group: baseCart && baseCart.group ? baseCart.group : null,
+        };
+    }
+
+    /**
+     * Participant fields of a line added optimistically in a group order
+     *
+     * @param {Object|null} cart - Cart the line is added to
+     * @returns {Object} { participant, participantIndex }, empty outside group orders
+     */
+    _participantFields(cart) {
+        const group = cart && cart.group;
+        if (!group) {
+            return {};
+        }
+        return { participant: group.participants[group.me], participantIndex: group.me };
+    }
+
+    /**
+     * Check whether a cart line belongs to the current visitor
+     *
+     * Always true outside group orders. In a group order, the lines added by the
+     * visitor (the owner owns the whole cart when clearing it).
+     *
+     * @param {Object} item - Cart line
+     * @param {Object|null} [cart] - Cart the line belongs to (last server cart by default)
+     * @returns {boolean}
+     */
+    isOwnLine(item, cart = this._serverCart) {
+        const group = cart && cart.group;
+        if (!group || group.owner) {
+            return true;
+        }
+        return item.participantIndex === group.me;
+    }
+
+    /**
+     * Check whether the visitor may change a cart line
+     *
+     * In a group order the owner changes every line; participants only their
+     * own lines, and nothing once the owner locked the group (same rules as
+     * CartService on the server).
+     *
+     * @param {Object} item - Cart line
+     * @param {Object|null} [cart] - Cart the line belongs to (last server cart by default)
+     * @returns {boolean}
+     */
+    canEditLine(item, cart = this._serverCart) {
+        const group = cart && cart.group;
+        if (!group || group.owner) {
+            return true;
+        }
+        return !group.locked && item.participantIndex === group.me;
+    }
+
+    /**
+     * Send a single mutation to the API
+     *
+     * @param {Object} operation - Queue entry { type, itemId, quantity, options, itemType }
+     * @returns {Promise<Object>} Updated cart object from the server
+     * @throws {Error} Network error (TypeError) or server rejection (Error)
+     */
+    async _send(operation) {
+        let response;
+
+        switch (operation.type) {
+            case 'add': {
+                const payload = { itemId: operation.itemId, quantity: operation.quantity };
+                if (Array.isArray(operation.options) && operation.options.length > 0) {
+                    payload.options = operation.options;
+                }
+                if (operation.itemType === 'drink') {
+                    payload.itemType = 'drink';
+                }
+                response = await window.apiRequest(`${this.baseUrl}/add`, {
+                    method: 'POST',
+                    body: JSON.stringify(payload),
+                });
+                break;
+            }
+            case 'update':
+                response = await window.apiRequest(`${this.baseUrl}/update/${operation.itemId}`, {
+                    method: 'PUT',
+                    body: JSON.stringify({ quantity: operation.quantity }),
+                });
+                break;
+            case 'remove':
+                response = await window.apiRequest(`${this.baseUrl}/remove/${operation.itemId}`, {
+                    method: 'DELETE',
+                });
+                break;
+            case 'note':
+                response = await window.apiRequest(`${this.baseUrl}/note/${operation.itemId}`, {
+                    method: 'PUT',
+                    body: JSON.stringify({ note: operation.note }),
+                });
+                break;
+            case 'clear':
+                response = await window.apiRequest(`${this.baseUrl}/clear`, {
+                    method: 'POST',
+                });
+                break;
+            case 'acknowledge':
+                response = await window.apiRequest(`${this.baseUrl}/acknowledge`, {
+                    method: 'POST',
+                });
+                break;
+            default:
+                throw new Error(window.t('cart.error.unknown_operation', { type: operation.type }));
+        }
+
+        return this._handleCartResponse(response, operation.type);
+    }
+
+    /**
+     * Store a mutation in the offline queue and return the optimistic cart
+     *
+     * @param {Object} operation - Queue entry { type, itemId, quantity }
+     * @returns {Object} Optimistic cart (server state + queued mutations)
+     */
+    _enqueue(operation) {
+        this._queue.push({ ...operation, queuedAt: Date.now() });
+        this._saveQueue();
+
+        // Serve the optimistic cart from cache so the UI reflects the change immediately
+        const cart = this._primeCache();
+
+        // Browser thinks it's online: try to replay right away
+        if (!this._isOffline()) {
+            this.flushQueue();
+        }
+
+        return cart;
+    }
+
+    /**
+     * Run a cart mutation, queueing it when the network is unavailable
+     *
+     * Once something is queued, every following mutation is queued too until
+     * the replay completes, so the server always receives them in order.
+     *
+     * @param {Object} operation - Queue entry { type, itemId, quantity }
+     * @returns {Promise<Object>} Updated cart (server response or optimistic cart)
+     * @throws {Error} If the server rejects the operation
+     */
+    async _mutate(operation) {
+        if (this._queue.length > 0 || this._isOffline()) {
+            return this._enqueue(operation);
+        }
+
+        try {
+            return await this._send(operation);
+        } catch (error) {
+            if (this._isNetworkError(error)) {
+                return this._enqueue(operation);
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Schedule another replay attempt
+     * Used when requests fail although the browser still reports being online
+     */
+    _scheduleRetry() {
+        if (this._retryTimer) return;
+
+        this._retryTimer = setTimeout(() => {
+            this._retryTimer = null;
+            this.flushQueue();
+        }, this._RETRY_DELAY_MS);
+    }
+
+    /**
+     * Merge consecutive operations on the same line
+     *
+     * Three "+" clicks become one add of 3; successive quantity updates of a
+     * line only keep the last one.
+     *
+     * @param {Array<Object>} operations - Operations in click order
+     * @returns {Array<Object>} Coalesced operations (same order)
+     */
+    _coalesce(operations) {
+        const result = [];
+
+        operations.forEach(operation => {
+            const previous = result[result.length - 1];
+            const sameLine =
+                previous &&
+                previous.type === operation.type &&
+                (operation.type === 'add'
+                    ? this.buildLineKey(previous.itemId, previous.options, previous.itemType) ===
+                      this.buildLineKey(operation.itemId, operation.options, operation.itemType)
+                    : String(previous.itemId) === String(operation.itemId));
+
+            if (sameLine && operation.type === 'add') {
+                previous.quantity += operation.quantity;
+            } else if (sameLine && operation.type === 'update') {
+                previous.quantity = operation.quantity;
+            } else {
+                result.push({ ...operation });
+            }
+        });
+
+        return result;
+    }
+
+    /**
+     * Convert a client operation to the /api/cart/batch payload format
+     * (update/remove target a line key, add targets a dish + options or a drink)
+     *
+     * @param {Object} operation - Operation { type, itemId, quantity, options, itemType }
+     * @returns {Object} Payload entry
+     */
+    _toBatchPayload(operation) {
+        if (operation.type === 'add') {
+            const payload = { type: 'add', itemId: operation.itemId, quantity: operation.quantity };
+            if (Array.isArray(operation.options) && operation.options.length > 0) {
+                payload.options = operation.options;
+            }
+            if (operation.itemType === 'drink') {
+                payload.itemType = 'drink';
+            }
+            return payload;
+        }
+
+        const payload = { type: operation.type, lineKey: String(operation.itemId) };
+        if (operation.type === 'update') {
+            payload.quantity = operation.quantity;
+        }
+        return payload;
+    }
+
+    /**
+     * Send the batched operations collected during the window
+     *
+     * On a network failure the operations move to the offline queue; on a
+     * server rejection none of them was applied (atomic endpoint) and the
+     * optimistic cart falls back to the server state.
+     *
+     * @returns {Promise<Object>} Resulting cart
+     * @throws {Error} If the server rejects the batch
+     */
+    async _sendBatch() {
+        // Clicks from now on start a new window
+        this._batchPromise = null;
+        this._batchSending = this._batchOps;
+        this._batchOps = [];
+
+        const sending = this._batchSending;
+        const operations = this._coalesce(sending).map(operation =>
+            this._toBatchPayload(operation)
+        );
+
+        try {
+            const response = await window.apiRequest(`${this.baseUrl}/batch`, {
+                method: 'POST',
+                body: JSON.stringify({ operations }),
+            });
+            await this._handleCartResponse(response, 'batch');
+            this._batchSending = [];
+        } catch (error) {
+            this._batchSending = [];
+            if (this._isNetworkError(error)) {
+                let cart = null;
+                sending.forEach(operation => {
+                    cart = this._enqueue(operation);
+                });
+                return cart;
+            }
+            this._primeCache();
+            throw error;
+        }
+
+        return this._primeCache();
+    }
+
+    /**
+     * Store the optimistic cart (server state + pending mutations) in the cache
+     *
+     * @returns {Object} Optimistic cart
+     */
+    _primeCache() {
+        const cart = this._applyQueue(this._serverCart);
+        this._cartCache = cart;
+        this._cartCacheAt = Date.now();
+        return cart;
+    }
+
+    /**
+     * Apply several mutations with a single request
+     *
+     * Operations passed within a short window (150ms) are coalesced and sent
+     * together to /api/cart/batch, which applies them atomically. The cached
+     * cart reflects them immediately, so getCart() called right after a click
+     * already returns the new quantities - rapid "-" clicks never read a stale
+     * quantity. Every caller of the same window receives the same resulting cart.
+     *
+     * Falls back to the offline queue like the single-operation methods.
+     *
+     * @param {Array<Object>} operations - { type: 'add', itemId, quantity, options, itemType }
+     *   | { type: 'update', itemId: lineKey, quantity } | { type: 'remove', itemId: lineKey }
+     * @returns {Promise<Object>} Cart after the batch (optimistic cart when queued offline)
+     * @throws {Error} If the server rejects the batch (cart left unchanged)
+     *
+     * @example
+     * // Stepper "+" then "-" on another line, one request
+     * cartAPI.batch([{ type: 'add', itemId: 12, quantity: 1 }]);
+     * cartAPI.batch([{ type: 'update', itemId: '7', quantity: 1 }]);
+     */
+    batch(operations) {
+        const valid = (operations || []).filter(operation =>
+            ['add', 'update', 'remove'].includes(operation.type)
+        );
+        if (valid.length === 0) {
+            return this.getCart();
+        }
+
+        if (this._queue.length > 0 || this._isOffline()) {
+            let cart = null;
+            valid.forEach(operation => {
+                cart = this._enqueue(operation);
+            });
+            return Promise.resolve(cart);
+        }
+
+        this._batchOps.push(...valid);
+        if (this._serverCart) {
+            this._primeCache();
+        } else {
+            // Server cart never loaded: the next getCart() fetches it and overlays the batch
+            this._invalidateCache();
+        }
+
+        if (!this._batchPromise) {
+            // Wait for the window, then for the previous batch request (keeps order)
+            const previous = this._batchChain;
+            this._batchPromise = new Promise(resolve => setTimeout(resolve, this._BATCH_WINDOW_MS))
+                .then(() => previous)
+                .then(() => this._sendBatch());
+            this._batchChain = this._batchPromise.catch(() => null);
+        }
+
+        return this._batchPromise;
+    }
+
+    /**
+     * Number of mutations waiting to be sent to the server
+     *
+     * @returns {number}
+     */
+    getPendingCount() {
+        return this._queue.length;
+    }
+
+    /**
+     * Replay queued mutations against the API, in order
+     *
+     * - Network failure: replay stops, remaining operations stay queued for later
+     * - Server rejection: the operation is dropped and reported as a conflict
+     *   (e.g. item removed from the menu, quantity over the limit)
+     *
+     * When at least one operation was processed, a 'cartSynced' event is
+     * dispatched on window with detail { synced, conflicts, pending }.
+     *
+     * @returns {Promise<Object|null>} Replay result, or null if nothing was replayed
+     *
+     * @example
+     * const result = await cartAPI.flushQueue();
+     * // { synced: 2, conflicts: [{ operation, message }], pending: 0 }
+     */
+    async flushQueue() {
+        if (this._flushing) {
+            return this._flushing;
+        }
+
+        if (this._queue.length === 0 || this._isOffline()) {
+            return null;
+        }
+
+        this._flushing = (async () => {
+            let synced = 0;
+            const conflicts = [];
+
+            try {
+                while (this._queue.length > 0) {
+                    const operation = this._queue[0];
+
+                    try {
+                        await this._send(operation);
+                        synced++;
+                    } catch (error) {
+                        if (this._isNetworkError(error)) {
+                            // Still no network: keep this and following operations
+                            this._scheduleRetry();
+                            break;
+                        }
+                        console.error('Cart operation rejected during sync:', operation, error);
+                        conflicts.push({ operation, message: error.message });
+                    }
+
+                    this._queue.shift();
+                    this._saveQueue();
+                }
+            } finally {
+                this._flushing = null;
+            }
+
+            // Next getCart() must reflect the server state
+            this._invalidateCache();
+
+            if (synced === 0 && conflicts.length === 0) {
+                return null;
+            }
+
+            const result = { synced, conflicts, pending: this._queue.length };
+            window.dispatchEvent(new CustomEvent('cartSynced', { detail: result }));
+
+            return result;
+        })();
+
+        return this._flushing;
+    }
+
     /**
      * Retrieve the cart from the server
      *
@@ -175,14 +1027,18 @@ class CartAPI {
 
                 // Check if request was successful
                 if (!response.ok) {
-                    throw new Error('Erreur lors de la récupération du panier');
+                    throw new Error(window.t('cart.error.load'));
                 }
 
                 // Parse JSON response
                 const data = await response.json();
 
                 // Extract cart data (handle both success and error responses)
-                const cart = data.success ? data.cart : { items: [], total: 0, itemCount: 0 };
+                const serverCart = data.success ? data.cart : { items: [], total: 0, itemCount: 0 };
+                this._serverCart = serverCart;
+
+                // Overlay mutations still waiting to be replayed (no-op when queue is empty)
+                const cart = this._applyQueue(serverCart);
 
                 // Update cache with fresh data
                 this._cartCache = cart;
@@ -193,15 +1049,47 @@ class CartAPI {
                 // Log error for debugging
                 console.error('Error getting cart:', error);
 
-                // Return empty cart on error (graceful degradation)
-                return { items: [], total: 0, itemCount: 0 };
+                /**
+                 * Graceful degradation: when offline, keep showing the last known
+                 * cart with queued mutations applied; otherwise an empty cart
+                 */
+                return this._applyQueue(this._serverCart);
             } finally {
                 // Clear in-flight request marker (allow new requests)
                 this._inflightCart = null;
             }
         })();
 
-        return this._inflightCart;
+        return this._inflightCart;
+    }
+
+    /**
+     * Retrieve the cart from the server, bypassing the short-lived cache
+     *
+     * Used when the server cart may have changed behind our back (order
+     * placed, queued mutations replayed, page restored from bfcache).
+     *
+     * @returns {Promise<Object>} Cart object (with queued mutations applied)
+     */
+    refreshCart() {
+        this._invalidateCache();
+        return this.getCart();
+    }
+
+    /**
+     * Current optimistic cart, without any request
+     *
+     * Last server cart with the batched and queued mutations applied on top.
+     * Returns null until the cart has been loaded once.
+     *
+     * @returns {Object|null} Cart object { items, total, itemCount, pendingSync? }
+     */
+    peekCart() {
+        if (!this._serverCart) {
+            return null;
+        }
+
+        return this._applyQueue(this._serverCart);
     }
 
     /**
@@ -209,20 +1097,19 @@ class CartAPI {
      *
      * @param {string|number} itemId - The ID of the menu item to add
      * @param {number} [quantity=1] - Quantity to add (default: 1)
-     * @returns {Promise<Object>} Updated cart object
-     * @throws {Error} If the API request fails
+     * @param {number[]} [options=[]] - Selected option IDs (cooking, side...)
+     * @param {string} [itemType='dish'] - 'dish', or 'drink' when itemId is a drink ID
+     * @returns {Promise<Object>} Updated cart object (optimistic cart when queued offline)
+     * @throws {Error} If the server rejects the operation
      *
      * @example
      * await cartAPI.addItem(123, 2); // Add 2 of item 123
+     * await cartAPI.addItem(12, 1, [3, 7]); // Add item 12 with options 3 and 7
+     * await cartAPI.addItem(4, 1, [], 'drink'); // Add drink 4
      */
-    async addItem(itemId, quantity = 1) {
+    async addItem(itemId, quantity = 1, options = [], itemType = 'dish') {
         try {
-            const response = await window.apiRequest(`${this.baseUrl}/add`, {
-                method: 'POST',
-                body: JSON.stringify({ itemId, quantity }),
-            });
-
-            return await this._handleCartResponse(response, 'add');
+            return await this._mutate({ type: 'add', itemId, quantity, options, itemType });
         } catch (error) {
             console.error('Error adding item:', error);
             throw error;
@@ -230,22 +1117,18 @@ class CartAPI {
     }
 
     /**
-     * Remove an item from the cart
+     * Remove a line from the cart
      *
-     * @param {string|number} itemId - The ID of the item to remove
-     * @returns {Promise<Object>} Updated cart object
-     * @throws {Error} If the API request fails
+     * @param {string|number} itemId - Line key of the line to remove (item ID for dishes without options)
+     * @returns {Promise<Object>} Updated cart object (optimistic cart when queued offline)
+     * @throws {Error} If the server rejects the operation
      *
      * @example
      * await cartAPI.removeItem(123); // Remove item 123
      */
     async removeItem(itemId) {
         try {
-            const response = await window.apiRequest(`${this.baseUrl}/remove/${itemId}`, {
-                method: 'DELETE',
-            });
-
-            return await this._handleCartResponse(response, 'remove');
+            return await this._mutate({ type: 'remove', itemId });
         } catch (error) {
             console.error('Error removing item:', error);
             throw error;
@@ -253,52 +1136,161 @@ class CartAPI {
     }
 
     /**
-     * Update the quantity of an item in the cart
+     * Update the quantity of a line in the cart
      *
-     * @param {string|number} itemId - The ID of the item
+     * @param {string|number} itemId - Line key (item ID for dishes without options)
      * @param {number} quantity - New quantity (must be > 0)
-     * @returns {Promise<Object>} Updated cart object
-     * @throws {Error} If the API request fails
+     * @returns {Promise<Object>} Updated cart object (optimistic cart when queued offline)
+     * @throws {Error} If the server rejects the operation
      *
      * @example
      * await cartAPI.updateQuantity(123, 5); // Set quantity to 5
      */
     async updateQuantity(itemId, quantity) {
         try {
-            const response = await window.apiRequest(`${this.baseUrl}/update/${itemId}`, {
-                method: 'PUT',
-                body: JSON.stringify({ quantity }),
-            });
-
-            return await this._handleCartResponse(response, 'update');
+            return await this._mutate({ type: 'update', itemId, quantity });
         } catch (error) {
             console.error('Error updating quantity:', error);
             throw error;
         }
     }
 
+    /**
+     * Set the kitchen note of a cart line ("sans oignons")
+     *
+     * The server sanitizes the note and copies it onto the order line at checkout.
+     *
+     * @param {string|number} itemId - Line key (item ID for dishes without options)
+     * @param {string} note - Note text (empty string removes the note)
+     * @returns {Promise<Object>} Updated cart object (optimistic cart when queued offline)
+     * @throws {Error} If the server rejects the note (too long, forbidden content)
+     *
+     * @example
+     * await cartAPI.updateNote('12-3_7', 'Sans oignons');
+     */
+    async updateNote(itemId, note) {
+        try {
+            return await this._mutate({ type: 'note', itemId, note: String(note || '').trim() });
+        } catch (error) {
+            console.error('Error updating note:', error);
+            throw error;
+        }
+    }
+
     /**
      * Clear the entire cart (remove all items)
      *
      * @returns {Promise<Object>} Empty cart object
-     * @throws {Error} If the API request fails
+     * @throws {Error} If the server rejects the operation
      *
      * @example
      * await cartAPI.clearCart(); // Empty the cart
      */
     async clearCart() {
         try {
-            const response = await window.apiRequest(`${this.baseUrl}/clear`, {
-                method: 'POST',
-            });
-
-            return await this._handleCartResponse(response, 'clear');
+            return await this._mutate({ type: 'clear' });
         } catch (error) {
             console.error('Error clearing cart:', error);
             throw error;
         }
     }
 
+    /**
+     * Accept the price changes flagged on the cart lines
+     *
+     * The server gives the changed lines their current price; orders can't be
+     * placed before (OrderService rejects unacknowledged price changes).
+     *
+     * @returns {Promise<Object>} Updated cart object (optimistic cart when queued offline)
+     * @throws {Error} If the server rejects the operation
+     */
+    async acknowledgeChanges() {
+        try {
+            return await this._mutate({ type: 'acknowledge' });
+        } catch (error) {
+            console.error('Error acknowledging cart changes:', error);
+            throw error;
+        }
+    }
+
+    // ========================================================================
+    // GROUP ORDERS
+    // ========================================================================
+    // Group actions need the server (share link, other participants): they are
+    // never queued offline and fail right away without network.
+
+    /**
+     * Send a group order request and remember the resulting cart
+     *
+     * @param {string} path - Path below /api/cart/group
+     * @param {Object|null} [payload=null] - JSON body
+     * @returns {Promise<Object>} Cart returned by the server
+     * @throws {Error} If the server rejects the request or the network is down
+     */
+    async _sendGroup(path, payload = null) {
+        const options = { method: 'POST' };
+        if (payload) {
+            options.body = JSON.stringify(payload);
+        }
+
+        try {
+            const response = await window.apiRequest(`${this.baseUrl}/group${path}`, options);
+            return await this._handleCartResponse(response, 'group');
+        } catch (error) {
+            console.error('Error updating group order:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Turn the cart into a group order
+     * The returned cart's group holds the share link (group.shareUrl).
+     *
+     * @param {string} name - Name of the owner
+     * @returns {Promise<Object>} Group cart
+     * @throws {Error} If the server rejects the request
+     *
+     * @example
+     * const cart = await cartAPI.createGroup('Camille');
+     * navigator.clipboard.writeText(cart.group.shareUrl);
+     */
+    createGroup(name) {
+        return this._sendGroup('', { name });
+    }
+
+    /**
+     * Join a group order from its share link
+     *
+     * @param {string} token - Token of the share link
+     * @param {string} name - Name of the participant
+     * @returns {Promise<Object>} Group cart
+     * @throws {Error} If the group is closed, locked or full
+     */
+    joinGroup(token, name) {
+        return this._sendGroup(`/join/${encodeURIComponent(token)}`, { name });
+    }
+
+    /**
+     * Lock or unlock the group order (owner only)
+     *
+     * @param {boolean} locked - True to stop participants from changing the cart
+     * @returns {Promise<Object>} Group cart
+     * @throws {Error} If the visitor is not the owner
+     */
+    setGroupLocked(locked) {
+        return this._sendGroup('/lock', { locked: Boolean(locked) });
+    }
+
+    /**
+     * Leave the group order (the owner cancels it and keeps their own lines)
+     *
+     * @returns {Promise<Object>} Visitor's own cart
+     * @throws {Error} If the visitor is not in a group order
+     */
+    leaveGroup() {
+        return this._sendGroup('/leave');
+    }
+
     /**
      * Get the total number of items in the cart
      *
@@ -345,65 +1337,63 @@ window.cartAPI = new CartAPI();
 // ============================================================================
 // CART UI FUNCTIONS
 // ============================================================================
+// The cart UI renders from window.cartStore (cart-store.js): the sidebar,
+// the navbar badge and the sidebar open state are store subscribers.
 
 /**
  * Toggle the cart sidebar open/closed
  *
- * This function:
- * - Opens/closes the cart sidebar
- * - Manages body scroll lock when sidebar is open
- * - Refreshes cart when opening
+ * The open state lives in the cart store; applyCartSidebarState() reacts to it.
  *
  * @global
  */
 window.toggleCart = function () {
-    const cartSidebar = document.getElementById('cartSidebar');
-    if (cartSidebar) {
-        // Toggle 'open' class (CSS handles the animation)
-        cartSidebar.classList.toggle('open');
-
-        if (cartSidebar.classList.contains('open')) {
-            // Sidebar is now open
-            // Update aria attributes for accessibility
-            cartSidebar.setAttribute('aria-hidden', 'false');
-            // Lock body scroll to prevent background scrolling
-            document.body.style.overflow = 'hidden';
-            // Set flag to track cart state
-            window.cartIsActive = true;
-            // Refresh cart display when opening (show latest data)
-            updateCartSidebar();
-        } else {
-            // Sidebar is now closed
-            // Update aria attributes for accessibility
-            cartSidebar.setAttribute('aria-hidden', 'true');
-            // Restore body scroll
-            document.body.style.overflow = 'auto';
-            // Clear cart active flag
-            window.cartIsActive = false;
-        }
-    }
+    window.cartStore.toggleSidebar();
 };
 
 /**
- * Reset cart active state after a delay
+ * Apply the sidebar open state from the store to the DOM
  *
- * This is used to prevent accidental cart closing when user is
- * actively interacting with cart controls (buttons, inputs).
- *
- * After 2 seconds of inactivity, the cart can be closed by clicking outside.
+ * This function:
+ * - Opens/closes the cart sidebar (CSS handles the animation)
+ * - Manages body scroll lock when sidebar is open
  *
- * @global
+ * @param {boolean} open - Whether the sidebar should be displayed
  */
-window.resetCartActiveState = function () {
-    setTimeout(() => {
-        window.cartIsActive = false;
-    }, 2000);
-};
+function applyCartSidebarState(open) {
+    const cartSidebar = document.getElementById('cartSidebar');
+    if (!cartSidebar) return;
+
+    cartSidebar.classList.toggle('open', open);
+    // Update aria attributes for accessibility
+    cartSidebar.setAttribute('aria-hidden', open ? 'false' : 'true');
+    // Lock body scroll to prevent background scrolling while open
+    document.body.style.overflow = open ? 'hidden' : 'auto';
+}
 
 // ============================================================================
 // CART NAVIGATION INITIALIZATION
 // ============================================================================
 
+/**
+ * Store subscriptions are registered once, even if initCartNavigation()
+ * runs again (Turbo navigation)
+ */
+let cartStoreBound = false;
+
+/**
+ * Render the sidebar, badge and open state whenever the cart store changes
+ */
+function bindCartStore() {
+    if (cartStoreBound) return;
+    cartStoreBound = true;
+
+    const store = window.cartStore;
+    store.subscribe(store.selectors.cart, updateCartSidebar, { immediate: true });
+    store.subscribe(store.selectors.itemCount, updateCartNavigation, { immediate: true });
+    store.subscribe(store.selectors.sidebarOpen, applyCartSidebarState);
+}
+
 /**
  * Initialize cart navigation functionality
  *
@@ -411,7 +1401,7 @@ window.resetCartActiveState = function () {
  * - Click handlers for cart link and close button
  * - Click-outside-to-close behavior
  * - Escape key to close
- * - Initial cart count display
+ * - Store subscriptions (cart count display, sidebar rendering)
  * - Cart sidebar initialization
  */
 function initCartNavigation() {
@@ -437,10 +1427,7 @@ function initCartNavigation() {
      */
     if (closeCart) {
         closeCart.addEventListener('click', function () {
-            // Clear active state
-            window.cartIsActive = false;
-            // Close sidebar
-            window.toggleCart();
+            window.cartStore.closeSidebar();
         });
     }
 
@@ -455,7 +1442,7 @@ function initCartNavigation() {
      */
     document.addEventListener('click', function (e) {
         // Only act if cart is open
-        if (cartSidebar && cartSidebar.classList.contains('open')) {
+        if (cartSidebar && window.cartStore.getState().sidebarOpen) {
             /**
              * Check if click is on a cart control element
              * These elements should NOT close the cart when clicked
@@ -477,7 +1464,7 @@ function initCartNavigation() {
                 !(cartNavLink && cartNavLink.contains(e.target)) &&
                 !isCartControl
             ) {
-                window.toggleCart();
+                window.cartStore.closeSidebar();
             }
         }
     });
@@ -487,14 +1474,13 @@ function initCartNavigation() {
      * Standard keyboard shortcut for closing modals/sidebars
      */
     document.addEventListener('keydown', function (e) {
-        if (e.key === 'Escape' && cartSidebar && cartSidebar.classList.contains('open')) {
-            window.cartIsActive = false;
-            window.toggleCart();
+        if (e.key === 'Escape' && window.cartStore.getState().sidebarOpen) {
+            window.cartStore.closeSidebar();
         }
     });
 
-    // Update cart count in navbar on initialization
-    updateCartNavigation();
+    // Render from the store (cart count in navbar, sidebar content)
+    bindCartStore();
 
     // Initialize cart sidebar (clear button, order button, etc.)
     initCartSidebar();
@@ -511,7 +1497,6 @@ function initCartNavigation() {
  * - Clear cart button with confirmation
  * - Order button (redirects to order page)
  * - Event delegation for quantity buttons
- * - Initial cart display
  */
 function initCartSidebar() {
     const clearCartBtn = document.getElementById('clearCart');
@@ -532,6 +1517,13 @@ function initCartSidebar() {
      */
     if (cartItems) {
         cartItems.addEventListener('click', async function (e) {
+            // "J'ai compris" button of the price change notice
+            if (e.target.closest('[data-action="acknowledge-changes"]')) {
+                e.preventDefault();
+                await window.acknowledgeCartChanges();
+                return;
+            }
+
             // Check if click was on a quantity button
             const btn = e.target.closest('.cart-qty-btn');
             if (!btn) return; // Not a quantity button, ignore
@@ -539,13 +1531,9 @@ function initCartSidebar() {
             // Prevent default button behavior
             e.preventDefault();
 
-            // Set cart as active (prevents accidental closing)
-            window.cartIsActive = true;
-            // Reset active state after delay
-            if (window.resetCartActiveState) window.resetCartActiveState();
-
-            // Get item ID and action from data attributes
-            const id = parseInt(btn.getAttribute('data-id'));
+            // Get line key and action from data attributes
+            // (a string like "12-3_7" when the dish was ordered with options)
+            const id = btn.getAttribute('data-id');
             const action = btn.getAttribute('data-action');
 
             // Call appropriate function based on action
@@ -555,10 +1543,18 @@ function initCartSidebar() {
                 await window.addToCartSidebar(id);
             }
         });
-    }
 
-    // Update cart display immediately
-    updateCartSidebar();
+        /**
+         * Kitchen note inputs (one per line), saved when the input loses focus
+         * or Enter is pressed - same delegation approach as quantity buttons
+         */
+        cartItems.addEventListener('change', async function (e) {
+            const input = e.target.closest('.cart-item-note');
+            if (!input) return;
+
+            await window.saveCartItemNote(input.getAttribute('data-id'), input.value);
+        });
+    }
 
     /**
      * Clear cart button behavior
@@ -576,50 +1572,37 @@ function initCartSidebar() {
                 typeof window.showConfirmDialog === 'function'
                     ? await new Promise(resolve => {
                           window.showConfirmDialog(
-                              'Confirmation',
-                              'Êtes-vous sûr de vouloir vider votre panier ?',
+                              window.t('cart.clear_title'),
+                              window.t('cart.clear_confirm'),
                               () => resolve(true)
                           );
                       })
-                    : window.confirm('Êtes-vous sûr de vouloir vider votre panier ?');
+                    : window.confirm(window.t('cart.clear_confirm'));
 
             // Only proceed if user confirmed
             if (confirmed) {
                 try {
-                    // Clear cart via API
-                    await window.cartAPI.clearCart();
-
-                    // Update UI
-                    await updateCartUI();
+                    // Clear cart (every widget re-renders from the store)
+                    await window.cartStore.clear();
 
                     // Show success notification
                     if (window.showCartNotification) {
-                        window.showCartNotification('Panier vidé avec succès', 'success');
-                    }
-
-                    // Trigger menu re-render if available
-                    if (window.renderMenu && typeof window.renderMenu === 'function') {
-                        await window.renderMenu();
+                        window.showCartNotification(window.t('cart.cleared'), 'success');
                     }
 
                     /**
                      * Close cart sidebar after clearing
                      * Cart is empty, no need to keep sidebar open
                      */
-                    const cartSidebarEl = document.getElementById('cartSidebar');
-                    if (cartSidebarEl && cartSidebarEl.classList.contains('open')) {
-                        cartSidebarEl.classList.remove('open');
-                        document.body.style.overflow = 'auto';
-                        window.cartIsActive = false;
-                    }
+                    window.cartStore.closeSidebar();
                 } catch (error) {
                     console.error('Error clearing cart:', error);
                     // Show error notification
                     if (window.showCartNotification) {
-                        window.showCartNotification('Erreur lors du vidage du panier', 'error');
+                        window.showCartNotification(window.t('cart.error.clear'), 'error');
                     } else {
                         // Fallback to alert if notification system not available
-                        window.alert('Erreur lors du vidage du panier');
+                        window.alert(window.t('cart.error.clear'));
                     }
                 }
             }
@@ -634,17 +1617,29 @@ function initCartSidebar() {
     if (orderBtn) {
         orderBtn.addEventListener('click', async function () {
             // Get current cart
-            const cart = await window.cartAPI.getCart();
+            const cart = await window.cartStore.load();
 
-            // Only redirect if cart has items
-            if (cart.items.length > 0) {
+            // Only redirect if cart has items and the customer saw the changes
+            if (window.cartStore.changesOf(cart.items).length > 0) {
+                if (window.showCartNotification) {
+                    window.showCartNotification(window.t('cart.changed_before_order'), 'warning');
+                }
+            } else if (cart.group && !cart.group.owner) {
+                // Group orders are placed by their owner
+                if (window.showCartNotification) {
+                    window.showCartNotification(
+                        window.t('cart.group_owner_orders', { name: cart.group.participants[0] }),
+                        'info'
+                    );
+                }
+            } else if (cart.items.length > 0) {
                 window.location.href = '/order';
             } else {
                 // Show warning if cart is empty
                 if (window.showCartNotification) {
-                    window.showCartNotification('Votre panier est vide', 'warning');
+                    window.showCartNotification(window.t('cart.empty_title'), 'warning');
                 } else {
-                    window.alert('Votre panier est vide');
+                    window.alert(window.t('cart.empty_title'));
                 }
             }
         });
@@ -656,18 +1651,16 @@ function initCartSidebar() {
 // ============================================================================
 
 /**
- * Update the cart sidebar display
+ * Render the cart sidebar from the cart store
  *
  * This function:
- * - Fetches latest cart data from API
  * - Renders cart items in the sidebar
  * - Updates total price
  * - Handles empty cart state
- * - Attaches event listeners to quantity buttons
  *
- * @async
+ * Subscribed to the store's cart: called once per cart change, no API call.
  */
-async function updateCartSidebar() {
+function updateCartSidebar() {
     // Get DOM references
     const cartItems = document.getElementById('cartItems');
     const cartTotal = document.getElementById('cartTotal');
@@ -676,27 +1669,11 @@ async function updateCartSidebar() {
     // Exit early if required elements don't exist
     if (!cartItems || !cartTotal) return;
 
-    try {
-        // Fetch latest cart data
-        const cart = await window.cartAPI.getCart();
+    // Kitchen note limit, from the server (CartService::NOTE_MAX_LENGTH)
+    const noteMaxLength = cartItems.dataset.noteMaxLength;
 
-        // Safety check: ensure cart exists and has correct structure
-        // This prevents "Cannot read properties of undefined" errors
-        if (!cart || !cart.items || !Array.isArray(cart.items)) {
-            // Cart data is invalid or missing - show error message to user
-            cartItems.innerHTML = `
-                <div class="cart-empty">
-                    <i class="bi bi-exclamation-triangle"></i>
-                    <h4>Erreur de chargement</h4>
-                    <p>Impossible de charger le panier</p>
-                </div>
-            `;
-            cartTotal.textContent = '0€';
-            if (clearCartBtn) {
-                clearCartBtn.disabled = true;
-            }
-            return;
-        }
+    try {
+        const { cart } = window.cartStore.getState();
 
         /**
          * Update clear cart button state
@@ -718,11 +1695,15 @@ async function updateCartSidebar() {
             cartItems.innerHTML = `
                 <div class="cart-empty">
                     <i class="bi bi-basket"></i>
-                    <h4>Votre panier est vide</h4>
-                    <p>Ajoutez des plats depuis le menu</p>
+                    <h4>${window.t('cart.empty_title')}</h4>
+                    <p>${window.t('cart.empty_text')}</p>
+                    <a href="${window.appReorderPath || '/commander-a-nouveau'}" class="cart-empty-reorder">
+                        <i class="bi bi-arrow-repeat me-1" aria-hidden="true"></i>${window.t('cart.reorder_past')}
+                    </a>
                 </div>
             `;
-            cartTotal.textContent = '0€';
+            cartTotal.textContent = window.LocaleFormat.price(0);
+            renderCartNutrition([]);
             return;
         }
 
@@ -731,43 +1712,79 @@ async function updateCartSidebar() {
          * Loop through items and create HTML structure for each
          */
         let itemsHTML = '';
+        let participant = null;
+
+        // Group orders: lines grouped under the name of the person they are for
+        groupCartLines(cart).forEach(item => {
+            if (cart.group && item.participantIndex !== participant) {
+                participant = item.participantIndex;
+                itemsHTML += renderCartParticipantHeading(cart, participant);
+            }
 
-        cart.items.forEach(item => {
             // Calculate total price for this item (price × quantity)
             const itemTotal = item.price * item.quantity;
+            const lineKey = window.cartAPI.getLineKey(item);
+            const optionsLabel = window.DishOptions.formatLabel(item.options);
+            // Other participants' lines are read-only (and every line once the group is locked)
+            const editable = window.cartAPI.canEditLine(item, cart);
 
             // Build HTML for single cart item
             // Includes aria-attributes for accessibility
+            const t = window.t;
+            const name = item.name;
+            const price = window.LocaleFormat.price(itemTotal);
+            const unitPrice = window.LocaleFormat.price(item.price);
             itemsHTML += `
-                <div class="cart-item" role="listitem" aria-label="Article: ${item.name}, quantité: ${item.quantity}, prix: ${itemTotal.toFixed(2)}€">
+                <div class="cart-item${item.unavailable ? ' cart-item--unavailable' : ''}" role="listitem" aria-label="${t('cart.line_label', { name, quantity: item.quantity, price })}">
                     <div class="cart-item-header">
                         <h5 class="cart-item-title">${item.name}</h5>
-                        <span class="cart-item-price" aria-label="Prix unitaire: ${item.price}€">${item.price}€</span>
+                        <span class="cart-item-price" aria-label="${t('cart.unit_price', { price: unitPrice })}">${item.priceChanged ? `<del>${window.LocaleFormat.price(item.addedPrice)}</del> ` : ''}${unitPrice}</span>
                     </div>
+                    ${item.unavailable ? `<p class="cart-item-unavailable">${t('cart.unavailable')}</p>` : ''}
+                    ${optionsLabel ? `<p class="cart-item-options">${optionsLabel}</p>` : ''}
+                    ${
+                        editable
+                            ? `<input type="text" class="form-control form-control-sm cart-item-note" data-id="${lineKey}" value="${escapeCartText(item.note)}" maxlength="${noteMaxLength}" placeholder="${t('cart.note_placeholder')}" aria-label="${t('cart.note_label', { name })}">`
+                            : item.note
+                              ? `<p class="cart-item-options">${t('cart.note', { note: escapeCartText(item.note) })}</p>`
+                              : ''
+                    }
                     <div class="cart-item-controls">
-                        <div class="cart-item-quantity" role="group" aria-label="Contrôles de quantité pour ${item.name}">
-                            <button class="cart-qty-btn" data-action="decrease" data-id="${item.id}" aria-label="Diminuer la quantité de ${item.name}">-</button>
-                            <span class="cart-item-total" aria-label="Quantité actuelle: ${item.quantity}">${item.quantity}</span>
-                            <button class="cart-qty-btn" data-action="increase" data-id="${item.id}" aria-label="Augmenter la quantité de ${item.name}">+</button>
+                        <div class="cart-item-quantity" role="group" aria-label="${t('cart.quantity_controls', { name })}">
+                            ${editable ? `<button class="cart-qty-btn" data-action="decrease" data-id="${lineKey}" aria-label="${t('cart.decrease_label', { name })}">-</button>` : ''}
+                            <span class="cart-item-total" aria-label="${t('cart.current_quantity', { quantity: item.quantity })}">${editable ? '' : '× '}${item.quantity}</span>
+                            ${editable ? `<button class="cart-qty-btn" data-action="increase" data-id="${lineKey}" aria-label="${t('cart.increase_label', { name })}"${item.unavailable ? ' disabled' : ''}>+</button>` : ''}
                         </div>
-                        <span class="cart-item-total" aria-label="Prix total pour cet article: ${itemTotal.toFixed(2)}€">${itemTotal.toFixed(2)}€</span>
+                        <span class="cart-item-total" aria-label="${t('cart.line_total', { price })}">${price}</span>
                     </div>
                 </div>
             `;
         });
 
-        // Update sidebar HTML
-        cartItems.innerHTML = itemsHTML;
+        /**
+         * Offline notice
+         * Shown while some changes only exist locally (queued for replay)
+         */
+        const syncNotice = cart.pendingSync
+            ? `
+                <div class="cart-sync-pending" role="status">
+                    <i class="bi bi-cloud-slash"></i>
+                    <span>${window.t('cart.offline_notice')}</span>
+                </div>
+            `
+            : '';
+
+        // Update sidebar HTML (keeps the note being typed, if any)
+        renderCartMarkup(cartItems, syncNotice + renderCartChangesNotice(cart.items) + itemsHTML);
         // Update total price (format with 2 decimal places)
-        cartTotal.textContent = cart.total.toFixed(2) + '€';
+        cartTotal.textContent = window.LocaleFormat.price(cart.total);
+        renderCartNutrition(cart.items);
 
         /**
          * Note: Event listeners for quantity buttons are handled via
          * event delegation in initCartSidebar(). This means we don't need
          * to attach listeners here - they're already set up on the parent
          * container and will work for all buttons, including dynamically added ones.
-         *
-         * This is more efficient than attaching listeners to each button individually.
          */
     } catch (error) {
         console.error('Error updating cart sidebar:', error);
@@ -775,8 +1792,8 @@ async function updateCartSidebar() {
         cartItems.innerHTML = `
             <div class="cart-empty">
                 <i class="bi bi-exclamation-triangle"></i>
-                <h4>Erreur de chargement</h4>
-                <p>Impossible de charger le panier</p>
+                <h4>${window.t('cart.load_error_title')}</h4>
+                <p>${window.t('cart.load_error_text')}</p>
             </div>
         `;
     }
@@ -787,55 +1804,235 @@ async function updateCartSidebar() {
 // ============================================================================
 
 /**
- * Common UI update logic after cart operations
+ * Escape user-provided text (kitchen notes) before injecting it into the sidebar markup
+ *
+ * @param {*} value - Raw value
+ * @returns {string} HTML-safe string
+ */
+function escapeCartText(value) {
+    return String(value ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#039;');
+}
+
+/**
+ * Replace the markup of a cart lines container without losing the note being typed
+ *
+ * Cart lists re-render on every store change (including changes made in
+ * another tab). If the customer is typing a kitchen note, the input is
+ * restored with its current value, focus and caret position.
+ *
+ * @param {HTMLElement} container - Sidebar or checkout cart lines container
+ * @param {string} html - New markup
+ * @global
+ */
+function renderCartMarkup(container, html) {
+    const active = document.activeElement;
+    const typing =
+        active && container.contains(active) && active.classList.contains('cart-item-note')
+            ? {
+                  id: active.getAttribute('data-id'),
+                  value: active.value,
+                  start: active.selectionStart,
+                  end: active.selectionEnd,
+              }
+            : null;
+
+    container.innerHTML = html;
+
+    if (!typing) return;
+
+    const input = Array.from(container.querySelectorAll('.cart-item-note')).find(
+        el => el.getAttribute('data-id') === typing.id
+    );
+    if (input) {
+        input.value = typing.value;
+        input.focus();
+        input.setSelectionRange(typing.start, typing.end);
+    }
+}
+
+/**
+ * Save the kitchen note of a cart line (sidebar and checkout note inputs)
+ *
+ * Called on 'change' (input blurred or Enter pressed) so typing doesn't
+ * trigger a request per keystroke.
+ *
+ * @param {string|number} lineKey - Line key of the cart line
+ * @param {string} note - Note text (empty removes the note)
+ * @returns {Promise<boolean>} True when saved (or queued offline)
+ * @global
+ */
+window.saveCartItemNote = async function (lineKey, note) {
+    try {
+        await window.cartStore.setNote(lineKey, note);
+        if (window.showCartNotification) {
+            window.showCartNotification(
+                window.t(note.trim() ? 'cart.note_saved' : 'cart.note_removed'),
+                'success'
+            );
+        }
+        return true;
+    } catch (error) {
+        console.error('Error saving cart note:', error);
+        if (window.showCartNotification) {
+            window.showCartNotification(error.message || window.t('cart.error.note'), 'error');
+        }
+        return false;
+    }
+};
+
+/**
+ * Order the lines of a group order by participant (owner first)
+ *
+ * Lines keep their order within each participant. Outside group orders
+ * the lines are returned as they are.
+ *
+ * @param {Object} cart - Cart { items, group }
+ * @returns {Array<Object>} Cart lines
+ * @global
+ */
+function groupCartLines(cart) {
+    if (!cart.group) {
+        return cart.items;
+    }
+
+    return cart.items
+        .map((item, position) => ({ item, position }))
+        .sort(
+            (a, b) =>
+                (a.item.participantIndex ?? 0) - (b.item.participantIndex ?? 0) ||
+                a.position - b.position
+        )
+        .map(entry => entry.item);
+}
+
+/**
+ * Render the heading of a participant's lines in a group order
  *
- * @param {string|number} itemId - Optional item ID for menu page updates
- * @returns {Promise<void>}
+ * @param {Object} cart - Cart { items, group }
+ * @param {number} participantIndex - Index of the participant (0 = owner)
+ * @returns {string} HTML
+ * @global
  */
-async function updateCartUI(itemId = null) {
-    await updateCartSidebar();
-    await updateCartNavigation();
+function renderCartParticipantHeading(cart, participantIndex) {
+    const group = cart.group;
+    const name = escapeCartText(
+        group.participants[participantIndex ?? 0] || window.t('cart.group.guest')
+    );
+    const subtotal = cart.items
+        .filter(item => (item.participantIndex ?? 0) === (participantIndex ?? 0))
+        .reduce((sum, item) => sum + item.price * item.quantity, 0);
+    const labels = [];
+    if ((participantIndex ?? 0) === 0) labels.push(window.t('cart.group.organizer'));
+    if ((participantIndex ?? 0) === group.me) labels.push(window.t('cart.group.you'));
+
+    return `
+        <div class="cart-participant" role="heading" aria-level="4">
+            <span><i class="bi bi-person"></i> ${name}${labels.length ? ` <small>(${labels.join(', ')})</small>` : ''}</span>
+            <span>${window.LocaleFormat.price(subtotal)}</span>
+        </div>
+    `;
+}
 
-    if (itemId && window.updateQuantityDisplay) {
-        window.updateQuantityDisplay(itemId);
+/**
+ * Render the notice listing the cart changes flagged by the server
+ *
+ * Shown at the top of the sidebar and of the checkout cart step: prices
+ * changed since the dishes were added, dishes no longer available. The
+ * "J'ai compris" button (data-action="acknowledge-changes") accepts the new
+ * prices; unavailable lines stay listed until they are removed.
+ *
+ * @param {Array<Object>} items - Cart lines
+ * @returns {string} HTML, empty when nothing changed
+ * @global
+ */
+function renderCartChangesNotice(items) {
+    const changes = window.cartStore.changesOf(items);
+    if (changes.length === 0) {
+        return '';
     }
 
-    window.dispatchEvent(new CustomEvent('cartUpdated'));
+    const list = changes
+        .map(change => {
+            const name = escapeCartText(change.name);
+            return change.type === 'unavailable'
+                ? `<li>${window.t('cart.changes.unavailable', { name: `<strong>${name}</strong>` })}</li>`
+                : `<li>${window.t('cart.changes.price', {
+                      name: `<strong>${name}</strong>`,
+                      before: window.LocaleFormat.price(change.addedPrice),
+                      after: window.LocaleFormat.price(change.price),
+                  })}</li>`;
+        })
+        .join('');
+    const hasPriceChanges = changes.some(change => change.type === 'price');
+
+    return `
+        <div class="cart-changes-notice" role="alert">
+            <p class="cart-changes-title"><i class="bi bi-exclamation-circle"></i> ${window.t('cart.changes.title')}</p>
+            <ul>${list}</ul>
+            ${hasPriceChanges ? `<button type="button" class="btn btn-sm btn-warning" data-action="acknowledge-changes">${window.t('cart.changes.acknowledge')}</button>` : ''}
+        </div>
+    `;
 }
 
+/**
+ * Accept the price changes of the cart (notice dismissed)
+ *
+ * @returns {Promise<boolean>} True when accepted (or queued offline)
+ * @global
+ */
+window.acknowledgeCartChanges = async function () {
+    try {
+        await window.cartStore.acknowledgeChanges();
+        return true;
+    } catch (error) {
+        console.error('Error acknowledging cart changes:', error);
+        if (window.showCartNotification) {
+            window.showCartNotification(
+                error.message || window.t('cart.error.acknowledge'),
+                'error'
+            );
+        }
+        return false;
+    }
+};
+
 /**
  * Remove item from cart (via sidebar controls)
  *
  * If quantity > 1, decreases quantity.
  * If quantity = 1, removes item entirely.
  *
- * @param {string|number} itemId - The ID of the item to remove/decrease
+ * @param {string|number} lineKey - Line key of the cart line (item ID for dishes without options)
  * @global
  */
-window.removeFromCartSidebar = async function (itemId) {
-    try {
-        const cart = await window.cartAPI.getCart();
-        const item = cart.items.find(i => i.id === itemId);
+window.removeFromCartSidebar = async function (lineKey) {
+    const store = window.cartStore;
+    const item = store.selectors.line(lineKey)(store.getState());
 
-        if (!item) return;
+    if (!item) return;
 
-        if (item.quantity > 1) {
-            await window.cartAPI.updateQuantity(itemId, item.quantity - 1);
-            if (window.showCartNotification) {
-                window.showCartNotification(`Quantité de ${item.name} diminuée`, 'info');
-            }
-        } else {
-            await window.cartAPI.removeItem(itemId);
-            if (window.showCartNotification) {
-                window.showCartNotification(`${item.name} supprimé du panier`, 'info');
+    try {
+        await store.decrement(lineKey);
+
+        if (window.showCartNotification) {
+            if (item.quantity > 1) {
+                window.showCartNotification(
+                    window.t('cart.decreased', { name: item.name }),
+                    'info'
+                );
+            } else {
+                window.showCartNotification(window.t('cart.removed', { name: item.name }), 'info');
             }
         }
-
-        await updateCartUI(itemId);
     } catch (error) {
         console.error('Error removing from cart sidebar:', error);
         if (window.showCartNotification) {
-            window.showCartNotification('Erreur lors de la modification de la quantité', 'error');
+            window.showCartNotification(window.t('cart.quantity_error'), 'error');
         }
     }
 };
@@ -844,31 +2041,82 @@ window.removeFromCartSidebar = async function (itemId) {
  * Add item to cart (via sidebar controls)
  * Increases quantity of existing item in cart.
  *
- * @param {string|number} itemId - The ID of the item to increase
+ * @param {string|number} lineKey - Line key of the cart line (item ID for dishes without options)
  * @global
  */
-window.addToCartSidebar = async function (itemId) {
-    try {
-        const cart = await window.cartAPI.getCart();
-        const item = cart.items.find(i => i.id === itemId);
+window.addToCartSidebar = async function (lineKey) {
+    const store = window.cartStore;
+    const item = store.selectors.line(lineKey)(store.getState());
 
-        if (!item) return;
+    if (!item) return;
 
-        await window.cartAPI.updateQuantity(itemId, item.quantity + 1);
+    try {
+        await store.increment(lineKey);
 
         if (window.showCartNotification) {
-            window.showCartNotification(`Quantité de ${item.name} augmentée`, 'success');
+            window.showCartNotification(window.t('cart.increased', { name: item.name }), 'success');
         }
-
-        await updateCartUI(itemId);
     } catch (error) {
         console.error('Error adding to cart sidebar:', error);
         if (window.showCartNotification) {
-            window.showCartNotification('Erreur lors de la modification de la quantité', 'error');
+            window.showCartNotification(window.t('cart.quantity_error'), 'error');
         }
     }
 };
 
+// ============================================================================
+// OFFLINE SYNC
+// ============================================================================
+
+/**
+ * Report the outcome after queued mutations were replayed
+ *
+ * Listens to the 'cartSynced' event dispatched by CartAPI.flushQueue().
+ * The cart store reloads the server cart on the same event; rejected
+ * operations (conflicts) are reported to the user and re-dispatched as a
+ * 'cartSyncConflict' event so pages can react.
+ *
+ * @param {CustomEvent} event - Event with detail { synced, conflicts, pending }
+ */
+function handleCartSynced(event) {
+    const { conflicts = [], pending = 0 } = event.detail || {};
+
+    if (conflicts.length > 0) {
+        window.dispatchEvent(new CustomEvent('cartSyncConflict', { detail: { conflicts } }));
+
+        if (window.showCartNotification) {
+            const details = conflicts.map(conflict => conflict.message).join(', ');
+            window.showCartNotification(window.t('cart.sync.conflicts', { details }), 'warning');
+        }
+    } else if (pending === 0 && window.showCartNotification) {
+        window.showCartNotification(window.t('cart.sync.done'), 'success');
+    }
+}
+
+/**
+ * Replay queued mutations when the connection comes back
+ * Also used on page load to send changes left over from a previous visit
+ */
+function syncPendingCartChanges() {
+    if (window.cartAPI.getPendingCount() > 0) {
+        window.cartAPI.flushQueue();
+    }
+}
+
+/**
+ * Warn the user once when the connection drops while using the cart
+ */
+function handleCartOffline() {
+    if (window.showCartNotification) {
+        window.showCartNotification(window.t('cart.sync.offline'), 'warning');
+    }
+}
+
+window.addEventListener('cartSynced', handleCartSynced);
+window.addEventListener('online', syncPendingCartChanges);
+window.addEventListener('offline', handleCartOffline);
+
+// ============================================================================
 // CART NAVIGATION UPDATE
 // ============================================================================
 
@@ -876,25 +2124,19 @@ window.addToCartSidebar = async function (itemId) {
  * Update the cart count badge in the navigation bar
  *
  * This function:
- * - Fetches cart item count
+ * - Reads the item count from the cart store
  * - Updates the count badge text
  * - Makes the badge visible (removes 'hidden' class)
  *
- * @async
+ * Subscribed to the store's item count: only runs when the count changes.
  */
-async function updateCartNavigation() {
+function updateCartNavigation() {
     const cartCount = document.getElementById('cartNavCount');
     if (cartCount) {
-        try {
-            // Get cart item count
-            const count = await window.cartAPI.getCount();
-            // Update badge text
-            cartCount.textContent = count;
-            // Make badge visible
-            cartCount.classList.remove('hidden');
-        } catch (error) {
-            console.error('Error updating cart navigation:', error);
-        }
+        // Update badge text
+        cartCount.textContent = window.cartStore.getState().cart.itemCount;
+        // Make badge visible
+        cartCount.classList.remove('hidden');
     }
 }
 
@@ -906,14 +2148,16 @@ async function updateCartNavigation() {
  * Initialize cart functionality when DOM is ready
  *
  * This runs on page load and sets up:
- * - Cart count in navigation
- * - Cart navigation handlers
+ * - Cart navigation handlers and store subscriptions
+ * - Replay of mutations queued while offline
+ *
+ * The cart itself is loaded by cart-store.js.
  */
 document.addEventListener('DOMContentLoaded', function () {
-    // Update cart count immediately
-    updateCartNavigation();
-    // Initialize cart navigation (click handlers, etc.)
+    // Initialize cart navigation (click handlers, rendering)
     initCartNavigation();
+    // Send mutations queued during a previous offline visit
+    syncPendingCartChanges();
 });
 
 /**
@@ -926,10 +2170,98 @@ document.addEventListener('DOMContentLoaded', function () {
  * Without this, cart would only work on initial page load.
  */
 window.addEventListener('turbo:load', function () {
-    updateCartNavigation();
     initCartNavigation();
+    // The body was replaced: render the current state into the new markup
+    updateCartNavigation();
+    updateCartSidebar();
 });
 
+// ============================================================================
+// CART NUTRITION
+// ============================================================================
+
+/**
+ * Nutrients summed in the sidebar: field of the line nutrition, label key, unit
+ */
+const CART_NUTRIENTS = [
+    { field: 'proteinsG', label: 'nutrition.proteins', unit: 'g' },
+    { field: 'carbsG', label: 'nutrition.carbs', unit: 'g' },
+    { field: 'fatsG', label: 'nutrition.fats', unit: 'g' },
+];
+
+/**
+ * Sum the nutrition facts of the dishes in the cart
+ *
+ * Each dish line carries the values of one serving (CartService::refreshLine()),
+ * multiplied here by its quantity. Drinks and unavailable lines are left out;
+ * dishes without nutrition facts are counted in `missing`.
+ *
+ * @param {Array<Object>} items - Cart lines
+ * @returns {{caloriesKcal: number, proteinsG: number, carbsG: number, fatsG: number, counted: number, missing: number}}
+ */
+function computeCartNutrition(items) {
+    const totals = { caloriesKcal: 0, proteinsG: 0, carbsG: 0, fatsG: 0, counted: 0, missing: 0 };
+
+    items
+        .filter(item => !window.cartStore.isDrink(item) && !item.unavailable)
+        .forEach(item => {
+            const nutrition = item.nutrition;
+            if (
+                !nutrition ||
+                nutrition.caloriesKcal === null ||
+                nutrition.caloriesKcal === undefined
+            ) {
+                totals.missing += item.quantity;
+                return;
+            }
+
+            totals.counted += item.quantity;
+            totals.caloriesKcal += Number(nutrition.caloriesKcal) * item.quantity;
+            CART_NUTRIENTS.forEach(({ field }) => {
+                totals[field] += (Number(nutrition[field]) || 0) * item.quantity;
+            });
+        });
+
+    return totals;
+}
+
+/**
+ * Render the running nutrition total of the cart in the sidebar footer
+ *
+ * Hidden when no dish of the cart has nutrition facts.
+ *
+ * @param {Array<Object>} items - Cart lines
+ */
+function renderCartNutrition(items) {
+    const container = document.getElementById('cartNutrition');
+    if (!container) return;
+
+    const totals = computeCartNutrition(items);
+    if (totals.counted === 0) {
+        container.innerHTML = '';
+        container.hidden = true;
+        return;
+    }
+
+    const nutrients = CART_NUTRIENTS.map(
+        ({ field, label, unit }) =>
+            `<span>${window.t(label)} ${window.LocaleFormat.number(Math.round(totals[field]))} ${unit}</span>`
+    ).join('');
+    const missing = totals.missing
+        ? ` · ${window.t('cart.nutrition.missing', { count: totals.missing })}`
+        : '';
+
+    container.hidden = false;
+    container.innerHTML = `
+        <div class="cart-nutrition-total">
+            <span>${window.t('cart.nutrition.title')}</span>
+            <strong>${window.LocaleFormat.number(Math.round(totals.caloriesKcal))} kcal</strong>
+        </div>
+        <div class="cart-nutrition-details">${nutrients}</div>
+        <p class="cart-nutrition-note">${window.t('cart.nutrition.note')}${missing}</p>
+    `;
+}
+
 // ============================================================================
 // GLOBAL EXPORTS
 // ============================================================================
@@ -942,5 +2274,10 @@ window.addEventListener('turbo:load', function () {
  */
 window.updateCartNavigation = updateCartNavigation;
 window.updateCartSidebar = updateCartSidebar;
+window.renderCartMarkup = renderCartMarkup;
+window.renderCartChangesNotice = renderCartChangesNotice;
+window.computeCartNutrition = computeCartNutrition;
+window.groupCartLines = groupCartLines;
+window.renderCartParticipantHeading = renderCartParticipantHeading;
 window.initCartNavigation = initCartNavigation;
 window.initCartSidebar = initCartSidebar;
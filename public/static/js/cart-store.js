@@ -0,0 +1,592 @@
+// ============================================================================
+// CART-STORE.JS - Client-side Cart State
+// ============================================================================
+// Single source of truth for the cart on the client. Every widget showing the
+// cart (sidebar, navbar badge, menu cards, dish detail stepper, checkout)
+// renders from this store instead of fetching the cart on its own.
+//
+// - getState(): current state { cart, status, sidebarOpen }
+// - subscribe(selector, callback): called when the selected value changes
+// - actions (add, increment, decrement, remove, setNote, clear...): mutate the
+//   cart through window.cartAPI and publish the result once to every subscriber
+// - group order actions (createGroup, joinGroup, setGroupLocked, leaveGroup)
+//
+// One mutation = one request: the store publishes the optimistic cart right
+// away, then the cart returned by the API. Subscribers never refetch.
+//
+// Must be loaded right after cart-api.js (uses window.cartAPI).
+
+(function (global) {
+    'use strict';
+
+    if (global.cartStore) {
+        // Another script already initialised the store – avoid creating duplicates.
+        return;
+    }
+
+    const EMPTY_CART = Object.freeze({ items: [], total: 0, itemCount: 0 });
+
+    // ========================================================================
+    // HELPERS
+    // ========================================================================
+
+    /**
+     * Normalize ID to string for consistent comparison
+     *
+     * @param {string|number} id - Item ID
+     * @returns {string} Normalized string ID
+     */
+    function normalizeId(id) {
+        return String(id);
+    }
+
+    /**
+     * Compare two IDs (handles both string and number formats)
+     *
+     * @param {string|number} id1 - First ID
+     * @param {string|number} id2 - Second ID
+     * @returns {boolean} True if IDs match
+     */
+    function compareIds(id1, id2) {
+        return normalizeId(id1) === normalizeId(id2) || parseInt(id1) === parseInt(id2);
+    }
+
+    /**
+     * Check whether a cart line is a drink
+     * Drink and menu item IDs overlap: dish helpers must skip drink lines.
+     *
+     * @param {Object} line - Cart line
+     * @returns {boolean} True for drink lines
+     */
+    function isDrink(line) {
+        return line.itemType === 'drink';
+    }
+
+    /**
+     * Check whether a cart line was added by the current visitor
+     *
+     * Always true outside group orders. In a group order the menu cards and
+     * steppers only count the visitor's own lines, so everyone sees what they
+     * ordered for themselves.
+     *
+     * @param {Object} line - Cart line
+     * @returns {boolean}
+     */
+    function isOwnLine(line) {
+        const group = state.cart.group;
+        return !group || line.participantIndex === undefined || line.participantIndex === group.me;
+    }
+
+    /**
+     * Sum cart quantities per dish
+     *
+     * The same dish can sit on several cart lines when ordered with different
+     * options (e.g. one "saignant", one "à point"); menu cards show the total.
+     * Drink lines and, in a group order, other participants' lines are ignored.
+     *
+     * @param {Array<Object>} items - Cart lines
+     * @returns {Map<string, number>} Dish ID (normalized) -> total quantity
+     */
+    function quantitiesByDish(items) {
+        const qtyById = new Map();
+        (items || []).forEach(line => {
+            if (isDrink(line) || !isOwnLine(line)) return;
+            const idKey = normalizeId(line.id);
+            qtyById.set(idKey, (qtyById.get(idKey) || 0) + line.quantity);
+        });
+        return qtyById;
+    }
+
+    /**
+     * List the changes flagged by the server on the cart lines
+     *
+     * CartService compares every line with the current menu: 'priceChanged'
+     * (previous price in 'addedPrice') until the customer acknowledges it,
+     * 'unavailable' until the line is removed.
+     *
+     * @param {Array<Object>} items - Cart lines
+     * @returns {Array<{lineKey: string, name: string, type: string, addedPrice: number, price: number}>}
+     *          Changes, type 'price' or 'unavailable'
+     */
+    function changesOf(items) {
+        return (items || [])
+            .filter(line => line.unavailable || line.priceChanged)
+            .map(line => ({
+                lineKey: global.cartAPI.getLineKey(line),
+                name: line.name,
+                type: line.unavailable ? 'unavailable' : 'price',
+                addedPrice: Number(line.addedPrice),
+                price: Number(line.price),
+            }));
+    }
+
+    /**
+     * Guarantee the cart shape expected by the renderers
+     *
+     * @param {Object|null} cart - Cart returned by cartAPI
+     * @returns {Object} Cart { items, total, itemCount, pendingSync? }
+     */
+    function normalizeCart(cart) {
+        if (!cart || !Array.isArray(cart.items)) {
+            return EMPTY_CART;
+        }
+        return cart;
+    }
+
+    // ========================================================================
+    // SELECTORS
+    // ========================================================================
+
+    /**
+     * Selectors shared by the widgets
+     *
+     * Selectors returning primitives (counts, quantities) only notify their
+     * subscriber when the number actually changes.
+     */
+    const selectors = {
+        cart: state => state.cart,
+        items: state => state.cart.items,
+        itemCount: state => state.cart.itemCount,
+        sidebarOpen: state => state.sidebarOpen,
+
+        /**
+         * Total quantity of a dish across the visitor's cart lines
+         *
+         * @param {string|number} itemId - Menu item ID
+         * @returns {Function} Selector returning a number
+         */
+        dishQuantity: itemId => state =>
+            state.cart.items
+                .filter(line => !isDrink(line) && isOwnLine(line) && compareIds(line.id, itemId))
+                .reduce((sum, line) => sum + line.quantity, 0),
+
+        /**
+         * Most recently added line of a dish by the visitor (the one "-" decreases)
+         *
+         * @param {string|number} itemId - Menu item ID
+         * @returns {Function} Selector returning a cart line or undefined
+         */
+        lastLine: itemId => state =>
+            state.cart.items
+                .filter(line => !isDrink(line) && isOwnLine(line) && compareIds(line.id, itemId))
+                .pop(),
+
+        /**
+         * Quantity of a drink in the cart (drinks always sit on a single line)
+         *
+         * @param {string|number} drinkId - Drink ID
+         * @returns {Function} Selector returning a number
+         */
+        drinkQuantity: drinkId => state => {
+            const lineKey = global.cartAPI.buildLineKey(drinkId, [], 'drink');
+            const line = state.cart.items.find(l => global.cartAPI.getLineKey(l) === lineKey);
+            return line ? line.quantity : 0;
+        },
+
+        /**
+         * Current group order (null outside group orders)
+         *
+         * @returns {Object|null} Group { token, shareUrl, participants, locked, owner, me }
+         */
+        group: state => state.cart.group || null,
+
+        /**
+         * Cart line by line key
+         *
+         * @param {string|number} lineKey - Line key ("12", "12-3_7", "d4" for a drink, "12@2" in a group order)
+         * @returns {Function} Selector returning a cart line or undefined
+         */
+        line: lineKey => state =>
+            state.cart.items.find(line => global.cartAPI.getLineKey(line) === String(lineKey)),
+    };
+
+    // ========================================================================
+    // STATE & SUBSCRIPTIONS
+    // ========================================================================
+
+    /**
+     * Store state
+     * - cart: last known cart (optimistic while a mutation is in flight)
+     * - status: 'idle' (never loaded), 'loading' or 'ready'
+     * - sidebarOpen: whether the cart sidebar is displayed
+     */
+    let state = { cart: EMPTY_CART, status: 'idle', sidebarOpen: false };
+
+    const subscriptions = new Set();
+    let loading = null;
+
+    /**
+     * Current state (treat as read-only)
+     *
+     * @returns {Object} State { cart, status, sidebarOpen }
+     */
+    function getState() {
+        return state;
+    }
+
+    /**
+     * Merge a patch into the state and notify the affected subscribers
+     *
+     * @param {Object} patch - Partial state
+     */
+    function setState(patch) {
+        state = { ...state, ...patch };
+
+        subscriptions.forEach(subscription => {
+            const value = subscription.selector(state);
+            if (Object.is(value, subscription.value)) return;
+
+            const previous = subscription.value;
+            subscription.value = value;
+            try {
+                subscription.callback(value, previous, state);
+            } catch (error) {
+                console.error('Cart store subscriber failed:', error);
+            }
+        });
+    }
+
+    /**
+     * Listen to a slice of the state
+     *
+     * @param {Function} selector - Picks the value to watch from the state
+     * @param {Function} callback - Called with (value, previousValue, state) when it changes
+     * @param {Object} [options]
+     * @param {boolean} [options.immediate=false] - Also call back right away when the
+     *   cart is already loaded (widgets initialised after the first load)
+     * @returns {Function} Unsubscribe function
+     *
+     * @example
+     * cartStore.subscribe(cartStore.selectors.itemCount, count => {
+     *     badge.textContent = count;
+     * }, { immediate: true });
+     */
+    function subscribe(selector, callback, { immediate = false } = {}) {
+        const subscription = { selector, callback, value: selector(state) };
+        subscriptions.add(subscription);
+
+        if (immediate && state.status === 'ready') {
+            callback(subscription.value, undefined, state);
+        }
+
+        return () => subscriptions.delete(subscription);
+    }
+
+    /**
+     * Publish a cart
+     *
+     * cartAPI's optimistic cart is preferred over the cart passed in: it also
+     * contains the mutations still waiting (next batch window, offline queue),
+     * so a slow response never shows the cart "going back" for a moment.
+     *
+     * @param {Object|null} cart - Cart returned by cartAPI
+     * @returns {Object} Published cart
+     */
+    function publish(cart) {
+        const next = normalizeCart(global.cartAPI.peekCart() || cart);
+        setState({ cart: next, status: 'ready' });
+        return next;
+    }
+
+    /**
+     * Publish cartAPI's current optimistic cart, if the cart was ever loaded
+     */
+    function publishCurrent() {
+        const cart = global.cartAPI.peekCart();
+        if (cart) {
+            publish(cart);
+        }
+    }
+
+    // ========================================================================
+    // ACTIONS
+    // ========================================================================
+
+    /**
+     * Load the cart once (no-op when already loaded)
+     *
+     * @returns {Promise<Object>} Cart
+     */
+    function load() {
+        if (state.status === 'ready') {
+            return Promise.resolve(state.cart);
+        }
+        return refresh();
+    }
+
+    /**
+     * Reload the cart from the server
+     * Concurrent calls share the same request.
+     *
+     * @returns {Promise<Object>} Cart
+     */
+    function refresh() {
+        if (loading) {
+            return loading;
+        }
+
+        if (state.status === 'idle') {
+            setState({ status: 'loading' });
+        }
+
+        loading = global.cartAPI
+            .refreshCart()
+            .then(cart => publish(cart))
+            .finally(() => {
+                loading = null;
+            });
+
+        return loading;
+    }
+
+    /**
+     * Run a cart mutation
+     *
+     * The optimistic cart (already computed by cartAPI) is published right
+     * away, the server cart once the request returns. On failure the store
+     * falls back to the last confirmed state and the error is rethrown so the
+     * caller can notify the user.
+     *
+     * @param {Promise<Object>} request - Pending cartAPI call
+     * @returns {Promise<Object>} Cart after the mutation
+     */
+    async function commit(request) {
+        publishCurrent();
+
+        try {
+            return publish(await request);
+        } catch (error) {
+            publishCurrent();
+            throw error;
+        }
+    }
+
+    /**
+     * Add a dish (with its selected options) or a drink to the cart
+     * Rapid clicks are coalesced into one request by cartAPI.batch().
+     *
+     * @param {string|number} itemId - Menu item ID (drink ID for drinks)
+     * @param {number} [quantity=1] - Quantity to add
+     * @param {number[]} [options=[]] - Selected option IDs
+     * @param {string} [itemType='dish'] - 'dish' or 'drink'
+     * @returns {Promise<Object>} Cart after the mutation
+     */
+    function add(itemId, quantity = 1, options = [], itemType = 'dish') {
+        return commit(global.cartAPI.batch([{ type: 'add', itemId, quantity, options, itemType }]));
+    }
+
+    /**
+     * Set the quantity of a line (0 or less removes it)
+     *
+     * @param {string|number} lineKey - Line key
+     * @param {number} quantity - New quantity
+     * @returns {Promise<Object>} Cart after the mutation
+     */
+    function setQuantity(lineKey, quantity) {
+        if (quantity <= 0) {
+            return remove(lineKey);
+        }
+        return commit(
+            global.cartAPI.batch([{ type: 'update', itemId: String(lineKey), quantity }])
+        );
+    }
+
+    /**
+     * Increase the quantity of a line by one
+     *
+     * @param {string|number} lineKey - Line key
+     * @returns {Promise<Object>} Cart after the mutation
+     */
+    function increment(lineKey) {
+        const line = selectors.line(lineKey)(state);
+        if (!line) {
+            return Promise.resolve(state.cart);
+        }
+        return setQuantity(lineKey, line.quantity + 1);
+    }
+
+    /**
+     * Decrease the quantity of a line by one (removes it at 1)
+     *
+     * @param {string|number} lineKey - Line key
+     * @returns {Promise<Object>} Cart after the mutation
+     */
+    function decrement(lineKey) {
+        const line = selectors.line(lineKey)(state);
+        if (!line) {
+            return Promise.resolve(state.cart);
+        }
+        return setQuantity(lineKey, line.quantity - 1);
+    }
+
+    /**
+     * Remove a line from the cart
+     *
+     * @param {string|number} lineKey - Line key
+     * @returns {Promise<Object>} Cart after the mutation
+     */
+    function remove(lineKey) {
+        return commit(global.cartAPI.batch([{ type: 'remove', itemId: String(lineKey) }]));
+    }
+
+    /**
+     * Set the kitchen note of a line
+     *
+     * @param {string|number} lineKey - Line key
+     * @param {string} note - Note text (empty removes the note)
+     * @returns {Promise<Object>} Cart after the mutation
+     */
+    function setNote(lineKey, note) {
+        return commit(global.cartAPI.updateNote(lineKey, note));
+    }
+
+    /**
+     * Accept the price changes flagged on the cart (price change notice dismissed)
+     *
+     * @returns {Promise<Object>} Cart after the mutation
+     */
+    function acknowledgeChanges() {
+        return commit(global.cartAPI.acknowledgeChanges());
+    }
+
+    /**
+     * Empty the cart
+     *
+     * @returns {Promise<Object>} Empty cart
+     */
+    function clear() {
+        return commit(global.cartAPI.clearCart());
+    }
+
+    /**
+     * Turn the cart into a group order ("commande groupée")
+     *
+     * @param {string} name - Name of the owner
+     * @returns {Promise<Object>} Group cart (group.shareUrl is the link to share)
+     */
+    function createGroup(name) {
+        return commit(global.cartAPI.createGroup(name));
+    }
+
+    /**
+     * Join a group order from its share link
+     *
+     * @param {string} token - Token of the share link
+     * @param {string} name - Name of the participant
+     * @returns {Promise<Object>} Group cart
+     */
+    function joinGroup(token, name) {
+        return commit(global.cartAPI.joinGroup(token, name));
+    }
+
+    /**
+     * Lock or unlock the group order (owner only)
+     *
+     * @param {boolean} locked - True to lock
+     * @returns {Promise<Object>} Group cart
+     */
+    function setGroupLocked(locked) {
+        return commit(global.cartAPI.setGroupLocked(locked));
+    }
+
+    /**
+     * Leave the group order (the owner cancels it)
+     *
+     * @returns {Promise<Object>} Visitor's own cart
+     */
+    function leaveGroup() {
+        return commit(global.cartAPI.leaveGroup());
+    }
+
+    /**
+     * Open the cart sidebar
+     */
+    function openSidebar() {
+        setState({ sidebarOpen: true });
+    }
+
+    /**
+     * Close the cart sidebar
+     */
+    function closeSidebar() {
+        setState({ sidebarOpen: false });
+    }
+
+    /**
+     * Open the cart sidebar when closed, close it otherwise
+     */
+    function toggleSidebar() {
+        setState({ sidebarOpen: !state.sidebarOpen });
+    }
+
+    // ========================================================================
+    // EXTERNAL CHANGES
+    // ========================================================================
+
+    /**
+     * Another tab changed the cart: cartAPI already cached the broadcast
+     * cart, publish it without any request
+     */
+    global.addEventListener('cartUpdated', function (e) {
+        if (e.detail && e.detail.source === 'broadcast') {
+            publishCurrent();
+        }
+    });
+
+    /**
+     * Queued offline mutations were replayed: the server state may differ
+     * from the optimistic one (conflicts), reload it once
+     */
+    global.addEventListener('cartSynced', refresh);
+
+    /**
+     * Page restored from bfcache (back/forward) or tab shown again: the cart
+     * may have changed elsewhere (order placed, other device)
+     */
+    global.addEventListener('pageshow', function (e) {
+        if (e.persisted) refresh();
+    });
+    document.addEventListener('visibilitychange', function () {
+        if (document.visibilityState === 'visible' && state.status === 'ready') {
+            refresh();
+        }
+    });
+
+    document.addEventListener('DOMContentLoaded', load);
+
+    /**
+     * Expose the store so every cart widget renders from the same state.
+     * Example usage:
+     *   cartStore.subscribe(cartStore.selectors.dishQuantity(12), qty => render(qty));
+     *   await cartStore.add(12, 1, [3, 7]);
+     *   await cartStore.add(4, 1, [], 'drink');
+     */
+    global.cartStore = {
+        getState,
+        subscribe,
+        selectors,
+        load,
+        refresh,
+        add,
+        setQuantity,
+        increment,
+        decrement,
+        remove,
+        setNote,
+        acknowledgeChanges,
+        clear,
+        createGroup,
+        joinGroup,
+        setGroupLocked,
+        leaveGroup,
+        openSidebar,
+        closeSidebar,
+        toggleSidebar,
+        normalizeId,
+        compareIds,
+        isDrink,
+        isOwnLine,
+        quantitiesByDish,
+        changesOf,
+    };
+})(window);
@@ -21,6 +21,9 @@
         return;
     }
 
+    // Texts of the page (contact.* keys of the js domain, see utils/i18n.js)
+    const t = window.t;
+
     // ============================================================================
     // INITIALIZATION
     // ============================================================================
@@ -250,7 +253,7 @@
 
         const value = input.value.trim();
         const errorElement = document.getElementById('firstNameError');
-        const result = FV.validateName(value, 'Le prénom');
+        const result = FV.validateName(value, t('field.first_name'));
         FV.applyFieldState(input, errorElement, result);
         return result.valid;
     }
@@ -268,7 +271,7 @@
 
         const value = input.value.trim();
         const errorElement = document.getElementById('lastNameError');
-        const result = FV.validateName(value, 'Le nom');
+        const result = FV.validateName(value, t('field.last_name'));
         FV.applyFieldState(input, errorElement, result);
         return result.valid;
     }
@@ -289,7 +292,7 @@
 
         const value = input.value.trim();
         const errorElement = document.getElementById('emailError');
-        const result = FV.validateEmail(value, { label: `L'email` });
+        const result = FV.validateEmail(value, { label: t('field.email') });
         FV.applyFieldState(input, errorElement, result);
         return result.valid;
     }
@@ -319,7 +322,7 @@
         }
 
         const result = FV.validatePhone(value, {
-            label: 'Le numéro de téléphone',
+            label: t('field.phone'),
             required: false,
         });
         FV.applyFieldState(input, errorElement, result);
@@ -345,7 +348,7 @@
         if (value === '') {
             FV.applyFieldState(input, errorElement, {
                 valid: false,
-                message: 'Le sujet est requis',
+                message: t('contact.subject_required'),
             });
             return false;
         }
@@ -373,7 +376,7 @@
         const errorElement = document.getElementById('messageError');
 
         const result = FV.validateMessage(value, {
-            label: 'Le message',
+            label: t('field.message'),
             required: true,
             min: 10,
             max: 1000,
@@ -400,7 +403,7 @@
         if (!input.checked) {
             FV.applyFieldState(input, errorElement, {
                 valid: false,
-                message: "Vous devez accepter d'être contacté",
+                message: t('contact.consent_required'),
             });
             return false;
         }
@@ -478,7 +481,7 @@
          * Change button text to show progress
          */
         submitBtn.disabled = true;
-        submitBtn.innerHTML = '<i class="bi bi-hourglass-split me-2"></i>Envoi en cours...';
+        submitBtn.innerHTML = `<i class="bi bi-hourglass-split me-2"></i>${t('common.sending')}`;
 
         /**
          * Prepare form data
@@ -530,11 +533,7 @@
                 } else {
                     // Server returned error
                     if (window.showNotification) {
-                        window.showNotification(
-                            data.message ||
-                                "Une erreur est survenue lors de l'envoi de votre message.",
-                            'error'
-                        );
+                        window.showNotification(data.message || t('contact.send_error'), 'error');
                     }
                 }
             })
@@ -542,10 +541,7 @@
                 // Network error or other exception
                 console.error('Contact form submission error:', error);
                 if (window.showNotification) {
-                    window.showNotification(
-                        "Une erreur est survenue lors de l'envoi de votre message.",
-                        'error'
-                    );
+                    window.showNotification(t('contact.send_error'), 'error');
                 }
             })
             .finally(() => {
@@ -3,8 +3,8 @@
 // ============================================================================
 // This file handles:
 // - Quantity controls for adding/removing items from cart
-// - Cart update listeners (storage events and custom events)
-// - Loading and displaying dish reviews
+// - Quantity display rendered from the cart store (cart-store.js)
+// - Loading and displaying dish reviews (pages, rating summary, star filter)
 // - Cart integration with global cart API
 
 // ============================================================================
@@ -22,6 +22,8 @@
  * - increaseBtn: Increase quantity button
  * - quantityDisplay: Quantity display element
  * - reviewsList: Container for reviews list
+ * - reviewsSummary: Container for the rating summary (average, star histogram)
+ * - reviewsMore: "Voir plus d'avis" button
  */
 const elementsCache = {};
 
@@ -43,36 +45,12 @@ function getElements() {
         elementsCache.increaseBtn = document.getElementById('increaseQty');
         elementsCache.quantityDisplay = document.getElementById('quantityDisplay');
         elementsCache.reviewsList = document.getElementById('dishReviewsList');
+        elementsCache.reviewsSummary = document.getElementById('dishReviewsSummary');
+        elementsCache.reviewsMore = document.getElementById('dishReviewsMore');
     }
     return elementsCache;
 }
 
-// ============================================================================
-// QUANTITY CACHE
-// ============================================================================
-
-/**
- * Cache for item quantity to reduce API calls
- *
- * This cache stores the last fetched quantity and timestamp.
- * Short TTL (Time-To-Live) ensures data stays fresh while reducing
- * redundant API calls during rapid user interactions.
- */
-let cachedQuantity = null;
-let cachedQuantityAt = 0;
-const CACHE_TTL = 1000; // 1 second cache lifetime
-
-/**
- * Invalidate quantity cache
- *
- * This function clears the cached quantity value.
- * Should be called after cart operations to ensure fresh data.
- */
-function invalidateQuantityCache() {
-    cachedQuantity = null;
-    cachedQuantityAt = 0;
-}
-
 /**
  * Initialize dish detail page functionality
  *
@@ -118,11 +96,11 @@ document.addEventListener('DOMContentLoaded', function () {
             /**
              * Initialize all dish detail features
              * - Quantity controls (add/decrease buttons)
-             * - Cart update listeners (storage and custom events)
+             * - Cart store subscription (quantity display)
              * - Load and display dish reviews
              */
             initQuantityControls(dish);
-            addCartUpdateListener(dish);
+            subscribeToCart(dish);
             loadDishReviews(dish.id);
         } else {
             /**
@@ -132,7 +110,7 @@ document.addEventListener('DOMContentLoaded', function () {
              */
             if (window.dishData && window.dishData.id == dishId) {
                 initQuantityControls(window.dishData);
-                addCartUpdateListener(window.dishData);
+                subscribeToCart(window.dishData);
                 loadDishReviews(window.dishData.id);
             }
         }
@@ -157,34 +135,13 @@ document.addEventListener('DOMContentLoaded', function () {
  *     console.log(item.name);
  * }
  */
-/**
- * Normalize ID to string for consistent comparison
- *
- * @param {string|number} id - Item ID
- * @returns {string} Normalized string ID
- */
-function normalizeId(id) {
-    return String(id);
-}
-
-/**
- * Compare two IDs (handles both string and number formats)
- *
- * @param {string|number} id1 - First ID
- * @param {string|number} id2 - Second ID
- * @returns {boolean} True if IDs match
- */
-function compareIds(id1, id2) {
-    return normalizeId(id1) === normalizeId(id2) || parseInt(id1) === parseInt(id2);
-}
-
 function findItemById(itemId) {
     /**
      * Priority 1: Check current page data
      * dishData is typically provided by the server for the current page
      * This is the fastest and most reliable source
      */
-    if (window.dishData && compareIds(window.dishData.id, itemId)) {
+    if (window.dishData && window.cartStore.compareIds(window.dishData.id, itemId)) {
         return window.dishData;
     }
 
@@ -193,7 +150,7 @@ function findItemById(itemId) {
      * This is used when item data needs to be found from global menu data
      */
     if (window.menuItems) {
-        return window.menuItems.find(item => compareIds(item.id, itemId));
+        return window.menuItems.find(item => window.cartStore.compareIds(item.id, itemId));
     }
 
     /**
@@ -201,7 +158,7 @@ function findItemById(itemId) {
      * Some items might be categorized as drinks
      */
     if (window.drinksData) {
-        return window.drinksData.find(item => compareIds(item.id, itemId));
+        return window.drinksData.find(item => window.cartStore.compareIds(item.id, itemId));
     }
 
     return null;
@@ -221,7 +178,7 @@ function findItemById(itemId) {
  * Button behavior:
  * - Decrease button: Removes item from cart, shows notification
  * - Increase button: Adds item to cart, shows notification
- * - Both buttons update quantity display after operation
+ * - The quantity display re-renders from the cart store after each operation
  */
 function initQuantityControls(dish) {
     /**
@@ -233,6 +190,14 @@ function initQuantityControls(dish) {
     const increaseBtn = elements.increaseBtn;
     const quantityDisplay = elements.quantityDisplay;
 
+    /**
+     * Sold out dishes render a disabled "Épuisé" button instead of the
+     * quantity controls (server-side), nothing to wire up
+     */
+    if (dish.available === false) {
+        return;
+    }
+
     /**
      * Exit if required elements are missing
      * This prevents errors if page structure is different
@@ -263,36 +228,10 @@ function initQuantityControls(dish) {
              */
             if (!this.disabled) {
                 /**
-                 * Get current quantity before removing
-                 * Used to determine notification message
-                 */
-                const currentQty = await getItemQuantity(dish.id);
-
-                /**
-                 * Only remove if quantity is greater than 0
-                 * Safety check to prevent negative quantities
+                 * Remove item from cart (notification handled inside);
+                 * the display re-renders from the cart store
                  */
-                if (currentQty > 0) {
-                    /**
-                     * Remove item from cart and update display
-                     * Both operations are async, so we await them
-                     */
-                    await removeFromCartDetail(dish.id);
-                    await updateQuantityDisplay(dish.id);
-
-                    /**
-                     * Show appropriate notification based on quantity
-                     * - If quantity was 1: Item removed from cart
-                     * - If quantity > 1: Quantity decreased
-                     */
-                    if (window.showCartNotification) {
-                        if (currentQty === 1) {
-                            window.showCartNotification(`${dish.name} supprimé du panier`, 'info');
-                        } else {
-                            window.showCartNotification('Quantité diminuée', 'success');
-                        }
-                    }
-                }
+                await removeFromCartDetail(dish.id);
             }
         });
 
@@ -304,15 +243,10 @@ function initQuantityControls(dish) {
             e.preventDefault();
 
             /**
-             * Get current quantity before adding
-             * Used for notification logic in addToCartDetail
-             */
-            /**
-             * Add item to cart and update display
-             * Notification is handled inside addToCartDetail function
+             * Add item to cart (notification handled inside addToCartDetail);
+             * the display re-renders from the cart store
              */
             await addToCartDetail(dish.id);
-            await updateQuantityDisplay(dish.id);
         });
     }
 }
@@ -350,7 +284,7 @@ function showAllControls() {
  * Update quantity display and button state
  *
  * This function:
- * - Fetches current quantity from cart
+ * - Reads current quantity from the cart store
  * - Updates quantity display text
  * - Enables/disables decrease button based on quantity
  * - Updates button visual state (opacity, cursor)
@@ -361,7 +295,7 @@ function showAllControls() {
  * - Quantity > 0: Button enabled, full opacity, pointer cursor
  * - Quantity = 0: Button disabled, reduced opacity, not-allowed cursor
  */
-async function updateQuantityDisplay(itemId) {
+function updateQuantityDisplay(itemId) {
     /**
      * Get cached DOM elements for quantity display and decrease button
      * Uses cached elements to avoid repeated DOM queries
@@ -376,10 +310,9 @@ async function updateQuantityDisplay(itemId) {
      */
     if (quantityDisplay) {
         /**
-         * Fetch current quantity from cart
-         * This is an async operation, so we await it
+         * Read current quantity from the cart store (no API call)
          */
-        const quantity = await getItemQuantity(itemId);
+        const quantity = getItemQuantity(itemId);
 
         /**
          * Update display text with current quantity
@@ -414,207 +347,79 @@ async function updateQuantityDisplay(itemId) {
 }
 
 /**
- * Make updateQuantityDisplay globally available
- * This allows other scripts to update the quantity display
- * Used by cart update listeners and external cart operations
- */
-window.updateQuantityDisplay = updateQuantityDisplay;
-
-/**
- * Get current quantity of an item in the cart (with caching)
+ * Get current quantity of an item in the cart
  *
- * This function:
- * - Checks cache first (if fresh, returns cached value)
- * - Fetches cart data from API if cache is stale
- * - Searches for item by ID
- * - Returns quantity if found, 0 otherwise
- * - Updates cache with fresh data
+ * Sums the quantities of every cart line for this dish: the same dish has
+ * one line per combination of options (e.g. one "saignant" and one "à point").
+ * Read from the cart store, which already holds the optimistic cart.
  *
  * @param {string|number} itemId - The item ID to get quantity for
- * @param {boolean} useCache - Whether to use cached value (default: true)
- * @returns {Promise<number>} Quantity of item in cart (0 if not found)
- *
- * Error handling:
- * - Returns 0 on any error (safe fallback)
- * - Logs error to console for debugging
- *
- * Cache:
- * - Cache TTL: 1 second (1000ms)
- * - Cache invalidated after cart operations
+ * @returns {number} Quantity of item in cart (0 if not found)
  */
-async function getItemQuantity(itemId, useCache = true) {
-    const now = Date.now();
-
-    /**
-     * Check cache first if enabled
-     * Return cached value if it's still fresh (less than 1 second old)
-     */
-    if (useCache && cachedQuantity !== null && now - cachedQuantityAt < CACHE_TTL) {
-        return cachedQuantity;
-    }
-
-    try {
-        /**
-         * Fetch cart data from API
-         * cartAPI.getCart() returns object with items array
-         */
-        const cart = await window.cartAPI.getCart();
-
-        /**
-         * Find item in cart by ID
-         * Uses compareIds for flexible ID comparison
-         * Item structure: { id, name, price, quantity, ... }
-         */
-        const item = cart.items.find(i => compareIds(i.id, itemId));
-
-        /**
-         * Get quantity (0 if item not found)
-         * Safe fallback ensures function always returns a number
-         */
-        const quantity = item ? item.quantity : 0;
-
-        /**
-         * Update cache with fresh data
-         * Cache timestamp is updated for next check
-         */
-        cachedQuantity = quantity;
-        cachedQuantityAt = now;
-
-        return quantity;
-    } catch (error) {
-        /**
-         * Handle errors gracefully
-         * Return 0 instead of throwing to prevent UI breakage
-         */
-        console.error('Error getting item quantity:', error);
-        return 0;
-    }
+function getItemQuantity(itemId) {
+    const store = window.cartStore;
+    return store.selectors.dishQuantity(itemId)(store.getState());
 }
 
 // ============================================================================
-// CART UPDATE LOGIC
+// CART ACTIONS
 // ============================================================================
 
-/**
- * Common cart update logic
- *
- * This function handles shared operations after cart modifications:
- * - Updates cart navigation and sidebar UI
- * - Keeps cart sidebar open for user convenience
- * - Dispatches cart update event
- *
- * This reduces code duplication between addToCartDetail and removeFromCartDetail.
- *
- * @param {Function} cartOperation - Async function that performs the cart operation
- */
-async function performCartUpdate(cartOperation) {
-    /**
-     * Execute the cart operation callback
-     * This is the specific action (add, remove, update)
-     */
-    await cartOperation();
-
-    /**
-     * Update cart UI components
-     * These functions refresh the cart display in navigation and sidebar
-     */
-    if (window.updateCartNavigation) {
-        await window.updateCartNavigation();
-    }
-    if (window.updateCartSidebar) {
-        await window.updateCartSidebar();
-    }
-
-    /**
-     * Keep cart sidebar open when modifying quantities
-     * This provides better UX - user can see changes immediately
-     * resetCartActiveState prevents accidental closing
-     */
-    if (window.cartIsActive !== undefined) {
-        window.cartIsActive = true;
-        if (window.resetCartActiveState) {
-            window.resetCartActiveState();
-        }
-    }
-
-    /**
-     * Dispatch custom event for cart updates
-     * This allows other parts of the app to react to cart changes
-     * Used by quantity display updates and other listeners
-     */
-    window.dispatchEvent(new CustomEvent('cartUpdated'));
-
-    /**
-     * Invalidate quantity cache after cart operation
-     * Ensures fresh data on next quantity lookup
-     */
-    invalidateQuantityCache();
-}
-
 /**
  * Add item to cart from dish detail page
  *
  * This function:
- * - Adds item to cart via API
- * - Updates cart navigation and sidebar UI
- * - Keeps cart open for user convenience
+ * - Adds item to cart through the cart store (coalesced with rapid clicks)
  * - Shows appropriate notification (first add vs. quantity increase)
- * - Dispatches cart update event
+ *
+ * The quantity display, sidebar and navbar re-render from the store.
  *
  * @param {string|number} itemId - The item ID to add to cart
  *
  * Notification logic:
  * - First time adding: "Item name ajouté au panier"
  * - Increasing quantity: "Quantité augmentée"
+ *
+ * Dishes with options (cooking, side...) open the option picker first;
+ * closing the picker cancels the add.
  */
 async function addToCartDetail(itemId) {
+    let optionIds = [];
+    const dish = findItemById(itemId);
+    if (window.DishOptions && window.DishOptions.hasOptions(dish)) {
+        optionIds = await window.DishOptions.openPicker(dish);
+        if (optionIds === null) return;
+    }
+
     try {
         /**
-         * Perform cart update using common logic
-         * This handles UI updates, state management, and event dispatching
+         * Add item to cart via the store
+         * Adds quantity of 1 to the item (with the selected options)
          */
-        await performCartUpdate(async () => {
-            /**
-             * Add item to cart via API
-             * Adds quantity of 1 to the item
-             */
-            await window.cartAPI.addItem(itemId, 1);
+        const cart = await window.cartStore.add(itemId, 1, optionIds);
 
+        /**
+         * Show notification based on whether this is first add or quantity increase
+         * Different messages for better user feedback
+         */
+        if (window.showCartNotification && dish) {
             /**
-             * Show notification based on whether this is first add or quantity increase
-             * Different messages for better user feedback
+             * Check if this is the first time adding this item
+             * If the line (dish + options) has quantity 1 after adding,
+             * it's the first time; otherwise, it's a quantity increase
              */
-            if (window.showCartNotification) {
-                /**
-                 * Find item data to get name for notification
-                 * Uses findItemById to search in menu/drinks data
-                 */
-                const item = findItemById(itemId);
-                if (item) {
-                    /**
-                     * Check if this is the first time adding this item
-                     * If quantity is 1 after adding, it's the first time
-                     * Otherwise, it's a quantity increase
-                     */
-                    const cart = await window.cartAPI.getCart();
-                    const cartItem = cart.items.find(i => compareIds(i.id, itemId));
-
-                    if (cartItem && cartItem.quantity === 1) {
-                        /**
-                         * First time adding item
-                         * Show message with item name
-                         */
-                        window.showCartNotification(`${item.name} ajouté au panier`, 'success');
-                    } else {
-                        /**
-                         * Increasing quantity of existing item
-                         * Show generic quantity increase message
-                         */
-                        window.showCartNotification('Quantité augmentée', 'success');
-                    }
-                }
+            const lineKey = window.cartAPI.buildLineKey(itemId, optionIds);
+            const cartItem = cart.items.find(i => window.cartAPI.getLineKey(i) === lineKey);
+
+            if (cartItem && cartItem.quantity === 1) {
+                window.showCartNotification(window.t('cart.added', { name: dish.name }), 'success');
+            } else {
+                window.showCartNotification(
+                    window.t('cart.increased', { name: dish.name }),
+                    'success'
+                );
             }
-        });
+        }
     } catch (error) {
         /**
          * Handle errors gracefully
@@ -627,69 +432,35 @@ async function addToCartDetail(itemId) {
 /**
  * Remove item from cart or decrease quantity
  *
- * This function:
- * - Checks current quantity in cart
- * - Decreases quantity if > 1, removes item if quantity is 1
- * - Updates cart navigation and sidebar UI
- * - Keeps cart open for user convenience
- * - Shows appropriate notification
- * - Dispatches cart update event
- *
- * @param {string|number} itemId - The item ID to remove/decrease
- *
  * Behavior:
  * - Quantity > 1: Decrease quantity by 1
  * - Quantity = 1: Remove item completely
+ * - Dish on several lines (different options): the last added line is decreased
+ *
+ * @param {string|number} itemId - The item ID to remove/decrease
  */
 async function removeFromCartDetail(itemId) {
-    try {
-        /**
-         * Get current cart state
-         * Need to check quantity before deciding action
-         */
-        const cart = await window.cartAPI.getCart();
-        const item = cart.items.find(i => compareIds(i.id, itemId));
+    const store = window.cartStore;
+    const item = store.selectors.lastLine(itemId)(store.getState());
 
-        /**
-         * Only proceed if item exists in cart
-         * Prevents errors if item was already removed
-         */
-        if (item) {
-            /**
-             * Perform cart update using common logic
-             * This handles UI updates, state management, and event dispatching
-             */
-            await performCartUpdate(async () => {
-                if (item.quantity > 1) {
-                    /**
-                     * Decrease quantity by 1
-                     * Item remains in cart with reduced quantity
-                     */
-                    await window.cartAPI.updateQuantity(itemId, item.quantity - 1);
-
-                    /**
-                     * Show notification for quantity decrease
-                     * Success type indicates positive action
-                     */
-                    if (window.showCartNotification) {
-                        window.showCartNotification('Quantité diminuée', 'success');
-                    }
-                } else {
-                    /**
-                     * Remove item completely from cart
-                     * This happens when quantity is 1 (last item)
-                     */
-                    await window.cartAPI.removeItem(itemId);
-
-                    /**
-                     * Show notification for item removal
-                     * Info type indicates item was removed
-                     */
-                    if (window.showCartNotification) {
-                        window.showCartNotification(`${item.name} supprimé du panier`, 'info');
-                    }
-                }
-            });
+    /**
+     * Only proceed if item exists in cart
+     * Prevents errors if item was already removed
+     */
+    if (!item) return;
+
+    try {
+        await store.decrement(window.cartAPI.getLineKey(item));
+
+        if (window.showCartNotification) {
+            if (item.quantity > 1) {
+                window.showCartNotification(
+                    window.t('cart.decreased', { name: item.name }),
+                    'success'
+                );
+            } else {
+                window.showCartNotification(window.t('cart.removed', { name: item.name }), 'info');
+            }
         }
     } catch (error) {
         /**
@@ -701,48 +472,17 @@ async function removeFromCartDetail(itemId) {
 }
 
 /**
- * Add event listeners for cart updates
- *
- * This function sets up listeners to detect when cart changes:
- * - storage event: When cart is updated from other browser tabs/windows
- * - cartUpdated event: When cart is updated in current tab/window
+ * Keep the quantity display in sync with the cart store
  *
- * When cart updates are detected, the quantity display is refreshed
- * to show the current quantity in cart.
+ * Only this dish's total quantity is watched: the display re-renders when it
+ * changes, whether from this page, the sidebar or another tab.
  *
  * @param {Object} dish - The dish object with id property
- *
- * Note:
- * - Polling was removed to avoid excessive API calls
- * - Updates now rely on events only (more efficient)
  */
-function addCartUpdateListener(dish) {
-    /**
-     * Listen for storage changes (cross-tab/window updates)
-     * This fires when localStorage is modified in another tab/window
-     * Only updates if the changed key is 'cart'
-     */
-    window.addEventListener('storage', function (e) {
-        if (e.key === 'cart') {
-            /**
-             * Update quantity display when cart changes in another tab
-             * This keeps the display in sync across browser tabs
-             */
-            updateQuantityDisplay(dish.id);
-        }
-    });
-
-    /**
-     * Listen for custom cart update events (same-tab updates)
-     * This fires when cart is updated in the current tab/window
-     * Dispatched by cart operations (add, remove, update)
-     */
-    window.addEventListener('cartUpdated', function () {
-        /**
-         * Update quantity display when cart changes in current tab
-         * This keeps the display in sync with cart operations
-         */
-        updateQuantityDisplay(dish.id);
+function subscribeToCart(dish) {
+    const store = window.cartStore;
+    store.subscribe(store.selectors.dishQuantity(dish.id), () => updateQuantityDisplay(dish.id), {
+        immediate: true,
     });
 }
 
@@ -750,22 +490,47 @@ function addCartUpdateListener(dish) {
 // DISH REVIEWS
 // ============================================================================
 
+/**
+ * Reviews shown per page ("Voir plus d'avis" loads the next one)
+ */
+const DISH_REVIEWS_PAGE_SIZE = 5;
+
+/**
+ * State of the reviews tab
+ *
+ * - dishId: Dish whose reviews are shown
+ * - rating: Star filter (1-5), null for all reviews
+ * - cursor: Cursor of the next page (pagination.next_cursor), null on the last page
+ * - request: Number of the latest request; responses of older ones (filter
+ *   changed meanwhile) are ignored
+ */
+const reviewsState = {
+    dishId: null,
+    rating: null,
+    cursor: null,
+    request: 0,
+};
+
 /**
  * Load and display approved reviews for a dish
  *
  * This function:
- * - Fetches reviews from server API endpoint
- * - Shows loading state while fetching
+ * - Fetches a page of reviews from the API (filtered by reviewsState.rating)
+ * - Shows loading state while fetching the first page
+ * - Renders the rating summary (average and 5 to 1 star histogram)
  * - Renders reviews with name, rating, comment, and date
- * - Handles empty state (no reviews)
+ * - Shows "Voir plus d'avis" while there are more reviews
+ * - Handles empty state (no reviews, or none with the selected rating)
  * - Handles error state (API failure)
  *
  * @param {string|number} dishId - The dish ID to load reviews for
+ * @param {Object} [options={}]
+ * @param {boolean} [options.append=false] - Load the next page after the reviews shown
  *
- * API endpoint: /dish/{dishId}/reviews
- * Response format: { success: boolean, reviews: Array }
+ * API endpoint: /api/dishes/{dishId}/reviews?limit=&rating=&cursor=
+ * Response format: { success: boolean, data: { reviews, summary, pagination } }
  */
-function loadDishReviews(dishId) {
+function loadDishReviews(dishId, { append = false } = {}) {
     /**
      * Get cached container element for reviews list
      * Uses cached element to avoid repeated DOM queries
@@ -774,65 +539,201 @@ function loadDishReviews(dishId) {
     const list = elements.reviewsList;
     if (!list) return;
 
-    /**
-     * Show loading state while fetching reviews
-     * Provides user feedback that data is being loaded
-     */
-    list.innerHTML =
-        '<div class="text-center text-muted py-3"><i class="bi bi-hourglass-split me-2"></i>Chargement…</div>';
+    const t = window.t;
+    setupReviewsControls();
+
+    if (!append) {
+        reviewsState.cursor = null;
+        /**
+         * Show loading state while fetching reviews
+         * Provides user feedback that data is being loaded
+         */
+        list.innerHTML = `<div class="text-center text-muted py-3"><i class="bi bi-hourglass-split me-2"></i>${t('dish.reviews.loading')}</div>`;
+    }
+    reviewsState.dishId = dishId;
+    const request = ++reviewsState.request;
+
+    const params = new URLSearchParams({ limit: DISH_REVIEWS_PAGE_SIZE });
+    if (reviewsState.rating) params.set('rating', reviewsState.rating);
+    if (append && reviewsState.cursor) params.set('cursor', reviewsState.cursor);
+
+    if (elements.reviewsMore) elements.reviewsMore.disabled = true;
 
     /**
      * Fetch reviews from server
      * X-Requested-With header indicates AJAX request
      */
-    fetch(`/dish/${dishId}/reviews`, { headers: { 'X-Requested-With': 'XMLHttpRequest' } })
+    fetch(`/api/dishes/${dishId}/reviews?${params}`, {
+        headers: { 'X-Requested-With': 'XMLHttpRequest' },
+    })
         .then(r => r.json())
         .then(data => {
+            // A newer request (filter changed, review submitted) replaced this one
+            if (request !== reviewsState.request) return;
+
             /**
              * Check if API response indicates success
              * Throw error if response format is unexpected
              */
             if (!data.success) throw new Error();
+            const page = data.data || {};
+            const reviews = page.reviews || [];
+
+            renderReviewsSummary(page.summary);
+            reviewsState.cursor = page.pagination?.next_cursor || null;
+            updateReviewsMoreButton();
 
             /**
              * Handle empty reviews case
-             * Show message if no reviews exist for this dish
+             * Show message if no reviews exist for this dish (or for the selected rating)
              */
-            if (!data.reviews || data.reviews.length === 0) {
-                list.innerHTML =
-                    '<div class="text-muted">Aucun avis pour ce plat pour le moment.</div>';
+            if (!append && reviews.length === 0) {
+                list.innerHTML = `<div class="text-muted">${t(
+                    reviewsState.rating ? 'dish.reviews.empty_filtered' : 'dish.reviews.empty'
+                )}</div>`;
                 return;
             }
 
             /**
              * Render reviews list
-             * Each review shows: name, star rating, comment, date
              * Uses escapeHtml to prevent XSS attacks
              */
-            list.innerHTML = data.reviews
-                .map(
-                    r => `
-                <div class="review-item">
-                  <div class="review-header">
-                    <strong>${escapeHtml(r.name)}</strong>
-                    <div class="review-stars">${renderStars(r.rating)}</div>
-                  </div>
-                  <p>${escapeHtml(r.comment)}</p>
-                  <small class="text-muted">${escapeHtml(r.createdAt)}</small>
-                </div>
-            `
-                )
-                .join('');
+            const html = reviews.map(renderReviewItem).join('');
+            if (append) {
+                list.insertAdjacentHTML('beforeend', html);
+            } else {
+                list.innerHTML = html;
+            }
         })
         .catch(() => {
+            if (request !== reviewsState.request) return;
+
             /**
              * Handle errors gracefully
-             * Show error message if API call fails
+             * Show error message if API call fails (keep the reviews already shown)
              */
-            list.innerHTML = '<div class="text-danger">Erreur de chargement des avis.</div>';
+            const error = `<div class="text-danger">${t('dish.reviews.error')}</div>`;
+            if (append) {
+                list.insertAdjacentHTML('beforeend', error);
+            } else {
+                list.innerHTML = error;
+            }
+            reviewsState.cursor = null;
+            updateReviewsMoreButton();
         });
 }
 
+/**
+ * Render one review
+ * Each review shows: name, star rating, comment, date
+ *
+ * @param {Object} review - Review from the API ({ name, rating, comment, createdAt })
+ * @returns {string} HTML string
+ */
+function renderReviewItem(review) {
+    return `
+        <div class="review-item">
+          <div class="review-header">
+            <strong>${escapeHtml(review.name)}</strong>
+            <div class="review-stars">${renderStars(review.rating)}</div>
+          </div>
+          <p>${escapeHtml(review.comment)}</p>
+          <small class="text-muted">${window.LocaleFormat.date(review.createdAt)}</small>
+        </div>
+    `;
+}
+
+/**
+ * Render the rating summary: average, number of reviews and star histogram
+ *
+ * Each histogram row is a button filtering the reviews by its star level;
+ * clicking the selected row again shows all reviews. The summary is hidden
+ * while the dish has no reviews.
+ *
+ * @param {Object} [summary] - { count, average, distribution: { 5: n, ..., 1: n } }
+ */
+function renderReviewsSummary(summary) {
+    const container = getElements().reviewsSummary;
+    if (!container) return;
+
+    const t = window.t;
+    const count = summary?.count || 0;
+    container.hidden = count === 0;
+    if (count === 0) {
+        container.innerHTML = '';
+        return;
+    }
+
+    const rows = [5, 4, 3, 2, 1]
+        .map(stars => {
+            const starCount = summary.distribution?.[stars] || 0;
+            const percent = Math.round((starCount / count) * 100);
+            const selected = reviewsState.rating === stars;
+            return `
+                <button type="button" class="reviews-histogram-row${selected ? ' active' : ''}" data-rating="${stars}" aria-pressed="${selected}" ${starCount === 0 && !selected ? 'disabled' : ''} title="${t('dish.reviews.filter', { stars })}">
+                  <span class="reviews-histogram-label">${t('dish.reviews.stars', { stars })}</span>
+                  <span class="reviews-histogram-bar"><span style="width: ${percent}%"></span></span>
+                  <span class="reviews-histogram-count">${window.LocaleFormat.number(starCount)}</span>
+                </button>
+            `;
+        })
+        .join('');
+
+    container.innerHTML = `
+        <div class="reviews-average">
+          <span class="reviews-average-value">${window.LocaleFormat.number(summary.average, {
+              minimumFractionDigits: 1,
+              maximumFractionDigits: 1,
+          })}</span>
+          <div class="review-stars">${renderStars(Math.round(summary.average))}</div>
+          <small class="text-muted">${t('dish.reviews.count', { count })}</small>
+        </div>
+        <div class="reviews-histogram">
+          ${rows}
+          ${reviewsState.rating ? `<button type="button" class="btn btn-link btn-sm p-0 reviews-filter-reset">${t('dish.reviews.all')}</button>` : ''}
+        </div>
+    `;
+}
+
+/**
+ * Show the "Voir plus d'avis" button while there is a next page
+ */
+function updateReviewsMoreButton() {
+    const button = getElements().reviewsMore;
+    if (!button) return;
+
+    button.hidden = !reviewsState.cursor;
+    button.disabled = false;
+}
+
+/**
+ * Wire the star filter and the "Voir plus d'avis" button (once)
+ *
+ * The histogram is re-rendered with each page, so its clicks are delegated
+ * to the summary container.
+ */
+function setupReviewsControls() {
+    const elements = getElements();
+    if (elements.reviewsControlsReady) return;
+    elements.reviewsControlsReady = true;
+
+    elements.reviewsMore?.addEventListener('click', () => {
+        if (reviewsState.dishId && reviewsState.cursor) {
+            loadDishReviews(reviewsState.dishId, { append: true });
+        }
+    });
+
+    elements.reviewsSummary?.addEventListener('click', event => {
+        const row = event.target.closest('[data-rating]');
+        const reset = event.target.closest('.reviews-filter-reset');
+        if (!row && !reset) return;
+
+        const rating = row ? parseInt(row.dataset.rating, 10) : null;
+        reviewsState.rating = rating === reviewsState.rating ? null : rating;
+        loadDishReviews(reviewsState.dishId);
+    });
+}
+
 /**
  * Listen for review submission events
  *
@@ -850,7 +751,7 @@ document.addEventListener('review:submitted', function () {
     const dishId = match ? match[1] : null;
 
     /**
-     * Reload reviews if dish ID is found
+     * Reload reviews from the first page if dish ID is found
      * This ensures new review appears (if approved) or list refreshes
      */
     if (dishId) {
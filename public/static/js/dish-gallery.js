@@ -0,0 +1,343 @@
+(function (global) {
+    'use strict';
+
+    /**
+     * Dish Photos
+     * -----------
+     * Thumbnail strip and zoom viewer of the dish detail page.
+     *
+     * The photos are rendered by dish_detail.html.twig (MenuItemImageResolver::resolvePhotos()):
+     * one thumbnail button per photo (data-src, data-alt), hidden when the dish has
+     * a single photo. Clicking a thumbnail shows it as the main photo; clicking the
+     * main photo opens it in the viewer (Bootstrap modal #dishPhotoViewer).
+     *
+     * In the viewer:
+     *   - mouse wheel, pinch or the +/- buttons zoom around the pointer (1x to 4x)
+     *   - double click / double tap toggles the zoom
+     *   - dragging pans the zoomed photo; at 1x a horizontal swipe changes photo
+     *   - arrow keys change photo, "+" / "-" / "0" zoom in, out and reset
+     */
+
+    const t = window.t;
+
+    const MIN_SCALE = 1;
+    const MAX_SCALE = 4;
+    const DOUBLE_CLICK_SCALE = 2.5;
+    const BUTTON_ZOOM_STEP = 1.5;
+
+    /**
+     * Horizontal distance (px) of a swipe that changes photo at 1x
+     */
+    const SWIPE_DISTANCE = 50;
+
+    const state = {
+        photos: [],
+        index: 0,
+        scale: 1,
+        x: 0,
+        y: 0,
+        // Pointers on the stage (pointerId => { x, y }), two for a pinch
+        pointers: new Map(),
+        pinch: null,
+        swipeStartX: null,
+    };
+
+    const elements = {};
+
+    /**
+     * Clamp a value between two bounds
+     *
+     * @param {number} value
+     * @param {number} min
+     * @param {number} max
+     * @returns {number}
+     */
+    function clamp(value, min, max) {
+        return Math.min(max, Math.max(min, value));
+    }
+
+    // ============================================================================
+    // THUMBNAIL STRIP
+    // ============================================================================
+
+    /**
+     * Show a photo as the main photo of the page
+     *
+     * @param {number} index - Photo index
+     */
+    function selectPhoto(index) {
+        const photo = state.photos[index];
+        if (!photo) return;
+
+        state.index = index;
+        elements.mainImage.src = photo.src;
+        elements.mainImage.alt = photo.alt;
+
+        elements.thumbs.forEach((thumb, thumbIndex) => {
+            const active = thumbIndex === index;
+            thumb.classList.toggle('active', active);
+            thumb.setAttribute('aria-current', String(active));
+        });
+    }
+
+    // ============================================================================
+    // ZOOM VIEWER
+    // ============================================================================
+
+    /**
+     * Apply the zoom and pan to the viewer image
+     *
+     * The pan is clamped so the zoomed photo always covers the stage
+     * (no empty band on a side).
+     */
+    function applyTransform() {
+        const { image, stage } = elements;
+        const maxX = Math.max(0, (image.offsetWidth * state.scale - stage.clientWidth) / 2);
+        const maxY = Math.max(0, (image.offsetHeight * state.scale - stage.clientHeight) / 2);
+        state.x = clamp(state.x, -maxX, maxX);
+        state.y = clamp(state.y, -maxY, maxY);
+
+        image.style.transform = `translate(${state.x}px, ${state.y}px) scale(${state.scale})`;
+        stage.classList.toggle('is-zoomed', state.scale > MIN_SCALE);
+    }
+
+    /**
+     * Zoom while keeping the point under the pointer in place
+     *
+     * @param {number} scale - New scale (clamped to MIN_SCALE..MAX_SCALE)
+     * @param {number} [clientX] - Pointer position (stage center when omitted)
+     * @param {number} [clientY]
+     */
+    function zoomTo(scale, clientX, clientY) {
+        const rect = elements.stage.getBoundingClientRect();
+        const newScale = clamp(scale, MIN_SCALE, MAX_SCALE);
+        // Pointer position relative to the center of the stage (transform origin)
+        const pointX = (clientX ?? rect.left + rect.width / 2) - (rect.left + rect.width / 2);
+        const pointY = (clientY ?? rect.top + rect.height / 2) - (rect.top + rect.height / 2);
+        const ratio = newScale / state.scale;
+
+        state.x = pointX - (pointX - state.x) * ratio;
+        state.y = pointY - (pointY - state.y) * ratio;
+        state.scale = newScale;
+        applyTransform();
+    }
+
+    /**
+     * Back to 1x, centered
+     */
+    function resetZoom() {
+        state.scale = MIN_SCALE;
+        state.x = 0;
+        state.y = 0;
+        applyTransform();
+    }
+
+    /**
+     * Show a photo in the viewer (wraps around at both ends)
+     *
+     * @param {number} index - Photo index
+     */
+    function showViewerPhoto(index) {
+        const count = state.photos.length;
+        if (count === 0) return;
+
+        const photoIndex = (index + count) % count;
+        const photo = state.photos[photoIndex];
+
+        selectPhoto(photoIndex);
+        elements.image.src = photo.src;
+        elements.image.alt = photo.alt;
+        elements.counter.textContent =
+            count > 1 ? t('dish.photos.counter', { index: photoIndex + 1, count }) : '';
+        resetZoom();
+    }
+
+    /**
+     * Open the viewer on a photo
+     *
+     * @param {number} index - Photo index
+     */
+    function openViewer(index) {
+        if (!global.bootstrap || !elements.viewer) return;
+
+        showViewerPhoto(index);
+        global.bootstrap.Modal.getOrCreateInstance(elements.viewer).show();
+    }
+
+    /**
+     * Distance and midpoint of the two pointers of a pinch
+     *
+     * @returns {{distance: number, x: number, y: number}}
+     */
+    function getPinch() {
+        const [first, second] = [...state.pointers.values()];
+        return {
+            distance: Math.hypot(second.x - first.x, second.y - first.y),
+            x: (first.x + second.x) / 2,
+            y: (first.y + second.y) / 2,
+        };
+    }
+
+    /**
+     * Start of a drag, a swipe or a pinch
+     *
+     * @param {PointerEvent} event
+     */
+    function onPointerDown(event) {
+        elements.stage.setPointerCapture(event.pointerId);
+        state.pointers.set(event.pointerId, { x: event.clientX, y: event.clientY });
+
+        if (state.pointers.size === 2) {
+            state.pinch = { ...getPinch(), scale: state.scale };
+            state.swipeStartX = null;
+        } else if (state.pointers.size === 1) {
+            state.swipeStartX = state.scale === MIN_SCALE ? event.clientX : null;
+        }
+    }
+
+    /**
+     * Pinch zoom (two pointers) or pan of the zoomed photo (one pointer)
+     *
+     * @param {PointerEvent} event
+     */
+    function onPointerMove(event) {
+        const previous = state.pointers.get(event.pointerId);
+        if (!previous) return;
+        state.pointers.set(event.pointerId, { x: event.clientX, y: event.clientY });
+
+        if (state.pointers.size === 2 && state.pinch) {
+            const pinch = getPinch();
+            zoomTo(state.pinch.scale * (pinch.distance / state.pinch.distance), pinch.x, pinch.y);
+            return;
+        }
+
+        if (state.pointers.size === 1 && state.scale > MIN_SCALE) {
+            state.x += event.clientX - previous.x;
+            state.y += event.clientY - previous.y;
+            applyTransform();
+        }
+    }
+
+    /**
+     * End of a drag, a swipe or a pinch
+     *
+     * @param {PointerEvent} event
+     */
+    function onPointerUp(event) {
+        if (!state.pointers.delete(event.pointerId)) return;
+        if (state.pointers.size < 2) state.pinch = null;
+
+        if (state.swipeStartX !== null && state.pointers.size === 0) {
+            const distance = event.clientX - state.swipeStartX;
+            if (Math.abs(distance) >= SWIPE_DISTANCE && state.photos.length > 1) {
+                showViewerPhoto(state.index + (distance < 0 ? 1 : -1));
+            }
+            state.swipeStartX = null;
+        }
+    }
+
+    /**
+     * Keyboard shortcuts of the open viewer (Escape is handled by Bootstrap)
+     *
+     * @param {KeyboardEvent} event
+     */
+    function onViewerKeydown(event) {
+        const actions = {
+            ArrowLeft: () => showViewerPhoto(state.index - 1),
+            ArrowRight: () => showViewerPhoto(state.index + 1),
+            '+': () => zoomTo(state.scale * BUTTON_ZOOM_STEP),
+            '=': () => zoomTo(state.scale * BUTTON_ZOOM_STEP),
+            '-': () => zoomTo(state.scale / BUTTON_ZOOM_STEP),
+            0: resetZoom,
+        };
+        const action = actions[event.key];
+        if (!action) return;
+
+        event.preventDefault();
+        action();
+    }
+
+    /**
+     * Wire the viewer controls
+     */
+    function setupViewer() {
+        const { stage, viewer } = elements;
+
+        stage.addEventListener(
+            'wheel',
+            event => {
+                event.preventDefault();
+                zoomTo(state.scale * Math.exp(-event.deltaY * 0.002), event.clientX, event.clientY);
+            },
+            { passive: false }
+        );
+        stage.addEventListener('pointerdown', onPointerDown);
+        stage.addEventListener('pointermove', onPointerMove);
+        stage.addEventListener('pointerup', onPointerUp);
+        stage.addEventListener('pointercancel', onPointerUp);
+        stage.addEventListener('dblclick', event => {
+            if (state.scale > MIN_SCALE) {
+                resetZoom();
+            } else {
+                zoomTo(DOUBLE_CLICK_SCALE, event.clientX, event.clientY);
+            }
+        });
+
+        viewer.addEventListener('click', event => {
+            const zoomButton = event.target.closest('[data-photo-zoom]');
+            const stepButton = event.target.closest('[data-photo-step]');
+
+            if (zoomButton) {
+                const zoom = zoomButton.dataset.photoZoom;
+                if (zoom === 'reset') resetZoom();
+                else
+                    zoomTo(state.scale * (zoom === 'in' ? BUTTON_ZOOM_STEP : 1 / BUTTON_ZOOM_STEP));
+            } else if (stepButton) {
+                showViewerPhoto(state.index + parseInt(stepButton.dataset.photoStep, 10));
+            }
+        });
+        viewer.addEventListener('keydown', onViewerKeydown);
+        // The stage size is only known once the modal is shown
+        viewer.addEventListener('shown.bs.modal', applyTransform);
+        global.addEventListener('resize', () => {
+            if (viewer.classList.contains('show')) applyTransform();
+        });
+    }
+
+    /**
+     * Initialize the photos of the dish page
+     */
+    function init() {
+        elements.main = document.getElementById('dishPhotoMain');
+        elements.mainImage = document.getElementById('dishPhotoMainImage');
+        elements.thumbs = [...document.querySelectorAll('#dishPhotoThumbs .dish-photo-thumb')];
+        elements.viewer = document.getElementById('dishPhotoViewer');
+        elements.stage = document.getElementById('dishPhotoViewerStage');
+        elements.image = document.getElementById('dishPhotoViewerImage');
+        elements.counter = document.getElementById('dishPhotoViewerCounter');
+        if (!elements.main || !elements.mainImage) return;
+
+        state.photos = elements.thumbs.map(thumb => ({
+            src: thumb.dataset.src,
+            alt: thumb.dataset.alt,
+        }));
+        if (state.photos.length === 0) {
+            state.photos = [{ src: elements.mainImage.src, alt: elements.mainImage.alt }];
+        }
+
+        elements.thumbs.forEach((thumb, index) => {
+            thumb.addEventListener('click', () => selectPhoto(index));
+        });
+
+        if (elements.viewer && elements.stage && elements.image) {
+            elements.main.addEventListener('click', () => openViewer(state.index));
+            setupViewer();
+        }
+    }
+
+    if (document.readyState === 'loading') {
+        document.addEventListener('DOMContentLoaded', init);
+    } else {
+        init();
+    }
+})(window);
@@ -24,7 +24,7 @@
  * - Should react to cart updates in real-time
  *
  * How it works:
- * 1. Listens for 'cartUpdated' event (fires when cart changes)
+ * 1. Subscribes to the cart store item count (fires when cart changes)
  * 2. Shows cart count on DOMContentLoaded (fast fallback)
  * 3. Shows cart count on window.load (slower fallback)
  * 4. One-time check after 500ms (catches late-loading scripts)
@@ -49,13 +49,15 @@
     }
 
     /**
-     * Primary method: Listen for cart update events
-     * When cart-api.js (or other scripts) updates the cart, they dispatch
-     * a 'cartUpdated' event. This listener reacts immediately.
+     * Primary method: Subscribe to the cart store
+     * Every cart change goes through window.cartStore (cart-store.js, loaded
+     * before this file). This subscriber reacts immediately.
      *
      * This is the most efficient approach - no polling, instant response.
      */
-    window.addEventListener('cartUpdated', unhideCartCount);
+    if (window.cartStore) {
+        window.cartStore.subscribe(window.cartStore.selectors.itemCount, unhideCartCount);
+    }
 
     /**
      * Fallback 1: Try to show cart count as soon as DOM is ready
@@ -75,7 +77,7 @@
      * Fallback 3: One-time check after 500ms
      * Catches edge cases where:
      * - Late-loading scripts manipulate cart count
-     * - cartUpdated event doesn't fire for some reason
+     * - Cart store never notifies (empty cart, count stays 0)
      * - Page loads with existing cart data
      *
      * This is a single check (not polling), so it's very lightweight.
@@ -0,0 +1,307 @@
+// ============================================================================
+// GROUP-CART.JS - Group Orders ("commande groupée")
+// ============================================================================
+// An office customer orders lunch for a whole team: they turn their cart into
+// a group order and share the link, colleagues open it, enter their name and
+// add dishes through the normal menu UI.
+//
+// This file handles:
+// - The group order panel of the cart sidebar (create, share link, participants,
+//   lock, leave)
+// - The join page (/commande-groupee/{token})
+// - Polling the shared cart while in a group order (other people change it)
+//
+// Cart lines grouped by participant are rendered by cart-api.js (sidebar)
+// and order-cart.js (checkout). Must be loaded after cart-store.js.
+
+(function (global) {
+    'use strict';
+
+    const t = global.t;
+
+    /**
+     * Interval between two refreshes of the shared cart (milliseconds)
+     */
+    const POLL_INTERVAL_MS = 15000;
+
+    /**
+     * Maximum length of a participant name (GroupCartService::NAME_MAX_LENGTH)
+     */
+    const NAME_MAX_LENGTH = 40;
+
+    let pollTimer = null;
+    let createFormOpen = false;
+    let bound = false;
+
+    // ========================================================================
+    // HELPERS
+    // ========================================================================
+
+    /**
+     * Escape user-provided text (participant names) before injecting it into markup
+     *
+     * @param {*} value - Raw value
+     * @returns {string} HTML-safe string
+     */
+    function escapeHtml(value) {
+        return String(value ?? '')
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#039;');
+    }
+
+    /**
+     * Show a notification (falls back to the console when unavailable)
+     *
+     * @param {string} message - Message
+     * @param {string} [type='info'] - 'success', 'error', 'warning' or 'info'
+     */
+    function notify(message, type = 'info') {
+        if (global.showCartNotification) {
+            global.showCartNotification(message, type);
+        } else if (type === 'error') {
+            console.error(message);
+        }
+    }
+
+    /**
+     * Copy the share link to the clipboard
+     *
+     * @param {HTMLInputElement} input - Read-only input holding the link
+     * @returns {Promise<boolean>} True when copied
+     */
+    async function copyShareLink(input) {
+        try {
+            await navigator.clipboard.writeText(input.value);
+            return true;
+        } catch {
+            // Clipboard API unavailable (http, old browser): select the link instead
+            input.select();
+            return document.execCommand && document.execCommand('copy');
+        }
+    }
+
+    // ========================================================================
+    // SIDEBAR PANEL
+    // ========================================================================
+
+    /**
+     * Render the group order panel of the cart sidebar
+     *
+     * @param {Object|null} group - Current group (cartStore.selectors.group)
+     */
+    function renderPanel(group) {
+        const panel = document.getElementById('cartGroupPanel');
+        if (!panel) return;
+
+        if (!group) {
+            panel.innerHTML = createFormOpen
+                ? `
+                    <form class="cart-group-form" data-group-form="create">
+                        <label for="cartGroupOwnerName" class="form-label small">${t('cart.group.owner_name_label')}</label>
+                        <div class="input-group input-group-sm">
+                            <input type="text" class="form-control" id="cartGroupOwnerName" name="name" maxlength="${NAME_MAX_LENGTH}" required autocomplete="given-name">
+                            <button type="submit" class="btn btn-primary">${t('cart.group.create')}</button>
+                        </div>
+                    </form>
+                `
+                : `
+                    <button type="button" class="btn btn-link btn-sm cart-group-start" data-group-action="start">
+                        <i class="bi bi-people me-1" aria-hidden="true"></i>${t('cart.group.start')}
+                    </button>
+                `;
+            return;
+        }
+
+        const participants = group.participants
+            .map(
+                (name, index) =>
+                    `<li>${escapeHtml(name)}${index === 0 ? ` <small>(${t('cart.group.organizer')})</small>` : ''}${index === group.me ? ` <small>(${t('cart.group.you')})</small>` : ''}</li>`
+            )
+            .join('');
+        const status = group.locked
+            ? `<p class="cart-group-status"><i class="bi bi-lock" aria-hidden="true"></i> ${t(group.owner ? 'cart.group.locked_owner' : 'cart.group.locked_participant')}</p>`
+            : '';
+
+        panel.innerHTML = `
+            <div class="cart-group">
+                <p class="cart-group-title"><i class="bi bi-people" aria-hidden="true"></i> ${t('cart.group.title')}</p>
+                ${status}
+                ${
+                    group.owner
+                        ? `
+                            <div class="input-group input-group-sm cart-group-share">
+                                <input type="text" class="form-control" value="${escapeHtml(group.shareUrl)}" readonly aria-label="${t('cart.group.share_link')}">
+                                <button type="button" class="btn btn-outline-secondary" data-group-action="copy" aria-label="${t('cart.group.copy')}"><i class="bi bi-clipboard" aria-hidden="true"></i></button>
+                            </div>
+                        `
+                        : ''
+                }
+                <ul class="cart-group-participants" aria-label="${t('cart.group.participants')}">${participants}</ul>
+                <div class="cart-group-actions">
+                    ${
+                        group.owner
+                            ? `<button type="button" class="btn btn-sm btn-outline-secondary" data-group-action="lock">${group.locked ? `<i class="bi bi-unlock me-1" aria-hidden="true"></i>${t('cart.group.reopen')}` : `<i class="bi bi-lock me-1" aria-hidden="true"></i>${t('cart.group.lock')}`}</button>`
+                            : ''
+                    }
+                    <button type="button" class="btn btn-sm btn-link" data-group-action="leave">${t(group.owner ? 'cart.group.cancel' : 'cart.group.leave')}</button>
+                </div>
+            </div>
+        `;
+    }
+
+    /**
+     * Handle the buttons of the panel (event delegation)
+     *
+     * @param {MouseEvent} e - Click event
+     */
+    async function handlePanelClick(e) {
+        const button = e.target.closest('[data-group-action]');
+        if (!button) return;
+
+        e.preventDefault();
+        const store = global.cartStore;
+        const group = store.getState().cart.group;
+
+        try {
+            switch (button.getAttribute('data-group-action')) {
+                case 'start':
+                    createFormOpen = true;
+                    renderPanel(group);
+                    document.getElementById('cartGroupOwnerName')?.focus();
+                    break;
+                case 'copy':
+                    if (await copyShareLink(button.parentElement.querySelector('input'))) {
+                        notify(t('cart.group.copied'), 'success');
+                    }
+                    break;
+                case 'lock':
+                    await store.setGroupLocked(!group.locked);
+                    notify(
+                        t(group.locked ? 'cart.group.reopened' : 'cart.group.locked'),
+                        'success'
+                    );
+                    break;
+                case 'leave':
+                    await store.leaveGroup();
+                    notify(t(group.owner ? 'cart.group.cancelled' : 'cart.group.left'), 'info');
+                    break;
+            }
+        } catch (error) {
+            notify(error.message || t('cart.error.group'), 'error');
+        }
+    }
+
+    /**
+     * Create the group order from the panel form
+     *
+     * @param {SubmitEvent} e - Submit event
+     */
+    async function handlePanelSubmit(e) {
+        const form = e.target.closest('[data-group-form="create"]');
+        if (!form) return;
+
+        e.preventDefault();
+        const name = form.elements.name.value.trim();
+        if (!name) return;
+
+        try {
+            createFormOpen = false;
+            await global.cartStore.createGroup(name);
+            notify(t('cart.group.created'), 'success');
+        } catch (error) {
+            createFormOpen = true;
+            notify(error.message || t('cart.error.group_create'), 'error');
+        }
+    }
+
+    // ========================================================================
+    // POLLING
+    // ========================================================================
+
+    /**
+     * Refresh the shared cart regularly while in a group order
+     *
+     * Other participants add dishes from their own phone: the cart is reloaded
+     * every POLL_INTERVAL_MS while the page is visible (cart-store.js already
+     * reloads it when the tab becomes visible again).
+     *
+     * @param {Object|null} group - Current group
+     */
+    function updatePolling(group) {
+        if (group && !pollTimer) {
+            pollTimer = setInterval(() => {
+                if (document.visibilityState === 'visible') {
+                    global.cartStore.refresh();
+                }
+            }, POLL_INTERVAL_MS);
+        } else if (!group && pollTimer) {
+            clearInterval(pollTimer);
+            pollTimer = null;
+        }
+    }
+
+    // ========================================================================
+    // JOIN PAGE
+    // ========================================================================
+
+    /**
+     * Join the group order from the join page form, then go to the menu
+     *
+     * @param {HTMLFormElement} form - Form with data-token
+     */
+    function initJoinForm(form) {
+        form.addEventListener('submit', async function (e) {
+            e.preventDefault();
+            const name = form.elements.name.value.trim();
+            if (!name) return;
+
+            const submit = form.querySelector('[type="submit"]');
+            if (submit) submit.disabled = true;
+
+            try {
+                await global.cartStore.joinGroup(form.getAttribute('data-token'), name);
+                global.location.href = global.appMenuPath || '/menu';
+            } catch (error) {
+                notify(error.message || t('cart.error.group_join'), 'error');
+                if (submit) submit.disabled = false;
+            }
+        });
+    }
+
+    // ========================================================================
+    // INITIALIZATION
+    // ========================================================================
+
+    /**
+     * Bind the panel and the join form to the current page
+     * Runs again after Turbo navigation (the body is replaced)
+     */
+    function init() {
+        const panel = document.getElementById('cartGroupPanel');
+        if (panel) {
+            panel.addEventListener('click', handlePanelClick);
+            panel.addEventListener('submit', handlePanelSubmit);
+            renderPanel(global.cartStore.getState().cart.group || null);
+        }
+
+        const joinForm = document.getElementById('groupJoinForm');
+        if (joinForm) {
+            initJoinForm(joinForm);
+        }
+
+        if (!bound) {
+            bound = true;
+            const store = global.cartStore;
+            store.subscribe(store.selectors.group, group => {
+                renderPanel(group);
+                updatePolling(group);
+            });
+        }
+    }
+
+    document.addEventListener('DOMContentLoaded', init);
+    global.addEventListener('turbo:load', init);
+})(window);
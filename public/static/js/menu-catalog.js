@@ -0,0 +1,233 @@
+// ============================================================================
+// MENU-CATALOG.JS - Menu Catalogue Client (GET /api/menu)
+// ============================================================================
+// Loads the menu catalogue (categories, dishes, drinks, badges, tags, allergens) from the
+// API instead of having it inlined in the page.
+//
+// This file handles:
+// - Loading the catalogue once per page (concurrent calls share the request)
+// - Caching it in localStorage with its ETag: the next visit renders from the
+//   cache at once, then revalidates with If-None-Match (304 when unchanged)
+// - Revalidating when the tab becomes visible again and every few minutes
+// - Notifying subscribers when the catalogue version changes (menu.js re-renders)
+//
+// The catalogue is mirrored in window.menuItems and window.drinksData, read by
+// menu.js and by cart-api.js (optimistic prices). Must be loaded before menu.js.
+
+(function (global) {
+    'use strict';
+
+    /**
+     * Catalogue endpoint (MenuApiController)
+     */
+    const ENDPOINT = '/api/menu';
+
+    /**
+     * localStorage key of the cached catalogue ({ etag, data })
+     */
+    const STORAGE_KEY = 'menuCatalog';
+
+    /**
+     * Interval between two revalidations while the page stays open (milliseconds)
+     */
+    const REVALIDATE_INTERVAL_MS = 5 * 60 * 1000;
+
+    let catalog = null;
+    let etag = null;
+    let pendingFetch = null;
+    let revalidateTimer = null;
+    const listeners = new Set();
+
+    // ========================================================================
+    // CACHE
+    // ========================================================================
+
+    /**
+     * Read the catalogue cached by a previous visit
+     *
+     * @returns {{etag: string, data: Object}|null} Cached catalogue, null when none or unreadable
+     */
+    function readCache() {
+        try {
+            const cached = JSON.parse(global.localStorage.getItem(STORAGE_KEY));
+            return cached && cached.etag && cached.data && Array.isArray(cached.data.items)
+                ? cached
+                : null;
+        } catch {
+            return null;
+        }
+    }
+
+    /**
+     * Cache the catalogue for the next visit
+     */
+    function writeCache() {
+        try {
+            global.localStorage.setItem(STORAGE_KEY, JSON.stringify({ etag, data: catalog }));
+        } catch {
+            // Storage full or disabled: the catalogue is fetched again on the next visit
+        }
+    }
+
+    /**
+     * Make a catalogue the current one
+     *
+     * @param {Object} data - Catalogue ({ version, categories, items, drinks, badges, tags, allergens })
+     * @param {string|null} newEtag - ETag of the response
+     */
+    function setCatalog(data, newEtag) {
+        catalog = data;
+        etag = newEtag;
+        global.menuItems = data.items;
+        global.drinksData = data.drinks;
+    }
+
+    // ========================================================================
+    // REQUESTS
+    // ========================================================================
+
+    /**
+     * Fetch the catalogue, sending the cached ETag
+     *
+     * Concurrent calls share the same request.
+     *
+     * @returns {Promise<boolean>} True when a new catalogue was received, false on 304
+     */
+    function fetchCatalog() {
+        if (pendingFetch) return pendingFetch;
+
+        const headers = { Accept: 'application/json' };
+        if (etag) headers['If-None-Match'] = etag;
+
+        pendingFetch = fetch(ENDPOINT, { headers, credentials: 'same-origin' })
+            .then(async response => {
+                if (response.status === 304) return false;
+                if (!response.ok) {
+                    throw new Error(`Menu indisponible (HTTP ${response.status})`);
+                }
+
+                const payload = await response.json();
+                setCatalog(payload.data, response.headers.get('ETag'));
+                writeCache();
+                return true;
+            })
+            .finally(() => {
+                pendingFetch = null;
+            });
+
+        return pendingFetch;
+    }
+
+    /**
+     * Load the catalogue
+     *
+     * Resolves at once from memory or from the localStorage cache (then
+     * revalidates in the background); otherwise waits for the API.
+     *
+     * @returns {Promise<Object>} Catalogue
+     * @throws {Error} When the API fails and nothing is cached
+     */
+    async function load() {
+        if (catalog) return catalog;
+
+        const cached = readCache();
+        if (cached) {
+            setCatalog(cached.data, cached.etag);
+            refresh();
+            return catalog;
+        }
+
+        await fetchCatalog();
+        return catalog;
+    }
+
+    /**
+     * Revalidate the catalogue and notify subscribers when its version changed
+     *
+     * Errors (offline, server down) are logged: the current catalogue stays in use.
+     *
+     * @returns {Promise<void>}
+     */
+    async function refresh() {
+        const previousVersion = catalog ? catalog.version : null;
+
+        try {
+            await fetchCatalog();
+        } catch (error) {
+            console.warn('Menu catalogue revalidation failed:', error);
+            return;
+        }
+
+        if (catalog && catalog.version !== previousVersion) {
+            listeners.forEach(listener => {
+                try {
+                    listener(catalog);
+                } catch (error) {
+                    console.error('Menu catalogue listener failed:', error);
+                }
+            });
+        }
+    }
+
+    // ========================================================================
+    // SUBSCRIPTIONS
+    // ========================================================================
+
+    /**
+     * Be notified when a new catalogue version is received
+     *
+     * Revalidation starts with the first subscriber: pages that only read the
+     * catalogue once do not poll.
+     *
+     * @param {function(Object): void} listener - Called with the new catalogue
+     * @returns {function(): void} Unsubscribe function
+     */
+    function subscribe(listener) {
+        listeners.add(listener);
+        startRevalidation();
+
+        return () => listeners.delete(listener);
+    }
+
+    /**
+     * Revalidate on tab focus and every REVALIDATE_INTERVAL_MS while visible
+     */
+    function startRevalidation() {
+        if (revalidateTimer) return;
+
+        revalidateTimer = setInterval(() => {
+            if (document.visibilityState === 'visible') refresh();
+        }, REVALIDATE_INTERVAL_MS);
+
+        document.addEventListener('visibilitychange', () => {
+            if (document.visibilityState === 'visible' && catalog) refresh();
+        });
+    }
+
+    // ========================================================================
+    // ACCESSORS
+    // ========================================================================
+
+    /**
+     * Find a dish of the loaded catalogue
+     *
+     * @param {string|number} itemId - Menu item ID
+     * @returns {Object|null} Menu item, null when unknown or not loaded yet
+     */
+    function getItem(itemId) {
+        if (!catalog) return null;
+        return catalog.items.find(item => String(item.id) === String(itemId)) || null;
+    }
+
+    global.menuCatalog = {
+        load,
+        refresh,
+        subscribe,
+        getItem,
+        getItems: () => (catalog ? catalog.items : []),
+        getCategories: () => (catalog ? catalog.categories || [] : []),
+        getDrinks: () => (catalog ? catalog.drinks : {}),
+        getAllergens: () => (catalog ? catalog.allergens : []),
+        getVersion: () => (catalog ? catalog.version : null),
+    };
+})(window);
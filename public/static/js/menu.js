@@ -3,9 +3,19 @@
 // ============================================================================
 // This file handles:
 // - Menu grid rendering with category/search/price/dietary filters
-// - Cart quantity synchronization with global cart state
+// - Keyed rendering: cards built once per catalogue version, filters only show,
+//   hide and reorder them, cart updates only patch the quantities
+// - Dishes and drinks loaded from GET /api/menu (menu-catalog.js), re-rendered on updates
+// - Accent-insensitive, typo-tolerant search ranked by relevance (utils/menu-search.js)
+// - Filter state kept in the query string (shareable links, back/forward)
+// - Calories per serving on the cards and max-calories filter
+// - Sort order within each category (query string + last choice in localStorage)
+// - Allergen exclusion panel (selection remembered in localStorage)
+// - "Suggestions du jour" section and service windows (lunch formula...) on the cards
+// - Cart quantity synchronization with the cart store (cart-store.js)
 // - Sticky navigation and filter positioning
 // - Menu item cards with quantity controls
+// - Drinks section with quantity controls (drinks are orderable)
 // - Event delegation for cart operations
 
 'use strict';
@@ -36,27 +46,6 @@ function getElementById(id) {
     return document.getElementById(id);
 }
 
-/**
- * Normalize ID to string for consistent comparison
- *
- * @param {string|number} id - Item ID
- * @returns {string} Normalized string ID
- */
-function normalizeId(id) {
-    return String(id);
-}
-
-/**
- * Compare two IDs (handles both string and number formats)
- *
- * @param {string|number} id1 - First ID
- * @param {string|number} id2 - Second ID
- * @returns {boolean} True if IDs match
- */
-function compareIds(id1, id2) {
-    return normalizeId(id1) === normalizeId(id2) || parseInt(id1) === parseInt(id2);
-}
-
 /**
  * Find menu item by ID
  *
@@ -65,18 +54,7 @@ function compareIds(id1, id2) {
  */
 function findMenuItemById(itemId) {
     if (!window.menuItems) return undefined;
-    return window.menuItems.find(item => compareIds(item.id, itemId));
-}
-
-/**
- * Update cart sidebar if available
- *
- * @returns {Promise<void>}
- */
-async function updateCartSidebarIfAvailable() {
-    if (window.updateCartSidebar) {
-        await window.updateCartSidebar();
-    }
+    return window.menuItems.find(item => window.cartStore.compareIds(item.id, itemId));
 }
 
 // ============================================================================
@@ -90,18 +68,513 @@ async function updateCartSidebarIfAvailable() {
  * - Category filter: Which category to display (all, entrees, plats, etc.)
  * - Search term: Text search filter
  * - Price filter: Price range filter
+ * - Max calories: Calories per serving cap (null = no cap)
  * - Dietary filters: Vegetarian, vegan, gluten-free options
+ * - Sort order: Order of the dishes within each category section
  *
- * State is kept simple and serializable for potential future persistence.
+ * State is kept simple and serializable: it is mirrored in the query string
+ * (see URL SYNC below) so filtered views can be shared and survive back/forward.
  */
 let currentCategory = 'all';
 let searchTerm = '';
 let priceFilter = '';
+let maxCalories = null;
 let dietaryFilters = {
     vegetarian: false,
     vegan: false,
     glutenFree: false,
 };
+let sortOrder = 'recommended';
+
+// ============================================================================
+// URL SYNC
+// ============================================================================
+
+/**
+ * Query string parameters holding the filter state
+ *
+ * Example: /menu?category=plats&price=under-15&kcal=600&diet=vegetarian,glutenFree&q=risotto
+ * ("vegetarian dishes under 15€" link sent by the staff to a customer)
+ */
+const FILTER_QUERY_PARAMS = {
+    category: 'category',
+    search: 'q',
+    price: 'price',
+    calories: 'kcal',
+    diet: 'diet',
+    sort: 'sort',
+};
+
+/**
+ * Price filter values accepted from the URL (same as the #priceFilter options)
+ */
+const PRICE_FILTER_VALUES = ['under-15', '15-25', 'over-25'];
+
+/**
+ * Calorie caps accepted from the URL (same as the #caloriesFilter options)
+ */
+const CALORIE_FILTER_VALUES = [400, 600, 800];
+
+/**
+ * Serialize the current filter state to a query string
+ *
+ * Default values (all categories, no search, no price, no calorie cap, no diet) are left out
+ * so the unfiltered menu keeps a clean URL.
+ *
+ * @returns {string} Query string without "?" (empty when no filter is active)
+ */
+function serializeFilters() {
+    const params = new URLSearchParams();
+    const searchInput = getElementById('menuSearch');
+    const search = searchInput ? searchInput.value.trim() : searchTerm.trim();
+    const diets = Object.keys(dietaryFilters).filter(key => dietaryFilters[key]);
+
+    if (currentCategory !== 'all') params.set(FILTER_QUERY_PARAMS.category, currentCategory);
+    if (search) params.set(FILTER_QUERY_PARAMS.search, search);
+    if (priceFilter) params.set(FILTER_QUERY_PARAMS.price, priceFilter);
+    if (maxCalories) params.set(FILTER_QUERY_PARAMS.calories, String(maxCalories));
+    if (diets.length) params.set(FILTER_QUERY_PARAMS.diet, diets.join(','));
+    if (sortOrder !== 'recommended') params.set(FILTER_QUERY_PARAMS.sort, sortOrder);
+
+    return params.toString();
+}
+
+/**
+ * Restore the filter state from the current URL
+ *
+ * Unknown values (category without a button, unknown price range, calorie cap or diet)
+ * are ignored so a hand-edited link never breaks the page.
+ *
+ * @param {boolean} [useSavedSort=false] - Use the sort order saved on this browser when
+ *   the URL has none (page load); back/forward to a URL without sort means "recommended"
+ */
+function readFiltersFromUrl(useSavedSort = false) {
+    const params = new URLSearchParams(window.location.search);
+    const categories = Array.from(document.querySelectorAll('.filter-category')).map(
+        btn => btn.dataset.category
+    );
+
+    const category = params.get(FILTER_QUERY_PARAMS.category);
+    currentCategory = category && categories.includes(category) ? category : 'all';
+
+    searchTerm = (params.get(FILTER_QUERY_PARAMS.search) || '').toLowerCase();
+
+    const price = params.get(FILTER_QUERY_PARAMS.price);
+    priceFilter = PRICE_FILTER_VALUES.includes(price) ? price : '';
+
+    const calories = parseInt(params.get(FILTER_QUERY_PARAMS.calories), 10);
+    maxCalories = CALORIE_FILTER_VALUES.includes(calories) ? calories : null;
+
+    const diets = (params.get(FILTER_QUERY_PARAMS.diet) || '').split(',');
+    Object.keys(dietaryFilters).forEach(key => {
+        dietaryFilters[key] = diets.includes(key);
+    });
+
+    const sort =
+        params.get(FILTER_QUERY_PARAMS.sort) || (useSavedSort ? loadSavedSortOrder() : null);
+    sortOrder = SORT_ORDERS.includes(sort) ? sort : 'recommended';
+}
+
+/**
+ * Reflect the filter state in the filter controls
+ *
+ * Updates the active category button (class and aria-pressed), the search box,
+ * the price and calorie selects, the dietary checkboxes and the sort select.
+ */
+function syncFilterControls() {
+    document.querySelectorAll('.filter-category').forEach(btn => {
+        const active = btn.dataset.category === currentCategory;
+        btn.classList.toggle('active', active);
+        btn.setAttribute('aria-pressed', active ? 'true' : 'false');
+    });
+
+    const menuSearch = getElementById('menuSearch');
+    if (menuSearch) {
+        menuSearch.value =
+            new URLSearchParams(window.location.search).get(FILTER_QUERY_PARAMS.search) || '';
+    }
+
+    const priceFilterSelect = getElementById('priceFilter');
+    if (priceFilterSelect) priceFilterSelect.value = priceFilter;
+
+    const caloriesFilterSelect = getElementById('caloriesFilter');
+    if (caloriesFilterSelect) caloriesFilterSelect.value = maxCalories ? String(maxCalories) : '';
+
+    document.querySelectorAll('.dietary-filter').forEach(checkbox => {
+        checkbox.checked = Boolean(dietaryFilters[checkbox.id]);
+    });
+
+    const sortSelect = getElementById('menuSort');
+    if (sortSelect) sortSelect.value = sortOrder;
+}
+
+/**
+ * Write the filter state to the URL
+ *
+ * Each filter change gets its own history entry (back undoes it). Typing in
+ * the search box adds one entry when the search starts, then replaces it
+ * instead of adding one per keystroke.
+ *
+ * @param {boolean} [replace=false] - Replace the current history entry instead of pushing
+ */
+function updateFilterUrl(replace = false) {
+    const query = serializeFilters();
+    const url = `${window.location.pathname}${query ? `?${query}` : ''}${window.location.hash}`;
+    if (url === `${window.location.pathname}${window.location.search}${window.location.hash}`) {
+        return;
+    }
+
+    const state = { menuFilters: query };
+    if (replace) {
+        history.replaceState(state, '', url);
+    } else {
+        history.pushState(state, '', url);
+    }
+}
+
+/**
+ * Restore filters when navigating back/forward between filtered views
+ */
+function handleFilterPopState() {
+    readFiltersFromUrl();
+    syncFilterControls();
+    renderMenu();
+}
+
+// ============================================================================
+// SORTING
+// ============================================================================
+
+/**
+ * Sort orders of the #menuSort select
+ *
+ * 'recommended' keeps the order of the restaurant (or the relevance while searching).
+ */
+const SORT_ORDERS = ['recommended', 'price-asc', 'price-desc', 'rating', 'quickest', 'newest'];
+
+/**
+ * localStorage key of the last sort order chosen on this browser
+ */
+const SORT_STORAGE_KEY = 'menuSortOrder';
+
+/**
+ * Compare two optional numbers, missing values last
+ *
+ * @param {?number} a - First value
+ * @param {?number} b - Second value
+ * @returns {number} Comparator result (ascending)
+ */
+function compareAscNullsLast(a, b) {
+    const aMissing = a === null || a === undefined;
+    const bMissing = b === null || b === undefined;
+    if (aMissing || bMissing) return aMissing - bMissing;
+    return a - b;
+}
+
+/**
+ * Comparators of each sort order (menu items serialized by MenuController)
+ */
+const SORT_COMPARATORS = {
+    'price-asc': (a, b) => (Number(a.price) || 0) - (Number(b.price) || 0),
+    'price-desc': (a, b) => (Number(b.price) || 0) - (Number(a.price) || 0),
+    // Best average first; dishes without reviews (ratingAvg 0) last
+    rating: (a, b) =>
+        (b.ratingAvg || 0) - (a.ratingAvg || 0) || (b.ratingCount || 0) - (a.ratingCount || 0),
+    // Shortest preparation first; dishes without preparation time last
+    quickest: (a, b) =>
+        compareAscNullsLast(a.prepTimeMin ?? a.prepTimeMax, b.prepTimeMin ?? b.prepTimeMax) ||
+        compareAscNullsLast(a.prepTimeMax, b.prepTimeMax),
+    newest: (a, b) => String(b.createdAt || '').localeCompare(String(a.createdAt || '')),
+};
+
+/**
+ * Sort order saved on this browser
+ *
+ * @returns {string|null} Saved sort order, null when none (or storage disabled)
+ */
+function loadSavedSortOrder() {
+    try {
+        return window.localStorage.getItem(SORT_STORAGE_KEY);
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Save the sort order on this browser (next visits open the menu with it)
+ */
+function saveSortOrder() {
+    try {
+        window.localStorage.setItem(SORT_STORAGE_KEY, sortOrder);
+    } catch {
+        // Storage full or disabled: the sort order stays in the URL only
+    }
+}
+
+/**
+ * Sort menu items according to the current sort order
+ *
+ * The sort is stable: items with the same price, rating... keep the
+ * recommended order. Sections are built from the sorted list, so the order
+ * applies within each category.
+ *
+ * @param {Array<Object>} items - Filtered menu items
+ * @returns {Array<Object>} Sorted copy
+ */
+function sortItems(items) {
+    const comparator = SORT_COMPARATORS[sortOrder];
+    return comparator ? [...items].sort(comparator) : items;
+}
+
+// ============================================================================
+// ALLERGEN EXCLUSION
+// ============================================================================
+
+/**
+ * localStorage key of the allergen exclusion
+ *
+ * Unlike the other filters, the exclusion is a personal setting: it is not
+ * put in the URL (a shared link must not hide dishes for someone else) but
+ * remembered on this browser across visits.
+ */
+const ALLERGEN_STORAGE_KEY = 'menuAllergenExclusion';
+
+/**
+ * Allergen codes to exclude (Allergen::code, matched against item.allergens)
+ */
+let excludedAllergens = [];
+
+/**
+ * How dishes containing an excluded allergen are shown:
+ * 'hide' removes them from the grid, 'dim' greys them out with a warning
+ */
+let allergenMode = 'hide';
+
+/**
+ * Allergen names by code, read from the labels of the panel checkboxes
+ */
+const allergenNames = {};
+
+/**
+ * Restore the allergen exclusion saved on this browser
+ */
+function loadAllergenExclusion() {
+    try {
+        const stored = JSON.parse(window.localStorage.getItem(ALLERGEN_STORAGE_KEY));
+        if (stored && Array.isArray(stored.codes)) {
+            excludedAllergens = stored.codes.filter(code => typeof code === 'string');
+            allergenMode = stored.mode === 'dim' ? 'dim' : 'hide';
+        }
+    } catch {
+        // Unreadable value or storage disabled (private browsing): start with no exclusion
+    }
+}
+
+/**
+ * Save the allergen exclusion on this browser
+ */
+function saveAllergenExclusion() {
+    try {
+        window.localStorage.setItem(
+            ALLERGEN_STORAGE_KEY,
+            JSON.stringify({ codes: excludedAllergens, mode: allergenMode })
+        );
+    } catch {
+        // Storage full or disabled: the exclusion only lasts for this page
+    }
+}
+
+/**
+ * Excluded allergens contained in a dish
+ *
+ * @param {Object} item - Menu item from window.menuItems
+ * @returns {string[]} Allergen codes (empty when the dish can be shown normally)
+ */
+function getExcludedAllergensOf(item) {
+    if (excludedAllergens.length === 0) return [];
+    return (item.allergens || []).filter(code => excludedAllergens.includes(code));
+}
+
+/**
+ * Reflect the allergen exclusion on the panel (checkboxes, mode switch, counter)
+ *
+ * Codes of allergens that no longer exist are dropped from the saved selection.
+ */
+function syncAllergenControls() {
+    const checkboxes = document.querySelectorAll('.allergen-filter');
+    if (checkboxes.length === 0) return;
+
+    const knownCodes = [];
+    checkboxes.forEach(checkbox => {
+        knownCodes.push(checkbox.value);
+        allergenNames[checkbox.value] = checkbox.labels?.[0]?.textContent.trim() || checkbox.value;
+        checkbox.checked = excludedAllergens.includes(checkbox.value);
+    });
+    excludedAllergens = excludedAllergens.filter(code => knownCodes.includes(code));
+
+    const dimMode = getElementById('allergenDimMode');
+    if (dimMode) dimMode.checked = allergenMode === 'dim';
+
+    const count = getElementById('allergenFiltersCount');
+    if (count) {
+        count.textContent = excludedAllergens.length
+            ? window.t('menu.allergens.excluded', { count: excludedAllergens.length })
+            : '';
+        count.classList.toggle('d-none', excludedAllergens.length === 0);
+    }
+}
+
+/**
+ * Setup the "Exclure les allergènes" panel
+ *
+ * Every change is saved in localStorage and re-renders the menu.
+ */
+function setupAllergenFilters() {
+    document.querySelectorAll('.allergen-filter').forEach(checkbox => {
+        checkbox.addEventListener('change', async function () {
+            excludedAllergens = excludedAllergens.filter(code => code !== this.value);
+            if (this.checked) excludedAllergens.push(this.value);
+            saveAllergenExclusion();
+            syncAllergenControls();
+            await renderMenu();
+        });
+    });
+
+    const dimMode = getElementById('allergenDimMode');
+    if (dimMode) {
+        dimMode.addEventListener('change', async function () {
+            allergenMode = this.checked ? 'dim' : 'hide';
+            saveAllergenExclusion();
+            await renderMenu();
+        });
+    }
+}
+
+/**
+ * Render the warning shown on a greyed-out dish ('dim' mode)
+ *
+ * @param {string[]} codes - Excluded allergens contained in the dish
+ * @returns {string} HTML
+ */
+function renderAllergenWarning(codes) {
+    const names = codes.map(code => escapeHtml(allergenNames[code] || code)).join(', ');
+    return `<p class="menu-card-allergen-warning" role="note"><i class="bi bi-exclamation-triangle me-1" aria-hidden="true"></i>${window.t('menu.allergens.contains', { names })}</p>`;
+}
+
+// ============================================================================
+// DAILY SPECIALS & SERVICE WINDOWS
+// ============================================================================
+
+/**
+ * Short weekday label ("Lun."), from its ISO-8601 number (1 = Monday)
+ *
+ * @param {number} day
+ * @returns {string}
+ */
+function weekdayShortLabel(day) {
+    return window.t('menu.schedule.weekday', { day });
+}
+
+/**
+ * ISO-8601 weekday number of a date (1 = Monday ... 7 = Sunday), as in MenuSchedule
+ *
+ * @param {Date} date
+ * @returns {number}
+ */
+function isoWeekday(date) {
+    return date.getDay() || 7;
+}
+
+/**
+ * Check whether a dish is served on the day of a date
+ *
+ * Dishes without schedules are served every day. The exact slot is checked
+ * by the server at checkout (CartService::assertItemsAvailable).
+ *
+ * @param {Object} item - Menu item (schedules: [{ name, weekdays, start, end }])
+ * @param {Date} [date=new Date()]
+ * @returns {boolean}
+ */
+function isServedOn(item, date = new Date()) {
+    const schedules = item.schedules || [];
+    if (schedules.length === 0) return true;
+
+    const day = isoWeekday(date);
+    return schedules.some(schedule => schedule.weekdays.includes(day));
+}
+
+/**
+ * Dishes of "Suggestions du jour": daily specials served today
+ *
+ * @param {Array<Object>} items - Filtered menu items
+ * @returns {Array<Object>}
+ */
+function getDailySpecials(items) {
+    const today = new Date();
+    return items.filter(item => item.dailySpecial && isServedOn(item, today));
+}
+
+/**
+ * Describe the days of a schedule ("Lun. – Ven.", "Sam., Dim.", "tous les jours")
+ *
+ * @param {number[]} weekdays - Sorted ISO-8601 weekday numbers
+ * @returns {string}
+ */
+function describeWeekdays(weekdays) {
+    if (weekdays.length === 7) return window.t('menu.schedule.every_day');
+
+    const consecutive = weekdays.every(
+        (day, index) => index === 0 || day === weekdays[index - 1] + 1
+    );
+    if (consecutive && weekdays.length > 2) {
+        return `${weekdayShortLabel(weekdays[0])} – ${weekdayShortLabel(weekdays[weekdays.length - 1])}`;
+    }
+
+    return weekdays.map(weekdayShortLabel).join(', ');
+}
+
+/**
+ * Render the service windows of a dish ("Formule déjeuner : Lun. – Ven., 12:00 – 14:30")
+ *
+ * @param {Object} item - Menu item
+ * @returns {string} HTML, empty for dishes served at any time
+ */
+function renderScheduleNote(item) {
+    const schedules = item.schedules || [];
+    if (schedules.length === 0) return '';
+
+    const windows = schedules
+        .map(schedule =>
+            window.t('menu.schedule.window', {
+                name: escapeHtml(schedule.name),
+                days: describeWeekdays(schedule.weekdays),
+                hours: window.LocaleFormat.timeRange(schedule.start, schedule.end),
+            })
+        )
+        .join(' · ');
+
+    return `<p class="menu-card-schedule${isServedOn(item) ? '' : ' menu-card-schedule--not-today'}" role="note"><i class="bi bi-clock me-1" aria-hidden="true"></i>${windows}</p>`;
+}
+
+/**
+ * Render the "Suggestions du jour" section shown above the categories
+ *
+ * @param {Array<Object>} items - Daily specials served today
+ * @param {Array<Object>} cartItems - Cart lines (quantities)
+ * @returns {string} HTML
+ */
+function renderDailySpecialsSection(items, cartItems = []) {
+    const qtyById = window.cartStore.quantitiesByDish(cartItems);
+
+    return `
+        <div class="menu-section menu-section--specials fade-in" data-category="suggestions">
+            <h2 class="menu-section-title"><i class="bi bi-star-fill me-2" aria-hidden="true"></i>${window.t('menu.specials_title')}</h2>
+            <div class="row g-4">
+                ${items.map(item => renderMenuItem(item, qtyById, 'special')).join('')}
+            </div>
+        </div>
+    `;
+}
 
 // ============================================================================
 // DOM ELEMENT CACHE
@@ -151,14 +624,14 @@ function debouncedRenderMenu(delay = 300) {
  * - Sets up sticky navigation offsets
  * - Observes sticky state for visual effects
  * - Initializes sticky fallback for old browsers
+ * - Loads the menu catalogue (menu-catalog.js, GET /api/menu)
  * - Renders initial menu grid
  * - Sets up event listeners for filters
- * - Updates cart display
- * - Sets up cart update listeners
+ * - Subscribes menu cards to the cart store and the grid to catalogue updates
  *
  * Exit early if not on menu page (menuGrid element not found).
  */
-function initMenu() {
+async function initMenu() {
     /**
      * Cache DOM elements for reuse
      * These elements are used throughout the menu functionality
@@ -193,52 +666,85 @@ function initMenu() {
      */
     initMenuStickyFallback();
 
+    /**
+     * Restore filters from the URL (shared link, reload, back/forward)
+     * Must run before the first render so the grid shows the filtered view
+     */
+    readFiltersFromUrl(true);
+    syncFilterControls();
+    window.addEventListener('popstate', handleFilterPopState);
+
+    /**
+     * Restore the allergen exclusion saved on this browser
+     */
+    loadAllergenExclusion();
+    syncAllergenControls();
+
+    /**
+     * Load the dishes and drinks (cached catalogue first, API otherwise)
+     * Filters and their listeners are set up even when loading fails
+     */
+    let catalogLoaded = true;
+    try {
+        await window.menuCatalog.load();
+    } catch (error) {
+        console.error('Error loading menu:', error);
+        catalogLoaded = false;
+        renderMenuLoadError();
+    }
+
     /**
      * Render initial menu grid
      * Displays all menu items with current filters applied
      */
-    renderMenu();
+    if (catalogLoaded) renderMenu();
 
     /**
      * Setup event listeners for filters
      * Handles category, search, price, and dietary filter changes
      */
     setupMenuEventListeners();
+    setupAllergenFilters();
     setupMobileFilterAutoClose();
 
     /**
-     * Update cart display on initialization
-     * Shows current cart count in navigation
+     * Keep card quantities in sync with the cart store
+     * When cart changes (sidebar, buttons, checkout, other tabs), refresh
+     * quantities without re-rendering the grid
      */
-    updateCartDisplay().catch(err => console.error('Cart display error:', err));
+    window.cartStore.subscribe(window.cartStore.selectors.items, refreshMenuQuantities);
 
     /**
-     * Also update cart sidebar on initialization
-     * Ensures sidebar shows current cart state
+     * Re-render when a new catalogue version is received (price change, dish
+     * sold out, new dish...) while the page stays open
      */
-    updateCartSidebarIfAvailable();
+    window.menuCatalog.subscribe(handleCatalogUpdate);
+}
 
-    /**
-     * Listen for cart updates from other parts of the page
-     * When cart changes (sidebar/buttons), refresh quantities without full re-render
-     * This is more efficient than re-rendering entire menu
-     */
-    window.addEventListener('cartUpdated', async function () {
-        await refreshMenuQuantitiesFromCart();
-        await updateCartDisplay();
-    });
+/**
+ * Re-render the menu with a new catalogue version
+ *
+ * The cards are rebuilt (ensureMenuView compares the versions) and the search
+ * index is rebuilt from the new dishes on the next search.
+ */
+function handleCatalogUpdate() {
+    menuSearchIndex = null;
+    renderMenu();
+}
 
-    /**
-     * Listen for cart changes in other browser tabs/windows
-     * When cart is modified in another tab, re-render menu to show updated state
-     * Uses storage event for cross-tab communication
-     */
-    window.addEventListener('storage', async function (e) {
-        if (e.key === 'cart') {
-            await renderMenu();
-            await updateCartDisplay();
-        }
-    });
+/**
+ * Show an error in place of the grid when the catalogue cannot be loaded
+ */
+function renderMenuLoadError() {
+    if (!menuGrid) return;
+    menuView = null;
+    noResults.style.display = 'none';
+    menuGrid.style.display = 'block';
+    menuGrid.innerHTML = `
+        <div class="alert alert-warning text-center" role="alert">
+            ${window.t('menu.load_error')}
+        </div>
+    `;
 }
 
 /**
@@ -249,8 +755,9 @@ function initMenu() {
  * - Search input field
  * - Price filter dropdown
  * - Dietary filter checkboxes (vegetarian, vegan, gluten-free)
+ * - Sort select (recommended, price, rating, preparation time, newest)
  *
- * All filters trigger a menu re-render when changed.
+ * All filters trigger a menu re-render when changed and update the URL.
  */
 function setupMenuEventListeners() {
     /**
@@ -276,6 +783,7 @@ function setupMenuEventListeners() {
              * Get category from button's data attribute
              */
             currentCategory = this.dataset.category;
+            updateFilterUrl();
 
             /**
              * Re-render menu with new category filter
@@ -298,6 +806,9 @@ function setupMenuEventListeners() {
              * Convert to lowercase for consistent matching
              */
             searchTerm = this.value.toLowerCase();
+            updateFilterUrl(
+                new URLSearchParams(window.location.search).has(FILTER_QUERY_PARAMS.search)
+            );
 
             /**
              * Re-render menu with debounce (300ms delay)
@@ -320,6 +831,7 @@ function setupMenuEventListeners() {
              * Options: empty string (no filter), 'under-15', '15-25', 'over-25'
              */
             priceFilter = this.value;
+            updateFilterUrl();
 
             /**
              * Re-render menu with new price filter
@@ -328,6 +840,19 @@ function setupMenuEventListeners() {
         });
     }
 
+    /**
+     * Max calories dropdown
+     * Keeps the dishes whose serving is under the selected number of kcal
+     */
+    const caloriesFilterSelect = getElementById('caloriesFilter');
+    if (caloriesFilterSelect) {
+        caloriesFilterSelect.addEventListener('change', async function () {
+            maxCalories = parseInt(this.value, 10) || null;
+            updateFilterUrl();
+            await renderMenu();
+        });
+    }
+
     /**
      * Dietary filter checkboxes
      * Filters menu items by dietary restrictions
@@ -339,6 +864,7 @@ function setupMenuEventListeners() {
              * Checkbox ID matches key in dietaryFilters object
              */
             dietaryFilters[this.id] = this.checked;
+            updateFilterUrl();
 
             /**
              * Re-render menu with updated dietary filters
@@ -346,6 +872,20 @@ function setupMenuEventListeners() {
             await renderMenu();
         });
     });
+
+    /**
+     * Sort select
+     * Orders the dishes within each category; remembered on this browser
+     */
+    const sortSelect = getElementById('menuSort');
+    if (sortSelect) {
+        sortSelect.addEventListener('change', async function () {
+            sortOrder = SORT_ORDERS.includes(this.value) ? this.value : 'recommended';
+            saveSortOrder();
+            updateFilterUrl();
+            await renderMenu();
+        });
+    }
 }
 
 /**
@@ -396,11 +936,12 @@ function setupMobileFilterAutoClose() {
  * - Filters menu items based on active filters
  * - Handles special case for 'boissons' (drinks) category
  * - Shows/hides "no results" message
- * - Loads cart data to show quantities
- * - Groups items by category
- * - Renders menu sections with cart quantities
- * - Attaches event listeners to rendered elements
- * - Updates cart display
+ * - Builds the cards once per catalogue version (ensureMenuView)
+ * - Shows, hides and reorders the existing cards and sections (updateMenuView)
+ * - Keeps the focused control and the scroll position
+ *
+ * Cards are never rebuilt on a filter change: typing in the search only
+ * toggles visibility and patches the highlighted words.
  *
  * @returns {Promise<void>}
  */
@@ -412,95 +953,269 @@ async function renderMenu() {
     if (!menuGrid) return;
 
     /**
-     * Filter menu items based on current filter state
-     * Applies category, search, price, and dietary filters
+     * Filter menu items based on current filter state, then sort them
+     * Applies category, search, price, and dietary filters and the sort order
      */
-    const filteredItems = filterItems();
+    const filteredItems = sortItems(filterItems());
 
     /**
-     * Special case: If 'boissons' (drinks) category is selected
-     * Show only drinks section, hide regular menu items
+     * Read cart lines once (cart store, loaded once per page)
+     * Only used for the quantities of the cards built by ensureMenuView()
      */
-    if (currentCategory === 'boissons') {
-        menuGrid.style.display = 'block';
-        noResults.style.display = 'none';
-        menuGrid.innerHTML = renderDrinksSection();
-        return;
+    let cartItems = [];
+    try {
+        cartItems = (await window.cartStore.load()).items;
+    } catch (error) {
+        console.error('Error loading cart:', error);
     }
 
-    /**
-     * Handle empty results case
-     * Show "no results" message if no items match filters
-     */
-    if (filteredItems.length === 0) {
-        menuGrid.style.display = 'none';
-        noResults.style.display = 'block';
-        return;
-    }
+    preserveMenuFocus(() => {
+        ensureMenuView(cartItems);
 
-    /**
-     * Show menu grid and hide "no results" message
-     * Results are available, so display them
-     */
-    menuGrid.style.display = 'block';
-    noResults.style.display = 'none';
+        /**
+         * Show "no results" message if no items match filters
+         * The 'boissons' (drinks) category shows the drinks section only
+         */
+        const empty = currentCategory !== 'boissons' && filteredItems.length === 0;
+        menuGrid.style.display = empty ? 'none' : 'block';
+        noResults.style.display = empty ? 'block' : 'none';
+
+        if (!empty) updateMenuView(filteredItems);
+    });
 
     /**
-     * Load cart data once for all items
-     * This provides per-item quantities for display in menu cards
-     * More efficient than fetching cart for each item individually
+     * Attach the delegated click listener (once)
      */
-    let cartItems = [];
-    try {
-        const cart = await window.cartAPI.getCart();
-        cartItems = cart.items;
-    } catch (error) {
-        console.error('Error loading cart:', error);
+    addMenuItemEventListeners();
+}
+
+// ============================================================================
+// KEYED RENDERING
+// ============================================================================
+
+/**
+ * Cards and sections of the grid, built once per catalogue version
+ *
+ * {
+ *   version: string|null,             // menuCatalog.getVersion() when built
+ *   specials: Element|null,           // "Suggestions du jour" section
+ *   sections: Map<string, Element>,   // category slug => section
+ *   cards: Map<string, Element>,      // getMenuCardKey() => article.menu-card
+ *   drinks: Element|null              // drinks section
+ * }
+ */
+let menuView = null;
+
+/**
+ * Key of a card in menuView.cards
+ * A daily special has two cards: one in "Suggestions du jour" (context 'special')
+ * and one in its category.
+ *
+ * @param {string|number} itemId - Menu item ID
+ * @param {string} [context=''] - Context of the card (see renderMenuItem)
+ * @returns {string}
+ */
+function getMenuCardKey(itemId, context = '') {
+    return `${context}:${itemId}`;
+}
+
+/**
+ * Parse the HTML of one section
+ *
+ * @param {string} html - HTML with a single root element
+ * @returns {Element}
+ */
+function createMenuElement(html) {
+    const template = document.createElement('template');
+    template.innerHTML = html.trim();
+    return template.content.firstElementChild;
+}
+
+/**
+ * Build every card and section of the catalogue, unless already built for its version
+ *
+ * All the dishes get a card, visible or not: filter changes only toggle them
+ * (updateMenuView). A new catalogue version (price, sold out...) rebuilds the grid.
+ *
+ * @param {Array<Object>} cartItems - Cart lines (initial quantities)
+ */
+function ensureMenuView(cartItems) {
+    const version = window.menuCatalog.getVersion();
+    if (menuView && menuView.version === version) return;
+
+    const view = { version, specials: null, sections: new Map(), cards: new Map(), drinks: null };
+    const indexCards = (section, context) => {
+        section.querySelectorAll('.menu-card[data-item-id]').forEach(card => {
+            view.cards.set(getMenuCardKey(card.dataset.itemId, context), card);
+        });
+    };
+    const fragment = document.createDocumentFragment();
+    const items = window.menuItems || [];
+
+    const specials = items.filter(item => item.dailySpecial);
+    if (specials.length > 0) {
+        view.specials = createMenuElement(renderDailySpecialsSection(specials, cartItems));
+        indexCards(view.specials, 'special');
+        fragment.appendChild(view.specials);
+    }
+
+    groupItemsByCategory(items).forEach(({ category, items: sectionItems }) => {
+        const section = createMenuElement(renderCategorySection(category, sectionItems, cartItems));
+        view.sections.set(category.slug, section);
+        indexCards(section, '');
+        fragment.appendChild(section);
+    });
+
+    const drinksHtml = renderDrinksSection();
+    if (drinksHtml) {
+        view.drinks = createMenuElement(drinksHtml);
+        fragment.appendChild(view.drinks);
     }
 
-    /**
-     * Group filtered items by category
-     * Categories: entrees, plats, desserts
-     * This allows rendering each category as a separate section
-     */
-    const groupedItems = groupItemsByCategory(filteredItems);
-    let html = '';
+    menuGrid.replaceChildren(fragment);
+    menuView = view;
+}
+
+/**
+ * Show the sections and cards matching the filters, in the sorted order
+ *
+ * @param {Array<Object>} filteredItems - Filtered and sorted menu items
+ */
+function updateMenuView(filteredItems) {
+    const drinksOnly = currentCategory === 'boissons';
+    const visibleSections = new Map(
+        drinksOnly
+            ? []
+            : groupItemsByCategory(filteredItems).map(({ category, items }) => [
+                  category.slug,
+                  items,
+              ])
+    );
 
     /**
-     * Render each category section
-     * Each category gets its own section with title and grid of items
+     * Daily specials first, on the full menu only (search results are ranked instead)
+     * They also stay in their own category below
      */
-    Object.entries(groupedItems).forEach(([category, items]) => {
-        if (items.length > 0) {
-            html += renderCategorySection(category, items, cartItems);
-        }
+    if (menuView.specials) {
+        const specials =
+            currentCategory === 'all' && !searchMatches ? getDailySpecials(filteredItems) : [];
+        menuView.specials.hidden = specials.length === 0;
+        if (specials.length > 0) showMenuCards(menuView.specials, specials, 'special');
+    }
+
+    menuView.sections.forEach((section, slug) => {
+        const items = visibleSections.get(slug);
+        section.hidden = !items;
+        if (items) showMenuCards(section, items, '');
     });
 
     /**
-     * Append drinks section when showing all categories
-     * Drinks are always shown when "all" category is selected
+     * Drinks are shown with all categories and alone in "Boissons"
      */
-    if (currentCategory === 'all') {
-        html += renderDrinksSection();
+    if (menuView.drinks) {
+        menuView.drinks.hidden = !(currentCategory === 'all' || drinksOnly);
     }
+}
 
-    /**
-     * Update menu grid HTML with rendered content
-     * This replaces entire grid content with new filtered results
-     */
-    menuGrid.innerHTML = html;
+/**
+ * Show the cards of some dishes in a section, in their order, and hide the others
+ *
+ * Cards are only moved when the order changed (sort, search relevance).
+ *
+ * @param {Element} section - .menu-section
+ * @param {Array<Object>} items - Dishes to show, in display order
+ * @param {string} context - Context of the cards (see getMenuCardKey)
+ */
+function showMenuCards(section, items, context) {
+    const grid = section.querySelector('.row');
+    const cards = items
+        .map(item => ({ item, card: menuView.cards.get(getMenuCardKey(item.id, context)) }))
+        .filter(({ card }) => card);
+    const columns = cards.map(({ card }) => card.parentElement);
+    const visible = new Set(columns);
+
+    let position = 0;
+    let inOrder = true;
+    Array.from(grid.children).forEach(column => {
+        column.hidden = !visible.has(column);
+        if (!column.hidden && column !== columns[position++]) inOrder = false;
+    });
 
-    /**
-     * Attach event listeners to newly rendered elements
-     * Must be done after innerHTML update since old listeners are removed
-     */
-    addMenuItemEventListeners();
+    if (!inOrder) columns.forEach(column => grid.appendChild(column));
 
-    /**
-     * Update cart display after rendering
-     * Ensures cart count in navigation is current
-     */
-    await updateCartDisplay();
+    cards.forEach(({ item, card }) => patchMenuCard(card, item));
+}
+
+/**
+ * Words of the current search matched by a dish, as a comparable key
+ *
+ * @param {Object} item - Menu item
+ * @returns {string} Sorted words joined by "|", empty when not highlighted
+ */
+function getHighlightKey(item) {
+    const words = searchMatches?.get(String(item.id))?.words;
+    return words ? Array.from(words).sort().join('|') : '';
+}
+
+/**
+ * Update the parts of a card that depend on the filters
+ *
+ * - Search highlights of the name and description
+ * - Allergen warning and greyed-out state ('dim' mode)
+ *
+ * Each part is only rewritten when it changed (keys kept in data attributes).
+ *
+ * @param {Element} card - article.menu-card
+ * @param {Object} item - Menu item
+ */
+function patchMenuCard(card, item) {
+    const highlightKey = getHighlightKey(item);
+    if (card.dataset.highlight !== highlightKey) {
+        card.dataset.highlight = highlightKey;
+        card.querySelector('.menu-card-title').innerHTML = highlightSearch(item.name, item);
+        card.querySelector('.menu-card-description').innerHTML = highlightSearch(
+            item.description,
+            item
+        );
+    }
+
+    const allergenCodes = getExcludedAllergensOf(item);
+    if (card.dataset.allergens !== allergenCodes.join(',')) {
+        card.dataset.allergens = allergenCodes.join(',');
+        card.classList.toggle('menu-card--allergen', allergenCodes.length > 0);
+        card.querySelector('.menu-card-allergen-warning')?.remove();
+        if (allergenCodes.length > 0) {
+            card.querySelector('.menu-card-footer').insertAdjacentHTML(
+                'beforebegin',
+                renderAllergenWarning(allergenCodes)
+            );
+        }
+    }
+}
+
+/**
+ * Run a DOM update of the grid, keeping the focused control and the scroll position
+ *
+ * Moving a card out of the DOM and back (reordering) blurs its buttons, and
+ * browsers may adjust the scroll when sections above the viewport change.
+ *
+ * @param {function(): void} update - DOM update
+ */
+function preserveMenuFocus(update) {
+    const focused = menuGrid.contains(document.activeElement) ? document.activeElement : null;
+    const scrollY = window.scrollY;
+
+    update();
+
+    if (
+        focused &&
+        document.activeElement !== focused &&
+        focused.isConnected &&
+        !focused.closest('[hidden]')
+    ) {
+        focused.focus({ preventScroll: true });
+    }
+    if (window.scrollY !== scrollY) window.scrollTo(window.scrollX, scrollY);
 }
 
 // Same approach as gallery page: expose --nav-offset (distance from viewport top)
@@ -613,22 +1328,73 @@ function initMenuStickyFallback() {
     onScroll();
 }
 
+// ============================================================================
+// SEARCH
+// ============================================================================
+
+/**
+ * Readable labels of the dietary tags, searched together with their codes
+ * ("végétarien" finds the dishes tagged "vegetarian")
+ */
+const TAG_LABEL_BY_CODE = {
+    vegetarian: window.t('menu.tags.vegetarian'),
+    vegan: window.t('menu.tags.vegan'),
+    glutenFree: window.t('menu.tags.gluten_free'),
+};
+
+/**
+ * Search index of window.menuItems (utils/menu-search.js), built on the first search
+ * Reset when a new catalogue version is received
+ */
+let menuSearchIndex = null;
+
+/**
+ * Results of the current search by item ID ({ score, words }), null when not searching
+ * Set by filterItems(), read by renderMenuItem() to highlight the matched words
+ */
+let searchMatches = null;
+
+/**
+ * Get the search index of the menu, building it once
+ *
+ * @returns {{search: Function}} Index (see MenuSearch.createIndex)
+ */
+function getMenuSearchIndex() {
+    if (!menuSearchIndex) {
+        menuSearchIndex = window.MenuSearch.createIndex(window.menuItems, {
+            tagLabels: TAG_LABEL_BY_CODE,
+        });
+    }
+    return menuSearchIndex;
+}
+
+/**
+ * Escape a text of a dish, highlighting the words matched by the current search
+ *
+ * @param {string} text - Name or description of the dish
+ * @param {Object} item - Menu item
+ * @returns {string} HTML
+ */
+function highlightSearch(text, item) {
+    const words = searchMatches?.get(String(item.id))?.words || null;
+    return window.MenuSearch.highlight(text, words);
+}
+
 // Compute filtered list using current criteria
+// While searching, items are sorted by relevance (best match first in each section)
 function filterItems() {
     if (!window.menuItems) return [];
 
-    return window.menuItems.filter(item => {
+    searchMatches = searchTerm.trim() ? getMenuSearchIndex().search(searchTerm) : null;
+
+    const items = window.menuItems.filter(item => {
         // Category filter
         if (currentCategory !== 'all' && item.category !== currentCategory) {
             return false;
         }
 
-        // Search filter
-        if (
-            searchTerm &&
-            !item.name.toLowerCase().includes(searchTerm) &&
-            !item.description.toLowerCase().includes(searchTerm)
-        ) {
+        // Search filter (accents ignored, typos tolerated, ingredients and tags included)
+        if (searchMatches && !searchMatches.has(String(item.id))) {
             return false;
         }
 
@@ -643,6 +1409,17 @@ function filterItems() {
             if (!priceRanges[priceFilter]) return false;
         }
 
+        // Calorie cap: dishes without nutrition facts are left out (cannot be guaranteed under it)
+        if (maxCalories) {
+            const calories = getCaloriesOf(item);
+            if (calories === null || calories > maxCalories) return false;
+        }
+
+        // Allergen exclusion ('dim' mode keeps the dish, greyed out by renderMenuItem)
+        if (allergenMode === 'hide' && getExcludedAllergensOf(item).length > 0) {
+            return false;
+        }
+
         // Dietary filters
         const activeDietaryFilters = Object.entries(dietaryFilters)
             .filter(([, active]) => active)
@@ -654,23 +1431,65 @@ function filterItems() {
 
         return true;
     });
+
+    if (searchMatches) {
+        items.sort(
+            (a, b) => searchMatches.get(String(b.id)).score - searchMatches.get(String(a.id)).score
+        );
+    }
+
+    return items;
 }
 
 // Group visible items by category to render sections
+//
+// Sections follow the order of the catalogue categories; a dish whose category
+// is missing from the list still gets a section (named after its slug) at the end.
+// Categories without visible dish are skipped.
+//
+// @param {Array<Object>} items - Filtered (and sorted) menu items
+// @returns {Array<{category: {slug: string, name: string, icon: ?string}, items: Array<Object>}>}
 function groupItemsByCategory(items) {
-    const grouped = {
-        entrees: [],
-        plats: [],
-        desserts: [],
-    };
+    const sections = new Map();
+    window.menuCatalog.getCategories().forEach(category => {
+        sections.set(category.slug, { category, items: [] });
+    });
 
     items.forEach(item => {
-        if (grouped[item.category]) {
-            grouped[item.category].push(item);
+        if (!sections.has(item.category)) {
+            sections.set(item.category, {
+                category: { slug: item.category, name: item.category, icon: null },
+                items: [],
+            });
         }
+        sections.get(item.category).items.push(item);
     });
 
-    return grouped;
+    return Array.from(sections.values()).filter(section => section.items.length > 0);
+}
+
+/**
+ * Calories of one serving of a dish
+ *
+ * @param {Object} item - Menu item (nutrition.caloriesKcal)
+ * @returns {number|null} Kcal, null when not filled in
+ */
+function getCaloriesOf(item) {
+    const calories = item.nutrition ? item.nutrition.caloriesKcal : null;
+    return calories === null || calories === undefined ? null : Number(calories);
+}
+
+/**
+ * Render the calories badge of a menu card
+ *
+ * @param {Object} item - Menu item
+ * @returns {string} HTML, empty when calories are not filled in
+ */
+function renderCaloriesBadge(item) {
+    const calories = getCaloriesOf(item);
+    if (calories === null) return '';
+
+    return `<span class="menu-card-calories" title="${window.t('menu.card.per_serving')}">${window.LocaleFormat.number(calories)} kcal</span>`;
 }
 
 // Render a single category section with a grid of menu cards
@@ -690,20 +1509,14 @@ const TAG_ICON_BY_CODE = {
 };
 
 function renderCategorySection(category, items, cartItems = []) {
-    const categoryNames = {
-        entrees: 'Entrées',
-        plats: 'Plats Principaux',
-        desserts: 'Desserts',
-    };
-
     let html = `
-        <div class="menu-section fade-in">
-            <h2 class="menu-section-title">${categoryNames[category]}</h2>
+        <div class="menu-section fade-in" data-category="${escapeHtml(category.slug)}">
+            <h2 class="menu-section-title">${escapeHtml(category.name)}</h2>
             <div class="row g-4">
     `;
 
     // Build a fast lookup for quantities once per section
-    const qtyById = new Map(cartItems.map(ci => [normalizeId(ci.id), ci.quantity]));
+    const qtyById = window.cartStore.quantitiesByDish(cartItems);
 
     items.forEach(item => {
         html += renderMenuItem(item, qtyById);
@@ -717,10 +1530,40 @@ function renderCategorySection(category, items, cartItems = []) {
     return html;
 }
 
+/**
+ * Check whether a dish is sold out ("Épuisé")
+ *
+ * Sold out dishes stay on the menu but cannot be added to the cart; lines
+ * already in the cart can still be decreased (CartService rejects them at checkout).
+ *
+ * @param {Object|null} item - Menu item from window.menuItems
+ * @returns {boolean}
+ */
+function isSoldOut(item) {
+    return !!item && item.available === false;
+}
+
+/**
+ * Render the disabled button shown instead of "+" on a sold out dish
+ *
+ * @param {Object} item - Menu item (soldOutUntil: "HH:MM" when back later today)
+ * @returns {string} HTML
+ */
+function renderSoldOutButton(item) {
+    const label = item.soldOutUntil
+        ? window.t('menu.card.sold_out_until', { time: item.soldOutUntil })
+        : window.t('menu.card.sold_out');
+    return `<button class="btn btn-sm btn-secondary sold-out-btn" type="button" disabled>${label}</button>`;
+}
+
 // Render a single menu item card including quantity controls and add button
-function renderMenuItem(item, qtyById /* Map<string,id> -> quantity */) {
-    const idKey = normalizeId(item.id);
+// (context: suffix of the element IDs when the dish is shown twice, e.g. 'special')
+function renderMenuItem(item, qtyById /* Map<string,id> -> quantity */, context = '') {
+    const titleId = `menu-item-${item.id}${context ? `-${context}` : ''}-title`;
+    const idKey = window.cartStore.normalizeId(item.id);
     const quantity = qtyById?.get(idKey) || 0;
+    const soldOut = isSoldOut(item);
+    const allergenCodes = getExcludedAllergensOf(item);
 
     const badges = (item.badges || [])
         .map(badge => {
@@ -731,17 +1574,14 @@ function renderMenuItem(item, qtyById /* Map<string,id> -> quantity */) {
 
     const dietaryIcons = (item.tags || []).map(tag => TAG_ICON_BY_CODE[tag] || '').join('');
 
-    const priceDisplay =
-        (Number(item.price) || 0).toLocaleString('fr-FR', {
-            minimumFractionDigits: 0,
-            maximumFractionDigits: 0,
-        }) + '€';
+    const priceDisplay = window.LocaleFormat.price(item.price, { trimZeros: true });
 
     const imageOriginal = item.image_original || item.image || '/static/img/menu-placeholder.jpg';
     const imageOriginalEscaped = imageOriginal.replace(/'/g, "\\'");
     const imageJpeg = item.image_optimized || item.image_full || imageOriginal;
     const imageWebp = item.image_webp || item.image_full_webp || '';
 
+    const t = window.t;
     const pictureMarkup = `
         <picture>
             ${imageWebp ? `<source srcset="${imageWebp}" type="image/webp">` : ''}
@@ -751,41 +1591,52 @@ function renderMenuItem(item, qtyById /* Map<string,id> -> quantity */) {
 
     return `
         <div class="col-lg-4 col-md-6">
-            <article class="menu-card shadow-sm hover-shadow h-100" data-item-id="${item.id}" role="article" aria-labelledby="menu-item-${item.id}-title">
+            <article class="menu-card shadow-sm hover-shadow h-100${soldOut ? ' menu-card--sold-out' : ''}${allergenCodes.length ? ' menu-card--allergen' : ''}" data-item-id="${item.id}" data-quantity="${quantity}" data-highlight="${escapeHtml(getHighlightKey(item))}" data-allergens="${allergenCodes.join(',')}" role="article" aria-labelledby="${titleId}">
                 <div class="menu-card-image">
                     ${pictureMarkup.replace(
                         '<img',
                         `<img onerror="this.onerror=null;this.src='${imageOriginal}';"`
                     )}
                     <div class="menu-card-overlay">
-                        <a href="/dish/${item.id}" class="quick-view-btn" aria-label="Voir les détails de ${item.name}">
-                            <i class="bi bi-eye me-2" aria-hidden="true"></i>Voir détails
+                        <a href="/dish/${item.id}" class="quick-view-btn" aria-label="${t('menu.card.details_label', { name: item.name })}">
+                            <i class="bi bi-eye me-2" aria-hidden="true"></i>${t('menu.card.details')}
                         </a>
                     </div>
                     ${badges ? `<div class="menu-card-badges" aria-hidden="true">${badges}</div>` : ''}
-                    ${dietaryIcons ? `<div class="dietary-icons" aria-label="Options diététiques disponibles" aria-hidden="true">${dietaryIcons}</div>` : ''}
+                    ${dietaryIcons ? `<div class="dietary-icons" aria-label="${t('menu.card.dietary')}" aria-hidden="true">${dietaryIcons}</div>` : ''}
                 </div>
                 <div class="menu-card-content">
-                    <h3 class="menu-card-title" id="menu-item-${item.id}-title">${item.name}</h3>
-                    <p class="menu-card-description">${item.description}</p>
+                    <h3 class="menu-card-title" id="${titleId}">${highlightSearch(item.name, item)}</h3>
+                    <p class="menu-card-description">${highlightSearch(item.description, item)}</p>
+                    ${renderScheduleNote(item)}
+                    ${allergenCodes.length ? renderAllergenWarning(allergenCodes) : ''}
                     <div class="menu-card-footer d-flex align-items-center justify-content-between">
-                        <div class="menu-card-price" aria-label="Prix: ${priceDisplay}">${priceDisplay}</div>
-                        <div class="menu-card-actions d-flex align-items-center gap-2" role="group" aria-label="Actions pour ${item.name}">
+                        <div class="d-flex align-items-baseline gap-2">
+                            <div class="menu-card-price" aria-label="${t('menu.card.price', { price: priceDisplay })}">${priceDisplay}</div>
+                            ${renderCaloriesBadge(item)}
+                        </div>
+                        <div class="menu-card-actions d-flex align-items-center gap-2" role="group" aria-label="${t('menu.card.actions', { name: item.name })}">
                             ${
                                 quantity > 0
                                     ? `
-                                <div class="quantity-controls" role="group" aria-label="Contrôles de quantité">
-                                    <button class="add-to-cart-btn btn btn-sm d-flex align-items-center justify-content-center p-0 js-remove" data-action="remove" data-id="${item.id}" aria-label="Diminuer la quantité de ${item.name}">
+                                <div class="quantity-controls" role="group" aria-label="${t('menu.card.quantity_controls')}">
+                                    <button class="add-to-cart-btn btn btn-sm d-flex align-items-center justify-content-center p-0 js-remove" data-action="remove" data-id="${item.id}" aria-label="${t('cart.decrease_label', { name: item.name })}">
                                         <i class="bi bi-dash" aria-hidden="true"></i>
                                     </button>
-                                    <span class="quantity-display" aria-label="Quantité actuelle: ${quantity}">${quantity}</span>
+                                    <span class="quantity-display" aria-label="${t('cart.current_quantity', { quantity })}">${quantity}</span>
                                 </div>
                             `
                                     : ''
                             }
-                            <button class="add-to-cart-btn btn btn-sm d-flex align-items-center justify-content-center p-0 js-add" data-action="add" data-id="${item.id}" aria-label="Ajouter ${item.name} au panier">
+                            ${
+                                soldOut
+                                    ? renderSoldOutButton(item)
+                                    : `
+                            <button class="add-to-cart-btn btn btn-sm d-flex align-items-center justify-content-center p-0 js-add" data-action="add" data-id="${item.id}" aria-label="${t('menu.card.add_label', { name: item.name })}">
                                 <i class="bi bi-plus" aria-hidden="true"></i>
                             </button>
+                            `
+                            }
                         </div>
                     </div>
                 </div>
@@ -794,51 +1645,110 @@ function renderMenuItem(item, qtyById /* Map<string,id> -> quantity */) {
     `;
 }
 
-// Render the separate static "drinks" section (data provided server side)
+/**
+ * Render the quantity controls of a drink row ("-", quantity, "+")
+ *
+ * Drinks go to the cart as their own item type (line key "d{id}"), so the
+ * buttons carry data-item-type="drink" for the grid click handler.
+ *
+ * @param {Object} drink - Drink { id, name, price }
+ * @param {number} quantity - Quantity currently in the cart
+ * @returns {string} HTML
+ */
+function renderDrinkControls(drink, quantity) {
+    const t = window.t;
+    const name = escapeHtml(drink.name);
+    const removeControls =
+        quantity > 0
+            ? `
+        <div class="quantity-controls" role="group" aria-label="${t('menu.card.quantity_controls')}">
+            <button class="add-to-cart-btn btn btn-sm d-flex align-items-center justify-content-center p-0 js-remove" data-action="remove" data-item-type="drink" data-id="${drink.id}" aria-label="${t('cart.decrease_label', { name })}">
+                <i class="bi bi-dash" aria-hidden="true"></i>
+            </button>
+            <span class="quantity-display" aria-label="${t('cart.current_quantity', { quantity })}">${quantity}</span>
+        </div>
+    `
+            : '';
+
+    return `
+        ${removeControls}
+        <button class="add-to-cart-btn btn btn-sm d-flex align-items-center justify-content-center p-0 js-add" data-action="add" data-item-type="drink" data-id="${drink.id}" aria-label="${t('menu.card.add_label', { name })}">
+            <i class="bi bi-plus" aria-hidden="true"></i>
+        </button>
+    `;
+}
+
+/**
+ * Find a drink by ID in window.drinksData (grouped by type)
+ *
+ * @param {string|number} drinkId - Drink ID
+ * @returns {Object|undefined} Drink { id, name, price } or undefined
+ */
+function findDrinkById(drinkId) {
+    return Object.values(window.drinksData || {})
+        .flat()
+        .find(drink => window.cartStore.compareIds(drink.id, drinkId));
+}
+
+// Render the separate "drinks" section (data provided server side), with cart controls
 function renderDrinksSection() {
     if (!window.drinksData) return '';
 
     const formatDrinkPrice = price => {
         const num = Number(price);
         if (isNaN(num)) return price;
-        return (
-            num.toLocaleString('fr-FR', { minimumFractionDigits: 0, maximumFractionDigits: 0 }) +
-            ' €'
-        );
+        return window.LocaleFormat.price(num, { trimZeros: true });
     };
 
+    const store = window.cartStore;
     const renderDrinkCategory = (drinks, title, icon) => {
         if (!drinks || drinks.length === 0) return '';
         return `
             <div class="drinks-category">
                 <h4><i class="bi ${icon} me-2"></i>${title}</h4>
                 ${drinks
-                    .map(
-                        drink => `
-                    <div class="drink-item">
-                        <span class="drink-name">${drink.name}</span>
+                    .map(drink => {
+                        const quantity = store.selectors.drinkQuantity(drink.id)(store.getState());
+                        return `
+                    <div class="drink-item" data-drink-id="${drink.id}">
+                        <span class="drink-name">${escapeHtml(drink.name)}</span>
                         <span class="drink-price">${formatDrinkPrice(drink.price)}</span>
+                        <div class="drink-actions d-flex align-items-center gap-2" data-quantity="${quantity}" role="group" aria-label="${window.t('menu.card.actions', { name: escapeHtml(drink.name) })}">
+                            ${renderDrinkControls(drink, quantity)}
+                        </div>
                     </div>
-                `
-                    )
+                `;
+                    })
                     .join('')}
             </div>
         `;
     };
 
     const drinkCategories = [
-        { data: window.drinksData.vins, title: 'Vins', icon: 'bi-cup' },
-        { data: window.drinksData.chaudes, title: 'Boissons chaudes', icon: 'bi-cup-hot' },
-        { data: window.drinksData.bieres, title: 'Bières', icon: 'bi-cup-straw' },
-        { data: window.drinksData.fraiches, title: 'Boissons fraîches', icon: 'bi-droplet' },
+        { data: window.drinksData.vins, title: window.t('menu.drinks.wines'), icon: 'bi-cup' },
+        {
+            data: window.drinksData.chaudes,
+            title: window.t('menu.drinks.hot'),
+            icon: 'bi-cup-hot',
+        },
+        {
+            data: window.drinksData.bieres,
+            title: window.t('menu.drinks.beers'),
+            icon: 'bi-cup-straw',
+        },
+        {
+            data: window.drinksData.fraiches,
+            title: window.t('menu.drinks.cold'),
+            icon: 'bi-droplet',
+        },
     ];
 
     const leftColumn = drinkCategories.slice(0, 2);
     const rightColumn = drinkCategories.slice(2);
 
     return `
-        <div class="menu-section fade-in">
-            <h2 class="menu-section-title">Boissons</h2>
+        <div class="menu-section fade-in" data-category="boissons">
+            <h2 class="menu-section-title">${window.t('menu.drinks.title')}</h2>
             <div class="row g-4">
                 <div class="col-lg-6">
                     <div class="drinks-section">
@@ -898,7 +1808,9 @@ function addMenuItemEventListeners() {
             const itemId = parseInt(id, 10);
 
             try {
-                if (action === 'add') {
+                if (btn.getAttribute('data-item-type') === 'drink') {
+                    await updateDrinkInCart(itemId, action === 'add' ? 1 : -1);
+                } else if (action === 'add') {
                     await addToCart(itemId);
                 } else if (action === 'remove') {
                     await removeFromCart(itemId);
@@ -912,93 +1824,40 @@ function addMenuItemEventListeners() {
 }
 
 // ============================================================================
-// CART UPDATE LOGIC
+// CART ACTIONS
 // ============================================================================
 
-/**
- * Common cart update logic
- *
- * This function handles shared operations after cart modifications:
- * - Updates cart navigation and sidebar UI
- * - Keeps cart sidebar open for user convenience
- * - Dispatches cart update event
- *
- * This reduces code duplication between addToCart and removeFromCart.
- *
- * @param {Function} cartOperation - Async function that performs the cart operation
- */
-async function performCartUpdate(cartOperation) {
-    /**
-     * Execute the cart operation callback
-     * This is the specific action (add, remove, update)
-     */
-    await cartOperation();
-
-    /**
-     * Update cart UI components
-     * These functions refresh the cart display in navigation and sidebar
-     */
-    await updateCartDisplay();
-    if (window.updateCartNavigation) {
-        await window.updateCartNavigation();
-    }
-    await updateCartSidebarIfAvailable();
-
-    /**
-     * Keep cart sidebar open when modifying quantities
-     * This provides better UX - user can see changes immediately
-     * resetCartActiveState prevents accidental closing
-     */
-    window.cartIsActive = true;
-    if (window.resetCartActiveState) {
-        window.resetCartActiveState();
-    }
-
-    /**
-     * Dispatch custom event for cart updates
-     * This allows other parts of the app to react to cart changes
-     * Used by quantity display updates and other listeners
-     */
-    window.dispatchEvent(new CustomEvent('cartUpdated'));
-}
-
 /**
  * Menu-specific cart functions (override global cart helpers on this page)
  *
- * Adds item to cart and updates menu card display
+ * Adds item to cart; the card, sidebar and navbar re-render from the cart store.
+ * Dishes with options (cooking, side...) open the option picker first.
+ * Rapid clicks are coalesced into a single request by the store (cartAPI.batch()).
  */
 async function addToCart(itemId) {
     const item = findMenuItemById(itemId);
-    if (!item) return;
+    if (!item || isSoldOut(item)) return;
+
+    let optionIds = [];
+    if (window.DishOptions && window.DishOptions.hasOptions(item)) {
+        optionIds = await window.DishOptions.openPicker(item);
+        // Picker dismissed: nothing to add
+        if (optionIds === null) return;
+    }
 
     try {
+        await window.cartStore.add(itemId, 1, optionIds);
+
         /**
-         * Perform cart update using common logic
-         * This handles UI updates, state management, and event dispatching
+         * Show notification for adding item
          */
-        await performCartUpdate(async () => {
-            const cart = await window.cartAPI.addItem(itemId, 1);
-            // Safety check: ensure cart exists and has items array
-            // This prevents "Cannot read properties of undefined" errors
-            if (!cart || !cart.items || !Array.isArray(cart.items)) {
-                throw new Error('Invalid cart response structure');
-            }
-            const updated = cart.items.find(i => compareIds(i.id, itemId));
-            if (updated) {
-                updateMenuCard(updated.id, updated.quantity);
-            }
-
-            /**
-             * Show notification for adding item
-             */
-            if (window.showCartNotification) {
-                window.showCartNotification(`${item.name} ajouté au panier`, 'success');
-            }
-        });
+        if (window.showCartNotification) {
+            window.showCartNotification(window.t('cart.added', { name: item.name }), 'success');
+        }
     } catch (error) {
         console.error('Error adding to cart:', error);
         if (window.showCartNotification) {
-            window.showCartNotification("Erreur lors de l'ajout au panier", 'error');
+            window.showCartNotification(window.t('cart.error.add'), 'error');
         }
     }
 }
@@ -1006,68 +1865,65 @@ async function addToCart(itemId) {
 /**
  * Remove item from cart or decrease quantity
  *
- * Removes item from cart and updates menu card display
+ * When the dish sits on several lines (different options), the most
+ * recently added line is decreased. The quantity is read from the store's
+ * optimistic cart, so clicks made before the previous batch is sent still
+ * decrease from the right value.
  */
 async function removeFromCart(itemId) {
-    try {
-        const cart = await window.cartAPI.getCart();
-        const item = cart.items.find(i => compareIds(i.id, itemId));
+    const store = window.cartStore;
+    const item = store.selectors.lastLine(itemId)(store.getState());
 
-        if (!item) return;
+    if (!item) return;
 
-        const itemName = item.name;
+    try {
+        await store.decrement(window.cartAPI.getLineKey(item));
 
-        /**
-         * Perform cart update using common logic
-         * This handles UI updates, state management, and event dispatching
-         */
-        await performCartUpdate(async () => {
+        if (window.showCartNotification) {
             if (item.quantity > 1) {
-                /**
-                 * Decrease quantity by 1
-                 * Item remains in cart with reduced quantity
-                 */
-                const updatedCart = await window.cartAPI.updateQuantity(itemId, item.quantity - 1);
-                const updated = updatedCart.items.find(i => compareIds(i.id, itemId));
-                updateMenuCard(itemId, updated ? updated.quantity : item.quantity - 1);
-
-                if (window.showCartNotification) {
-                    window.showCartNotification('Quantité diminuée', 'success');
-                }
+                window.showCartNotification(
+                    window.t('cart.decreased', { name: item.name }),
+                    'success'
+                );
             } else {
-                /**
-                 * Remove item completely from cart
-                 * This happens when quantity is 1 (last item)
-                 */
-                await window.cartAPI.removeItem(itemId);
-                updateMenuCard(itemId, 0);
-
-                if (window.showCartNotification) {
-                    window.showCartNotification(`${itemName} supprimé du panier`, 'info');
-                }
+                window.showCartNotification(window.t('cart.removed', { name: item.name }), 'info');
             }
-        });
+        }
     } catch (error) {
         console.error('Error removing from cart:', error);
     }
 }
 
-// Update the small cart count in header and the cart sidebar (if present)
-async function updateCartDisplay() {
-    const cartNavCount = document.getElementById('cartNavCount');
-    if (cartNavCount) {
-        try {
-            const count = await window.cartAPI.getCount();
-            cartNavCount.textContent = count;
-            // Always show the counter
-            cartNavCount.classList.remove('hidden');
-        } catch (error) {
-            console.error('Error updating cart display:', error);
+/**
+ * Add or remove one unit of a drink
+ * Drinks have no options: the line key is always "d{id}".
+ *
+ * @param {number} drinkId - Drink ID
+ * @param {number} delta - +1 to add, -1 to remove
+ */
+async function updateDrinkInCart(drinkId, delta) {
+    const drink = findDrinkById(drinkId);
+    if (!drink) return;
+
+    const store = window.cartStore;
+    try {
+        if (delta > 0) {
+            await store.add(drinkId, 1, [], 'drink');
+            if (window.showCartNotification) {
+                window.showCartNotification(
+                    window.t('cart.added', { name: drink.name }),
+                    'success'
+                );
+            }
+        } else {
+            await store.decrement(window.cartAPI.buildLineKey(drinkId, [], 'drink'));
+        }
+    } catch (error) {
+        console.error('Error updating drink in cart:', error);
+        if (window.showCartNotification) {
+            window.showCartNotification(window.t('cart.error.update'), 'error');
         }
     }
-
-    // Also update cart sidebar if it exists
-    await updateCartSidebarIfAvailable();
 }
 
 // Expose functions globally and override those from main.js
@@ -1076,7 +1932,6 @@ const globalExports = {
     renderMenu,
     addToCart,
     removeFromCart,
-    updateCartDisplay,
 };
 
 // Apply all exports to window
@@ -1096,129 +1951,143 @@ document.addEventListener('DOMContentLoaded', function () {
     initMenu();
 });
 
-// ============================================================================
-// MENU STATE REFRESH
-// ============================================================================
-
 /**
- * Refresh menu quantities and cart display
+ * Patch the quantity controls of one card
  *
- * Single function used by all refresh triggers (pageshow, visibilitychange, focus).
- * Consolidates refresh logic to prevent duplication and ensure consistent behavior.
+ * Only the quantity badge changes while the dish stays in the cart; the
+ * "-" controls are added or removed when the quantity crosses zero. The add
+ * (or "Épuisé") button is never rebuilt, so a focused "+" keeps the focus
+ * during repeated clicks. Sold out changes come with a new catalogue version,
+ * which rebuilds the cards (ensureMenuView).
  *
- * @returns {Promise<void>}
- */
-async function refreshMenuState() {
-    try {
-        await refreshMenuQuantitiesFromCart();
-        await updateCartDisplay();
-        await updateCartSidebarIfAvailable();
-    } catch (err) {
-        console.error('Menu refresh failed:', err);
-    }
-}
-
-/**
- * Refresh when page is restored from bfcache (browser back/forward)
- * Ensures fresh cart state when returning from other pages
- */
-window.addEventListener('pageshow', refreshMenuState);
-
-/**
- * Refresh when tab regains visibility
- * Ensures cart is up-to-date when user returns to tab
- */
-document.addEventListener('visibilitychange', function () {
-    if (document.visibilityState === 'visible' && typeof renderMenu === 'function') {
-        refreshMenuState();
-    }
-});
-
-/**
- * Refresh when window gains focus
- * Ensures cart is up-to-date when user returns to window
+ * @param {Element} card - .menu-card element
+ * @param {string|number} itemId - Menu item ID
+ * @param {number} quantity - Quantity in the cart
  */
-window.addEventListener('focus', refreshMenuState);
+function updateMenuCardActions(card, itemId, quantity) {
+    /**
+     * Skip cards already showing this quantity (data-quantity)
+     */
+    if (card.dataset.quantity === String(quantity)) return;
+    card.dataset.quantity = String(quantity);
 
-/**
- * Update only one menu card's controls based on quantity
- *
- * This function updates the quantity controls for a single menu card.
- * Uses DOM methods instead of innerHTML to prevent XSS attacks and
- * maintain event delegation compatibility.
- *
- * @param {string|number} itemId - The item ID to update
- * @param {number} quantity - The new quantity to display
- */
-function updateMenuCard(itemId, quantity) {
-    const card = document.querySelector(`.menu-card[data-item-id="${itemId}"]`);
-    if (!card) return;
     const actions = card.querySelector('.menu-card-actions');
     if (!actions) return;
 
-    /**
-     * Clear existing content
-     * Prevents accumulation of old elements
-     */
-    actions.innerHTML = '';
+    const controls = actions.querySelector('.quantity-controls');
 
     /**
-     * Build quantity controls if quantity > 0
-     * Shows decrease button and quantity display
+     * Still in the cart: only the quantity display changes
      */
-    if (quantity > 0) {
-        const controlsDiv = document.createElement('div');
-        controlsDiv.className = 'quantity-controls';
-
-        /**
-         * Create decrease button
-         * Uses data attributes for event delegation (no inline onclick)
-         */
-        const removeBtn = document.createElement('button');
-        removeBtn.className =
-            'add-to-cart-btn btn btn-sm d-flex align-items-center justify-content-center p-0 js-remove';
-        removeBtn.setAttribute('data-action', 'remove');
-        removeBtn.setAttribute('data-id', String(itemId));
-        removeBtn.innerHTML = '<i class="bi bi-dash"></i>';
-        controlsDiv.appendChild(removeBtn);
-
-        /**
-         * Create quantity display span
-         */
-        const quantitySpan = document.createElement('span');
-        quantitySpan.className = 'quantity-display';
+    if (quantity > 0 && controls) {
+        const quantitySpan = controls.querySelector('.quantity-display');
         quantitySpan.textContent = quantity;
-        controlsDiv.appendChild(quantitySpan);
+        quantitySpan.setAttribute('aria-label', window.t('cart.current_quantity', { quantity }));
+        return;
+    }
 
-        actions.appendChild(controlsDiv);
+    /**
+     * Removed from the cart: drop the controls, moving the focus from "-" to "+"
+     */
+    if (quantity <= 0) {
+        if (!controls) return;
+        const hadFocus = controls.contains(document.activeElement);
+        controls.remove();
+        if (hadFocus) actions.querySelector('button:not([disabled])')?.focus();
+        return;
     }
 
     /**
-     * Create add button
+     * Added to the cart: build quantity controls before the add button
+     * Shows decrease button and quantity display
+     */
+    const name = findMenuItemById(itemId)?.name || '';
+    const controlsDiv = document.createElement('div');
+    controlsDiv.className = 'quantity-controls';
+    controlsDiv.setAttribute('role', 'group');
+    controlsDiv.setAttribute('aria-label', window.t('menu.card.quantity_controls'));
+
+    /**
+     * Create decrease button
      * Uses data attributes for event delegation (no inline onclick)
      */
-    const addBtn = document.createElement('button');
-    addBtn.className =
-        'add-to-cart-btn btn btn-sm d-flex align-items-center justify-content-center p-0 js-add';
-    addBtn.setAttribute('data-action', 'add');
-    addBtn.setAttribute('data-id', String(itemId));
-    addBtn.innerHTML = '<i class="bi bi-plus"></i>';
-    actions.appendChild(addBtn);
+    const removeBtn = document.createElement('button');
+    removeBtn.className =
+        'add-to-cart-btn btn btn-sm d-flex align-items-center justify-content-center p-0 js-remove';
+    removeBtn.setAttribute('data-action', 'remove');
+    removeBtn.setAttribute('data-id', String(itemId));
+    removeBtn.setAttribute('aria-label', window.t('cart.decrease_label', { name }));
+    removeBtn.innerHTML = '<i class="bi bi-dash" aria-hidden="true"></i>';
+    controlsDiv.appendChild(removeBtn);
+
+    /**
+     * Create quantity display span
+     */
+    const quantitySpan = document.createElement('span');
+    quantitySpan.className = 'quantity-display';
+    quantitySpan.setAttribute('aria-label', window.t('cart.current_quantity', { quantity }));
+    quantitySpan.textContent = quantity;
+    controlsDiv.appendChild(quantitySpan);
+
+    actions.prepend(controlsDiv);
 }
 
-// Refresh quantities for all visible cards without rebuilding the grid
-async function refreshMenuQuantitiesFromCart() {
-    const cards = document.querySelectorAll('.menu-card[data-item-id]');
-    if (cards.length === 0) return;
-    try {
-        const cart = await window.cartAPI.getCart();
-        const idToQty = new Map(cart.items.map(i => [normalizeId(i.id), i.quantity]));
-        cards.forEach(card => {
-            const id = card.getAttribute('data-item-id');
-            const q = idToQty.get(normalizeId(id)) || 0;
-            updateMenuCard(id, q);
-        });
-    } catch (e) {
-        console.error('Failed to refresh quantities:', e);
-    }
+/**
+ * Refresh quantities of all cards without rebuilding the grid
+ * Subscribed to the cart store's lines. Hidden cards are kept in sync too,
+ * so they are up to date when a filter shows them again.
+ *
+ * @param {Array<Object>} items - Cart lines
+ */
+function refreshMenuQuantities(items) {
+    const idToQty = window.cartStore.quantitiesByDish(items);
+    document.querySelectorAll('.menu-card[data-item-id]').forEach(card => {
+        const id = card.getAttribute('data-item-id');
+        updateMenuCardActions(card, id, idToQty.get(window.cartStore.normalizeId(id)) || 0);
+    });
+
+    refreshDrinkQuantities(items);
+}
+
+/**
+ * Refresh the controls of the drink rows whose quantity changed
+ *
+ * As on the cards, only the quantity display is patched while the drink
+ * stays in the cart.
+ *
+ * @param {Array<Object>} items - Cart lines
+ */
+function refreshDrinkQuantities(items) {
+    const rows = document.querySelectorAll('.drink-item[data-drink-id]');
+    if (rows.length === 0) return;
+
+    const drinkQty = new Map();
+    items.filter(window.cartStore.isDrink).forEach(line => {
+        drinkQty.set(window.cartStore.normalizeId(line.id), line.quantity);
+    });
+
+    rows.forEach(row => {
+        const drink = findDrinkById(row.getAttribute('data-drink-id'));
+        const actions = row.querySelector('.drink-actions');
+        if (!drink || !actions) return;
+
+        const quantity = drinkQty.get(window.cartStore.normalizeId(drink.id)) || 0;
+        const previous = Number(actions.dataset.quantity) || 0;
+        if (previous === quantity) return;
+        actions.dataset.quantity = String(quantity);
+
+        const quantitySpan = actions.querySelector('.quantity-display');
+        if (previous > 0 && quantity > 0 && quantitySpan) {
+            quantitySpan.textContent = quantity;
+            quantitySpan.setAttribute(
+                'aria-label',
+                window.t('cart.current_quantity', { quantity })
+            );
+            return;
+        }
+
+        const hadFocus = actions.contains(document.activeElement);
+        actions.innerHTML = renderDrinkControls(drink, quantity);
+        if (hadFocus) actions.querySelector('.js-add')?.focus();
+    });
 }
@@ -18,6 +18,7 @@
 // - order-delivery.js: Delivery options, payment options, time management
 // - order-address.js: Address and postal code validation
 // - order-field-validation.js: Real-time field validation (name, email, phone)
+// - order-reorder.js: Checkout prefill after "Commander à nouveau"
 //
 // Design principle: This file intentionally avoids external dependencies.
 // All helpers are defined in modules and exposed on window when needed
@@ -84,6 +85,7 @@ document.addEventListener('DOMContentLoaded', function () {
  * This function:
  * - Loads cart items from API
  * - Updates order summary display
+ * - Prefills the form after "Commander à nouveau"
  * - Initializes delivery option handlers
  * - Initializes payment option handlers
  * - Sets up time validation
@@ -92,7 +94,7 @@ document.addEventListener('DOMContentLoaded', function () {
  * - Sets up postal code validation
  * - Sets up address validation
  * - Initializes promo code functionality
- * - Subscribes to cart update events
+ * - Subscribes to the cart store
  *
  * @returns {Promise<void>}
  */
@@ -140,6 +142,14 @@ async function initOrderPage() {
         window.OrderCart.updateOrderSummary(orderData);
     }
 
+    /**
+     * Prefill delivery/contact fields when coming from "Commander à nouveau"
+     * Must run before the delivery/payment handlers read the selected modes
+     */
+    if (window.OrderReorder && window.OrderReorder.applyPrefill) {
+        window.OrderReorder.applyPrefill();
+    }
+
     /**
      * Initialize all form handlers and validators
      * These set up real-time validation and UI updates
@@ -179,11 +189,11 @@ async function initOrderPage() {
     }
 
     /**
-     * Keep cart block in sync with changes from other widgets
-     * When cart is updated from sidebar or menu, refresh order page display
-     * This ensures checkout always shows current cart state
+     * Keep cart block in sync with the cart store
+     * When cart is updated from checkout, sidebar or another tab, refresh
+     * order page display - this ensures checkout always shows current cart state
      */
-    window.addEventListener('cartUpdated', async function () {
+    window.cartStore.subscribe(window.cartStore.selectors.cart, async function () {
         if (window.OrderCart) {
             if (window.OrderCart.loadCartItems) {
                 await window.OrderCart.loadCartItems(orderData);
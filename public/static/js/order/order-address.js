@@ -46,7 +46,7 @@ function initZipCodeValidation() {
         if (window.OrderValidation && window.OrderValidation.validateFrenchZipCode) {
             if (!window.OrderValidation.validateFrenchZipCode(zipCode)) {
                 this.classList.add('is-invalid');
-                showZipCodeError('Format de code postal invalide');
+                showZipCodeError(window.t('order.address.zip_format'));
                 return;
             }
         }
@@ -58,16 +58,14 @@ function initZipCodeValidation() {
 
                 if (result.valid) {
                     this.classList.remove('is-invalid');
-                    showZipCodeSuccess('Livraison disponible');
+                    showZipCodeSuccess(window.t('order.address.available'));
                 } else {
                     this.classList.add('is-invalid');
-                    showZipCodeError(
-                        result.error || 'Livraison non disponible pour ce code postal'
-                    );
+                    showZipCodeError(result.error || window.t('order.address.zip_unavailable'));
                 }
             } catch (error) {
                 this.classList.add('is-invalid');
-                showZipCodeError('Erreur lors de la vérification du code postal');
+                showZipCodeError(window.t('order.address.zip_check_error'));
                 console.error('Error validating zip code:', error);
             }
         }, DEBOUNCE_DELAYS.ZIP_CODE); // Delay after input ends
@@ -247,7 +245,7 @@ function initAddressValidation() {
         if (window.OrderValidation && window.OrderValidation.validateAddress) {
             if (!window.OrderValidation.validateAddress(address, zipCode)) {
                 this.classList.add('is-invalid');
-                showAddressError('Adresse trop courte');
+                showAddressError(window.t('order.address.too_short'));
                 return;
             }
         }
@@ -259,14 +257,16 @@ function initAddressValidation() {
 
                 if (result.valid) {
                     this.classList.remove('is-invalid');
-                    showAddressSuccess(`Livraison disponible (${result.distance}km)`);
+                    showAddressSuccess(
+                        window.t('order.address.available_distance', { distance: result.distance })
+                    );
                 } else {
                     this.classList.add('is-invalid');
-                    showAddressError(result.error || 'Livraison non disponible pour cette adresse');
+                    showAddressError(result.error || window.t('order.address.unavailable'));
                 }
             } catch (error) {
                 this.classList.add('is-invalid');
-                showAddressError("Erreur lors de la vérification de l'adresse");
+                showAddressError(window.t('order.address.check_error'));
                 console.error('Error validating address:', error);
             }
         }, DEBOUNCE_DELAYS.ADDRESS); // Delay for address validation (longer than for postal code)
@@ -143,7 +143,7 @@ window.orderAPI = {
             } catch (e) {
                 // If JSON parsing fails despite correct content-type, log for debugging
                 console.error('Failed to parse JSON response:', e);
-                throw new Error('Erreur lors de la création de la commande. Veuillez réessayer.');
+                throw new Error(window.t('order.create_error'));
             }
         } else {
             // Server returned non-JSON response (likely HTML error page)
@@ -157,7 +157,7 @@ window.orderAPI = {
                 contentType: contentType,
                 preview: text.substring(0, 200), // First 200 chars for debugging
             });
-            throw new Error(`Erreur serveur (${res.status}). Veuillez réessayer plus tard.`);
+            throw new Error(window.t('order.server_error', { status: res.status }));
         }
 
         /**
@@ -169,7 +169,10 @@ window.orderAPI = {
         } else {
             // Fallback if utils not loaded
             if (!res.ok || !data.success) {
-                const msg = data?.message || data?.error || `Erreur ${res.status}`;
+                const msg =
+                    data?.message ||
+                    data?.error ||
+                    window.t('common.http_error', { status: res.status });
                 throw new Error(msg);
             }
         }
@@ -206,7 +209,10 @@ window.orderAPI = {
         } else {
             // Fallback if utils not loaded
             if (!res.ok || !data.success) {
-                const msg = data?.message || data?.error || `Erreur ${res.status}`;
+                const msg =
+                    data?.message ||
+                    data?.error ||
+                    window.t('common.http_error', { status: res.status });
                 throw new Error(msg);
             }
         }
@@ -254,7 +260,10 @@ window.couponAPI = {
         } else {
             // Fallback if utils not loaded
             if (!res.ok || !data.success) {
-                const msg = data?.message || data?.error || `Erreur ${res.status}`;
+                const msg =
+                    data?.message ||
+                    data?.error ||
+                    window.t('common.http_error', { status: res.status });
                 throw new Error(msg);
             }
         }
@@ -288,7 +297,10 @@ window.couponAPI = {
         } else {
             // Fallback if utils not loaded
             if (!res.ok || !data.success) {
-                const msg = data?.message || data?.error || `Erreur ${res.status}`;
+                const msg =
+                    data?.message ||
+                    data?.error ||
+                    window.t('common.http_error', { status: res.status });
                 throw new Error(msg);
             }
         }
@@ -321,7 +333,11 @@ window.zipCodeAPI = {
         const data = await res.json();
         // Consider business-level success flag
         if (!res.ok || data?.success !== true) {
-            throw new Error(data?.message || data?.error || `Erreur ${res.status}`);
+            throw new Error(
+                data?.message ||
+                    data?.error ||
+                    window.t('common.http_error', { status: res.status })
+            );
         }
         // Return normalized payload shape expected by callers
         return data.data || {};
@@ -344,7 +360,11 @@ window.zipCodeAPI = {
         });
         const data = await res.json();
         if (!res.ok || data?.success !== true) {
-            throw new Error(data?.message || data?.error || `Erreur ${res.status}`);
+            throw new Error(
+                data?.message ||
+                    data?.error ||
+                    window.t('common.http_error', { status: res.status })
+            );
         }
         return data.data || {};
     },
@@ -2,9 +2,10 @@
 // ORDER CART - Cart Management and Order Summary
 // ============================================================================
 // This module handles:
-// - Loading cart items from API
-// - Rendering cart items in checkout
+// - Rendering cart items in checkout from the cart store (cart-store.js)
 // - Cart quantity controls
+// - Notice listing price changes / unavailable items (must be seen before proceeding)
+// - Group orders: lines grouped by participant (labels the bags)
 // - Order summary calculations and display
 // - Cart UI refresh
 //
@@ -12,23 +13,6 @@
 
 'use strict';
 
-/**
- * Common cart update logic
- *
- * Refreshes cart display and updates all related UI components.
- * This function consolidates cart update logic to prevent duplication.
- *
- * @param {Object} orderData - Current order data state (passed by reference)
- * @returns {Promise<void>}
- */
-async function refreshCartUI(orderData) {
-    await loadCartItems(orderData);
-    updateOrderSummary(orderData);
-    if (window.updateCartSidebar) window.updateCartSidebar();
-    if (window.updateCartNavigation) window.updateCartNavigation();
-    window.dispatchEvent(new CustomEvent('cartUpdated'));
-}
-
 /**
  * Event handler for cart quantity controls
  *
@@ -42,7 +26,7 @@ let cartItemsClickHandler = null;
  * Load current cart and render the order summary items block
  *
  * This function:
- * - Fetches cart data from API
+ * - Reads cart data from the cart store (loaded once per page)
  * - Updates orderData.items with current cart items
  * - Renders cart items in checkout UI
  * - Handles empty cart state
@@ -62,12 +46,12 @@ async function loadCartItems(orderData) {
     if (!container) return;
 
     /**
-     * Fetch cart data from API
-     * Use empty cart as fallback if API call fails
+     * Read cart data from the cart store
+     * Use empty cart as fallback if loading fails
      */
     let cart = { items: [] };
     try {
-        cart = await window.cartAPI.getCart();
+        cart = await window.cartStore.load();
     } catch (error) {
         console.error('Error loading cart:', error);
         cart = { items: [] };
@@ -88,9 +72,9 @@ async function loadCartItems(orderData) {
         container.innerHTML = `
             <div class="text-center py-5">
                 <div class="mb-4"><i class="bi bi-basket display-1 text-muted"></i></div>
-                <h4 class="mt-3 text-muted">Votre panier est vide</h4>
-                <p class="text-muted mb-4">Ajoutez des plats depuis notre menu</p>
-                <a href="${window.appMenuPath || '#'}" class="btn btn-primary"><i class="bi bi-arrow-left me-2"></i>Voir le menu</a>
+                <h4 class="mt-3 text-muted">${window.t('cart.empty_title')}</h4>
+                <p class="text-muted mb-4">${window.t('cart.empty_text')}</p>
+                <a href="${window.appMenuPath || '#'}" class="btn btn-primary"><i class="bi bi-arrow-left me-2"></i>${window.t('cart.see_menu')}</a>
             </div>`;
         return;
     }
@@ -99,6 +83,7 @@ async function loadCartItems(orderData) {
      * Get sanitize function
      */
     const sanitizeInput = window.OrderUtils?.sanitizeInput || (v => v.trim());
+    const t = window.t;
 
     /**
      * Render cart items HTML
@@ -106,32 +91,74 @@ async function loadCartItems(orderData) {
      * Includes aria-attributes for accessibility
      */
     let html = '';
-    items.forEach(it => {
+    let participant = null;
+    const lines = window.groupCartLines ? window.groupCartLines(cart) : items;
+    lines.forEach(it => {
+        // Group orders: heading with the participant's name before their lines
+        if (
+            cart.group &&
+            window.renderCartParticipantHeading &&
+            it.participantIndex !== participant
+        ) {
+            participant = it.participantIndex;
+            html += window.renderCartParticipantHeading(cart, participant);
+        }
+
         const itemTotal = Number(it.price) * Number(it.quantity);
+        // Line key identifies the dish + chosen options ("12-3_7"), plain ID otherwise
+        const lineKey = window.cartAPI.getLineKey(it);
+        const optionsLabel = window.DishOptions.formatLabel(it.options);
+        // Other participants' lines are read-only (and every line once the group is locked)
+        const editable = window.cartAPI.canEditLine(it, cart);
+        const name = sanitizeInput(it.name);
+        const price = window.LocaleFormat.price(itemTotal);
         html += `
-            <div class="cart-item" role="listitem" aria-label="Article: ${sanitizeInput(it.name)}, quantité: ${it.quantity}, prix: ${itemTotal.toFixed(2)}€">
+            <div class="cart-item${it.unavailable ? ' cart-item--unavailable' : ''}" role="listitem" aria-label="${t('cart.line_label', { name, quantity: it.quantity, price })}">
                 <div class="cart-item-info">
-                    <h5>${sanitizeInput(it.name)}</h5>
-                    <p>Quantité: ${it.quantity} × ${Number(it.price).toFixed(2)}€</p>
+                    <h5>${name}</h5>
+                    ${optionsLabel ? `<p class="cart-item-options">${optionsLabel}</p>` : ''}
+                    ${it.unavailable ? `<p class="cart-item-unavailable">${t('cart.unavailable')}</p>` : ''}
+                    <p>${t('cart.quantity', { quantity: it.quantity })} × ${it.priceChanged ? `<del>${window.LocaleFormat.price(it.addedPrice)}</del> ` : ''}${window.LocaleFormat.price(it.price)}</p>
+                    ${
+                        editable
+                            ? `<input type="text" class="form-control form-control-sm cart-item-note" data-id="${lineKey}" value="${sanitizeInput(it.note || '')}" maxlength="140" placeholder="${t('cart.note_placeholder')}" aria-label="${t('cart.note_label', { name })}">`
+                            : it.note
+                              ? `<p class="cart-item-options">${t('cart.note', { note: sanitizeInput(it.note) })}</p>`
+                              : ''
+                    }
                 </div>
-                <div class="cart-item-controls">
-                    <div class="quantity-controls" role="group" aria-label="Contrôles de quantité pour ${sanitizeInput(it.name)}">
-                        <button type="button" class="btn btn-sm btn-outline-secondary quantity-btn" data-id="${it.id}" data-action="decrease" aria-label="Diminuer la quantité de ${sanitizeInput(it.name)}" title="Diminuer">
+                ${
+                    editable
+                        ? `<div class="cart-item-controls">
+                    <div class="quantity-controls" role="group" aria-label="${t('cart.quantity_controls', { name })}">
+                        <button type="button" class="btn btn-sm btn-outline-secondary quantity-btn" data-id="${lineKey}" data-action="decrease" aria-label="${t('cart.decrease_label', { name })}" title="${t('cart.decrease')}">
                             <i class="bi bi-dash" aria-hidden="true"></i>
                         </button>
-                        <span class="quantity-display" aria-label="Quantité actuelle: ${it.quantity}">${it.quantity}</span>
-                        <button type="button" class="btn btn-sm btn-outline-secondary quantity-btn" data-id="${it.id}" data-action="increase" aria-label="Augmenter la quantité de ${sanitizeInput(it.name)}" title="Augmenter">
+                        <span class="quantity-display" aria-label="${t('cart.current_quantity', { quantity: it.quantity })}">${it.quantity}</span>
+                        <button type="button" class="btn btn-sm btn-outline-secondary quantity-btn" data-id="${lineKey}" data-action="increase" aria-label="${t('cart.increase_label', { name })}" title="${t('cart.increase')}"${it.unavailable ? ' disabled' : ''}>
                             <i class="bi bi-plus" aria-hidden="true"></i>
                         </button>
                     </div>
-                    <div class="cart-item-price" aria-label="Prix total pour cet article: ${itemTotal.toFixed(2)}€">${itemTotal.toFixed(2)}€</div>
-                    <button type="button" class="btn btn-sm btn-outline-danger remove-from-cart" data-id="${it.id}" aria-label="Supprimer ${sanitizeInput(it.name)} du panier" title="Supprimer">
+                    <div class="cart-item-price" aria-label="${t('cart.line_total', { price })}">${price}</div>
+                    <button type="button" class="btn btn-sm btn-outline-danger remove-from-cart" data-id="${lineKey}" aria-label="${t('cart.remove_label', { name })}" title="${t('cart.remove')}">
                         <i class="bi bi-x" aria-hidden="true"></i>
                     </button>
-                </div>
+                </div>`
+                        : `<div class="cart-item-controls"><div class="cart-item-price" aria-label="${t('cart.line_total', { price })}">${price}</div></div>`
+                }
             </div>`;
     });
-    container.innerHTML = html;
+    // Price changes / unavailable items, listed above the lines
+    if (window.renderCartChangesNotice) {
+        html = window.renderCartChangesNotice(items) + html;
+    }
+
+    // Keeps the kitchen note being typed when the cart changes elsewhere
+    if (window.renderCartMarkup) {
+        window.renderCartMarkup(container, html);
+    } else {
+        container.innerHTML = html;
+    }
 
     /**
      * Set up event delegation for all cart controls (only once)
@@ -140,6 +167,16 @@ async function loadCartItems(orderData) {
      */
     if (!cartItemsClickHandler) {
         cartItemsClickHandler = async function (e) {
+            /**
+             * "J'ai compris" button of the price change notice
+             * The checkout re-renders from the cart store once accepted
+             */
+            if (e.target.closest('[data-action="acknowledge-changes"]')) {
+                e.preventDefault();
+                await window.acknowledgeCartChanges();
+                return;
+            }
+
             /**
              * Find clicked button (quantity or remove)
              */
@@ -149,57 +186,32 @@ async function loadCartItems(orderData) {
             e.preventDefault();
             e.stopPropagation();
 
-            const id = parseInt(btn.getAttribute('data-id'));
+            const id = btn.getAttribute('data-id');
             if (!id) return;
 
             try {
                 /**
                  * Handle remove button
+                 * The checkout, sidebar and navbar re-render from the cart store
                  */
                 if (btn.classList.contains('remove-from-cart')) {
-                    await window.cartAPI.removeItem(id);
+                    await window.cartStore.remove(id);
                 } else if (btn.classList.contains('quantity-btn')) {
                     /**
                      * Handle quantity buttons
+                     * Decrease removes the line when its quantity is 1
                      */
                     const action = btn.getAttribute('data-action');
-                    const current = orderData.items.find(i => Number(i.id) === Number(id));
-
-                    if (!current) {
-                        console.warn('Item not found in cart:', id);
-                        await refreshCartUI(orderData);
-                        return;
-                    }
-
                     if (action === 'increase') {
-                        /**
-                         * Increase quantity by 1
-                         */
-                        await window.cartAPI.updateQuantity(id, current.quantity + 1);
+                        await window.cartStore.increment(id);
                     } else if (action === 'decrease') {
-                        /**
-                         * Decrease quantity or remove item
-                         * If quantity > 1: decrease by 1
-                         * If quantity = 1: remove item completely
-                         */
-                        if (current.quantity > 1) {
-                            await window.cartAPI.updateQuantity(id, current.quantity - 1);
-                        } else {
-                            await window.cartAPI.removeItem(id);
-                        }
+                        await window.cartStore.decrement(id);
                     }
                 }
-
-                /**
-                 * Refresh cart UI after successful change
-                 * This updates orderData.items with fresh data from server
-                 */
-                await refreshCartUI(orderData);
             } catch (error) {
                 /**
                  * Handle errors gracefully
-                 * Show error notification to user
-                 * Log error for debugging
+                 * The store already went back to the last confirmed cart
                  */
                 console.error('Error modifying cart quantity:', error);
 
@@ -207,7 +219,7 @@ async function loadCartItems(orderData) {
                  * Show error notification to user
                  * Use showNotification if available, otherwise fallback to alert
                  */
-                const errorMessage = 'Erreur lors de la modification de la quantité';
+                const errorMessage = window.t('cart.quantity_error');
                 if (typeof window.showNotification === 'function') {
                     window.showNotification(errorMessage, 'error');
                 } else if (typeof window.showCartNotification === 'function') {
@@ -215,20 +227,21 @@ async function loadCartItems(orderData) {
                 } else {
                     alert(errorMessage);
                 }
-
-                /**
-                 * Refresh cart UI even on error to ensure consistency
-                 * This ensures UI reflects actual server state
-                 */
-                try {
-                    await refreshCartUI(orderData);
-                } catch (refreshError) {
-                    console.error('Error refreshing cart UI:', refreshError);
-                }
             }
         };
 
         container.addEventListener('click', cartItemsClickHandler);
+
+        /**
+         * Kitchen note inputs: saved when the input loses focus or Enter is pressed
+         * (orderData.items is refreshed by the cart store subscription)
+         */
+        container.addEventListener('change', async function (e) {
+            const input = e.target.closest('.cart-item-note');
+            if (!input) return;
+
+            await window.saveCartItemNote(input.getAttribute('data-id'), input.value);
+        });
     }
 }
 
@@ -243,7 +256,8 @@ async function loadCartItems(orderData) {
  * - Dynamically shows/hides discount line
  *
  * Note: Menu prices already include taxes (TTC), so we calculate
- * backwards to get HT (without tax) amount.
+ * backwards to get HT (without tax) amount, line by line: each cart line
+ * carries its VAT rate (alcoholic drinks are taxed at 20 %).
  *
  * @param {Object} orderData - Current order data state (passed by reference)
  */
@@ -267,24 +281,25 @@ function updateOrderSummary(orderData) {
      * Sum of all item prices × quantities
      */
     let subtotalWithTax = 0;
+    let subtotalWithoutTax = 0;
     let html = '';
     orderData.items.forEach(it => {
         const itemTotal = Number(it.price) * Number(it.quantity);
         subtotalWithTax += itemTotal;
+        subtotalWithoutTax += itemTotal / (1 + (Number(it.taxRate) || TAX_RATE));
         /**
          * Render summary item HTML
          * Shows item name, quantity, and total price
          */
-        html += `<div class="summary-item"><div class="summary-item-info"><span class="summary-item-name">${it.name}</span><small class="text-muted">x${it.quantity}</small></div><span class="summary-item-price">${itemTotal.toFixed(2)}€</span></div>`;
+        const optionsLabel = window.DishOptions.formatLabel(it.options);
+        html += `<div class="summary-item"><div class="summary-item-info"><span class="summary-item-name">${it.name}</span>${it.participant ? `<small class="text-muted d-block">${window.t('order.summary.for', { name: it.participant })}</small>` : ''}${optionsLabel ? `<small class="text-muted d-block">${optionsLabel}</small>` : ''}<small class="text-muted">x${it.quantity}</small></div><span class="summary-item-price">${window.LocaleFormat.price(itemTotal)}</span></div>`;
     });
     container.innerHTML = html;
 
     /**
      * Calculate tax breakdown
-     * Menu prices already include taxes (TTC)
-     * Calculate amount without taxes (HT) and tax separately
+     * Menu prices already include taxes (TTC), HT was summed per line above
      */
-    const subtotalWithoutTax = subtotalWithTax / (1 + TAX_RATE);
     const taxAmount = subtotalWithTax - subtotalWithoutTax;
 
     /**
@@ -302,8 +317,8 @@ function updateOrderSummary(orderData) {
     const subEl = getElement('subtotal');
     const taxEl = getElement('taxAmount');
     const totalEl = getElement('totalAmount');
-    if (subEl) subEl.textContent = subtotalWithoutTax.toFixed(2) + '€';
-    if (taxEl) taxEl.textContent = taxAmount.toFixed(2) + '€';
+    if (subEl) subEl.textContent = window.LocaleFormat.price(subtotalWithoutTax);
+    if (taxEl) taxEl.textContent = window.LocaleFormat.price(taxAmount);
 
     /**
      * Update or add discount line dynamically
@@ -328,7 +343,7 @@ function updateOrderSummary(orderData) {
         /**
          * Update discount line with coupon code and amount
          */
-        discountLine.innerHTML = `<span>Réduction <small>(${orderData.coupon?.code || ''})</small></span><span>-${discount.toFixed(2)}€</span>`;
+        discountLine.innerHTML = `<span>${window.t('order.summary.discount')} <small>(${orderData.coupon?.code || ''})</small></span><span>${window.LocaleFormat.price(-discount)}</span>`;
     } else if (discountLine) {
         /**
          * Remove discount line if no discount applied
@@ -339,7 +354,7 @@ function updateOrderSummary(orderData) {
     /**
      * Update total amount display
      */
-    if (totalEl) totalEl.textContent = total.toFixed(2) + '€';
+    if (totalEl) totalEl.textContent = window.LocaleFormat.price(total);
 
     /**
      * Update orderData with calculated values
@@ -354,5 +369,4 @@ function updateOrderSummary(orderData) {
 window.OrderCart = {
     loadCartItems,
     updateOrderSummary,
-    refreshCartUI,
 };
@@ -22,44 +22,45 @@ const DEBOUNCE_DELAYS = {
 const MIN_TIME_DELAY_HOURS = 1; // Minimum 1 hour delay for delivery time
 
 /**
- * Time slots for delivery/pickup
+ * Time slots for delivery/pickup (start and end, "HH:MM")
  *
  * Cached array of available time slots.
  * Prevents recreation on every date change.
+ * Labels are formatted for the locale (LocaleFormat.timeRange, "12:00 – 12:30").
  */
 const TIME_SLOTS = [
-    { value: '07:00', text: '07h00 - 07h30' },
-    { value: '07:30', text: '07h30 - 08h00' },
-    { value: '08:00', text: '08h00 - 08h30' },
-    { value: '08:30', text: '08h30 - 09h00' },
-    { value: '09:00', text: '09h00 - 09h30' },
-    { value: '09:30', text: '09h30 - 10h00' },
-    { value: '10:00', text: '10h00 - 10h30' },
-    { value: '10:30', text: '10h30 - 11h00' },
-    { value: '11:00', text: '11h00 - 11h30' },
-    { value: '11:30', text: '11h30 - 12h00' },
-    { value: '12:00', text: '12h00 - 12h30' },
-    { value: '12:30', text: '12h30 - 13h00' },
-    { value: '13:00', text: '13h00 - 13h30' },
-    { value: '13:30', text: '13h30 - 14h00' },
-    { value: '14:00', text: '14h00 - 14h30' },
-    { value: '14:30', text: '14h30 - 15h00' },
-    { value: '15:00', text: '15h00 - 15h30' },
-    { value: '15:30', text: '15h30 - 16h00' },
-    { value: '16:00', text: '16h00 - 16h30' },
-    { value: '16:30', text: '16h30 - 17h00' },
-    { value: '17:00', text: '17h00 - 17h30' },
-    { value: '17:30', text: '17h30 - 18h00' },
-    { value: '18:00', text: '18h00 - 18h30' },
-    { value: '18:30', text: '18h30 - 19h00' },
-    { value: '19:00', text: '19h00 - 19h30' },
-    { value: '19:30', text: '19h30 - 20h00' },
-    { value: '20:00', text: '20h00 - 20h30' },
-    { value: '20:30', text: '20h30 - 21h00' },
-    { value: '21:00', text: '21h00 - 21h30' },
-    { value: '21:30', text: '21h30 - 22h00' },
-    { value: '22:00', text: '22h00 - 22h30' },
-    { value: '22:30', text: '22h30 - 23h00' },
+    { value: '07:00', end: '07:30' },
+    { value: '07:30', end: '08:00' },
+    { value: '08:00', end: '08:30' },
+    { value: '08:30', end: '09:00' },
+    { value: '09:00', end: '09:30' },
+    { value: '09:30', end: '10:00' },
+    { value: '10:00', end: '10:30' },
+    { value: '10:30', end: '11:00' },
+    { value: '11:00', end: '11:30' },
+    { value: '11:30', end: '12:00' },
+    { value: '12:00', end: '12:30' },
+    { value: '12:30', end: '13:00' },
+    { value: '13:00', end: '13:30' },
+    { value: '13:30', end: '14:00' },
+    { value: '14:00', end: '14:30' },
+    { value: '14:30', end: '15:00' },
+    { value: '15:00', end: '15:30' },
+    { value: '15:30', end: '16:00' },
+    { value: '16:00', end: '16:30' },
+    { value: '16:30', end: '17:00' },
+    { value: '17:00', end: '17:30' },
+    { value: '17:30', end: '18:00' },
+    { value: '18:00', end: '18:30' },
+    { value: '18:30', end: '19:00' },
+    { value: '19:00', end: '19:30' },
+    { value: '19:30', end: '20:00' },
+    { value: '20:00', end: '20:30' },
+    { value: '20:30', end: '21:00' },
+    { value: '21:00', end: '21:30' },
+    { value: '21:30', end: '22:00' },
+    { value: '22:00', end: '22:30' },
+    { value: '22:30', end: '23:00' },
 ];
 
 /**
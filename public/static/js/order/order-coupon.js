@@ -60,7 +60,7 @@ async function applyPromoCode(orderData) {
 
     if (!code) {
         if (window.OrderUtils) {
-            window.OrderUtils.showOrderNotification('Veuillez entrer un code promo', 'error');
+            window.OrderUtils.showOrderNotification(window.t('order.coupon.required'), 'error');
         }
         return;
     }
@@ -68,7 +68,7 @@ async function applyPromoCode(orderData) {
     // Disable button during validation
     const originalText = promoButton.textContent;
     promoButton.disabled = true;
-    promoButton.textContent = 'Vérification...';
+    promoButton.textContent = window.t('order.coupon.checking');
 
     try {
         /**
@@ -95,7 +95,7 @@ async function applyPromoCode(orderData) {
             // Update UI
             promoInput.value = '';
             promoInput.disabled = true;
-            promoButton.textContent = 'Appliqué ✓';
+            promoButton.textContent = window.t('order.coupon.applied_button');
             promoButton.classList.remove('btn-outline-secondary');
             promoButton.classList.add('btn-success');
 
@@ -104,7 +104,9 @@ async function applyPromoCode(orderData) {
 
             if (window.OrderUtils) {
                 window.OrderUtils.showOrderNotification(
-                    `Code promo appliqué ! Vous économisez ${orderData.discount.toFixed(2)}€`,
+                    window.t('order.coupon.applied', {
+                        amount: window.LocaleFormat.price(orderData.discount),
+                    }),
                     'success'
                 );
             }
@@ -112,13 +114,13 @@ async function applyPromoCode(orderData) {
     } catch (error) {
         if (window.OrderUtils) {
             window.OrderUtils.showOrderNotification(
-                error.message || 'Code promo invalide',
+                error.message || window.t('order.coupon.invalid'),
                 'error'
             );
         }
     } finally {
         promoButton.disabled = false;
-        if (promoButton.textContent === 'Vérification...') {
+        if (promoButton.textContent === window.t('order.coupon.checking')) {
             promoButton.textContent = originalText;
         }
     }
@@ -148,7 +150,7 @@ function addRemoveCouponButton(orderData) {
     removeBtn.style.color = '#8b4513';
     removeBtn.style.background = 'white';
     removeBtn.style.transition = 'all 0.3s ease';
-    removeBtn.innerHTML = '<i class="bi bi-x"></i> Retirer le code promo';
+    removeBtn.innerHTML = `<i class="bi bi-x"></i> ${window.t('order.coupon.remove')}`;
     removeBtn.onclick = () => removeCoupon(orderData);
 
     // Add hover effect
@@ -200,7 +202,7 @@ function removeCoupon(orderData) {
     }
 
     if (promoButton) {
-        promoButton.textContent = 'Appliquer';
+        promoButton.textContent = window.t('order.coupon.apply');
         promoButton.classList.remove('btn-success');
         promoButton.classList.add('btn-outline-secondary');
     }
@@ -211,7 +213,7 @@ function removeCoupon(orderData) {
 
     // Inform the user that the coupon has been removed
     if (window.OrderUtils) {
-        window.OrderUtils.showOrderNotification('Code promo retiré', 'info');
+        window.OrderUtils.showOrderNotification(window.t('order.coupon.removed'), 'info');
     }
 }
 
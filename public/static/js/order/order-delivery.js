@@ -127,7 +127,7 @@ function updateDeliveryFee(fee, orderData) {
     orderData.deliveryFee = fee;
     const getElement = window.OrderUtils?.getElement || (id => document.getElementById(id));
     const el = getElement('deliveryFee');
-    if (el) el.textContent = fee + '€';
+    if (el) el.textContent = window.LocaleFormat.price(fee);
 }
 
 /**
@@ -141,7 +141,7 @@ function initTimeValidation() {
     const dateInput = getElement('deliveryDate');
     const timeSelect = getElement('deliveryTime');
     if (dateInput && timeSelect) {
-        const today = new Date().toISOString().split('T')[0];
+        const today = window.LocaleFormat.isoDate();
         dateInput.min = today;
         dateInput.value = today;
         dateInput.addEventListener('change', updateTimeOptions);
@@ -170,7 +170,7 @@ function updateTimeOptions() {
     if (!dateInput || !timeSelect) return;
 
     const selectedDate = dateInput.value;
-    const today = new Date().toISOString().split('T')[0];
+    const today = window.LocaleFormat.isoDate();
     const currentTime = new Date();
 
     /**
@@ -182,7 +182,7 @@ function updateTimeOptions() {
     /**
      * Clear existing options
      */
-    timeSelect.innerHTML = '<option value="">Choisir un créneau</option>';
+    timeSelect.innerHTML = `<option value="">${window.t('order.delivery.choose_slot')}</option>`;
 
     /**
      * Filter time slots based on selected date
@@ -199,7 +199,7 @@ function updateTimeOptions() {
             if (slotTime > minimumTime) {
                 const option = document.createElement('option');
                 option.value = slot.value;
-                option.textContent = slot.text;
+                option.textContent = window.LocaleFormat.timeRange(slot.value, slot.end);
                 timeSelect.appendChild(option);
             }
         });
@@ -210,7 +210,7 @@ function updateTimeOptions() {
         TIME_SLOTS.forEach(slot => {
             const option = document.createElement('option');
             option.value = slot.value;
-            option.textContent = slot.text;
+            option.textContent = window.LocaleFormat.timeRange(slot.value, slot.end);
             timeSelect.appendChild(option);
         });
     }
@@ -221,7 +221,7 @@ function updateTimeOptions() {
     if (selectedDate === today && timeSelect.options.length === 1) {
         const option = document.createElement('option');
         option.value = '';
-        option.textContent = "Aucun créneau disponible aujourd'hui";
+        option.textContent = window.t('order.delivery.no_slot_today');
         option.disabled = true;
         timeSelect.appendChild(option);
     }
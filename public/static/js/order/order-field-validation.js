@@ -108,16 +108,16 @@ function initNameEmailValidation() {
      * Each field has specific validation rules and error messages
      */
     attachValidation(firstNameInput, v => nameRegex.test(v), {
-        empty: 'Le prénom est requis',
-        invalid: 'Le prénom ne peut contenir que des lettres, espaces et tirets',
+        empty: window.t('order.validation.first_name_empty'),
+        invalid: window.t('order.validation.first_name_format'),
     });
     attachValidation(lastNameInput, v => nameRegex.test(v), {
-        empty: 'Le nom est requis',
-        invalid: 'Le nom ne peut contenir que des lettres, espaces et tirets',
+        empty: window.t('order.validation.last_name_empty'),
+        invalid: window.t('order.validation.last_name_format'),
     });
     attachValidation(emailInput, v => emailRegex.test(v), {
-        empty: "L'email est requis",
-        invalid: "L'email n'est pas valide",
+        empty: window.t('order.validation.email_empty'),
+        invalid: window.t('order.validation.email_format'),
     });
 }
 
@@ -186,7 +186,7 @@ function initPhoneValidation() {
 
         if (phone !== '' && !isValid) {
             this.classList.add('is-invalid');
-            showPhoneError('Format de numéro de téléphone invalide');
+            showPhoneError(window.t('order.validation.phone_format'));
         } else {
             removePhoneError();
         }
@@ -202,7 +202,7 @@ function initPhoneValidation() {
         ) {
             if (!window.OrderValidation.validateFrenchPhoneNumber(phone)) {
                 this.classList.add('is-invalid');
-                showPhoneError('Numéro de téléphone invalide');
+                showPhoneError(window.t('order.validation.phone_invalid_short'));
             }
         }
     });
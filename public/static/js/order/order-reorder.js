@@ -0,0 +1,128 @@
+// ============================================================================
+// ORDER REORDER - Prefill After "Commander à nouveau"
+// ============================================================================
+// This module handles the arrival on the checkout from the reorder page
+// (reorder.js): the items are already in the cart, this module
+// - Prefills the delivery, contact and payment fields with the previous order
+// - Shows which items of the previous order could not be added
+//
+// Usage: Called once by initOrderPage() before the delivery/payment handlers
+// are set up, so their initial change event reflects the prefilled modes.
+
+'use strict';
+
+/**
+ * sessionStorage key written by reorder.js
+ */
+const REORDER_STORAGE_KEY = 'reorderPrefill';
+
+/**
+ * Checkout text fields filled from the previous order
+ */
+const REORDER_PREFILL_FIELDS = [
+    'deliveryAddress',
+    'deliveryZip',
+    'deliveryInstructions',
+    'clientFirstName',
+    'clientLastName',
+    'clientPhone',
+    'clientEmail',
+];
+
+/**
+ * Read and forget the reorder data left by the reorder page
+ *
+ * @returns {Object|null} { no, prefill, skipped } or null when not coming from a reorder
+ */
+function consumeReorderData() {
+    let data = null;
+    try {
+        data = JSON.parse(sessionStorage.getItem(REORDER_STORAGE_KEY) || 'null');
+    } catch {
+        data = null;
+    }
+    sessionStorage.removeItem(REORDER_STORAGE_KEY);
+
+    return data && typeof data === 'object' ? data : null;
+}
+
+/**
+ * Check a radio button of a group by value
+ *
+ * @param {string} name - Radio group name (deliveryMode, paymentMode)
+ * @param {string|null} value - Value to select
+ */
+function checkReorderRadio(name, value) {
+    if (!value) return;
+    const radio = document.querySelector(`input[name="${name}"][value="${CSS.escape(value)}"]`);
+    if (radio) radio.checked = true;
+}
+
+/**
+ * Show the items of the previous order that were not added to the cart
+ *
+ * @param {string} no - Previous order number
+ * @param {Array<{name: string, reason: string}>} skipped - Skipped items
+ */
+function renderReorderReport(no, skipped) {
+    const getElement = window.OrderUtils?.getElement || (id => document.getElementById(id));
+    const cartItems = getElement('orderCartItems');
+    if (!cartItems) return;
+
+    const alertBox = document.createElement('div');
+    alertBox.className = `alert ${skipped.length ? 'alert-warning' : 'alert-success'}`;
+    alertBox.setAttribute('role', 'status');
+
+    const title = document.createElement('p');
+    title.className = skipped.length ? 'mb-2' : 'mb-0';
+    title.textContent = window.t(skipped.length ? 'order.reorder.partial' : 'order.reorder.done', {
+        no,
+    });
+    alertBox.appendChild(title);
+
+    if (skipped.length) {
+        const list = document.createElement('ul');
+        list.className = 'mb-0';
+        skipped.forEach(item => {
+            const li = document.createElement('li');
+            li.textContent = `${item.name} : ${item.reason}`;
+            list.appendChild(li);
+        });
+        alertBox.appendChild(list);
+    }
+
+    cartItems.parentNode.insertBefore(alertBox, cartItems);
+}
+
+/**
+ * Prefill the checkout with the previous order when coming from the reorder page
+ *
+ * Fields already filled (browser autofill) are left as they are.
+ *
+ * @returns {boolean} True when the checkout was prefilled
+ */
+function applyReorderPrefill() {
+    const data = consumeReorderData();
+    if (!data) return false;
+
+    const prefill = data.prefill || {};
+    const getElement = window.OrderUtils?.getElement || (id => document.getElementById(id));
+
+    REORDER_PREFILL_FIELDS.forEach(id => {
+        const field = getElement(id);
+        if (field && !field.value && prefill[id]) {
+            field.value = prefill[id];
+        }
+    });
+    checkReorderRadio('deliveryMode', prefill.deliveryMode);
+    checkReorderRadio('paymentMode', prefill.paymentMode);
+
+    renderReorderReport(data.no || '', Array.isArray(data.skipped) ? data.skipped : []);
+
+    return true;
+}
+
+// Export reorder functions to global scope
+window.OrderReorder = {
+    applyPrefill: applyReorderPrefill,
+};
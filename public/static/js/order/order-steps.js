@@ -77,7 +77,7 @@ function showStep(step) {
         if (focusedElement && typeof focusedElement.blur === 'function') {
             focusedElement.blur();
         }
-        
+
         c.classList.remove('active');
         c.setAttribute('aria-hidden', 'true');
     });
@@ -90,7 +90,7 @@ function showStep(step) {
     if (target) {
         target.classList.add('active');
         target.setAttribute('aria-hidden', 'false');
-        
+
         /**
          * Move focus to first focusable element in the new step
          * This improves accessibility and prevents focus from being trapped in hidden step
@@ -216,7 +216,7 @@ function updateFinalSummary(orderData) {
 
             const priceSpan = document.createElement('span');
             const itemTotal = Number(it.price) * Number(it.quantity);
-            priceSpan.textContent = `${itemTotal.toFixed(2)}€`;
+            priceSpan.textContent = window.LocaleFormat.price(itemTotal);
 
             div.appendChild(itemSpan);
             div.appendChild(priceSpan);
@@ -242,13 +242,13 @@ function updateFinalSummary(orderData) {
 
         if (c.phone) {
             const phoneP = document.createElement('p');
-            phoneP.textContent = `Téléphone: ${c.phone}`;
+            phoneP.textContent = window.t('order.summary.phone', { phone: c.phone });
             clientEl.appendChild(phoneP);
         }
 
         if (c.email) {
             const emailP = document.createElement('p');
-            emailP.textContent = `Email: ${c.email}`;
+            emailP.textContent = window.t('order.summary.email', { email: c.email });
             clientEl.appendChild(emailP);
         }
     }
@@ -262,7 +262,9 @@ function updateFinalSummary(orderData) {
         deliveryEl.innerHTML = ''; // Clear first
 
         const d = orderData.delivery || {};
-        const modeText = d.mode === 'delivery' ? 'Livraison à domicile' : 'Retrait sur place';
+        const modeText = window.t(
+            d.mode === 'delivery' ? 'order.summary.mode_delivery' : 'order.summary.mode_pickup'
+        );
 
         const modeP = document.createElement('p');
         const modeStrong = document.createElement('strong');
@@ -271,12 +273,18 @@ function updateFinalSummary(orderData) {
         deliveryEl.appendChild(modeP);
 
         const dateP = document.createElement('p');
-        dateP.textContent = `Date: ${d.date} à ${d.time}`;
+        dateP.textContent = window.t('order.summary.slot', {
+            date: window.LocaleFormat.date(d.date),
+            time: window.LocaleFormat.time(d.time),
+        });
         deliveryEl.appendChild(dateP);
 
         if (d.mode === 'delivery' && d.address) {
             const addressP = document.createElement('p');
-            addressP.textContent = `Adresse: ${d.address}, ${d.zip}`;
+            addressP.textContent = window.t('order.summary.address', {
+                address: d.address,
+                zip: d.zip,
+            });
             deliveryEl.appendChild(addressP);
         }
     }
@@ -289,12 +297,9 @@ function updateFinalSummary(orderData) {
     if (paymentEl) {
         paymentEl.innerHTML = ''; // Clear first
 
-        const text =
-            orderData.payment?.mode === 'card'
-                ? 'Carte bancaire'
-                : orderData.payment?.mode === 'cash'
-                  ? 'Paiement en espèces'
-                  : 'Tickets restaurant';
+        const text = window.t('order.summary.payment', {
+            mode: orderData.payment?.mode || 'tickets',
+        });
 
         const paymentP = document.createElement('p');
         paymentP.textContent = text;
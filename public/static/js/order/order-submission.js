@@ -38,6 +38,8 @@ function collectOrderFormData(orderData) {
         'deliveryAddress',
         'deliveryZip',
         'deliveryInstructions',
+        'deliveryDate',
+        'deliveryTime',
         'clientFirstName',
         'clientLastName',
         'clientPhone',
@@ -85,6 +87,9 @@ function collectOrderFormData(orderData) {
         deliveryAddress: sanitizeInput(elements.deliveryAddress?.value || ''),
         deliveryZip: sanitizeInput(elements.deliveryZip?.value || ''),
         deliveryInstructions: sanitizeInput(elements.deliveryInstructions?.value || ''),
+        // Slot: dishes served in a time window only (lunch formula...) are checked against it
+        deliveryDate: elements.deliveryDate?.value || null,
+        deliveryTime: elements.deliveryTime?.value || null,
         deliveryFee,
         paymentMode,
         clientFirstName: sanitizeInput(elements.clientFirstName?.value || ''),
@@ -120,18 +125,14 @@ async function confirmOrderInternal(orderData) {
     const oldText = confirmBtn ? confirmBtn.innerHTML : null;
     if (confirmBtn) {
         confirmBtn.disabled = true;
-        confirmBtn.innerHTML =
-            '<span class="spinner-border spinner-border-sm me-2"></span>Traitement...';
+        confirmBtn.innerHTML = `<span class="spinner-border spinner-border-sm me-2"></span>${window.t('order.processing')}`;
     }
 
     const getElement = window.OrderUtils?.getElement || (id => document.getElementById(id));
     const accept = getElement('acceptTerms')?.checked;
     if (!accept) {
         if (window.OrderUtils) {
-            window.OrderUtils.showOrderNotification(
-                'Veuillez accepter les conditions générales',
-                'error'
-            );
+            window.OrderUtils.showOrderNotification(window.t('order.accept_terms'), 'error');
         }
         window.isSubmittingOrder = false;
         if (confirmBtn) {
@@ -163,26 +164,17 @@ async function confirmOrderInternal(orderData) {
             }
         }
 
-        // Backend already clears cart, update UI
-        if (window.updateCartSidebar) {
-            try {
-                window.updateCartSidebar();
-            } catch (error) {
-                console.error('Error updating cart sidebar after order:', error);
-            }
-        }
-        if (window.updateCartNavigation) {
-            try {
-                window.updateCartNavigation();
-            } catch (error) {
-                console.error('Error updating cart navigation after order:', error);
-            }
+        // Backend already clears cart: reload it, every cart widget re-renders
+        if (window.cartStore) {
+            window.cartStore.refresh().catch(error => {
+                console.error('Error refreshing cart after order:', error);
+            });
         }
-        showOrderConfirmation(created.no, created.id, created.total);
+        showOrderConfirmation(created.no, created.id, created.total, result.data?.reorderUrl);
     } catch (e) {
         if (window.OrderUtils) {
             window.OrderUtils.showOrderNotification(
-                e.message || 'Erreur lors de la création de la commande',
+                e.message || window.t('order.create_error'),
                 'error'
             );
         }
@@ -199,20 +191,26 @@ async function confirmOrderInternal(orderData) {
 /**
  * Replace main container with a success screen after order creation
  *
- * Shows order confirmation with order number and total.
+ * Shows order confirmation with order number and total, and the signed
+ * "Commander à nouveau" link to order the same items again later.
  *
  * @param {string} orderNo - Order number
  * @param {string|number} orderId - Order ID
  * @param {number} total - Order total amount
+ * @param {string} [reorderUrl] - Signed reorder link (data.reorderUrl of the response)
  */
-function showOrderConfirmation(orderNo, orderId, total) {
+function showOrderConfirmation(orderNo, orderId, total, reorderUrl) {
+    const t = window.t;
+    const reorderHtml = reorderUrl
+        ? `<p class="mt-3 mb-0"><a href="${reorderUrl}"><i class="bi bi-arrow-repeat me-1"></i>${t('order.confirmation.reorder_link')}</a> ${t('order.confirmation.reorder_hint')}</p>`
+        : '';
     document.querySelectorAll('.order-step-content').forEach(c => c.classList.remove('active'));
     const container = document.querySelector('.order-section .container');
     if (container) {
-        container.innerHTML = `<div class="text-center py-5"><div class="mb-4"><i class="bi bi-check-circle-fill text-success icon-success-large"></i></div><h2 class="text-success mb-3">Commande confirmée !</h2><p class="lead mb-2">Numéro de commande: <strong>${orderNo || orderId}</strong></p><p class="lead mb-4">Montant total: <strong>${Number(total || 0).toFixed(2)}€</strong></p><div class="alert alert-info"><h5><i class="bi bi-info-circle me-2"></i>Prochaines étapes :</h5><ul class="list-unstyled mb-0"><li>• Vous recevrez un email de confirmation</li><li>• Votre commande sera préparée selon le créneau choisi</li></ul></div><div class="mt-4"><a href="${window.appMenuPath || '#'}" class="btn btn-primary"><i class="bi bi-arrow-left me-2"></i>Retour au menu</a></div></div>`;
+        container.innerHTML = `<div class="text-center py-5"><div class="mb-4"><i class="bi bi-check-circle-fill text-success icon-success-large"></i></div><h2 class="text-success mb-3">${t('order.confirmation.title')}</h2><p class="lead mb-2">${t('order.confirmation.number')} <strong>${orderNo || orderId}</strong></p><p class="lead mb-4">${t('order.confirmation.total')} <strong>${window.LocaleFormat.price(total)}</strong></p><div class="alert alert-info"><h5><i class="bi bi-info-circle me-2"></i>${t('order.confirmation.next_steps')}</h5><ul class="list-unstyled mb-0"><li>• ${t('order.confirmation.email')}</li><li>• ${t('order.confirmation.preparation')}</li></ul></div><div class="mt-4"><a href="${window.appMenuPath || '#'}" class="btn btn-primary"><i class="bi bi-arrow-left me-2"></i>${t('order.confirmation.back_to_menu')}</a></div>${reorderHtml}</div>`;
     }
     if (window.OrderUtils) {
-        window.OrderUtils.showOrderNotification('Commande confirmée avec succès !', 'success');
+        window.OrderUtils.showOrderNotification(t('order.confirmation.notification'), 'success');
     }
 }
 
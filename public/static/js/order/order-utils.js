@@ -98,7 +98,8 @@ function showOrderNotification(message, type = 'info') {
  */
 function handleApiError(res, data) {
     if (!res.ok || !data.success) {
-        const msg = data?.message || data?.error || `Erreur ${res.status}`;
+        const msg =
+            data?.message || data?.error || window.t('common.http_error', { status: res.status });
         throw new Error(msg);
     }
 }
@@ -17,18 +17,48 @@
 /**
  * Validate cart step
  *
- * Ensures cart is not empty before proceeding.
+ * Ensures cart is not empty and that the customer saw the changes flagged
+ * by the server (price changes, unavailable items) before proceeding.
  *
  * @param {Array} items - Cart items array
- * @returns {boolean} True if cart has items, false otherwise
+ * @returns {boolean} True if cart has items and no pending change, false otherwise
  */
 function validateCartStep(items) {
     if ((items || []).length === 0) {
         if (window.OrderUtils) {
-            window.OrderUtils.showOrderNotification('Votre panier est vide', 'error');
+            window.OrderUtils.showOrderNotification(window.t('cart.empty_title'), 'error');
         }
         return false;
     }
+
+    /**
+     * Price changes must be acknowledged and unavailable items removed
+     * (listed in the notice above the cart lines)
+     */
+    if (window.cartStore && window.cartStore.changesOf(items).length > 0) {
+        if (window.OrderUtils) {
+            window.OrderUtils.showOrderNotification(
+                window.t('order.validation.cart_changed'),
+                'error'
+            );
+        }
+        return false;
+    }
+
+    /**
+     * Group orders are placed by their owner; participants only fill the cart
+     */
+    const group = window.cartStore ? window.cartStore.getState().cart.group : null;
+    if (group && !group.owner) {
+        if (window.OrderUtils) {
+            window.OrderUtils.showOrderNotification(
+                window.t('order.validation.group_owner', { name: group.participants[0] }),
+                'error'
+            );
+        }
+        return false;
+    }
+
     return true;
 }
 
@@ -65,7 +95,7 @@ async function validateDeliveryStep(orderData) {
     if (!mode) {
         if (window.OrderUtils) {
             window.OrderUtils.showOrderNotification(
-                'Veuillez choisir un mode de récupération',
+                window.t('order.validation.mode_required'),
                 'error'
             );
         }
@@ -73,13 +103,19 @@ async function validateDeliveryStep(orderData) {
     }
     if (!date) {
         if (window.OrderUtils) {
-            window.OrderUtils.showOrderNotification('Veuillez choisir une date', 'error');
+            window.OrderUtils.showOrderNotification(
+                window.t('order.validation.date_required'),
+                'error'
+            );
         }
         return false;
     }
     if (!time) {
         if (window.OrderUtils) {
-            window.OrderUtils.showOrderNotification('Veuillez choisir un créneau horaire', 'error');
+            window.OrderUtils.showOrderNotification(
+                window.t('order.validation.time_required'),
+                'error'
+            );
         }
         return false;
     }
@@ -112,7 +148,7 @@ async function validateDeliveryStep(orderData) {
         if (address && containsXssAttempt(address)) {
             if (window.OrderUtils) {
                 window.OrderUtils.showOrderNotification(
-                    "L'adresse contient des éléments non autorisés",
+                    window.t('order.validation.address_xss'),
                     'error'
                 );
             }
@@ -126,7 +162,7 @@ async function validateDeliveryStep(orderData) {
         if (instructions && containsXssAttempt(instructions)) {
             if (window.OrderUtils) {
                 window.OrderUtils.showOrderNotification(
-                    'Les instructions de livraison contiennent des éléments non autorisés',
+                    window.t('order.validation.instructions_xss'),
                     'error'
                 );
             }
@@ -139,7 +175,7 @@ async function validateDeliveryStep(orderData) {
         if (!address || !zip) {
             if (window.OrderUtils) {
                 window.OrderUtils.showOrderNotification(
-                    'Veuillez renseigner votre adresse de livraison',
+                    window.t('order.validation.address_required'),
                     'error'
                 );
             }
@@ -152,7 +188,10 @@ async function validateDeliveryStep(orderData) {
          */
         if (!validateFrenchZipCode(zip)) {
             if (window.OrderUtils) {
-                window.OrderUtils.showOrderNotification('Format de code postal invalide', 'error');
+                window.OrderUtils.showOrderNotification(
+                    window.t('order.address.zip_format'),
+                    'error'
+                );
             }
             return false;
         }
@@ -166,7 +205,7 @@ async function validateDeliveryStep(orderData) {
             if (!addressValidation.valid) {
                 if (window.OrderUtils) {
                     window.OrderUtils.showOrderNotification(
-                        addressValidation.error || 'Livraison non disponible pour cette adresse',
+                        addressValidation.error || window.t('order.address.unavailable'),
                         'error'
                     );
                 }
@@ -176,7 +215,7 @@ async function validateDeliveryStep(orderData) {
             console.error('Error validating delivery address:', error);
             if (window.OrderUtils) {
                 window.OrderUtils.showOrderNotification(
-                    "Erreur lors de la vérification de l'adresse",
+                    window.t('order.address.check_error'),
                     'error'
                 );
             }
@@ -205,7 +244,7 @@ async function validateDeliveryStep(orderData) {
     if (firstName && containsXssAttempt(firstName)) {
         if (window.OrderUtils) {
             window.OrderUtils.showOrderNotification(
-                'Le prénom contient des éléments non autorisés',
+                window.t('order.validation.first_name_xss'),
                 'error'
             );
         }
@@ -214,7 +253,7 @@ async function validateDeliveryStep(orderData) {
     if (lastName && containsXssAttempt(lastName)) {
         if (window.OrderUtils) {
             window.OrderUtils.showOrderNotification(
-                'Le nom contient des éléments non autorisés',
+                window.t('order.validation.last_name_xss'),
                 'error'
             );
         }
@@ -223,7 +262,7 @@ async function validateDeliveryStep(orderData) {
     if (phone && containsXssAttempt(phone)) {
         if (window.OrderUtils) {
             window.OrderUtils.showOrderNotification(
-                'Le numéro de téléphone contient des éléments non autorisés',
+                window.t('order.validation.phone_xss'),
                 'error'
             );
         }
@@ -232,7 +271,7 @@ async function validateDeliveryStep(orderData) {
     if (email && containsXssAttempt(email)) {
         if (window.OrderUtils) {
             window.OrderUtils.showOrderNotification(
-                "L'email contient des éléments non autorisés",
+                window.t('order.validation.email_xss'),
                 'error'
             );
         }
@@ -244,20 +283,26 @@ async function validateDeliveryStep(orderData) {
      */
     if (!firstName) {
         if (window.OrderUtils) {
-            window.OrderUtils.showOrderNotification('Veuillez renseigner votre prénom', 'error');
+            window.OrderUtils.showOrderNotification(
+                window.t('order.validation.first_name_required'),
+                'error'
+            );
         }
         return false;
     }
     if (!lastName) {
         if (window.OrderUtils) {
-            window.OrderUtils.showOrderNotification('Veuillez renseigner votre nom', 'error');
+            window.OrderUtils.showOrderNotification(
+                window.t('order.validation.last_name_required'),
+                'error'
+            );
         }
         return false;
     }
     if (!phone) {
         if (window.OrderUtils) {
             window.OrderUtils.showOrderNotification(
-                'Veuillez renseigner votre numéro de téléphone',
+                window.t('order.validation.phone_required'),
                 'error'
             );
         }
@@ -266,7 +311,7 @@ async function validateDeliveryStep(orderData) {
     if (!email) {
         if (window.OrderUtils) {
             window.OrderUtils.showOrderNotification(
-                'Veuillez renseigner votre adresse email',
+                window.t('order.validation.email_required'),
                 'error'
             );
         }
@@ -280,7 +325,7 @@ async function validateDeliveryStep(orderData) {
     if (!validateFrenchPhoneNumber(phone)) {
         if (window.OrderUtils) {
             window.OrderUtils.showOrderNotification(
-                'Veuillez entrer un numéro de téléphone français valide',
+                window.t('order.validation.phone_invalid'),
                 'error'
             );
         }
@@ -295,7 +340,7 @@ async function validateDeliveryStep(orderData) {
     if (VALIDATION_PATTERNS && !VALIDATION_PATTERNS.email.test(email)) {
         if (window.OrderUtils) {
             window.OrderUtils.showOrderNotification(
-                'Veuillez renseigner une adresse email valide',
+                window.t('order.validation.email_invalid'),
                 'error'
             );
         }
@@ -338,7 +383,7 @@ function validatePaymentStep(orderData) {
     if (!mode) {
         if (window.OrderUtils) {
             window.OrderUtils.showOrderNotification(
-                'Veuillez choisir un mode de paiement',
+                window.t('order.validation.payment_required'),
                 'error'
             );
         }
@@ -501,7 +546,7 @@ function validateSelectedTime() {
 
     const selectedDate = dateInput.value;
     const selectedTime = timeSelect.value;
-    const today = new Date().toISOString().split('T')[0];
+    const today = window.LocaleFormat.isoDate();
     const currentTime = new Date();
 
     /**
@@ -519,7 +564,7 @@ function validateSelectedTime() {
         if (selectedDateTime <= minimumTime) {
             if (window.OrderUtils) {
                 window.OrderUtils.showOrderNotification(
-                    `Le créneau doit être au minimum ${MIN_TIME_DELAY_HOURS} heure${MIN_TIME_DELAY_HOURS > 1 ? 's' : ''} après l'heure actuelle. Veuillez choisir un autre créneau.`,
+                    window.t('order.validation.slot_too_soon', { hours: MIN_TIME_DELAY_HOURS }),
                     'error'
                 );
             }
@@ -0,0 +1,357 @@
+// ============================================================================
+// RECOMMENDATIONS.JS - Dish Suggestions
+// ============================================================================
+// Suggests dishes that go with the ones the customer is looking at or ordering,
+// from GET /api/recommendations (RecommendationService: shared tags and badges,
+// next course, dishes often ordered together).
+//
+// This file handles:
+// - The "Vous aimerez aussi" carousel of the dish page (#dishRecommendations,
+//   suggestions for the dish of the page)
+// - The "Pour compléter votre commande" strip of the cart sidebar
+//   (#cartRecommendations, suggestions for the dishes of the cart, refreshed
+//   when the cart changes)
+//
+// Sold-out dishes are never suggested, nor dishes containing an allergen
+// excluded on the menu page (same browser setting as menu.js). Dishes without
+// options are added in one click; the others link to their page to pick them.
+// Must be loaded after cart-store.js.
+
+(function (global) {
+    'use strict';
+
+    const t = global.t;
+
+    const ENDPOINT = '/api/recommendations';
+
+    /**
+     * Allergen exclusion saved by menu.js ({ codes: [], mode: 'hide'|'dim' })
+     */
+    const ALLERGEN_STORAGE_KEY = 'menuAllergenExclusion';
+
+    /**
+     * Number of suggestions of the dish page carousel and of the cart strip
+     */
+    const DISH_LIMIT = 6;
+    const CART_LIMIT = 4;
+
+    /**
+     * Delay before refreshing the cart strip (a quantity change fires several updates)
+     */
+    const CART_REFRESH_DELAY_MS = 400;
+
+    let cartTimer = null;
+    let cartKey = null;
+    let bound = false;
+
+    /**
+     * Pending request per container (a newer one aborts it)
+     */
+    const pendingRequests = new Map();
+
+    // ========================================================================
+    // HELPERS
+    // ========================================================================
+
+    /**
+     * Escape text (dish names) before injecting it into markup
+     *
+     * @param {*} value - Raw value
+     * @returns {string} HTML-safe string
+     */
+    function escapeHtml(value) {
+        return String(value ?? '')
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#039;');
+    }
+
+    /**
+     * Show a notification (falls back to the console when unavailable)
+     *
+     * @param {string} message - Message
+     * @param {string} [type='info'] - 'success', 'error', 'warning' or 'info'
+     */
+    function notify(message, type = 'info') {
+        if (global.showCartNotification) {
+            global.showCartNotification(message, type);
+        } else if (type === 'error') {
+            console.error(message);
+        }
+    }
+
+    /**
+     * Allergen codes excluded on the menu page
+     *
+     * @returns {string[]}
+     */
+    function getExcludedAllergens() {
+        try {
+            const stored = JSON.parse(global.localStorage.getItem(ALLERGEN_STORAGE_KEY));
+            if (stored && Array.isArray(stored.codes)) {
+                return stored.codes.filter(code => typeof code === 'string');
+            }
+        } catch {
+            // Unreadable value or storage disabled: no exclusion
+        }
+        return [];
+    }
+
+    /**
+     * Fetch the suggestions for some dishes
+     *
+     * A newer request for the same container aborts the previous one, so a slow
+     * response never replaces a more recent one.
+     *
+     * @param {HTMLElement} container - Container the suggestions are for
+     * @param {Array<string|number>} dishIds - Chosen dishes
+     * @param {number} limit - Max number of suggestions
+     * @returns {Promise<Object[]|null>} Suggested dishes, null when aborted
+     */
+    async function fetchRecommendations(container, dishIds, limit) {
+        pendingRequests.get(container)?.abort();
+        const controller = new AbortController();
+        pendingRequests.set(container, controller);
+
+        const params = new URLSearchParams({ dishes: dishIds.join(','), limit: String(limit) });
+        const allergens = getExcludedAllergens();
+        if (allergens.length > 0) {
+            params.set('exclude_allergens', allergens.join(','));
+        }
+
+        try {
+            const response = await fetch(`${ENDPOINT}?${params}`, {
+                headers: { Accept: 'application/json' },
+                credentials: 'same-origin',
+                signal: controller.signal,
+            });
+            if (!response.ok) {
+                throw new Error(`Suggestions indisponibles (HTTP ${response.status})`);
+            }
+            const payload = await response.json();
+            return payload?.data?.items || [];
+        } catch (error) {
+            if (error.name === 'AbortError') return null;
+            // Suggestions are optional: keep the page usable without them
+            console.warn(error);
+            return [];
+        } finally {
+            if (pendingRequests.get(container) === controller) {
+                pendingRequests.delete(container);
+            }
+        }
+    }
+
+    // ========================================================================
+    // RENDERING
+    // ========================================================================
+
+    /**
+     * Markup of a suggested dish
+     *
+     * @param {Object} item - Suggested dish (RecommendationService::serializeDish())
+     * @returns {string}
+     */
+    function renderCard(item) {
+        const name = escapeHtml(item.name);
+        const url = `/dish/${encodeURIComponent(item.id)}`;
+        const action = item.hasOptions
+            ? `<a href="${url}" class="btn btn-sm btn-outline-primary recommendation-action" aria-label="${escapeHtml(t('recommendations.choose_label', { name: item.name }))}">${escapeHtml(t('recommendations.choose'))}</a>`
+            : `<button type="button" class="btn btn-sm btn-primary recommendation-action" data-recommendation-add="${escapeHtml(item.id)}" data-recommendation-name="${name}" aria-label="${escapeHtml(t('recommendations.add_label', { name: item.name }))}"><i class="bi bi-plus-lg" aria-hidden="true"></i> ${escapeHtml(t('recommendations.add'))}</button>`;
+
+        return `
+            <article class="recommendation-card" role="listitem">
+                <a href="${url}" class="recommendation-image">
+                    <img src="${escapeHtml(item.image)}" alt="" loading="lazy">
+                </a>
+                <div class="recommendation-body">
+                    <a href="${url}" class="recommendation-name">${name}</a>
+                    <span class="recommendation-reason">${escapeHtml(t('recommendations.reason', { reason: item.reason }))}</span>
+                    <div class="recommendation-footer">
+                        <span class="recommendation-price">${escapeHtml(global.LocaleFormat.price(item.price))}</span>
+                        ${action}
+                    </div>
+                </div>
+            </article>
+        `;
+    }
+
+    /**
+     * Fill a suggestion container (hidden when there is nothing to suggest)
+     *
+     * @param {HTMLElement} container - #dishRecommendations or #cartRecommendations
+     * @param {Object[]} items - Suggested dishes
+     */
+    function renderList(container, items) {
+        const list = container.querySelector('[data-recommendations-list]');
+        if (!list) return;
+
+        list.innerHTML = items.map(renderCard).join('');
+        list.scrollLeft = 0;
+        container.hidden = items.length === 0;
+        updateCarouselButtons(container);
+    }
+
+    /**
+     * Enable the carousel arrows according to the scroll position
+     *
+     * @param {HTMLElement} container - Suggestion container
+     */
+    function updateCarouselButtons(container) {
+        const list = container.querySelector('[data-recommendations-list]');
+        if (!list) return;
+
+        const maxScroll = list.scrollWidth - list.clientWidth;
+        container.querySelectorAll('[data-recommendations-scroll]').forEach(button => {
+            const forward = button.dataset.recommendationsScroll === 'next';
+            button.disabled = forward ? list.scrollLeft >= maxScroll - 1 : list.scrollLeft <= 0;
+            button.hidden = maxScroll <= 0;
+        });
+    }
+
+    // ========================================================================
+    // ACTIONS
+    // ========================================================================
+
+    /**
+     * Add a suggested dish to the cart, or scroll the carousel
+     *
+     * @param {MouseEvent} event
+     */
+    async function handleClick(event) {
+        const container = event.currentTarget;
+        const scrollButton = event.target.closest('[data-recommendations-scroll]');
+        if (scrollButton) {
+            const list = container.querySelector('[data-recommendations-list]');
+            const direction = scrollButton.dataset.recommendationsScroll === 'next' ? 1 : -1;
+            list.scrollBy({ left: direction * list.clientWidth * 0.8, behavior: 'smooth' });
+            return;
+        }
+
+        const addButton = event.target.closest('[data-recommendation-add]');
+        if (!addButton || addButton.disabled) return;
+
+        addButton.disabled = true;
+        try {
+            await global.cartStore.add(addButton.dataset.recommendationAdd);
+            notify(t('cart.added', { name: addButton.dataset.recommendationName }), 'success');
+        } catch (error) {
+            console.error(error);
+            notify(t('cart.error.add'), 'error');
+        } finally {
+            // The cart strip is re-rendered by the cart change; the carousel keeps its card
+            addButton.disabled = false;
+        }
+    }
+
+    /**
+     * Bind the click and scroll handlers of a container once
+     *
+     * @param {HTMLElement} container - Suggestion container
+     */
+    function bindContainer(container) {
+        if (container.dataset.recommendationsBound) return;
+        container.dataset.recommendationsBound = 'true';
+
+        container.addEventListener('click', handleClick);
+        container
+            .querySelector('[data-recommendations-list]')
+            ?.addEventListener('scroll', () => updateCarouselButtons(container), {
+                passive: true,
+            });
+    }
+
+    // ========================================================================
+    // DISH PAGE
+    // ========================================================================
+
+    /**
+     * Load the carousel of the dish page
+     */
+    async function loadDishRecommendations() {
+        const container = document.getElementById('dishRecommendations');
+        const dishId = container?.dataset.dishId;
+        if (!dishId) return;
+
+        bindContainer(container);
+        const items = await fetchRecommendations(container, [dishId], DISH_LIMIT);
+        if (items) renderList(container, items);
+    }
+
+    // ========================================================================
+    // CART SIDEBAR
+    // ========================================================================
+
+    /**
+     * Dishes of the cart (drinks are not part of the suggestions)
+     *
+     * @param {Object[]} lines - Cart lines
+     * @returns {string[]} Sorted unique dish IDs
+     */
+    function getCartDishIds(lines) {
+        const ids = new Set();
+        (lines || []).forEach(line => {
+            if (line.itemType !== 'drink') ids.add(String(line.id));
+        });
+        return [...ids].sort();
+    }
+
+    /**
+     * Refresh the cart strip when the dishes of the cart change
+     *
+     * Quantity changes keep the same dishes and don't trigger a request.
+     *
+     * @param {Object[]} lines - Cart lines
+     */
+    function scheduleCartRecommendations(lines) {
+        const container = document.getElementById('cartRecommendations');
+        if (!container) return;
+
+        const dishIds = getCartDishIds(lines);
+        const key = dishIds.join(',');
+        if (key === cartKey) return;
+        cartKey = key;
+
+        clearTimeout(cartTimer);
+        if (dishIds.length === 0) {
+            pendingRequests.get(container)?.abort();
+            renderList(container, []);
+            return;
+        }
+
+        cartTimer = setTimeout(async () => {
+            bindContainer(container);
+            const items = await fetchRecommendations(container, dishIds, CART_LIMIT);
+            if (items) renderList(container, items);
+        }, CART_REFRESH_DELAY_MS);
+    }
+
+    // ========================================================================
+    // INITIALIZATION
+    // ========================================================================
+
+    /**
+     * Load the suggestions of the current page
+     * Runs again after Turbo navigation (the body is replaced)
+     */
+    function init() {
+        loadDishRecommendations();
+
+        const store = global.cartStore;
+        if (!store) return;
+
+        // New sidebar after a Turbo navigation: render it again
+        cartKey = null;
+        scheduleCartRecommendations(store.getState().cart.items);
+
+        if (!bound) {
+            bound = true;
+            store.subscribe(store.selectors.items, scheduleCartRecommendations);
+        }
+    }
+
+    document.addEventListener('DOMContentLoaded', init);
+    global.addEventListener('turbo:load', init);
+})(window);
@@ -0,0 +1,112 @@
+// ============================================================================
+// REORDER.JS - "Commander à nouveau" page
+// ============================================================================
+// This file handles the reorder form (/commander-a-nouveau):
+// - Sends the order number with the email/phone (or the signature of the link
+//   from the order confirmation) to POST /api/order/reorder
+// - The server adds the items to the cart; the delivery details of the order and
+//   the list of skipped items are kept in sessionStorage for the checkout page
+//   (see order/order-reorder.js), then the customer lands on the checkout
+//
+// Must be loaded after main.js (window.apiRequest).
+
+(function (global) {
+    'use strict';
+
+    const t = global.t;
+
+    /**
+     * sessionStorage key read by order/order-reorder.js on the checkout page
+     */
+    const STORAGE_KEY = 'reorderPrefill';
+
+    /**
+     * Show a notification (falls back to the console when unavailable)
+     *
+     * @param {string} message - Message
+     * @param {string} [type='info'] - 'success', 'error', 'warning' or 'info'
+     */
+    function notify(message, type = 'info') {
+        if (global.showCartNotification) {
+            global.showCartNotification(message, type);
+        } else if (type === 'error') {
+            console.error(message);
+        }
+    }
+
+    /**
+     * Ask the server to put the items of the order back in the cart
+     *
+     * @param {Object} payload - { no, contact } or { no, signature }
+     * @returns {Promise<Object>} data of the response: { added, skipped, prefill }
+     * @throws {Error} With the server message (order not found, validation error)
+     */
+    async function requestReorder(payload) {
+        const response = await global.apiRequest('/api/order/reorder', {
+            method: 'POST',
+            body: JSON.stringify(payload),
+        });
+
+        let result = null;
+        try {
+            result = await response.json();
+        } catch {
+            // Non-JSON error page, handled below
+        }
+
+        if (!response.ok || !result?.success) {
+            const details = Array.isArray(result?.errors) ? result.errors.join(', ') : '';
+            throw new Error(details || result?.message || t('order.reorder.not_found'));
+        }
+
+        return { ...result.data, message: result.message };
+    }
+
+    /**
+     * Handle the submission of the reorder form
+     *
+     * @param {HTMLFormElement} form - Reorder form
+     * @param {SubmitEvent} e - Submit event
+     */
+    async function handleSubmit(form, e) {
+        e.preventDefault();
+
+        const no = form.elements.no.value.trim();
+        const signature = form.getAttribute('data-signature');
+        const contact = form.elements.contact ? form.elements.contact.value.trim() : '';
+        if (!no || (!signature && !contact)) {
+            notify(t('order.reorder.missing_fields'), 'error');
+            return;
+        }
+
+        const submit = form.querySelector('[type="submit"]');
+        if (submit) submit.disabled = true;
+
+        try {
+            const data = await requestReorder(signature ? { no, signature } : { no, contact });
+            if (data.added > 0) {
+                sessionStorage.setItem(
+                    STORAGE_KEY,
+                    JSON.stringify({ no, prefill: data.prefill, skipped: data.skipped || [] })
+                );
+                global.location.href = form.getAttribute('data-order-path') || '/order';
+                return;
+            }
+
+            // Nothing could be added: stay here and say why
+            const names = (data.skipped || []).map(item => item.name).join(', ');
+            notify(`${data.message}${names ? ` (${names})` : ''}`, 'warning');
+        } catch (error) {
+            notify(error.message, 'error');
+        }
+
+        if (submit) submit.disabled = false;
+    }
+
+    document.addEventListener('DOMContentLoaded', function () {
+        const form = document.getElementById('reorderForm');
+        if (form) {
+            form.addEventListener('submit', e => handleSubmit(form, e));
+        }
+    });
+})(window);
@@ -21,6 +21,9 @@
         return;
     }
 
+    // Texts of the page (reservation.* keys of the js domain, see utils/i18n.js)
+    const t = window.t;
+
     // ============================================================================
     // DOM ELEMENT CACHE
     // ============================================================================
@@ -126,7 +129,7 @@
         const dateInput = elements.dateInput;
         if (dateInput) {
             // Get today's date in YYYY-MM-DD format
-            const today = new Date().toISOString().split('T')[0];
+            const today = window.LocaleFormat.isoDate();
 
             // Set minimum date to today (HTML5 date input attribute)
             dateInput.min = today;
@@ -233,13 +236,13 @@
         if (!timeSelect) return;
 
         // Get today's date for comparison
-        const today = new Date().toISOString().split('T')[0];
+        const today = window.LocaleFormat.isoDate();
         const now = new Date();
         const currentHour = now.getHours(); // Current hour (0-23)
         const currentMinute = now.getMinutes(); // Current minute (0-59)
 
         // Clear existing options except placeholder
-        timeSelect.innerHTML = '<option value="">Choisir...</option>';
+        timeSelect.innerHTML = `<option value="">${t('common.choose')}</option>`;
 
         /**
          * Generate time slots from 14:00 to 22:30 in 30-minute steps
@@ -271,7 +274,7 @@
                  */
                 const option = document.createElement('option');
                 option.value = timeString;
-                option.textContent = timeString;
+                option.textContent = window.LocaleFormat.time(timeString);
                 timeSelect.appendChild(option);
             }
         }
@@ -380,7 +383,7 @@
      * @returns {boolean} True if time is valid, false if in the past
      */
     function isTimeInPast(timeValue, selectedDate) {
-        const today = new Date().toISOString().split('T')[0];
+        const today = window.LocaleFormat.isoDate();
         if (selectedDate !== today) return false; // Future date - any time is valid
 
         const now = new Date();
@@ -400,47 +403,47 @@
          * Each field type has specific validation requirements
          */
         const validators = {
-            '[firstName]': () => FV.validateName(value, 'Le prénom'),
-            '[lastName]': () => FV.validateName(value, 'Le nom'),
-            '[email]': () => FV.validateEmail(value, { label: `L'email` }),
+            '[firstName]': () => FV.validateName(value, t('field.first_name')),
+            '[lastName]': () => FV.validateName(value, t('field.last_name')),
+            '[email]': () => FV.validateEmail(value, { label: t('field.email') }),
             '[phone]': () =>
                 FV.validatePhone(value, {
-                    label: 'Le numéro de téléphone',
+                    label: t('field.phone'),
                     required: true,
                 }),
             '[date]': () => {
                 if (value === '') {
-                    return { valid: false, message: 'La date est requise' };
+                    return { valid: false, message: t('reservation.date_required') };
                 }
                 const selectedDate = new Date(value);
                 if (selectedDate < getTodayMidnight()) {
-                    return { valid: false, message: 'La date ne peut pas être dans le passé' };
+                    return { valid: false, message: t('reservation.date_past') };
                 }
                 return { valid: true };
             },
             '[time]': () => {
                 if (value === '') {
-                    return { valid: false, message: "L'heure est requise" };
+                    return { valid: false, message: t('reservation.time_required') };
                 }
                 const dateInput = getElement('dateInput');
                 const selectedDate = dateInput?.value || '';
                 if (isTimeInPast(value, selectedDate)) {
-                    return { valid: false, message: "L'heure ne peut pas être dans le passé" };
+                    return { valid: false, message: t('reservation.time_past') };
                 }
                 return { valid: true };
             },
             '[guests]': () => {
                 if (value === '') {
-                    return { valid: false, message: 'Le nombre de personnes est requis' };
+                    return { valid: false, message: t('reservation.guests_required') };
                 }
                 if (parseInt(value) < 1) {
-                    return { valid: false, message: 'Le nombre de personnes doit être au moins 1' };
+                    return { valid: false, message: t('reservation.guests_min') };
                 }
                 return { valid: true };
             },
             '[message]': () =>
                 FV.validateMessage(value, {
-                    label: 'Le message',
+                    label: t('field.message'),
                     required: false,
                     min: 0,
                     max: 1000,
@@ -493,7 +496,7 @@
          * Change button text to show progress
          */
         submitBtn.disabled = true;
-        submitBtn.innerHTML = '<i class="bi bi-hourglass-split me-2"></i>Envoi en cours...';
+        submitBtn.innerHTML = `<i class="bi bi-hourglass-split me-2"></i>${t('common.sending')}`;
 
         /**
          * Prepare form data
@@ -546,8 +549,7 @@
                     // Server returned error
                     if (window.showNotification) {
                         window.showNotification(
-                            data.message ||
-                                "Une erreur est survenue lors de l'envoi de votre réservation.",
+                            data.message || t('reservation.send_error'),
                             'error'
                         );
                     }
@@ -557,10 +559,7 @@
                 // Network error or other exception
                 console.error('Reservation form submission error:', error);
                 if (window.showNotification) {
-                    window.showNotification(
-                        "Une erreur est survenue lors de l'envoi de votre réservation.",
-                        'error'
-                    );
+                    window.showNotification(t('reservation.send_error'), 'error');
                 }
             })
             .finally(() => {
@@ -624,7 +623,7 @@
          */
         const dateInput = elements.dateInput;
         if (dateInput) {
-            const today = new Date().toISOString().split('T')[0];
+            const today = window.LocaleFormat.isoDate();
             dateInput.min = today;
             dateInput.value = today;
 
@@ -21,6 +21,9 @@
         return;
     }
 
+    // Texts of the page (reviews.* keys of the js domain, see utils/i18n.js)
+    const t = window.t;
+
     // ============================================================================
     // DOM ELEMENT CACHE
     // ============================================================================
@@ -562,7 +565,7 @@
         const value = input.value.trim();
         const errorElement = getElement(modalId, 'nameError', modalId + 'NameError');
 
-        const result = FV.validateName(value, 'Le nom');
+        const result = FV.validateName(value, t('field.name'));
         FV.applyFieldState(input, errorElement, result);
         return result.valid;
     }
@@ -585,7 +588,7 @@
         const errorElement = getElement(modalId, 'emailError', modalId + 'EmailError');
 
         const result = FV.validateEmail(value, {
-            label: "L'email",
+            label: t('field.email'),
             // email optional
         });
         if (value === '') {
@@ -614,7 +617,7 @@
 
         const result =
             value === 0 || isNaN(value)
-                ? { valid: false, message: 'Veuillez sélectionner une note' }
+                ? { valid: false, message: t('reviews.rating_required') }
                 : { valid: true };
 
         FV.applyFieldState(ratingInput, errorElement, result);
@@ -640,7 +643,7 @@
         const errorElement = getElement(modalId, 'textError', modalId + 'TextError');
 
         const result = FV.validateMessage(value, {
-            label: "L'avis",
+            label: t('field.review'),
             required: true,
             min: 10,
             max: 1000,
@@ -692,7 +695,7 @@
          * Change button text to show progress
          */
         submitBtn.disabled = true;
-        submitBtn.innerHTML = '<i class="bi bi-hourglass-split me-2"></i>Envoi en cours...';
+        submitBtn.innerHTML = `<i class="bi bi-hourglass-split me-2"></i>${t('common.sending')}`;
 
         /**
          * Gather form field values (using cached elements)
@@ -817,15 +820,13 @@
                     document.dispatchEvent(new CustomEvent('review:submitted'));
                 } else {
                     // Server returned error
-                    showErrorMessage(
-                        data.message || "Une erreur est survenue lors de l'envoi de votre avis."
-                    );
+                    showErrorMessage(data.message || t('reviews.send_error'));
                 }
             })
             .catch(error => {
                 // Network error or other exception
                 console.error('Review submission error:', error);
-                showErrorMessage("Une erreur est survenue lors de l'envoi de votre avis.");
+                showErrorMessage(t('reviews.send_error'));
 
                 /**
                  * Force close modal on error too
@@ -924,10 +925,7 @@
      * @param {string} message - Optional custom message (defaults to standard success message)
      */
     function showSuccessMessage(message) {
-        showNotification(
-            message || 'Votre avis a été envoyé et sera publié après modération.',
-            'success'
-        );
+        showNotification(message || t('reviews.sent'), 'success');
     }
 
     /**
@@ -1019,7 +1017,7 @@
                      * Show loading state
                      * Disable button and change text during loading
                      */
-                    this.innerHTML = '<i class="bi bi-hourglass-split me-2"></i>Chargement...';
+                    this.innerHTML = `<i class="bi bi-hourglass-split me-2"></i>${t('common.loading')}`;
                     this.disabled = true;
 
                     /**
@@ -1047,8 +1045,7 @@
                             this.style.display = 'none';
                         } else {
                             // Reset button state for next load
-                            this.innerHTML =
-                                '<i class="bi bi-arrow-down me-2"></i>Charger plus d\'avis';
+                            this.innerHTML = `<i class="bi bi-arrow-down me-2"></i>${t('reviews.load_more')}`;
                             this.disabled = false;
                         }
                     } else {
@@ -1057,7 +1054,7 @@
                 } catch (error) {
                     console.error('Error loading more reviews:', error);
                     // Reset button state on error
-                    this.innerHTML = '<i class="bi bi-arrow-down me-2"></i>Charger plus d\'avis';
+                    this.innerHTML = `<i class="bi bi-arrow-down me-2"></i>${t('reviews.load_more')}`;
                     this.disabled = false;
                 }
             });
@@ -1126,8 +1123,8 @@
                 <div class="col-12 text-center">
                     <div class="py-5">
                         <i class="bi bi-chat-dots icon-large"></i>
-                        <h4 class="mt-3">Aucun avis trouvé</h4>
-                        <p class="text-muted">Aucun avis disponible pour le moment.</p>
+                        <h4 class="mt-3">${t('reviews.empty_title')}</h4>
+                        <p class="text-muted">${t('reviews.empty_text')}</p>
                     </div>
                 </div>
             `;
@@ -1194,7 +1191,7 @@
                         <div class="reviewer-avatar">${review.name.charAt(0).toUpperCase()}</div>
                         <div class="reviewer-details">
                             <h5>${review.name}</h5>
-                            <small>${new Date(review.createdAt).toLocaleDateString('fr-FR')}</small>
+                            <small>${window.LocaleFormat.date(review.createdAt)}</small>
                         </div>
                     </div>
                     <div class="review-rating">
@@ -0,0 +1,278 @@
+(function (global) {
+    'use strict';
+
+    /**
+     * Shared Dish Options Utility
+     * ---------------------------
+     * Some dishes propose choices when ordering (cooking level, side dish,
+     * extras...). The menu page and the dish detail page both need to ask the
+     * customer for these choices before adding the dish to the cart, so the
+     * picker lives here and is exposed as `window.DishOptions`. The option label
+     * of cart lines (sidebar and checkout) comes from here too: base.html.twig
+     * loads this file on every page, before cart-api.js.
+     *
+     * Option groups come from the server (MenuController) with this shape:
+     *   { id, name, required, minChoices, maxChoices, options: [{ id, name, priceDelta }] }
+     *
+     * The server (CartService) validates the same min/max rules, the picker only
+     * prevents obviously invalid submissions.
+     */
+
+    if (global.DishOptions) {
+        // Another script already initialised the helper – avoid creating duplicates.
+        return;
+    }
+
+    const MODAL_ID = 'dishOptionsModal';
+    const t = global.t;
+
+    /**
+     * Escape text before injecting it into the modal markup.
+     *
+     * @param {*} value - Raw value
+     * @returns {string} HTML-safe string
+     */
+    function escapeHtml(value) {
+        return String(value ?? '')
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#039;');
+    }
+
+    /**
+     * Check whether a menu item proposes at least one option group.
+     *
+     * @param {Object|null} item - Menu item (from window.menuItems or window.dishData)
+     * @returns {boolean}
+     */
+    function hasOptions(item) {
+        return !!(item && Array.isArray(item.optionGroups) && item.optionGroups.length > 0);
+    }
+
+    /**
+     * Resolve selected option IDs against the item's option groups.
+     *
+     * Used to compute optimistic prices and labels while offline.
+     *
+     * @param {Object|null} item - Menu item
+     * @param {Array<number|string>} optionIds - Selected option IDs
+     * @returns {Array<{id: number, group: string, name: string, priceDelta: number}>}
+     */
+    function resolveOptions(item, optionIds = []) {
+        if (!hasOptions(item) || !optionIds || optionIds.length === 0) {
+            return [];
+        }
+
+        const wanted = new Set(optionIds.map(id => parseInt(id, 10)));
+        const resolved = [];
+        item.optionGroups.forEach(group => {
+            (group.options || []).forEach(option => {
+                if (wanted.has(parseInt(option.id, 10))) {
+                    resolved.push({
+                        id: parseInt(option.id, 10),
+                        group: group.name,
+                        name: option.name,
+                        priceDelta: parseFloat(option.priceDelta) || 0,
+                    });
+                }
+            });
+        });
+
+        return resolved;
+    }
+
+    /**
+     * Format selected options as a short label ("Cuisson : Saignant, Accompagnement : Frites").
+     *
+     * The one formatter of option labels: the cart sidebar (cart-api.js) and the
+     * checkout (order-cart.js) both render cart lines with it.
+     *
+     * @param {Array<{group: string, name: string}>} options - Resolved options or options stored on a cart line
+     * @returns {string} HTML-safe label, empty when there are no options
+     */
+    function formatLabel(options) {
+        if (!Array.isArray(options) || options.length === 0) {
+            return '';
+        }
+
+        return options
+            .map(option => `${escapeHtml(option.group)} : ${escapeHtml(option.name)}`)
+            .join(', ');
+    }
+
+    /**
+     * Format a price delta for display next to an option ("+2,50 €").
+     *
+     * @param {number} delta - Price delta in euros
+     * @returns {string} Formatted delta, empty when zero
+     */
+    function formatDelta(delta) {
+        const value = parseFloat(delta) || 0;
+        if (value === 0) {
+            return '';
+        }
+
+        return global.LocaleFormat.price(value, { signed: true });
+    }
+
+    /**
+     * Render one option group as a fieldset of radios (single choice) or checkboxes.
+     *
+     * @param {Object} group - Option group
+     * @returns {string} HTML
+     */
+    function renderGroup(group) {
+        const single = group.maxChoices === 1;
+        const inputType = single ? 'radio' : 'checkbox';
+        let hint = t(group.required ? 'options.required' : 'options.optional');
+        if (!single) {
+            hint += ` · ${t('options.max_choices', { max: group.maxChoices })}`;
+        }
+
+        const options = group.options
+            .map(option => {
+                const inputId = `dishOption-${group.id}-${option.id}`;
+                const delta = formatDelta(option.priceDelta);
+                return `
+                    <div class="form-check">
+                        <input class="form-check-input" type="${inputType}" name="dishOptionGroup-${group.id}" id="${inputId}" value="${option.id}">
+                        <label class="form-check-label d-flex justify-content-between" for="${inputId}">
+                            <span>${escapeHtml(option.name)}</span>
+                            ${delta ? `<span class="text-muted ms-2">${delta}</span>` : ''}
+                        </label>
+                    </div>
+                `;
+            })
+            .join('');
+
+        return `
+            <fieldset class="mb-3" data-group-id="${group.id}">
+                <legend class="h6 mb-1">${escapeHtml(group.name)}</legend>
+                <small class="text-muted d-block mb-2">${escapeHtml(hint)}</small>
+                ${options}
+                <div class="invalid-feedback d-block" data-group-error hidden></div>
+            </fieldset>
+        `;
+    }
+
+    /**
+     * Check the current selection of a group against its min/max rules.
+     *
+     * @param {HTMLElement} fieldset - Group fieldset
+     * @param {Object} group - Option group
+     * @returns {string|null} Error message (HTML, the group name is escaped), or null when valid
+     */
+    function validateGroup(fieldset, group) {
+        const count = fieldset.querySelectorAll('input:checked').length;
+        if (count < group.minChoices) {
+            return t('options.error.required', { name: escapeHtml(group.name) });
+        }
+        if (count > group.maxChoices) {
+            return t('options.error.max_choices', {
+                name: escapeHtml(group.name),
+                max: group.maxChoices,
+            });
+        }
+
+        return null;
+    }
+
+    /**
+     * Open the option picker for a dish.
+     *
+     * Resolves with the selected option IDs once the customer confirms, or with
+     * null if the modal is dismissed. Items without options resolve to [] right away.
+     *
+     * @param {Object} item - Menu item with optionGroups
+     * @returns {Promise<number[]|null>}
+     */
+    function openPicker(item) {
+        if (!hasOptions(item)) {
+            return Promise.resolve([]);
+        }
+
+        // Remove existing modal if present (prevent duplicates)
+        const existingModal = document.getElementById(MODAL_ID);
+        if (existingModal) {
+            existingModal.remove();
+        }
+
+        const modalHTML = `
+            <div class="modal fade" id="${MODAL_ID}" tabindex="-1" aria-labelledby="${MODAL_ID}Label" aria-hidden="true">
+                <div class="modal-dialog modal-dialog-centered">
+                    <form class="modal-content" novalidate>
+                        <div class="modal-header">
+                            <h5 class="modal-title" id="${MODAL_ID}Label">${escapeHtml(item.name)}</h5>
+                            <button type="button" class="btn-close" data-bs-dismiss="modal" aria-label="${escapeHtml(t('options.close'))}"></button>
+                        </div>
+                        <div class="modal-body">
+                            ${item.optionGroups.map(renderGroup).join('')}
+                        </div>
+                        <div class="modal-footer">
+                            <button type="button" class="btn btn-secondary" data-bs-dismiss="modal">${escapeHtml(t('options.cancel'))}</button>
+                            <button type="submit" class="btn btn-primary">${escapeHtml(t('options.submit'))}</button>
+                        </div>
+                    </form>
+                </div>
+            </div>
+        `;
+
+        document.body.insertAdjacentHTML('beforeend', modalHTML);
+
+        const modal = document.getElementById(MODAL_ID);
+        const form = modal.querySelector('form');
+        const bootstrapModal = new global.bootstrap.Modal(modal);
+
+        return new Promise(resolve => {
+            let selection = null;
+
+            /**
+             * Validate every group on submit; keep the modal open on error
+             * so the customer can fix the selection.
+             */
+            form.addEventListener('submit', function (e) {
+                e.preventDefault();
+
+                let valid = true;
+                item.optionGroups.forEach(group => {
+                    const fieldset = form.querySelector(`[data-group-id="${group.id}"]`);
+                    const errorEl = fieldset.querySelector('[data-group-error]');
+                    const error = validateGroup(fieldset, group);
+                    errorEl.innerHTML = error || '';
+                    errorEl.hidden = !error;
+                    if (error) valid = false;
+                });
+
+                if (!valid) return;
+
+                selection = Array.from(form.querySelectorAll('input:checked')).map(input =>
+                    parseInt(input.value, 10)
+                );
+                bootstrapModal.hide();
+            });
+
+            // Resolve once the modal is fully hidden, then remove it from the DOM
+            modal.addEventListener('hidden.bs.modal', function () {
+                modal.remove();
+                resolve(selection);
+            });
+
+            bootstrapModal.show();
+        });
+    }
+
+    /**
+     * Expose the helper so the menu and dish pages can reuse it.
+     * Example usage:
+     *   const optionIds = await window.DishOptions.openPicker(item);
+     *   if (optionIds !== null) await window.cartAPI.addItem(item.id, 1, optionIds);
+     */
+    global.DishOptions = {
+        hasOptions,
+        resolveOptions,
+        formatLabel,
+        openPicker,
+    };
+})(window);
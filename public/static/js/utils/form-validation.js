@@ -50,15 +50,21 @@
         /<meta[^>]*http-equiv\s*=\s*["']?refresh/gi,
     ];
 
+    /**
+     * Error messages, translated with window.t (validation.* keys of the js domain).
+     * Labels are translated by the callers (field.* keys).
+     */
+    const t = global.t;
     const messages = {
-        required: label => `${label} est requis`,
-        minLength: (label, min) => `${label} doit contenir au moins ${min} caractères`,
-        nameFormat: label => `${label} ne peut contenir que des lettres, espaces et tirets`,
-        emailFormat: () => `L'email n'est pas valide`,
-        phoneFormat: () => `Le numéro de téléphone n'est pas valide`,
-        numericMin: (label, min) => `${label} doit être au moins ${min}`,
-        xss: label => `${label} contient des éléments non autorisés`,
-        maxLength: (label, max) => `${label} ne peut pas dépasser ${max} caractères`,
+        required: label => t('validation.required', { label }),
+        minLength: (label, min) => t('validation.min_length', { label, min }),
+        nameFormat: label => t('validation.name_format', { label }),
+        emailFormat: () => t('validation.email_format'),
+        phoneFormat: () => t('validation.phone_format'),
+        numericMin: (label, min) => t('validation.numeric_min', { label, min }),
+        xss: label => t('validation.xss', { label }),
+        xssDetailed: label => t('validation.xss_detailed', { label }),
+        maxLength: (label, max) => t('validation.max_length', { label, max }),
     };
 
     /**
@@ -101,7 +107,7 @@
      * @param {Object} options - Optional settings (e.g. different min length)
      * @returns {{valid: boolean, message: string, value: string}}
      */
-    function validateName(value, label = 'Ce champ', options = {}) {
+    function validateName(value, label = t('field.default'), options = {}) {
         const { minLength = 2 } = options;
         const trimmed = value.trim();
 
@@ -127,7 +133,7 @@
      * to override the label or other behaviour if needed later.
      */
     function validateEmail(value, options = {}) {
-        const { label = `L'email` } = options;
+        const { label = t('field.email') } = options;
         const trimmed = value.trim();
 
         if (!trimmed) {
@@ -149,7 +155,7 @@
      * the format when a value is provided.
      */
     function validatePhone(value, options = {}) {
-        const { label = 'Le numéro de téléphone', required = false } = options;
+        const { label = t('field.phone'), required = false } = options;
         const trimmed = value.trim();
 
         if (!trimmed) {
@@ -171,7 +177,7 @@
      * min/max lengths are acceptable.
      */
     function validateMessage(value, options = {}) {
-        const { label = 'Le message', required = false, min = 0, max = 1000 } = options;
+        const { label = t('field.message'), required = false, min = 0, max = 1000 } = options;
 
         const trimmed = value.trim();
 
@@ -179,10 +185,7 @@
             return required ? result(false, messages.required(label)) : result(true, '', trimmed);
         }
         if (containsXss(trimmed)) {
-            return result(
-                false,
-                `${label} contient des éléments non autorisés (balises HTML, JavaScript, etc.)`
-            );
+            return result(false, messages.xssDetailed(label));
         }
         if (trimmed.length < min) {
             return result(false, messages.minLength(label, min));
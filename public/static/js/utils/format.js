@@ -0,0 +1,169 @@
+(function (global) {
+    'use strict';
+
+    /**
+     * Locale Formatting
+     * -----------------
+     * Formats prices, numbers, dates and times for the active locale
+     * (window.i18n.getLocale()), exposed as `window.LocaleFormat`.
+     *
+     * Every amount shown by the front-end scripts goes through price():
+     * "12,50 €" in French, "€12.50" in English. Texts around the values come
+     * from the translations (window.t), which receive the formatted values.
+     *
+     * Dates of the forms stay ISO "YYYY-MM-DD" strings (input[type=date], API);
+     * isoDate() builds them from the local date, unlike toISOString() which
+     * gives the UTC date (the day before, after midnight in Marseille).
+     */
+
+    if (global.LocaleFormat) {
+        return;
+    }
+
+    /**
+     * Currency of the menu prices
+     */
+    const CURRENCY = 'EUR';
+
+    const locale = global.i18n ? global.i18n.getLocale() : document.documentElement.lang || 'fr';
+
+    /**
+     * Intl formatters by options, created once (building them is costly
+     * compared to formatting, and the menu formats hundreds of prices)
+     */
+    const formatters = new Map();
+
+    /**
+     * Get a cached Intl formatter
+     *
+     * @param {Function} Formatter - Intl.NumberFormat or Intl.DateTimeFormat
+     * @param {Object} options - Formatter options
+     * @returns {Intl.NumberFormat|Intl.DateTimeFormat}
+     */
+    function getFormatter(Formatter, options) {
+        const key = `${Formatter.name}:${JSON.stringify(options)}`;
+        if (!formatters.has(key)) {
+            formatters.set(key, new Formatter(locale, options));
+        }
+        return formatters.get(key);
+    }
+
+    /**
+     * Format an amount in euros
+     *
+     * @param {number|string} amount - Amount in euros
+     * @param {Object} [options={}]
+     * @param {boolean} [options.trimZeros=false] - Drop the cents of whole amounts ("12 €", menu cards)
+     * @param {boolean} [options.signed=false] - Always show the sign ("+2,50 €", option price deltas)
+     * @returns {string} Formatted price, e.g. "12,50 €" / "€12.50"
+     */
+    function price(amount, { trimZeros = false, signed = false } = {}) {
+        const value = Number(amount) || 0;
+        const whole = trimZeros && Number.isInteger(value);
+
+        return getFormatter(Intl.NumberFormat, {
+            style: 'currency',
+            currency: CURRENCY,
+            minimumFractionDigits: whole ? 0 : 2,
+            maximumFractionDigits: whole ? 0 : 2,
+            signDisplay: signed ? 'exceptZero' : 'auto',
+        }).format(value);
+    }
+
+    /**
+     * Format a number (calories, grams, counts)
+     *
+     * @param {number} value
+     * @param {Object} [options={}] - Intl.NumberFormat options
+     * @returns {string} Formatted number, e.g. "1 250" / "1,250"
+     */
+    function number(value, options = {}) {
+        return getFormatter(Intl.NumberFormat, options).format(Number(value) || 0);
+    }
+
+    /**
+     * Read a date: Date, ISO date "YYYY-MM-DD" (local day) or ISO date-time
+     *
+     * @param {Date|string} value
+     * @returns {Date}
+     */
+    function toDate(value) {
+        if (value instanceof Date) return value;
+
+        const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(String(value));
+        return match ? new Date(match[1], match[2] - 1, match[3]) : new Date(value);
+    }
+
+    /**
+     * Format a date
+     *
+     * @param {Date|string} value - Date, "YYYY-MM-DD" or ISO date-time (API dates)
+     * @param {Object} [options={ dateStyle: 'long' }] - Intl.DateTimeFormat options
+     * @returns {string} Formatted date, e.g. "19 octobre 2026" / "October 19, 2026"
+     */
+    function date(value, options = { dateStyle: 'long' }) {
+        const parsed = toDate(value);
+        return isNaN(parsed) ? '' : getFormatter(Intl.DateTimeFormat, options).format(parsed);
+    }
+
+    /**
+     * Date of a "HH:MM" time, on an arbitrary day (only the time is formatted)
+     *
+     * @param {string} value - "HH:MM"
+     * @returns {Date}
+     */
+    function timeToDate(value) {
+        const [hours, minutes] = String(value).split(':').map(Number);
+        return new Date(2000, 0, 1, hours || 0, minutes || 0);
+    }
+
+    /**
+     * Format a "HH:MM" time
+     *
+     * @param {string} value - "HH:MM" (slots, service windows)
+     * @returns {string} Formatted time, e.g. "12:30" / "12:30 PM"
+     */
+    function time(value) {
+        return getFormatter(Intl.DateTimeFormat, { timeStyle: 'short' }).format(timeToDate(value));
+    }
+
+    /**
+     * Format a time range
+     *
+     * @param {string} start - "HH:MM"
+     * @param {string} end - "HH:MM"
+     * @returns {string} Formatted range, e.g. "12:00 – 14:30" / "12:00 – 2:30 PM"
+     */
+    function timeRange(start, end) {
+        return getFormatter(Intl.DateTimeFormat, { timeStyle: 'short' }).formatRange(
+            timeToDate(start),
+            timeToDate(end)
+        );
+    }
+
+    /**
+     * Local date as "YYYY-MM-DD" (input[type=date] values, API dates)
+     *
+     * @param {Date} [value=new Date()]
+     * @returns {string}
+     */
+    function isoDate(value = new Date()) {
+        const pad = part => String(part).padStart(2, '0');
+        return `${value.getFullYear()}-${pad(value.getMonth() + 1)}-${pad(value.getDate())}`;
+    }
+
+    /**
+     * Expose the formatters to the other scripts.
+     * Example usage:
+     *   window.LocaleFormat.price(12.5);                 // "12,50 €"
+     *   window.LocaleFormat.timeRange('12:00', '12:30'); // "12:00 – 12:30"
+     */
+    global.LocaleFormat = {
+        price,
+        number,
+        date,
+        time,
+        timeRange,
+        isoDate,
+    };
+})(window);
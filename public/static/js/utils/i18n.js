@@ -0,0 +1,226 @@
+(function (global) {
+    'use strict';
+
+    /**
+     * Front-end Translations
+     * ----------------------
+     * Translates the user-facing strings of the front-end scripts, exposed as
+     * `window.i18n` (with the shorthand `window.t(key, params)`).
+     *
+     * The messages are the "js" domain of the Symfony translation files
+     * (translations/js+intl-icu.{locale}.yaml). The catalogue of the current locale
+     * is served by TranslationController (/i18n/{locale}.js, missing keys filled from
+     * French) and defines `window.i18nCatalogue`; base.html.twig loads it before
+     * this file and every other script.
+     *
+     * Messages use the ICU syntax, as in Twig (|trans):
+     *   - "{name}" is replaced by params.name
+     *   - "{count, plural, =0 {Panier vide} one {# article} other {# articles}}" picks a
+     *     branch with Intl.PluralRules; "#" is the number formatted for the locale
+     *   - "{mode, select, dim {Grisés} other {Masqués}}" picks a branch by value
+     *
+     * Params are inserted as is: escape user data (dish names, comments...) before
+     * passing them when the result goes to innerHTML.
+     *
+     * The locale follows the "locale" cookie (header switcher), then the browser
+     * languages (LocaleSubscriber); switching reloads the page.
+     */
+
+    if (global.i18n) {
+        return;
+    }
+
+    /**
+     * Cookie read by LocaleSubscriber (one year, like the other preferences)
+     */
+    const LOCALE_COOKIE = 'locale';
+    const LOCALE_COOKIE_MAX_AGE = 365 * 24 * 60 * 60;
+
+    const catalogue = global.i18nCatalogue || { locale: null, messages: {} };
+    const locale = catalogue.locale || document.documentElement.lang || 'fr';
+    const messages = catalogue.messages || {};
+
+    const pluralRules = new Intl.PluralRules(locale);
+    const numberFormat = new Intl.NumberFormat(locale);
+    const warnedKeys = new Set();
+
+    /**
+     * Index of the brace closing the one at `open`
+     *
+     * @param {string} message - ICU message
+     * @param {number} open - Index of an opening brace
+     * @returns {number} Index, -1 when unbalanced
+     */
+    function findClosingBrace(message, open) {
+        let depth = 0;
+        for (let index = open; index < message.length; index++) {
+            if (message[index] === '{') depth++;
+            if (message[index] === '}' && --depth === 0) return index;
+        }
+        return -1;
+    }
+
+    /**
+     * Parse the branches of a plural/select argument ("one {...} other {...}")
+     *
+     * @param {string} source - Text after "plural," or "select,"
+     * @returns {Map<string, string>} Selector => branch message
+     */
+    function parseBranches(source) {
+        const branches = new Map();
+        let index = 0;
+
+        while (index < source.length) {
+            const open = source.indexOf('{', index);
+            if (open === -1) break;
+            const close = findClosingBrace(source, open);
+            if (close === -1) break;
+
+            branches.set(source.slice(index, open).trim(), source.slice(open + 1, close));
+            index = close + 1;
+        }
+
+        return branches;
+    }
+
+    /**
+     * Format one "{...}" argument of a message
+     *
+     * @param {string} argument - Content of the braces
+     * @param {Object} params - Message params
+     * @returns {string}
+     */
+    function formatArgument(argument, params) {
+        const match = argument.match(/^\s*([\w.]+)\s*(?:,\s*(plural|select)\s*,([\s\S]*))?$/);
+        if (!match) return `{${argument}}`;
+
+        const [, name, type, branchSource] = match;
+        const value = params[name];
+
+        if (!type) {
+            return value === undefined || value === null ? `{${name}}` : String(value);
+        }
+
+        const branches = parseBranches(branchSource);
+        let branch;
+        if (type === 'plural') {
+            const number = Number(value) || 0;
+            branch =
+                branches.get(`=${number}`) ??
+                branches.get(pluralRules.select(number)) ??
+                branches.get('other') ??
+                '';
+            branch = branch.replace(/#/g, numberFormat.format(number));
+        } else {
+            branch = branches.get(String(value)) ?? branches.get('other') ?? '';
+        }
+
+        return format(branch, params);
+    }
+
+    /**
+     * Replace the arguments of an ICU message
+     *
+     * @param {string} message - ICU message
+     * @param {Object} params - Message params
+     * @returns {string}
+     */
+    function format(message, params) {
+        let output = '';
+        let index = 0;
+
+        while (index < message.length) {
+            const open = message.indexOf('{', index);
+            const close = open === -1 ? -1 : findClosingBrace(message, open);
+            if (close === -1) {
+                output += message.slice(index);
+                break;
+            }
+
+            output += message.slice(index, open);
+            output += formatArgument(message.slice(open + 1, close), params);
+            index = close + 1;
+        }
+
+        return output;
+    }
+
+    /**
+     * Translate a message of the "js" domain
+     *
+     * An unknown key is returned as is (and reported once in the console).
+     *
+     * @param {string} key - Message key, e.g. 'cart.added'
+     * @param {Object} [params={}] - Message params, e.g. { name: 'Bouillabaisse' }
+     * @returns {string} Translated text
+     */
+    function t(key, params = {}) {
+        const message = messages[key];
+        if (message === undefined) {
+            if (!warnedKeys.has(key)) {
+                warnedKeys.add(key);
+                console.warn(`Missing translation: ${key}`);
+            }
+            return key;
+        }
+
+        return format(message, params);
+    }
+
+    /**
+     * Check whether a message exists in the catalogue
+     *
+     * @param {string} key - Message key
+     * @returns {boolean}
+     */
+    function has(key) {
+        return Object.prototype.hasOwnProperty.call(messages, key);
+    }
+
+    /**
+     * Switch the locale: remember it in the "locale" cookie and reload the page
+     *
+     * @param {string} newLocale - Locale code ('fr', 'en')
+     */
+    function setLocale(newLocale) {
+        if (!newLocale || newLocale === locale) return;
+
+        document.cookie = `${LOCALE_COOKIE}=${encodeURIComponent(newLocale)}; path=/; max-age=${LOCALE_COOKIE_MAX_AGE}; SameSite=Lax`;
+        global.location.reload();
+    }
+
+    /**
+     * Wire the language switcher of the header (buttons with data-locale-switch)
+     */
+    function setupLocaleSwitcher() {
+        document.querySelectorAll('[data-locale-switch]').forEach(button => {
+            const buttonLocale = button.getAttribute('data-locale-switch');
+            button.setAttribute('aria-pressed', String(buttonLocale === locale));
+            button.addEventListener('click', event => {
+                event.preventDefault();
+                setLocale(buttonLocale);
+            });
+        });
+    }
+
+    if (document.readyState === 'loading') {
+        document.addEventListener('DOMContentLoaded', setupLocaleSwitcher);
+    } else {
+        setupLocaleSwitcher();
+    }
+
+    /**
+     * Expose the helper to the other scripts.
+     * Example usage:
+     *   window.t('cart.added', { name: item.name });      // "Bouillabaisse ajouté au panier"
+     *   window.t('cart.nutrition.missing', { count: 2 }); // "2 plats sans information"
+     */
+    global.i18n = {
+        t,
+        has,
+        format: (message, params = {}) => format(message, params),
+        getLocale: () => locale,
+        setLocale,
+    };
+    global.t = t;
+})(window);
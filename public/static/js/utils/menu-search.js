@@ -0,0 +1,278 @@
+(function (global) {
+    'use strict';
+
+    /**
+     * Menu Search Utility
+     * -------------------
+     * Search index over the dishes of the menu page, exposed as `window.MenuSearch`.
+     *
+     * - Accents and case are ignored ("creme brulee" finds "Crème brûlée")
+     * - Name, description, ingredients and tags are searched, with decreasing weight
+     * - Small typos are tolerated ("risoto", "chocolta")
+     * - Every word of the query must match (French stop words such as "de" or "la" are ignored)
+     * - Results carry a relevance score and the words that matched, for highlighting
+     *
+     * The index is built once from `window.menuItems` (see menu.js); searching
+     * only compares the query with the precomputed words.
+     */
+
+    if (global.MenuSearch) {
+        return;
+    }
+
+    /**
+     * Weight of a match in each field of a dish
+     */
+    const FIELD_WEIGHTS = {
+        name: 3,
+        tags: 2,
+        ingredients: 1.5,
+        description: 1,
+    };
+
+    /**
+     * Query words ignored when searching
+     */
+    const STOP_WORDS = new Set([
+        'a',
+        'au',
+        'aux',
+        'd',
+        'de',
+        'des',
+        'du',
+        'en',
+        'et',
+        'l',
+        'la',
+        'le',
+        'les',
+    ]);
+
+    /**
+     * Bonus when the whole query appears as is in the name of the dish
+     */
+    const NAME_PHRASE_BONUS = 2;
+
+    const WORD_PATTERN = /[\p{L}\p{N}]+/gu;
+
+    /**
+     * Normalize text for comparison: lowercase, no diacritics, ligatures expanded
+     *
+     * @param {*} value - Raw text
+     * @returns {string} Normalized text
+     */
+    function normalize(value) {
+        return String(value ?? '')
+            .toLowerCase()
+            .replace(/œ/g, 'oe')
+            .replace(/æ/g, 'ae')
+            .normalize('NFD')
+            .replace(/\p{M}/gu, '');
+    }
+
+    /**
+     * Split text into normalized words
+     *
+     * @param {*} value - Raw text
+     * @returns {string[]} Words
+     */
+    function tokenize(value) {
+        return normalize(value).match(WORD_PATTERN) || [];
+    }
+
+    /**
+     * Number of typos tolerated for a query word (none for short words)
+     *
+     * @param {string} word - Normalized query word
+     * @returns {number}
+     */
+    function maxTypos(word) {
+        if (word.length >= 8) return 2;
+        if (word.length >= 4) return 1;
+        return 0;
+    }
+
+    /**
+     * Edit distance between two words (insertion, deletion, substitution or
+     * swap of two adjacent letters), stopping as soon as it exceeds max
+     *
+     * @param {string} a - First word
+     * @param {string} b - Second word
+     * @param {number} max - Largest distance of interest
+     * @returns {number} Distance, or max + 1 when larger than max
+     */
+    function editDistance(a, b, max) {
+        if (Math.abs(a.length - b.length) > max) return max + 1;
+
+        let previousRow = null;
+        let row = Array.from({ length: b.length + 1 }, (_, j) => j);
+
+        for (let i = 1; i <= a.length; i++) {
+            const nextRow = [i];
+            let rowMin = i;
+            for (let j = 1; j <= b.length; j++) {
+                const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+                let distance = Math.min(row[j] + 1, nextRow[j - 1] + 1, row[j - 1] + cost);
+                if (previousRow && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                    distance = Math.min(distance, previousRow[j - 2] + 1);
+                }
+                nextRow.push(distance);
+                rowMin = Math.min(rowMin, distance);
+            }
+            if (rowMin > max) return max + 1;
+            previousRow = row;
+            row = nextRow;
+        }
+
+        return row[b.length];
+    }
+
+    /**
+     * How well a word of a dish matches a query word
+     *
+     * @param {string} queryWord - Normalized query word
+     * @param {string} word - Normalized word of the dish
+     * @returns {number} 1 for an exact match, less for a prefix, an inner match or a typo, 0 otherwise
+     */
+    function matchQuality(queryWord, word) {
+        if (word === queryWord) return 1;
+        if (queryWord.length >= 2 && word.startsWith(queryWord)) return 0.8;
+        if (queryWord.length >= 3 && word.includes(queryWord)) return 0.5;
+
+        const max = maxTypos(queryWord);
+        if (max === 0) return 0;
+
+        // A word being typed may be both misspelled and unfinished: compare with
+        // the beginning of longer words as well
+        const candidate =
+            word.length > queryWord.length + max ? word.slice(0, queryWord.length) : word;
+        const distance = editDistance(queryWord, candidate, max);
+        if (distance > max) return 0;
+
+        return distance === 1 ? 0.5 : 0.3;
+    }
+
+    /**
+     * Build the search index of the menu
+     *
+     * @param {Array<Object>} items - Menu items (id, name, description, ingredients, tags)
+     * @param {Object} [options]
+     * @param {Object<string, string>} [options.tagLabels] - Readable label of each tag code
+     *   (e.g. { vegetarian: 'Végétarien' }), searched together with the code
+     * @returns {{search: function(string): (Map<string, {score: number, words: Set<string>}>|null)}}
+     */
+    function createIndex(items, { tagLabels = {} } = {}) {
+        const entries = (items || []).map(item => {
+            const tags = (item.tags || []).flatMap(tag => [tag, tagLabels[tag] || '']);
+            return {
+                id: String(item.id),
+                name: normalize(item.name),
+                fields: {
+                    name: new Set(tokenize(item.name)),
+                    tags: new Set(tokenize(tags.join(' '))),
+                    ingredients: new Set(tokenize((item.ingredients || []).join(' '))),
+                    description: new Set(tokenize(item.description)),
+                },
+            };
+        });
+
+        /**
+         * Search the menu
+         *
+         * @param {string} query - Text typed by the customer
+         * @returns {Map<string, {score: number, words: Set<string>}>|null} Matching dishes by ID,
+         *   with their relevance and the normalized words that matched; null when the
+         *   query has no searchable word (empty or only stop words)
+         */
+        function search(query) {
+            const queryWords = tokenize(query).filter(word => !STOP_WORDS.has(word));
+            if (queryWords.length === 0) return null;
+
+            const results = new Map();
+            const phrase = queryWords.join(' ');
+
+            entries.forEach(entry => {
+                let score = 0;
+                const words = new Set();
+
+                const allWordsMatch = queryWords.every(queryWord => {
+                    let best = 0;
+                    Object.entries(entry.fields).forEach(([field, fieldWords]) => {
+                        fieldWords.forEach(word => {
+                            const quality = matchQuality(queryWord, word);
+                            if (quality === 0) return;
+                            words.add(word);
+                            best = Math.max(best, quality * FIELD_WEIGHTS[field]);
+                        });
+                    });
+                    score += best;
+                    return best > 0;
+                });
+
+                if (!allWordsMatch) return;
+
+                if (entry.name.includes(phrase)) {
+                    score += NAME_PHRASE_BONUS;
+                }
+                results.set(entry.id, { score, words });
+            });
+
+            return results;
+        }
+
+        return { search };
+    }
+
+    /**
+     * Escape text before injecting it into markup
+     *
+     * @param {*} value - Raw value
+     * @returns {string} HTML-safe string
+     */
+    function escapeHtml(value) {
+        return String(value ?? '')
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#039;');
+    }
+
+    /**
+     * Escape text and wrap the matched words in <mark>
+     *
+     * @param {string} text - Original text (name or description of the dish)
+     * @param {Set<string>|null} words - Normalized words to highlight (search result)
+     * @returns {string} HTML
+     */
+    function highlight(text, words) {
+        const source = String(text ?? '');
+        if (!words || words.size === 0) return escapeHtml(source);
+
+        let html = '';
+        let lastIndex = 0;
+        for (const match of source.matchAll(WORD_PATTERN)) {
+            html += escapeHtml(source.slice(lastIndex, match.index));
+            html += words.has(normalize(match[0]))
+                ? `<mark class="search-highlight">${escapeHtml(match[0])}</mark>`
+                : escapeHtml(match[0]);
+            lastIndex = match.index + match[0].length;
+        }
+
+        return html + escapeHtml(source.slice(lastIndex));
+    }
+
+    /**
+     * Expose the helper for the menu page.
+     * Example usage:
+     *   const index = window.MenuSearch.createIndex(window.menuItems);
+     *   const results = index.search('creme brulee'); // Map id -> { score, words }
+     *   title.innerHTML = window.MenuSearch.highlight(item.name, results.get(item.id)?.words);
+     */
+    global.MenuSearch = {
+        normalize,
+        createIndex,
+        highlight,
+    };
+})(window);
@@ -0,0 +1,89 @@
+<?php
+
+namespace App\Controller\Admin;
+
+use App\Entity\Category;
+use App\Repository\MenuItemRepository;
+use Doctrine\ORM\EntityManagerInterface;
+use EasyCorp\Bundle\EasyAdminBundle\Config\Action;
+use EasyCorp\Bundle\EasyAdminBundle\Config\Actions;
+use EasyCorp\Bundle\EasyAdminBundle\Config\Crud;
+use EasyCorp\Bundle\EasyAdminBundle\Controller\AbstractCrudController;
+use EasyCorp\Bundle\EasyAdminBundle\Field\IdField;
+use EasyCorp\Bundle\EasyAdminBundle\Field\IntegerField;
+use EasyCorp\Bundle\EasyAdminBundle\Field\TextField;
+use Symfony\Component\Security\Http\Attribute\IsGranted;
+
+/**
+ * Menu categories: name, slug, emoji and display order of the menu sections.
+ *
+ * Dishes reference a category by slug, so the slug cannot be changed once
+ * created and a category still used by dishes cannot be deleted.
+ */
+#[IsGranted('ROLE_MODERATOR')]
+class CategoryCrudController extends AbstractCrudController
+{
+    public function __construct(
+        private MenuItemRepository $menuItemRepository
+    ) {
+    }
+
+    public static function getEntityFqcn(): string
+    {
+        return Category::class;
+    }
+
+    public function configureCrud(Crud $crud): Crud
+    {
+        return $crud
+            ->setEntityLabelInSingular('Catégorie')
+            ->setEntityLabelInPlural('Catégories')
+            ->setPageTitle('index', 'Catégories de la carte')
+            ->setDefaultSort(['position' => 'ASC', 'name' => 'ASC']);
+    }
+
+    public function configureFields(string $pageName): iterable
+    {
+        return [
+            IdField::new('id')->hideOnForm()->hideOnIndex(),
+            TextField::new('icon', 'Icône')->setHelp('Emoji affiché sur le bouton de filtre (ex. 🥗)'),
+            TextField::new('name', 'Nom')->setRequired(true),
+            TextField::new('slug', 'Slug')
+                ->setRequired(true)
+                ->setHelp('Identifiant dans les liens du menu (ex. menu-enfant). Ne peut plus être modifié ensuite.')
+                ->setFormTypeOption('disabled', $pageName === Crud::PAGE_EDIT),
+            IntegerField::new('position', 'Ordre')->setHelp('Les catégories sont affichées par ordre croissant'),
+        ];
+    }
+
+    public function configureActions(Actions $actions): Actions
+    {
+        $actions = $actions
+            ->update(Crud::PAGE_INDEX, Action::EDIT, fn(Action $a) => $a->setCssClass('btn btn-soft-success btn-sm'));
+
+        // Only admins can see delete action
+        if ($this->isGranted('ROLE_ADMIN')) {
+            $actions = $actions->update(Crud::PAGE_INDEX, Action::DELETE, fn(Action $a) => $a->setCssClass('action-delete btn btn-soft-danger btn-sm'));
+        } else {
+            $actions = $actions->remove(Crud::PAGE_INDEX, Action::DELETE);
+        }
+
+        return $actions
+            ->setPermission(Action::NEW, 'ROLE_ADMIN');
+    }
+
+    /**
+     * Refuse to delete a category that dishes still use (they would vanish from the menu)
+     */
+    public function deleteEntity(EntityManagerInterface $entityManager, $entityInstance): void
+    {
+        $count = $this->menuItemRepository->count(['category' => $entityInstance->getSlug()]);
+        if ($count > 0) {
+            $this->addFlash('error', sprintf('La catégorie « %s » contient encore %d plat(s) : déplacez-les avant de la supprimer.', $entityInstance->getName(), $count));
+
+            return;
+        }
+
+        parent::deleteEntity($entityManager, $entityInstance);
+    }
+}
@@ -4,6 +4,8 @@ namespace App\Controller\Admin;
 
 use App\Entity\ContactMessage;
 use App\Entity\MenuItem;
+use App\Entity\Category;
+use App\Entity\MenuSchedule;
 use App\Entity\Drink;
 use App\Entity\Reservation;
 use App\Entity\Review;
@@ -174,6 +176,8 @@ class DashboardController extends AbstractDashboardController
         yield EaMenuItem::linkToDashboard('Dashboard', 'fa fa-home');
         yield EaMenuItem::subMenu('Carte (Menu)', 'fa fa-utensils')->setSubItems([
             EaMenuItem::linkToCrud('Plats', 'fa fa-bowl-food', MenuItem::class),
+            EaMenuItem::linkToCrud('Catégories', 'fa fa-layer-group', Category::class),
+            EaMenuItem::linkToCrud('Horaires', 'fa fa-clock', MenuSchedule::class),
             EaMenuItem::linkToCrud('Boissons', 'fa fa-wine-glass', Drink::class),
         ]);
         yield EaMenuItem::linkToCrud('Tables', 'fas fa-chair', Table::class);
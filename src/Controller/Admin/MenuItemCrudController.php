@@ -3,11 +3,13 @@
 namespace App\Controller\Admin;
 
 use App\Entity\MenuItem;
+use App\Enum\MenuItemAvailability;
 use Doctrine\ORM\EntityManagerInterface;
 use EasyCorp\Bundle\EasyAdminBundle\Controller\AbstractCrudController;
 use EasyCorp\Bundle\EasyAdminBundle\Field\AssociationField;
 use EasyCorp\Bundle\EasyAdminBundle\Field\BooleanField;
 use EasyCorp\Bundle\EasyAdminBundle\Field\DateTimeField;
+use EasyCorp\Bundle\EasyAdminBundle\Field\Field;
 use EasyCorp\Bundle\EasyAdminBundle\Field\IdField;
 use EasyCorp\Bundle\EasyAdminBundle\Field\MoneyField;
 use EasyCorp\Bundle\EasyAdminBundle\Field\ImageField;
@@ -16,6 +18,7 @@ use EasyCorp\Bundle\EasyAdminBundle\Field\TextField;
 use EasyCorp\Bundle\EasyAdminBundle\Field\TextareaField;
 use EasyCorp\Bundle\EasyAdminBundle\Field\IntegerField;
 use EasyCorp\Bundle\EasyAdminBundle\Field\ArrayField;
+use EasyCorp\Bundle\EasyAdminBundle\Field\CollectionField;
 use EasyCorp\Bundle\EasyAdminBundle\Config\Crud;
 use EasyCorp\Bundle\EasyAdminBundle\Config\Action;
 use EasyCorp\Bundle\EasyAdminBundle\Config\Actions;
@@ -23,10 +26,17 @@ use EasyCorp\Bundle\EasyAdminBundle\Config\Filters;
 use EasyCorp\Bundle\EasyAdminBundle\Filter\TextFilter;
 use EasyCorp\Bundle\EasyAdminBundle\Filter\NumericFilter;
 use EasyCorp\Bundle\EasyAdminBundle\Filter\BooleanFilter;
+use EasyCorp\Bundle\EasyAdminBundle\Filter\ChoiceFilter;
+use EasyCorp\Bundle\EasyAdminBundle\Router\AdminUrlGenerator;
 use Symfony\Component\Security\Http\Attribute\IsGranted;
 use App\Repository\AllergenRepository;
+use App\Repository\CategoryRepository;
 use App\Service\FileUploadValidator;
+use App\Service\MenuItemPhotoStorage;
+use Symfony\Component\Form\Extension\Core\Type\FileType;
 use Symfony\Component\HttpFoundation\File\UploadedFile;
+use Symfony\Component\HttpFoundation\Request;
+use Symfony\Component\HttpFoundation\Response;
 use Symfony\Component\HttpFoundation\File\Exception\FileException;
 use Symfony\Component\HttpKernel\Exception\BadRequestHttpException;
 
@@ -34,7 +44,10 @@ use Symfony\Component\HttpKernel\Exception\BadRequestHttpException;
 class MenuItemCrudController extends AbstractCrudController
 {
     public function __construct(
-        private FileUploadValidator $fileValidator
+        private MenuItemPhotoStorage $photoStorage,
+        private EntityManagerInterface $entityManager,
+        private AdminUrlGenerator $adminUrlGenerator,
+        private CategoryRepository $categoryRepository
     ) {
     }
     public static function getEntityFqcn(): string
@@ -56,13 +69,11 @@ class MenuItemCrudController extends AbstractCrudController
 
     public function configureFields(string $pageName): iterable
     {
-        // Configure ImageField for display only - file upload is handled manually in handleFileUpload()
-        // Images are stored in /static/img/menu/ (all menu items in one folder)
-        // Note: setUploadDir is required by EasyAdmin, but we override file handling in handleFileUpload()
+        // Dish image of the menu cards (first photo), display only:
+        // photos are uploaded and ordered with the "Photos" fields below
         $imageField = ImageField::new('image', 'Image')
             ->setBasePath('/static/img/menu')
-            ->setUploadDir('public/static/img/menu') // Required by EasyAdmin, but we override in handleFileUpload()
-            ->setHelp('Téléversez une image. Le fichier sera copié dans /public/static/img/menu/')
+            ->setUploadDir('public/static/img/menu') // Required by EasyAdmin, files are stored by MenuItemPhotoStorage
             // Format image path - if it's just a filename, prepend /static/img/menu/
             ->formatValue(function ($value, $entity) {
                 if (!$value) {
@@ -82,16 +93,7 @@ class MenuItemCrudController extends AbstractCrudController
                 // Return path with menu folder: /static/img/menu/filename.jpg
                 return '/static/img/menu/' . ltrim($value, '/');
             })
-            // Disable EasyAdmin's automatic file handling - we handle it manually
-            ->setFormTypeOptions([
-                'required' => $pageName === Crud::PAGE_NEW,
-                'allow_delete' => false, // Prevent EasyAdmin from deleting files
-            ]);
-
-        // On edit, keep existing image and make upload optional
-        if ($pageName === Crud::PAGE_EDIT) {
-            $imageField = $imageField->setRequired(false);
-        }
+            ->hideOnForm();
 
         return [
             IdField::new('id')->hideOnForm()->hideOnIndex(),
@@ -99,12 +101,57 @@ class MenuItemCrudController extends AbstractCrudController
             TextareaField::new('description', 'Description')->setNumOfRows(4)->hideOnIndex(),
             MoneyField::new('price', 'Prix')->setCurrency('EUR')->setStoredAsCents(false),
             $imageField,
+            // Photos of the dish page: uploaded here (handlePhotoUploads()), ordered and removed below
+            Field::new('photoUploads', 'Ajouter des photos')
+                ->setFormType(FileType::class)
+                ->setFormTypeOptions([
+                    'mapped' => false,
+                    'multiple' => true,
+                    'required' => $pageName === Crud::PAGE_NEW,
+                    'attr' => ['accept' => implode(',', FileUploadValidator::getAllowedMimeTypes())],
+                ])
+                ->setHelp('Une ou plusieurs images (5 MB max chacune), ajoutées après les photos existantes. Les fichiers sont copiés dans /public/static/img/menu/')
+                ->onlyOnForms(),
+            CollectionField::new('photos', 'Photos')
+                ->useEntryCrudForm(MenuItemPhotoCrudController::class)
+                ->hideOnIndex()
+                ->setFormTypeOptions([
+                    'by_reference' => false,
+                    'allow_add' => false,
+                    'allow_delete' => true,
+                ])
+                ->setHelp('Ordre des photos sur la page du plat. La première est l\'image du plat sur la carte.')
+                ->formatValue(function ($value, $entity) {
+                    $count = $entity ? $entity->getPhotos()->count() : 0;
+                    return $count > 1 ? sprintf('%d photos', $count) : sprintf('%d photo', $count);
+                }),
+            // Categories are managed in "Catégories" (the dish stores the slug)
             ChoiceField::new('category', 'Catégorie')
+                ->setChoices(array_flip($this->categoryRepository->findNamesBySlug())),
+            // Availability: "Épuisé" keeps the dish visible but not orderable, "Masqué" removes it from the menu
+            ChoiceField::new('availability', 'Disponibilité')
                 ->setChoices([
-                    'Entrées' => 'entrees',
-                    'Plats' => 'plats',
-                    'Desserts' => 'desserts',
+                    'Disponible' => MenuItemAvailability::AVAILABLE,
+                    'Épuisé' => MenuItemAvailability::SOLD_OUT,
+                    'Masqué' => MenuItemAvailability::HIDDEN,
+                ])
+                ->renderAsBadges([
+                    MenuItemAvailability::AVAILABLE->value => 'success',
+                    MenuItemAvailability::SOLD_OUT->value => 'warning',
+                    MenuItemAvailability::HIDDEN->value => 'secondary',
                 ]),
+            DateTimeField::new('soldOutUntil', 'Épuisé jusqu\'à')
+                ->setRequired(false)
+                ->setHelp('Facultatif. Le plat redevient commandable automatiquement après cette date. Vide = épuisé jusqu\'à remise en vente manuelle.')
+                ->hideOnIndex(),
+            // Time windows: no schedule = served whenever the restaurant is open
+            AssociationField::new('schedules', 'Horaires de service')
+                ->setFormTypeOptions(['by_reference' => false])
+                ->setRequired(false)
+                ->setHelp('Facultatif. Le plat ne peut être commandé que pour un créneau compris dans l\'un de ces horaires (ex. Formule déjeuner). Gérés dans « Horaires ».')
+                ->hideOnIndex(),
+            BooleanField::new('dailySpecial', 'Suggestion du jour')
+                ->setHelp('Mis en avant en haut du menu les jours où il est servi'),
             TextareaField::new('ingredients', 'Ingrédients')
                 ->hideOnIndex()
                 ->setHelp('Liste d\'ingrédients. Saisissez un par ligne (recommandé) ou un tableau JSON ["item1","item2"].')
@@ -166,6 +213,31 @@ class MenuItemCrudController extends AbstractCrudController
                     }
                     return implode(', ', $names);
                 }),
+            // Options proposed when ordering (cooking level, side, extras)
+            CollectionField::new('optionGroups', 'Options à la commande')
+                ->useEntryCrudForm(MenuItemOptionGroupCrudController::class)
+                ->hideOnIndex()
+                ->setFormTypeOptions([
+                    'by_reference' => false,
+                    'allow_add' => true,
+                    'allow_delete' => true,
+                ])
+                ->setHelp('Groupes de choix proposés au client (ex. Cuisson, Accompagnement, Suppléments).')
+                ->formatValue(function ($value, $entity) {
+                    if (!$entity || $entity->getOptionGroups()->isEmpty()) {
+                        return 'Aucune option';
+                    }
+                    $groups = [];
+                    foreach ($entity->getOptionGroups() as $group) {
+                        $groups[] = sprintf(
+                            '%s (%s) : %s',
+                            $group->getName(),
+                            $group->isRequired() ? 'obligatoire' : 'facultatif',
+                            implode(', ', $group->getOptions()->map(fn ($option) => (string) $option)->toArray())
+                        );
+                    }
+                    return implode('<br>', $groups);
+                }),
             // Nutrition (embedded)
             IntegerField::new('nutrition.caloriesKcal', 'Calories (kcal)')->hideOnIndex(),
             TextField::new('nutrition.proteinsG', 'Protéines (g)')->hideOnIndex(),
@@ -180,8 +252,30 @@ class MenuItemCrudController extends AbstractCrudController
 
     public function configureActions(Actions $actions): Actions
     {
+        // One-click "86": sold out until the end of today's service
+        $markSoldOut = Action::new('markSoldOut', '86 (épuisé)')
+            ->setIcon('fa fa-ban')
+            ->linkToCrudAction('markSoldOut')
+            ->setCssClass('btn btn-soft-warning btn-sm')
+            ->displayIf(function ($entity) {
+                return $entity->isOrderable();
+            });
+
+        // Back on the menu before soldOutUntil is reached
+        $markAvailable = Action::new('markAvailable', 'Remettre en vente')
+            ->setIcon('fa fa-check')
+            ->linkToCrudAction('markAvailable')
+            ->setCssClass('btn btn-soft-success btn-sm')
+            ->displayIf(function ($entity) {
+                return $entity->isSoldOut();
+            });
+
         $actions = $actions
             ->add(Crud::PAGE_INDEX, Action::DETAIL)
+            ->add(Crud::PAGE_INDEX, $markSoldOut)
+            ->add(Crud::PAGE_INDEX, $markAvailable)
+            ->add(Crud::PAGE_DETAIL, $markSoldOut)
+            ->add(Crud::PAGE_DETAIL, $markAvailable)
             ->update(Crud::PAGE_INDEX, Action::EDIT, function(Action $action){
                 return $action->setCssClass('btn btn-soft-success btn-sm');
             })
@@ -207,206 +301,142 @@ class MenuItemCrudController extends AbstractCrudController
     {
         return $filters
             ->add(TextFilter::new('name', 'Nom'))
-            ->add(TextFilter::new('category', 'Catégorie'))
+            ->add(ChoiceFilter::new('category', 'Catégorie')->setChoices(array_flip($this->categoryRepository->findNamesBySlug())))
             ->add(NumericFilter::new('price', 'Prix'))
-            ->add(BooleanFilter::new('active', 'Actif'));
+            ->add(BooleanFilter::new('active', 'Actif'))
+            ->add(BooleanFilter::new('dailySpecial', 'Suggestion du jour'))
+            ->add(ChoiceFilter::new('availability', 'Disponibilité')
+                ->setChoices([
+                    'Disponible' => MenuItemAvailability::AVAILABLE->value,
+                    'Épuisé' => MenuItemAvailability::SOLD_OUT->value,
+                    'Masqué' => MenuItemAvailability::HIDDEN->value,
+                ]));
+    }
+
+    /**
+     * Mark a dish as sold out ("86") until the end of the day
+     */
+    public function markSoldOut(Request $request): Response
+    {
+        $menuItem = $this->findMenuItemFromRequest($request);
+        if ($menuItem) {
+            $menuItem->markSoldOut(new \DateTimeImmutable('tomorrow'));
+            $this->entityManager->flush();
+            $this->addFlash('success', sprintf('« %s » est marqué épuisé jusqu\'à la fin de la journée.', $menuItem->getName()));
+        }
+
+        return $this->redirect($this->adminUrlGenerator->setController(MenuItemCrudController::class)->setAction('index')->generateUrl());
+    }
+
+    /**
+     * Put a sold out dish back on sale
+     */
+    public function markAvailable(Request $request): Response
+    {
+        $menuItem = $this->findMenuItemFromRequest($request);
+        if ($menuItem) {
+            $menuItem->setAvailability(MenuItemAvailability::AVAILABLE);
+            $this->entityManager->flush();
+            $this->addFlash('success', sprintf('« %s » est de nouveau disponible.', $menuItem->getName()));
+        }
+
+        return $this->redirect($this->adminUrlGenerator->setController(MenuItemCrudController::class)->setAction('index')->generateUrl());
+    }
+
+    /**
+     * Load the menu item targeted by a custom action (adds an error flash when missing)
+     */
+    private function findMenuItemFromRequest(Request $request): ?MenuItem
+    {
+        $entityId = $request->query->get('entityId');
+        $menuItem = $entityId ? $this->entityManager->getRepository(MenuItem::class)->find($entityId) : null;
+        if (!$menuItem) {
+            $this->addFlash('error', 'Plat non trouvé.');
+        }
+
+        return $menuItem;
     }
 
     /**
-     * Validate uploaded file before persisting new entity
+     * Store the uploaded photos before persisting new entity
      */
     public function persistEntity(EntityManagerInterface $entityManager, $entityInstance): void
     {
         if ($entityInstance instanceof MenuItem) {
-            // Store the image value before EasyAdmin processes it
-            $savedImageValue = $entityInstance->getImage();
-            
-            // Handle file upload FIRST - this ensures file is saved before entity validation
-            try {
-                $this->handleFileUpload($entityInstance);
-                // After our manual upload, save the image value to prevent EasyAdmin from overwriting it
-                $savedImageValue = $entityInstance->getImage();
-            } catch (\Symfony\Component\HttpKernel\Exception\BadRequestHttpException $e) {
-                // Re-throw to show validation error in form
-                throw $e;
-            } catch (\Exception $e) {
-                // Convert to BadRequestHttpException for proper form error display
-                throw new \Symfony\Component\HttpKernel\Exception\BadRequestHttpException($e->getMessage(), $e);
-            }
-            
-            // Call parent to let EasyAdmin process the entity
-            parent::persistEntity($entityManager, $entityInstance);
-            
-            // Ensure our manually set image value is preserved after EasyAdmin processing
-            if ($savedImageValue && $entityInstance->getImage() !== $savedImageValue) {
-                $entityInstance->setImage($savedImageValue);
-                $entityManager->persist($entityInstance);
-                $entityManager->flush();
-            }
-        } else {
-            parent::persistEntity($entityManager, $entityInstance);
+            $this->preparePhotos($entityInstance);
         }
+
+        parent::persistEntity($entityManager, $entityInstance);
     }
 
     /**
-     * Validate uploaded file before updating entity
+     * Store the uploaded photos before updating entity
      */
     public function updateEntity(EntityManagerInterface $entityManager, $entityInstance): void
     {
         if ($entityInstance instanceof MenuItem) {
-            // Get original image value before processing
-            $originalEntity = $entityManager->getRepository(MenuItem::class)->find($entityInstance->getId());
-            $originalImageValue = $originalEntity ? $originalEntity->getImage() : null;
-            
-            // Store the image value before EasyAdmin processes it
-            $savedImageValue = $entityInstance->getImage();
-            
-            // Handle file upload if new file is being uploaded
-            try {
-                $this->handleFileUpload($entityInstance);
-                // After our manual upload, save the image value
-                if ($entityInstance->getImage()) {
-                    $savedImageValue = $entityInstance->getImage();
-                }
-            } catch (\Symfony\Component\HttpKernel\Exception\BadRequestHttpException $e) {
-                // Re-throw to show validation error in form
-                throw $e;
-            } catch (\Exception $e) {
-                // Convert to BadRequestHttpException for proper form error display
-                throw new \Symfony\Component\HttpKernel\Exception\BadRequestHttpException($e->getMessage(), $e);
-            }
-            
-            // If image is empty after upload attempt, keep the existing value
-            if (empty($savedImageValue) && $originalImageValue) {
-                $savedImageValue = $originalImageValue;
-                $entityInstance->setImage($originalImageValue);
-            }
-            
-            // Call parent to let EasyAdmin process the entity
-            parent::updateEntity($entityManager, $entityInstance);
-            
-            // Ensure our manually set image value is preserved after EasyAdmin processing
-            if ($savedImageValue && $entityInstance->getImage() !== $savedImageValue) {
-                $entityInstance->setImage($savedImageValue);
-                $entityManager->persist($entityInstance);
-                $entityManager->flush();
-            }
-        } else {
-            parent::updateEntity($entityManager, $entityInstance);
+            $this->preparePhotos($entityInstance);
+        }
+
+        parent::updateEntity($entityManager, $entityInstance);
+    }
+
+    /**
+     * Add the uploaded photos to the dish and use the first photo as its image
+     *
+     * A dish always keeps at least one photo: its image is shown on the menu cards.
+     */
+    private function preparePhotos(MenuItem $menuItem): void
+    {
+        try {
+            $this->handlePhotoUploads($menuItem);
+        } catch (BadRequestHttpException $e) {
+            // Re-throw to show validation error in form
+            throw $e;
+        } catch (\Exception $e) {
+            // Convert to BadRequestHttpException for proper form error display
+            throw new BadRequestHttpException($e->getMessage(), $e);
+        }
+
+        if ($menuItem->getPhotos()->isEmpty()) {
+            $message = 'Ajoutez au moins une photo du plat : la première est l\'image de la carte.';
+            $this->addFlash('error', $message);
+            throw new BadRequestHttpException($message);
         }
+
+        $menuItem->syncImageFromPhotos();
     }
 
     /**
-     * Handle file upload for menu item images
-     * This ensures files are saved to the correct directory and path is stored correctly in database
-     * 
-     * Note: This method handles the file upload manually to ensure files are saved to the correct
-     * location on the hosting server. EasyAdmin's automatic file handling can sometimes fail on
-     * hosting environments due to path resolution issues.
+     * Handle the photos uploaded with the "Ajouter des photos" field
+     *
+     * Validation, storage and positions are handled by MenuItemPhotoStorage.
      */
-    private function handleFileUpload(MenuItem $menuItem): void
+    private function handlePhotoUploads(MenuItem $menuItem): void
     {
         $request = $this->container->get('request_stack')->getCurrentRequest();
-        
+
         if (!$request || !$request->files->has('MenuItem')) {
             return;
         }
-        
+
         $formData = $request->files->get('MenuItem');
-        
-        if (!isset($formData['image']) || !$formData['image']) {
-            return;
-        }
-        
-        $uploadedFile = $formData['image'];
-        
-        if (!$uploadedFile instanceof UploadedFile) {
+        $uploadedFiles = array_filter(
+            (array) ($formData['photoUploads'] ?? []),
+            static fn($file) => $file instanceof UploadedFile
+        );
+
+        if (!$uploadedFiles) {
             return;
         }
-        
-        // Validate file: MIME type, extension, and size
+
         try {
-            $this->fileValidator->validate($uploadedFile);
+            $this->photoStorage->addUploadedPhotos($menuItem, array_values($uploadedFiles));
         } catch (FileException $e) {
             // Add flash message and throw exception to show validation error
             $this->addFlash('error', $e->getMessage());
             throw new BadRequestHttpException($e->getMessage());
         }
-        
-        // Get project directory to build absolute path
-        // Images are stored in /static/img/menu/ (all menu items in one folder)
-        $projectDir = $this->getParameter('kernel.project_dir');
-        $uploadDir = $projectDir . '/public/static/img/menu';
-        
-        // Ensure upload directory exists with proper permissions
-        if (!is_dir($uploadDir)) {
-            if (!mkdir($uploadDir, 0755, true)) {
-                throw new \RuntimeException('Failed to create upload directory: ' . $uploadDir);
-            }
-        }
-        
-        // Check if directory is writable
-        if (!is_writable($uploadDir)) {
-            throw new \RuntimeException('Upload directory is not writable: ' . $uploadDir);
-        }
-        
-        // Generate unique filename (similar to gallery - using uniqid for simplicity)
-        $extension = $uploadedFile->guessExtension() ?: $uploadedFile->getClientOriginalExtension();
-        $fileName = uniqid() . '.' . $extension;
-        
-        // Ensure filename is unique (in case of rapid uploads)
-        $fullPath = $uploadDir . '/' . $fileName;
-        $counter = 1;
-        while (file_exists($fullPath)) {
-            $fileName = uniqid() . '-' . $counter . '.' . $extension;
-            $fullPath = $uploadDir . '/' . $fileName;
-            $counter++;
-        }
-        
-        try {
-            // Move file to upload directory
-            // This ensures the file is saved to the correct location
-            $uploadedFile->move($uploadDir, $fileName);
-            
-            // Verify file was actually moved
-            if (!file_exists($fullPath)) {
-                throw new \RuntimeException('File was not saved after move operation');
-            }
-            
-            // Store only the filename in database (not full path)
-            // The basePath in ImageField will handle the path resolution for display
-            $menuItem->setImage($fileName);
-            
-            // Log successful upload for debugging (can be removed in production)
-            if ($this->container->has('logger')) {
-                $logger = $this->container->get('logger');
-                $logger->info('Menu item image uploaded', [
-                    'menu_item_id' => $menuItem->getId(),
-                    'menu_item_name' => $menuItem->getName(),
-                    'filename' => $fileName,
-                    'full_path' => $fullPath,
-                    'upload_dir' => $uploadDir,
-                ]);
-            }
-        } catch (\Exception $e) {
-            // Clean up if file was partially moved
-            if (file_exists($fullPath)) {
-                @unlink($fullPath);
-            }
-            
-            // Log error for debugging
-            if ($this->container->has('logger')) {
-                $logger = $this->container->get('logger');
-                $logger->error('Menu item image upload failed', [
-                    'menu_item_id' => $menuItem->getId(),
-                    'menu_item_name' => $menuItem->getName(),
-                    'error' => $e->getMessage(),
-                    'upload_dir' => $uploadDir,
-                ]);
-            }
-            
-            throw new \InvalidArgumentException('Erreur lors de l\'upload du fichier: ' . $e->getMessage());
-        }
     }
 
     /**
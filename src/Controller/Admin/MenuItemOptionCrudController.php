@@ -0,0 +1,45 @@
+<?php
+
+namespace App\Controller\Admin;
+
+use App\Entity\MenuItemOption;
+use EasyCorp\Bundle\EasyAdminBundle\Config\Crud;
+use EasyCorp\Bundle\EasyAdminBundle\Controller\AbstractCrudController;
+use EasyCorp\Bundle\EasyAdminBundle\Field\IntegerField;
+use EasyCorp\Bundle\EasyAdminBundle\Field\MoneyField;
+use EasyCorp\Bundle\EasyAdminBundle\Field\TextField;
+use Symfony\Component\Security\Http\Attribute\IsGranted;
+
+/**
+ * Options are edited inline from the option group form (CollectionField entry form).
+ * Not listed in the dashboard menu.
+ */
+#[IsGranted('ROLE_MODERATOR')]
+class MenuItemOptionCrudController extends AbstractCrudController
+{
+    public static function getEntityFqcn(): string
+    {
+        return MenuItemOption::class;
+    }
+
+    public function configureCrud(Crud $crud): Crud
+    {
+        return $crud
+            ->setEntityLabelInSingular('Option')
+            ->setEntityLabelInPlural('Options');
+    }
+
+    public function configureFields(string $pageName): iterable
+    {
+        return [
+            TextField::new('name', 'Nom')
+                ->setRequired(true)
+                ->setHelp('Ex. Saignant, Frites maison, Chantilly'),
+            MoneyField::new('priceDelta', 'Supplément')
+                ->setCurrency('EUR')
+                ->setStoredAsCents(false)
+                ->setHelp('Ajouté au prix du plat (0 si aucun supplément)'),
+            IntegerField::new('position', 'Ordre d\'affichage'),
+        ];
+    }
+}
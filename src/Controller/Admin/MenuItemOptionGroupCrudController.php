@@ -0,0 +1,56 @@
+<?php
+
+namespace App\Controller\Admin;
+
+use App\Entity\MenuItemOptionGroup;
+use EasyCorp\Bundle\EasyAdminBundle\Config\Crud;
+use EasyCorp\Bundle\EasyAdminBundle\Controller\AbstractCrudController;
+use EasyCorp\Bundle\EasyAdminBundle\Field\BooleanField;
+use EasyCorp\Bundle\EasyAdminBundle\Field\CollectionField;
+use EasyCorp\Bundle\EasyAdminBundle\Field\IntegerField;
+use EasyCorp\Bundle\EasyAdminBundle\Field\TextField;
+use Symfony\Component\Security\Http\Attribute\IsGranted;
+
+/**
+ * Option groups are edited inline from the menu item form (CollectionField entry form).
+ * Not listed in the dashboard menu.
+ */
+#[IsGranted('ROLE_MODERATOR')]
+class MenuItemOptionGroupCrudController extends AbstractCrudController
+{
+    public static function getEntityFqcn(): string
+    {
+        return MenuItemOptionGroup::class;
+    }
+
+    public function configureCrud(Crud $crud): Crud
+    {
+        return $crud
+            ->setEntityLabelInSingular('Groupe d\'options')
+            ->setEntityLabelInPlural('Groupes d\'options');
+    }
+
+    public function configureFields(string $pageName): iterable
+    {
+        return [
+            TextField::new('name', 'Nom du groupe')
+                ->setRequired(true)
+                ->setHelp('Ex. Cuisson, Accompagnement, Suppléments'),
+            BooleanField::new('required', 'Obligatoire')
+                ->renderAsSwitch(false)
+                ->setHelp('Le client doit faire au moins un choix'),
+            IntegerField::new('minChoices', 'Choix minimum')
+                ->setHelp('0 pour un groupe facultatif'),
+            IntegerField::new('maxChoices', 'Choix maximum')
+                ->setHelp('1 pour un choix unique (ex. cuisson)'),
+            IntegerField::new('position', 'Ordre d\'affichage'),
+            CollectionField::new('options', 'Choix')
+                ->useEntryCrudForm(MenuItemOptionCrudController::class)
+                ->setFormTypeOptions([
+                    'by_reference' => false,
+                    'allow_add' => true,
+                    'allow_delete' => true,
+                ]),
+        ];
+    }
+}
@@ -0,0 +1,45 @@
+<?php
+
+namespace App\Controller\Admin;
+
+use App\Entity\MenuItemPhoto;
+use EasyCorp\Bundle\EasyAdminBundle\Config\Crud;
+use EasyCorp\Bundle\EasyAdminBundle\Controller\AbstractCrudController;
+use EasyCorp\Bundle\EasyAdminBundle\Field\IntegerField;
+use EasyCorp\Bundle\EasyAdminBundle\Field\TextField;
+use Symfony\Component\Security\Http\Attribute\IsGranted;
+
+/**
+ * Photos are reordered and removed inline from the menu item form (CollectionField entry form).
+ * New photos are uploaded with the "Ajouter des photos" field of the menu item form.
+ * Not listed in the dashboard menu.
+ */
+#[IsGranted('ROLE_MODERATOR')]
+class MenuItemPhotoCrudController extends AbstractCrudController
+{
+    public static function getEntityFqcn(): string
+    {
+        return MenuItemPhoto::class;
+    }
+
+    public function configureCrud(Crud $crud): Crud
+    {
+        return $crud
+            ->setEntityLabelInSingular('Photo')
+            ->setEntityLabelInPlural('Photos');
+    }
+
+    public function configureFields(string $pageName): iterable
+    {
+        return [
+            // The file itself can't be changed: remove the photo and upload a new one
+            TextField::new('path', 'Fichier')
+                ->setFormTypeOption('disabled', true),
+            TextField::new('alt', 'Texte alternatif')
+                ->setRequired(false)
+                ->setHelp('Décrit la photo (lecteurs d\'écran). Vide = nom du plat'),
+            IntegerField::new('position', 'Ordre d\'affichage')
+                ->setHelp('La première photo est l\'image du plat sur la carte'),
+        ];
+    }
+}
@@ -0,0 +1,67 @@
+<?php
+
+namespace App\Controller\Admin;
+
+use App\Entity\MenuSchedule;
+use EasyCorp\Bundle\EasyAdminBundle\Config\Action;
+use EasyCorp\Bundle\EasyAdminBundle\Config\Actions;
+use EasyCorp\Bundle\EasyAdminBundle\Config\Crud;
+use EasyCorp\Bundle\EasyAdminBundle\Controller\AbstractCrudController;
+use EasyCorp\Bundle\EasyAdminBundle\Field\AssociationField;
+use EasyCorp\Bundle\EasyAdminBundle\Field\ChoiceField;
+use EasyCorp\Bundle\EasyAdminBundle\Field\IdField;
+use EasyCorp\Bundle\EasyAdminBundle\Field\TextField;
+use Symfony\Component\Security\Http\Attribute\IsGranted;
+
+/**
+ * Service windows of the menu (lunch formula, weekend brunch...).
+ *
+ * Dishes are attached to a schedule from their own form ("Horaires de service");
+ * deleting a schedule makes its dishes available at any time again.
+ */
+#[IsGranted('ROLE_MODERATOR')]
+class MenuScheduleCrudController extends AbstractCrudController
+{
+    public static function getEntityFqcn(): string
+    {
+        return MenuSchedule::class;
+    }
+
+    public function configureCrud(Crud $crud): Crud
+    {
+        return $crud
+            ->setEntityLabelInSingular('Horaire')
+            ->setEntityLabelInPlural('Horaires')
+            ->setPageTitle('index', 'Horaires de service')
+            ->setDefaultSort(['startTime' => 'ASC', 'name' => 'ASC']);
+    }
+
+    public function configureFields(string $pageName): iterable
+    {
+        return [
+            IdField::new('id')->hideOnForm()->hideOnIndex(),
+            TextField::new('name', 'Nom')->setRequired(true)->setHelp('Ex. Formule déjeuner, Brunch du dimanche'),
+            ChoiceField::new('weekdays', 'Jours')
+                ->setChoices(array_flip(MenuSchedule::WEEKDAYS))
+                ->allowMultipleChoices()
+                ->renderExpanded()
+                ->setRequired(true),
+            TextField::new('startTime', 'Début')
+                ->setRequired(true)
+                ->setHelp('HH:MM, ex. 12:00')
+                ->setFormTypeOption('attr', ['type' => 'time']),
+            TextField::new('endTime', 'Fin')
+                ->setRequired(true)
+                ->setHelp('HH:MM, exclue : 14:30 = dernier créneau à 14h00')
+                ->setFormTypeOption('attr', ['type' => 'time']),
+            AssociationField::new('menuItems', 'Plats')->onlyOnIndex(),
+        ];
+    }
+
+    public function configureActions(Actions $actions): Actions
+    {
+        return $actions
+            ->update(Crud::PAGE_INDEX, Action::EDIT, fn(Action $a) => $a->setCssClass('btn btn-soft-success btn-sm'))
+            ->update(Crud::PAGE_INDEX, Action::DELETE, fn(Action $a) => $a->setCssClass('action-delete btn btn-soft-danger btn-sm'));
+    }
+}
@@ -7,6 +7,7 @@ use App\Entity\OrderItem;
 use App\Enum\OrderStatus;
 use App\Enum\DeliveryMode;
 use App\Enum\PaymentMode;
+use App\Service\ReorderService;
 use App\Service\SymfonyEmailService;
 use App\Service\TaxCalculationService;
 use Doctrine\ORM\EntityManagerInterface;
@@ -41,17 +42,20 @@ class OrderCrudController extends AbstractCrudController
     private SymfonyEmailService $emailService;
     private AdminUrlGenerator $adminUrlGenerator;
     private TaxCalculationService $taxCalculationService;
+    private ReorderService $reorderService;
 
     public function __construct(
         EntityManagerInterface $entityManager,
         SymfonyEmailService $emailService,
         AdminUrlGenerator $adminUrlGenerator,
-        TaxCalculationService $taxCalculationService
+        TaxCalculationService $taxCalculationService,
+        ReorderService $reorderService
     ) {
         $this->entityManager = $entityManager;
         $this->emailService = $emailService;
         $this->adminUrlGenerator = $adminUrlGenerator;
         $this->taxCalculationService = $taxCalculationService;
+        $this->reorderService = $reorderService;
     }
 
     public static function getEntityFqcn(): string
@@ -238,13 +242,28 @@ class OrderCrudController extends AbstractCrudController
                     
                     $items = [];
                     foreach ($entity->getItems() as $item) {
-                        $items[] = sprintf(
+                        $line = sprintf(
                             '%d x %s - %s€ (Total: %s€)',
                             $item->getQuantity(),
                             $item->getProductName(),
                             $item->getUnitPrice(),
                             $item->getTotal()
                         );
+                        // Selected dish options (cooking level, side, extras)
+                        if ($item->getOptionsLabel() !== '') {
+                            $line .= '<br><small class="text-muted">' . $item->getOptionsLabel() . '</small>';
+                        }
+                        // Group orders: person the line is for (label of their bag, escaped)
+                        if ($item->getParticipant()) {
+                            $line .= '<br><span class="badge bg-secondary"><i class="fas fa-user"></i> '
+                                . htmlspecialchars($item->getParticipant(), ENT_QUOTES) . '</span>';
+                        }
+                        // Customer's kitchen note for this line (free text: escaped)
+                        if ($item->getNote()) {
+                            $line .= '<br><small class="text-danger"><i class="fas fa-comment"></i> '
+                                . htmlspecialchars($item->getNote(), ENT_QUOTES) . '</small>';
+                        }
+                        $items[] = $line;
                     }
                     
                     return implode('<br>', $items);
@@ -450,7 +469,8 @@ class OrderCrudController extends AbstractCrudController
                         $clientName,
                         $emailSubject,
                         $confirmationMessage,
-                        $order
+                        $order,
+                        $this->reorderService->getReorderUrl($order)
                     );
                 } else {
                     $emailSent = false;
@@ -11,6 +11,7 @@ use EasyCorp\Bundle\EasyAdminBundle\Field\TextField;
 use EasyCorp\Bundle\EasyAdminBundle\Field\IntegerField;
 use EasyCorp\Bundle\EasyAdminBundle\Field\MoneyField;
 use EasyCorp\Bundle\EasyAdminBundle\Field\AssociationField;
+use EasyCorp\Bundle\EasyAdminBundle\Field\ChoiceField;
 use EasyCorp\Bundle\EasyAdminBundle\Config\Crud;
 use EasyCorp\Bundle\EasyAdminBundle\Config\Action;
 use EasyCorp\Bundle\EasyAdminBundle\Config\Actions;
@@ -123,6 +124,29 @@ class OrderItemCrudController extends AbstractCrudController
                 ->setRequired(true)
                 ->setHelp('Nom du produit tel qu\'affiché au client'),
 
+            // Dish (menu item) or drink: tells what productId refers to and drives the VAT rate
+            ChoiceField::new('itemType', 'Type')
+                ->setChoices([
+                    'Plat' => OrderItem::TYPE_DISH,
+                    'Boisson' => OrderItem::TYPE_DRINK,
+                ])
+                ->setRequired(true),
+
+            // Options chosen by the customer (snapshot taken at order time, read-only)
+            TextField::new('optionsLabel', 'Options')
+                ->hideOnForm()
+                ->setSortable(false),
+
+            // Kitchen note written by the customer for this line
+            TextField::new('note', 'Note cuisine')
+                ->setRequired(false)
+                ->setHelp('Instruction pour la cuisine (ex. sans oignons)'),
+
+            // Group orders: person the line is for (written on their bag)
+            TextField::new('participant', 'Pour')
+                ->setRequired(false)
+                ->setHelp('Commande groupée : prénom du participant, à inscrire sur son sac'),
+
                    MoneyField::new('unitPrice', 'Prix unitaire TTC')
                        ->setCurrency('EUR')
                        ->setStoredAsCents(false)
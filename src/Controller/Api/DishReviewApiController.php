@@ -3,9 +3,8 @@
 namespace App\Controller\Api;
 
 use App\Controller\AbstractApiController;
-use App\Entity\Review;
 use App\Repository\MenuItemRepository;
-use App\Repository\ReviewRepository;
+use App\Service\ReviewService;
 use App\Service\ValidationHelper;
 use OpenApi\Attributes as OA;
 use Symfony\Component\HttpFoundation\JsonResponse;
@@ -18,12 +17,12 @@ use Symfony\Component\Validator\Validator\ValidatorInterface;
  * Dish Review API Controller
  *
  * RESTful API endpoints for dish-specific reviews:
- * - List approved reviews for a dish by ID
+ * - List approved reviews for a dish by ID (cursor pagination, rating summary, star filter)
  * - Create new reviews for a dish (pending moderation)
  *
  * Architecture:
  * - Extends AbstractApiController for common API functionality (JSON parsing, DTO validation, responses)
- * - Uses ReviewService for business logic (review creation, persistence)
+ * - Uses ReviewService for business logic (review creation, persistence, review pages)
  * - This follows Single Responsibility Principle: controllers don't call persist()/flush() directly
  *
  * This is an alternative API endpoint to DishReviewController, following REST conventions.
@@ -43,13 +42,13 @@ class DishReviewApiController extends AbstractApiController
      *
      * @param ValidatorInterface $validator Symfony validator for DTO validation
      * @param ValidationHelper $validationHelper Helper for validation operations
-     * @param \App\Service\ReviewService $reviewService Service for creating reviews
+     * @param ReviewService $reviewService Service for creating and listing reviews
      * @param MenuItemRepository $menuItemRepository Repository for menu item queries
      */
     public function __construct(
         ValidatorInterface $validator,
         ValidationHelper $validationHelper,
-        private \App\Service\ReviewService $reviewService,
+        private ReviewService $reviewService,
         private MenuItemRepository $menuItemRepository
     ) {
         parent::__construct($validator, $validationHelper);
@@ -58,21 +57,41 @@ class DishReviewApiController extends AbstractApiController
     /**
      * List approved reviews for a specific dish by ID
      *
-     * Returns approved reviews associated with the dish identified by the ID parameter.
-     * Reviews are ordered by creation date (newest first) and limited to 100 results.
+     * Returns a page of the approved reviews of the dish (newest first), with the
+     * rating summary of the dish: number of reviews, average and count per star
+     * level (5 to 1). Pages are chained with cursors (pagination.next_cursor), so
+     * reviews approved in the meantime do not shift the following pages; `rating`
+     * keeps only the reviews with that number of stars.
      *
      * @param int $id Dish ID from route parameter
-     * @param ReviewRepository $repo Review repository for database queries
-     * @return JsonResponse List of approved dish reviews or 404 if dish not found
+     * @param Request $request HTTP request (cursor, limit and rating query parameters)
+     * @return JsonResponse Reviews, summary and pagination, 400 on invalid parameters or 404 if dish not found
      */
     #[Route('/{id}/reviews', name: 'api_dish_reviews_list', methods: ['GET'])]
     #[OA\Get(path: '/api/dishes/{id}/reviews', summary: 'List approved reviews for a dish', tags: ['Reviews'])]
     #[OA\Parameter(name: 'id', in: 'path', required: true, schema: new OA\Schema(type: 'integer'))]
-    #[OA\Parameter(name: 'page', in: 'query', required: false, description: 'Page number (default: 1)', schema: new OA\Schema(type: 'integer', minimum: 1))]
+    #[OA\Parameter(name: 'cursor', in: 'query', required: false, description: 'Cursor of the next page (pagination.next_cursor of the previous page)', schema: new OA\Schema(type: 'string'))]
     #[OA\Parameter(name: 'limit', in: 'query', required: false, description: 'Items per page (default: 100, max: 100)', schema: new OA\Schema(type: 'integer', minimum: 1, maximum: 100))]
-    #[OA\Response(response: 200, description: 'OK', content: new OA\JsonContent(type: 'object', properties: [new OA\Property(property: 'success', type: 'boolean'), new OA\Property(property: 'data', type: 'object')]))]
+    #[OA\Parameter(name: 'rating', in: 'query', required: false, description: 'Only the reviews with this rating', schema: new OA\Schema(type: 'integer', minimum: 1, maximum: 5))]
+    #[OA\Response(
+        response: 200,
+        description: 'OK',
+        content: new OA\JsonContent(
+            type: 'object',
+            properties: [new OA\Property(property: 'success', type: 'boolean'), new OA\Property(property: 'data', type: 'object')],
+            example: [
+                'success' => true,
+                'data' => [
+                    'reviews' => [['id' => 42, 'name' => 'Alice', 'rating' => 5, 'comment' => 'Délicieux !', 'createdAt' => '2026-10-18 20:15']],
+                    'summary' => ['count' => 12, 'average' => 4.3, 'distribution' => ['5' => 7, '4' => 3, '3' => 1, '2' => 1, '1' => 0]],
+                    'pagination' => ['per_page' => 5, 'rating' => null, 'has_more' => true, 'next_cursor' => 'MjAyNi0xMC0xOCAyMDoxNTowMHw0Mg'],
+                ],
+            ]
+        )
+    )]
+    #[OA\Response(response: 400, description: 'Invalid cursor, limit or rating', content: new OA\JsonContent(type: 'object', properties: [new OA\Property(property: 'success', type: 'boolean'), new OA\Property(property: 'message', type: 'string')]))]
     #[OA\Response(response: 404, description: 'Dish not found', content: new OA\JsonContent(type: 'object', properties: [new OA\Property(property: 'success', type: 'boolean'), new OA\Property(property: 'message', type: 'string')]))]
-    public function list(int $id, ReviewRepository $repo): JsonResponse
+    public function list(int $id, Request $request): JsonResponse
     {
         // Verify that the dish exists
         $menuItem = $this->menuItemRepository->find($id);
@@ -81,22 +100,24 @@ class DishReviewApiController extends AbstractApiController
             return $this->errorResponse('Plat introuvable', 404);
         }
 
-        // Query approved reviews for this specific dish via repository
-        $reviews = $repo->findApprovedForDish((int) $menuItem->getId(), 100, 0);
+        $cursor = $request->query->get('cursor');
+        $limit = $request->query->getInt('limit', ReviewService::DISH_REVIEWS_MAX_LIMIT);
+        $rating = $request->query->get('rating');
 
-        // Transform Review entities to array format for JSON response
-        $data = array_map(static function (Review $r) {
-            return [
-                'id' => $r->getId(),
-                'name' => $r->getName(),
-                'rating' => $r->getRating(),
-                'comment' => $r->getComment(),
-                'createdAt' => $r->getCreatedAt()->format('Y-m-d H:i'),
-            ];
-        }, $reviews);
+        try {
+            $data = $this->reviewService->getDishReviewPage(
+                $menuItem,
+                $cursor !== null ? (string) $cursor : null,
+                $limit,
+                $rating !== null && $rating !== '' ? (int) $rating : null
+            );
+        } catch (\InvalidArgumentException $e) {
+            // Malformed cursor, limit or rating out of range
+            return $this->errorResponse($e->getMessage(), 400);
+        }
 
         // Uses base class method from AbstractApiController
-        return $this->successResponse(['reviews' => $data], null, 200);
+        return $this->successResponse($data, null, 200);
     }
 
     /**
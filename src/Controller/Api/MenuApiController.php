@@ -0,0 +1,66 @@
+<?php
+
+namespace App\Controller\Api;
+
+use App\DTO\ApiResponseDTO;
+use App\Service\MenuCatalogService;
+use OpenApi\Attributes as OA;
+use Symfony\Bundle\FrameworkBundle\Controller\AbstractController;
+use Symfony\Component\HttpFoundation\JsonResponse;
+use Symfony\Component\HttpFoundation\Request;
+use Symfony\Component\Routing\Attribute\Route;
+
+/**
+ * Menu API Controller
+ *
+ * Serves the menu catalogue (dishes, drinks, badges, tags, allergens, nutrition)
+ * loaded by static/js/menu-catalog.js.
+ *
+ * The response carries an ETag (catalogue version): clients revalidate with
+ * If-None-Match and get an empty 304 response while the catalogue is unchanged.
+ * There is no Last-Modified date: drinks, categories and time-based availability
+ * ("sold out until") change the catalogue without touching a dish's updatedAt, so
+ * If-Modified-Since alone always gets the full catalogue.
+ */
+class MenuApiController extends AbstractController
+{
+    public function __construct(
+        private MenuCatalogService $menuCatalog
+    ) {}
+
+    /**
+     * Get the menu catalogue
+     *
+     * @param Request $request HTTP request (conditional headers)
+     * @return JsonResponse Catalogue, or 304 Not Modified
+     */
+    #[Route('/api/menu', name: 'api_menu', methods: ['GET'])]
+    #[OA\Get(
+        path: '/api/menu',
+        summary: 'Get the menu catalogue',
+        description: 'Visible dishes, drinks grouped by type, badges, tags and allergens. Supports If-None-Match.',
+        tags: ['Menu']
+    )]
+    #[OA\Response(response: 200, description: 'Menu catalogue', content: new OA\JsonContent(type: 'object', properties: [new OA\Property(property: 'success', type: 'boolean'), new OA\Property(property: 'data', type: 'object')]))]
+    #[OA\Response(response: 304, description: 'Catalogue unchanged since the version sent in If-None-Match')]
+    public function getMenu(Request $request): JsonResponse
+    {
+        $catalog = $this->menuCatalog->getCatalog();
+
+        // Always revalidate: availability ("Épuisé") changes during service
+        $response = new JsonResponse();
+        $response->setEtag($catalog['version']);
+        $response->setPublic();
+        $response->headers->addCacheControlDirective('no-cache');
+
+        if ($response->isNotModified($request)) {
+            return $response;
+        }
+
+        $payload = new ApiResponseDTO(success: true, data: $catalog['data']);
+        $response->setEncodingOptions(JsonResponse::DEFAULT_ENCODING_OPTIONS | JSON_UNESCAPED_UNICODE | JSON_UNESCAPED_SLASHES);
+        $response->setData($payload->toArray());
+
+        return $response;
+    }
+}
@@ -0,0 +1,87 @@
+<?php
+
+namespace App\Controller\Api;
+
+use App\DTO\ApiResponseDTO;
+use App\Service\RecommendationService;
+use OpenApi\Attributes as OA;
+use Symfony\Bundle\FrameworkBundle\Controller\AbstractController;
+use Symfony\Component\HttpFoundation\JsonResponse;
+use Symfony\Component\HttpFoundation\Request;
+use Symfony\Component\Routing\Attribute\Route;
+
+/**
+ * Recommendation API Controller
+ *
+ * Serves the dishes suggested by RecommendationService, loaded by
+ * static/js/recommendations.js for the "Vous aimerez aussi" carousel of the
+ * dish page and the "Pour compléter votre commande" strip of the cart.
+ */
+class RecommendationApiController extends AbstractController
+{
+    public function __construct(
+        private RecommendationService $recommendationService
+    ) {}
+
+    /**
+     * Get the dishes to suggest with the given dishes
+     *
+     * @param Request $request HTTP request (dishes, exclude_allergens and limit query parameters)
+     * @return JsonResponse Suggested dishes, best first (empty when nothing matches)
+     */
+    #[Route('/api/recommendations', name: 'api_recommendations', methods: ['GET'])]
+    #[OA\Get(
+        path: '/api/recommendations',
+        summary: 'Get dish recommendations',
+        description: 'Orderable dishes to suggest with the given dishes, scored by shared tags and badges, next course (entrée → plat → dessert) and past orders containing them together.',
+        tags: ['Menu']
+    )]
+    #[OA\Parameter(name: 'dishes', in: 'query', required: true, description: 'Comma-separated IDs of the chosen dishes (dish page or cart)', schema: new OA\Schema(type: 'string'), example: '12,15')]
+    #[OA\Parameter(name: 'exclude_allergens', in: 'query', required: false, description: 'Comma-separated allergen codes: dishes containing one of them are not suggested', schema: new OA\Schema(type: 'string'), example: 'gluten,lait')]
+    #[OA\Parameter(name: 'limit', in: 'query', required: false, description: 'Max number of dishes (default: 6, max: 12)', schema: new OA\Schema(type: 'integer', minimum: 1, maximum: 12))]
+    #[OA\Response(
+        response: 200,
+        description: 'Suggested dishes',
+        content: new OA\JsonContent(
+            type: 'object',
+            properties: [new OA\Property(property: 'success', type: 'boolean'), new OA\Property(property: 'data', type: 'object')],
+            example: [
+                'success' => true,
+                'data' => [
+                    'items' => [['id' => '18', 'name' => 'Tarte au citron', 'price' => 7.5, 'image' => '/uploads/menu/tarte-citron.jpg', 'category' => 'desserts', 'allergens' => ['gluten', 'oeufs'], 'hasOptions' => false, 'reason' => 'course']],
+                ],
+            ]
+        )
+    )]
+    public function recommend(Request $request): JsonResponse
+    {
+        $dishIds = array_map('intval', $this->splitList($request->query->get('dishes')));
+        $excludedAllergens = $this->splitList($request->query->get('exclude_allergens'));
+        $limit = $request->query->getInt('limit', RecommendationService::DEFAULT_LIMIT);
+
+        $items = $this->recommendationService->recommend($dishIds, $excludedAllergens, $limit);
+
+        $payload = new ApiResponseDTO(success: true, data: ['items' => $items]);
+        $response = new JsonResponse($payload->toArray());
+        // Depends on availability ("Épuisé") and on the orders of the day
+        $response->setPrivate();
+        $response->headers->addCacheControlDirective('no-store');
+
+        return $response;
+    }
+
+    /**
+     * Split a comma-separated query parameter
+     *
+     * @param mixed $value Raw query value
+     * @return string[] Non-empty trimmed values
+     */
+    private function splitList(mixed $value): array
+    {
+        if (!is_string($value)) {
+            return [];
+        }
+
+        return array_values(array_filter(array_map('trim', explode(',', $value)), static fn(string $part) => $part !== ''));
+    }
+}
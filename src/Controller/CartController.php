@@ -3,9 +3,14 @@
 namespace App\Controller;
 
 use App\DTO\CartAddRequest;
+use App\DTO\CartBatchRequest;
 use App\DTO\CartItemDTO;
+use App\DTO\CartNoteRequest;
 use App\DTO\CartResponseDTO;
+use App\DTO\GroupCartLockRequest;
+use App\DTO\GroupCartNameRequest;
 use App\Service\CartService;
+use App\Service\GroupCartService;
 use App\Service\ValidationHelper;
 use Symfony\Component\Validator\Validator\ValidatorInterface;
 use Symfony\Component\HttpFoundation\JsonResponse;
@@ -22,6 +27,10 @@ use OpenApi\Attributes as OA;
  * - Add items to cart
  * - Remove items from cart
  * - Update item quantities
+ * - Attach a kitchen note to a cart line
+ * - Acknowledge price changes made on the menu since items were added
+ * - Apply several operations atomically (batch)
+ * - Group orders: create, join, lock and leave a shared cart
  * - Clear entire cart
  * 
  * Architecture:
@@ -35,19 +44,28 @@ use OpenApi\Attributes as OA;
 #[OA\Tag(name: 'Cart')]
 class CartController extends AbstractApiController
 {
+    /**
+     * Route requirement for cart line keys: "12" or "12-3_7" (item ID + selected option IDs), "d4" for drinks,
+     * followed by "@{participantIndex}" in group orders (e.g. "12@2")
+     */
+    private const LINE_KEY_REQUIREMENT = '(d\d+|\d+(-\d+(_\d+)*)?)(@\d+)?';
+
     /**
      * Constructor
      *
      * Injects dependencies required for cart operations:
      * - CartService: Handles cart business logic (add, remove, update, clear)
+     * - GroupCartService: Handles group order membership (join, lock)
      * - ValidatorInterface and ValidationHelper: Passed to parent for DTO validation
      *
      * @param CartService $cartService Service for cart operations
+     * @param GroupCartService $groupCartService Service for group orders
      * @param ValidatorInterface $validator Symfony validator for DTO validation
      * @param ValidationHelper $validationHelper Helper for validation operations
      */
     public function __construct(
         private CartService $cartService,
+        private GroupCartService $groupCartService,
         ValidatorInterface $validator,
         ValidationHelper $validationHelper
     ) {
@@ -86,23 +104,7 @@ class CartController extends AbstractApiController
         }
         
         // Convert cart items array to DTOs for consistent API response format
-        // array_map works fine with empty arrays, so no need to check if items is empty
-        $cartItems = array_map(function($item) {
-            return new CartItemDTO(
-                id: $item['id'],
-                name: $item['name'],
-                price: $item['price'],
-                quantity: $item['quantity'],
-                image: $item['image'],
-                category: $item['category']
-            );
-        }, $cart['items']);
-
-        $cartResponse = new CartResponseDTO(
-            items: $cartItems,
-            total: $cart['total'] ?? 0,
-            itemCount: $cart['itemCount'] ?? 0
-        );
+        $cartResponse = $this->buildCartResponse($cart);
 
         // Uses base class method from AbstractApiController
         // This method creates response with 'cart' property at top level (not inside 'data')
@@ -114,8 +116,8 @@ class CartController extends AbstractApiController
     /**
      * Add item to cart or increase quantity if item already exists
      * 
-     * If the item (by ID) already exists in the cart, its quantity is increased.
-     * Otherwise, a new cart item is added.
+     * If the item (by ID and selected options) already exists in the cart, its quantity
+     * is increased. Otherwise, a new cart line is added.
      * 
      * @param Request $request HTTP request containing itemId and optional quantity
      * @param CsrfTokenManagerInterface $csrfTokenManager CSRF token manager
@@ -136,8 +138,10 @@ class CartController extends AbstractApiController
             required: true,
             content: new OA\JsonContent(
                 properties: [
-                    new OA\Property(property: 'itemId', type: 'integer', example: 1, description: 'Menu item ID from database'),
-                    new OA\Property(property: 'quantity', type: 'integer', example: 1, description: 'Quantity (default: 1)')
+                    new OA\Property(property: 'itemId', type: 'integer', example: 1, description: 'Menu item ID (drink ID when itemType is drink)'),
+                    new OA\Property(property: 'quantity', type: 'integer', example: 1, description: 'Quantity (default: 1)'),
+                    new OA\Property(property: 'options', type: 'array', items: new OA\Items(type: 'integer'), example: [3, 7], description: 'Selected option IDs (required for dishes with mandatory option groups)'),
+                    new OA\Property(property: 'itemType', type: 'string', enum: ['dish', 'drink'], example: 'dish', description: 'Item type (default: dish)')
                 ],
                 type: 'object'
             )
@@ -195,6 +199,7 @@ class CartController extends AbstractApiController
             example: ['success' => false, 'message' => 'Article introuvable']
         )
     )]
+    #[OA\Response(response: 409, description: 'Group order changed by another participant meanwhile (cart unchanged, retry)', content: new OA\JsonContent(type: 'object', properties: [new OA\Property(property: 'success', type: 'boolean'), new OA\Property(property: 'message', type: 'string')]))]
     public function addToCart(Request $request, CsrfTokenManagerInterface $csrfTokenManager): JsonResponse
     {
         // CSRF protection is enforced in production environment only
@@ -239,26 +244,11 @@ class CartController extends AbstractApiController
             $itemId = $dto->itemId;
             $quantity = $dto->quantity ?? 1;
 
-            // Add item to cart via service (handles existence check and quantity increment)
-            $cart = $this->cartService->add($itemId, $quantity);
+            // Add item to cart via service (handles existence check, option rules and quantity increment)
+            $cart = $this->cartService->add($itemId, $quantity, $dto->options, $dto->itemType);
 
             // Convert cart items to DTOs
-            $cartItems = array_map(function($item) {
-                return new CartItemDTO(
-                    id: $item['id'],
-                    name: $item['name'],
-                    price: $item['price'],
-                    quantity: $item['quantity'],
-                    image: $item['image'],
-                    category: $item['category']
-                );
-            }, $cart['items']);
-
-            $cartResponse = new CartResponseDTO(
-                items: $cartItems,
-                total: $cart['total'],
-                itemCount: $cart['itemCount']
-            );
+            $cartResponse = $this->buildCartResponse($cart);
 
             // Uses base class method from AbstractApiController
             // This method creates response with 'cart' property at top level (not inside 'data')
@@ -281,12 +271,12 @@ class CartController extends AbstractApiController
      * Removes the item with the given ID from the cart entirely.
      * This is different from setting quantity to 0 (which also removes it).
      * 
-     * @param int $id Cart item ID to remove
+     * @param string $id Cart line key to remove (menu item ID, or "{id}-{optionIds}")
      * @param Request $request HTTP request
      * @param CsrfTokenManagerInterface $csrfTokenManager CSRF token manager
      * @return JsonResponse Updated cart contents
      */
-    #[Route('/remove/{id}', name: 'api_cart_remove', methods: ['DELETE'])]
+    #[Route('/remove/{id}', name: 'api_cart_remove', requirements: ['id' => self::LINE_KEY_REQUIREMENT], methods: ['DELETE'])]
     #[OA\Delete(
         path: '/api/cart/remove/{id}',
         summary: 'Remove item',
@@ -297,13 +287,14 @@ class CartController extends AbstractApiController
         name: 'id',
         in: 'path',
         required: true,
-        description: 'Item ID',
-        schema: new OA\Schema(type: 'integer', example: 1)
+        description: 'Cart line key (item ID, or item ID + option IDs)',
+        schema: new OA\Schema(type: 'string', example: '12-3_7')
     )]
     #[OA\Response(response: 200, description: 'Item removed successfully', content: new OA\JsonContent(type: 'object', properties: [new OA\Property(property: 'success', type: 'boolean'), new OA\Property(property: 'message', type: 'string', nullable: true), new OA\Property(property: 'cart', type: 'object', nullable: true)]))]
     #[OA\Response(response: 404, description: 'Item not found', content: new OA\JsonContent(type: 'object', properties: [new OA\Property(property: 'success', type: 'boolean'), new OA\Property(property: 'message', type: 'string')]))]
+    #[OA\Response(response: 409, description: 'Group order changed by another participant meanwhile (cart unchanged, retry)', content: new OA\JsonContent(type: 'object', properties: [new OA\Property(property: 'success', type: 'boolean'), new OA\Property(property: 'message', type: 'string')]))]
     #[OA\Response(response: 500, description: 'Internal server error', content: new OA\JsonContent(type: 'object', properties: [new OA\Property(property: 'success', type: 'boolean'), new OA\Property(property: 'message', type: 'string')]))]
-    public function removeFromCart(int $id, Request $request, CsrfTokenManagerInterface $csrfTokenManager): JsonResponse
+    public function removeFromCart(string $id, Request $request, CsrfTokenManagerInterface $csrfTokenManager): JsonResponse
     {
         // CSRF Protection (disabled in dev environment via security.yaml)
         if ($this->getParameter('kernel.environment') === 'prod') {
@@ -317,22 +308,7 @@ class CartController extends AbstractApiController
             $cart = $this->cartService->remove($id);
 
             // Convert cart items to DTOs
-            $cartItems = array_map(function($item) {
-                return new CartItemDTO(
-                    id: $item['id'],
-                    name: $item['name'],
-                    price: $item['price'],
-                    quantity: $item['quantity'],
-                    image: $item['image'],
-                    category: $item['category']
-                );
-            }, $cart['items']);
-
-            $cartResponse = new CartResponseDTO(
-                items: $cartItems,
-                total: $cart['total'],
-                itemCount: $cart['itemCount']
-            );
+            $cartResponse = $this->buildCartResponse($cart);
 
             // Uses base class method from AbstractApiController
             // This method creates response with 'cart' property at top level (not inside 'data')
@@ -354,12 +330,12 @@ class CartController extends AbstractApiController
      * Updates the quantity of an existing cart item. If quantity is set to 0,
      * the item is removed from the cart (equivalent to remove operation).
      * 
-     * @param int $id Cart item ID to update
+     * @param string $id Cart line key to update (menu item ID, or "{id}-{optionIds}")
      * @param Request $request HTTP request containing new quantity
      * @param CsrfTokenManagerInterface $csrfTokenManager CSRF token manager
      * @return JsonResponse Updated cart contents
      */
-    #[Route('/update/{id}', name: 'api_cart_update', methods: ['PUT'])]
+    #[Route('/update/{id}', name: 'api_cart_update', requirements: ['id' => self::LINE_KEY_REQUIREMENT], methods: ['PUT'])]
     #[OA\Put(
         path: '/api/cart/update/{id}',
         summary: 'Update quantity',
@@ -379,15 +355,16 @@ class CartController extends AbstractApiController
         name: 'id',
         in: 'path',
         required: true,
-        description: 'Item ID',
-        schema: new OA\Schema(type: 'integer', example: 1)
+        description: 'Cart line key (item ID, or item ID + option IDs)',
+        schema: new OA\Schema(type: 'string', example: '12-3_7')
     )]
     #[OA\Response(response: 200, description: 'Quantity updated successfully', content: new OA\JsonContent(type: 'object', properties: [new OA\Property(property: 'success', type: 'boolean'), new OA\Property(property: 'message', type: 'string', nullable: true), new OA\Property(property: 'cart', type: 'object', nullable: true)]))]
     #[OA\Response(response: 400, description: 'Invalid JSON', content: new OA\JsonContent(type: 'object', properties: [new OA\Property(property: 'success', type: 'boolean'), new OA\Property(property: 'message', type: 'string')]))]
     #[OA\Response(response: 422, description: 'Validation error', content: new OA\JsonContent(type: 'object', properties: [new OA\Property(property: 'success', type: 'boolean'), new OA\Property(property: 'message', type: 'string'), new OA\Property(property: 'errors', type: 'array', items: new OA\Items(type: 'string'))]))]
+    #[OA\Response(response: 409, description: 'Group order changed by another participant meanwhile (cart unchanged, retry)', content: new OA\JsonContent(type: 'object', properties: [new OA\Property(property: 'success', type: 'boolean'), new OA\Property(property: 'message', type: 'string')]))]
     #[OA\Response(response: 404, description: 'Item not found', content: new OA\JsonContent(type: 'object', properties: [new OA\Property(property: 'success', type: 'boolean'), new OA\Property(property: 'message', type: 'string')]))]
     #[OA\Response(response: 500, description: 'Internal server error', content: new OA\JsonContent(type: 'object', properties: [new OA\Property(property: 'success', type: 'boolean'), new OA\Property(property: 'message', type: 'string')]))]
-    public function updateQuantity(int $id, Request $request, CsrfTokenManagerInterface $csrfTokenManager): JsonResponse
+    public function updateQuantity(string $id, Request $request, CsrfTokenManagerInterface $csrfTokenManager): JsonResponse
     {
         // CSRF Protection (disabled in dev environment via security.yaml)
         if ($this->getParameter('kernel.environment') === 'prod') {
@@ -423,22 +400,7 @@ class CartController extends AbstractApiController
             $cart = $this->cartService->updateQuantity($id, $quantity);
 
             // Convert cart items to DTOs
-            $cartItems = array_map(function($item) {
-                return new CartItemDTO(
-                    id: $item['id'],
-                    name: $item['name'],
-                    price: $item['price'],
-                    quantity: $item['quantity'],
-                    image: $item['image'],
-                    category: $item['category']
-                );
-            }, $cart['items']);
-
-            $cartResponse = new CartResponseDTO(
-                items: $cartItems,
-                total: $cart['total'],
-                itemCount: $cart['itemCount']
-            );
+            $cartResponse = $this->buildCartResponse($cart);
 
             // Uses base class method from AbstractApiController
             // This method creates response with 'cart' property at top level (not inside 'data')
@@ -454,6 +416,384 @@ class CartController extends AbstractApiController
         // Note: All other exceptions are automatically handled by ApiExceptionSubscriber
     }
 
+    /**
+     * Apply several cart operations atomically
+     * 
+     * Rapid clicks on the +/- steppers are coalesced by CartAPI.batch() into one
+     * request. Operations are applied in order; if one fails, none is applied
+     * and the cart stays unchanged.
+     * 
+     * @param Request $request HTTP request containing the operations
+     * @param CsrfTokenManagerInterface $csrfTokenManager CSRF token manager
+     * @return JsonResponse Cart after all operations
+     */
+    #[Route('/batch', name: 'api_cart_batch', methods: ['POST'])]
+    #[OA\Post(
+        path: '/api/cart/batch',
+        summary: 'Batch operations',
+        description: 'Applies an ordered list of add/update/remove operations atomically (all or nothing)',
+        requestBody: new OA\RequestBody(
+            required: true,
+            content: new OA\JsonContent(
+                properties: [
+                    new OA\Property(
+                        property: 'operations',
+                        type: 'array',
+                        maxItems: 50,
+                        items: new OA\Items(
+                            type: 'object',
+                            properties: [
+                                new OA\Property(property: 'type', type: 'string', enum: ['add', 'update', 'remove']),
+                                new OA\Property(property: 'itemId', type: 'integer', example: 12, description: 'add: menu item ID'),
+                                new OA\Property(property: 'options', type: 'array', items: new OA\Items(type: 'integer'), description: 'add: selected option IDs'),
+                                new OA\Property(property: 'itemType', type: 'string', enum: ['dish', 'drink'], description: 'add: item type (default: dish)'),
+                                new OA\Property(property: 'lineKey', type: 'string', example: '12-3_7', description: 'update/remove: cart line key'),
+                                new OA\Property(property: 'quantity', type: 'integer', example: 2, description: 'add: quantity to add; update: new quantity (0 removes)'),
+                            ]
+                        )
+                    )
+                ],
+                type: 'object',
+                example: ['operations' => [['type' => 'add', 'itemId' => 12, 'quantity' => 1], ['type' => 'update', 'lineKey' => '7', 'quantity' => 2]]]
+            )
+        ),
+        tags: ['Cart']
+    )]
+    #[OA\Response(response: 200, description: 'Operations applied', content: new OA\JsonContent(type: 'object', properties: [new OA\Property(property: 'success', type: 'boolean'), new OA\Property(property: 'message', type: 'string', nullable: true), new OA\Property(property: 'cart', type: 'object', nullable: true)]))]
+    #[OA\Response(response: 400, description: 'Invalid JSON', content: new OA\JsonContent(type: 'object', properties: [new OA\Property(property: 'success', type: 'boolean'), new OA\Property(property: 'message', type: 'string')]))]
+    #[OA\Response(response: 422, description: 'Invalid operation list or failing operation (cart unchanged)', content: new OA\JsonContent(type: 'object', properties: [new OA\Property(property: 'success', type: 'boolean'), new OA\Property(property: 'message', type: 'string'), new OA\Property(property: 'errors', type: 'array', items: new OA\Items(type: 'string'))]))]
+    #[OA\Response(response: 409, description: 'Group order changed by another participant meanwhile (cart unchanged, retry)', content: new OA\JsonContent(type: 'object', properties: [new OA\Property(property: 'success', type: 'boolean'), new OA\Property(property: 'message', type: 'string')]))]
+    public function batch(Request $request, CsrfTokenManagerInterface $csrfTokenManager): JsonResponse
+    {
+        // CSRF Protection (disabled in dev environment via security.yaml)
+        if ($this->getParameter('kernel.environment') === 'prod') {
+            $csrfError = $this->validateCsrfToken($request, $csrfTokenManager);
+            if ($csrfError) {
+                return $csrfError;
+            }
+        }
+
+        try {
+            $jsonResult = $this->getJsonDataFromRequest($request);
+            if ($jsonResult instanceof JsonResponse) {
+                return $jsonResult;
+            }
+
+            $validationResult = $this->validateDto($jsonResult, CartBatchRequest::class);
+            if ($validationResult instanceof JsonResponse) {
+                return $validationResult;
+            }
+
+            $cart = $this->cartService->applyBatch($validationResult->operations);
+
+            return $this->cartResponse($this->buildCartResponse($cart), 'Panier mis à jour', 200);
+        } catch (\InvalidArgumentException $e) {
+            // One operation failed: nothing was applied (message says which one)
+            return $this->errorResponse($e->getMessage(), 422);
+        }
+        // Note: All other exceptions are automatically handled by ApiExceptionSubscriber
+    }
+
+    /**
+     * Set the kitchen note of a cart line
+     * 
+     * Stores a short free-text note for the kitchen on one cart line
+     * (e.g. "sans oignons"). Sending an empty note removes it.
+     * The note is checked for XSS and sanitized before being stored.
+     * 
+     * @param string $id Cart line key (menu item ID, or "{id}-{optionIds}")
+     * @param Request $request HTTP request containing the note
+     * @param CsrfTokenManagerInterface $csrfTokenManager CSRF token manager
+     * @return JsonResponse Updated cart contents
+     */
+    #[Route('/note/{id}', name: 'api_cart_note', requirements: ['id' => self::LINE_KEY_REQUIREMENT], methods: ['PUT'])]
+    #[OA\Put(
+        path: '/api/cart/note/{id}',
+        summary: 'Set line note',
+        description: 'Sets the kitchen note of a cart line. Empty note removes it',
+        requestBody: new OA\RequestBody(
+            required: true,
+            content: new OA\JsonContent(
+                properties: [
+                    new OA\Property(property: 'note', type: 'string', nullable: true, maxLength: CartService::NOTE_MAX_LENGTH, example: 'Sans oignons', description: 'Kitchen note')
+                ],
+                type: 'object'
+            )
+        ),
+        tags: ['Cart']
+    )]
+    #[OA\Parameter(
+        name: 'id',
+        in: 'path',
+        required: true,
+        description: 'Cart line key (item ID, or item ID + option IDs)',
+        schema: new OA\Schema(type: 'string', example: '12-3_7')
+    )]
+    #[OA\Response(response: 200, description: 'Note updated successfully', content: new OA\JsonContent(type: 'object', properties: [new OA\Property(property: 'success', type: 'boolean'), new OA\Property(property: 'message', type: 'string', nullable: true), new OA\Property(property: 'cart', type: 'object', nullable: true)]))]
+    #[OA\Response(response: 400, description: 'Invalid JSON or forbidden content', content: new OA\JsonContent(type: 'object', properties: [new OA\Property(property: 'success', type: 'boolean'), new OA\Property(property: 'message', type: 'string')]))]
+    #[OA\Response(response: 422, description: 'Validation error', content: new OA\JsonContent(type: 'object', properties: [new OA\Property(property: 'success', type: 'boolean'), new OA\Property(property: 'message', type: 'string'), new OA\Property(property: 'errors', type: 'array', items: new OA\Items(type: 'string'))]))]
+    #[OA\Response(response: 404, description: 'Item not found', content: new OA\JsonContent(type: 'object', properties: [new OA\Property(property: 'success', type: 'boolean'), new OA\Property(property: 'message', type: 'string')]))]
+    public function updateNote(string $id, Request $request, CsrfTokenManagerInterface $csrfTokenManager): JsonResponse
+    {
+        // CSRF Protection (disabled in dev environment via security.yaml)
+        if ($this->getParameter('kernel.environment') === 'prod') {
+            $csrfError = $this->validateCsrfToken($request, $csrfTokenManager);
+            if ($csrfError) {
+                return $csrfError;
+            }
+        }
+
+        try {
+            $jsonResult = $this->getJsonDataFromRequest($request);
+            if ($jsonResult instanceof JsonResponse) {
+                return $jsonResult;
+            }
+
+            $validationResult = $this->validateDto($jsonResult, CartNoteRequest::class);
+            if ($validationResult instanceof JsonResponse) {
+                return $validationResult;
+            }
+            $dto = $validationResult;
+
+            // Reject obvious script injection instead of silently stripping it
+            $xssError = $this->validateXss($dto, ['note']);
+            if ($xssError !== null) {
+                return $xssError;
+            }
+
+            $cart = $this->cartService->updateNote($id, $dto->note);
+
+            return $this->cartResponse($this->buildCartResponse($cart), 'Note enregistrée', 200);
+        } catch (\InvalidArgumentException $e) {
+            // Line not found in cart
+            return $this->errorResponse($e->getMessage(), 404);
+        }
+        // Note: All other exceptions are automatically handled by ApiExceptionSubscriber
+    }
+
+    /**
+     * Acknowledge price changes
+     * 
+     * Called when the customer dismisses the price change notice: the changed lines
+     * take the current menu price and are no longer flagged. Orders cannot be placed
+     * while a line is flagged.
+     * 
+     * @param Request $request HTTP request
+     * @param CsrfTokenManagerInterface $csrfTokenManager CSRF token manager
+     * @return JsonResponse Updated cart contents
+     */
+    #[Route('/acknowledge', name: 'api_cart_acknowledge', methods: ['POST'])]
+    #[OA\Post(
+        path: '/api/cart/acknowledge',
+        summary: 'Acknowledge price changes',
+        description: 'Accepts the current price of the lines flagged with priceChanged',
+        tags: ['Cart']
+    )]
+    #[OA\Response(response: 200, description: 'Price changes acknowledged', content: new OA\JsonContent(type: 'object', properties: [new OA\Property(property: 'success', type: 'boolean'), new OA\Property(property: 'message', type: 'string', nullable: true), new OA\Property(property: 'cart', type: 'object', nullable: true)]))]
+    public function acknowledgeChanges(Request $request, CsrfTokenManagerInterface $csrfTokenManager): JsonResponse
+    {
+        // CSRF Protection (disabled in dev environment via security.yaml)
+        if ($this->getParameter('kernel.environment') === 'prod') {
+            $csrfError = $this->validateCsrfToken($request, $csrfTokenManager);
+            if ($csrfError) {
+                return $csrfError;
+            }
+        }
+
+        $cart = $this->cartService->acknowledgeChanges();
+
+        return $this->cartResponse($this->buildCartResponse($cart), 'Prix mis à jour', 200);
+    }
+
+    /**
+     * Create a group order from the current cart
+     * 
+     * The current cart lines become the owner's lines of a shared cart. The response
+     * cart carries 'group' with the share link to send to the other participants.
+     * 
+     * @param Request $request HTTP request containing the owner's name
+     * @param CsrfTokenManagerInterface $csrfTokenManager CSRF token manager
+     * @return JsonResponse Group cart contents
+     */
+    #[Route('/group', name: 'api_cart_group_create', methods: ['POST'])]
+    #[OA\Post(
+        path: '/api/cart/group',
+        summary: 'Create a group order',
+        description: 'Turns the cart into a shared cart reachable through a share link',
+        requestBody: new OA\RequestBody(
+            required: true,
+            content: new OA\JsonContent(
+                properties: [new OA\Property(property: 'name', type: 'string', example: 'Camille', description: 'Name of the owner')],
+                type: 'object'
+            )
+        ),
+        tags: ['Cart']
+    )]
+    #[OA\Response(response: 201, description: 'Group order created', content: new OA\JsonContent(type: 'object', properties: [new OA\Property(property: 'success', type: 'boolean'), new OA\Property(property: 'message', type: 'string', nullable: true), new OA\Property(property: 'cart', type: 'object', nullable: true)]))]
+    #[OA\Response(response: 422, description: 'Validation error or already in a group order', content: new OA\JsonContent(type: 'object', properties: [new OA\Property(property: 'success', type: 'boolean'), new OA\Property(property: 'message', type: 'string')]))]
+    public function createGroup(Request $request, CsrfTokenManagerInterface $csrfTokenManager): JsonResponse
+    {
+        // CSRF Protection (disabled in dev environment via security.yaml)
+        if ($this->getParameter('kernel.environment') === 'prod') {
+            $csrfError = $this->validateCsrfToken($request, $csrfTokenManager);
+            if ($csrfError) {
+                return $csrfError;
+            }
+        }
+
+        $dto = $this->validateGroupName($request);
+        if ($dto instanceof JsonResponse) {
+            return $dto;
+        }
+
+        // Business errors (already in a group) are turned into 422 by ApiExceptionSubscriber
+        $cart = $this->cartService->startGroup($dto->name);
+
+        return $this->cartResponse($this->buildCartResponse($cart), 'Commande groupée créée', 201);
+    }
+
+    /**
+     * Join a group order from its share link
+     * 
+     * From then on the cart endpoints work on the shared cart: new lines are added
+     * under the participant's name.
+     * 
+     * @param string $token Token of the share link
+     * @param Request $request HTTP request containing the participant's name
+     * @param CsrfTokenManagerInterface $csrfTokenManager CSRF token manager
+     * @return JsonResponse Group cart contents
+     */
+    #[Route('/group/join/{token}', name: 'api_cart_group_join', requirements: ['token' => '[a-f0-9]{32}'], methods: ['POST'])]
+    #[OA\Post(
+        path: '/api/cart/group/join/{token}',
+        summary: 'Join a group order',
+        description: 'Adds the visitor to a group order under the given name',
+        requestBody: new OA\RequestBody(
+            required: true,
+            content: new OA\JsonContent(
+                properties: [new OA\Property(property: 'name', type: 'string', example: 'Samir', description: 'Name of the participant')],
+                type: 'object'
+            )
+        ),
+        tags: ['Cart']
+    )]
+    #[OA\Parameter(
+        name: 'token',
+        in: 'path',
+        required: true,
+        description: 'Token of the share link',
+        schema: new OA\Schema(type: 'string')
+    )]
+    #[OA\Response(response: 200, description: 'Group order joined', content: new OA\JsonContent(type: 'object', properties: [new OA\Property(property: 'success', type: 'boolean'), new OA\Property(property: 'message', type: 'string', nullable: true), new OA\Property(property: 'cart', type: 'object', nullable: true)]))]
+    #[OA\Response(response: 422, description: 'Validation error, group closed, locked or full', content: new OA\JsonContent(type: 'object', properties: [new OA\Property(property: 'success', type: 'boolean'), new OA\Property(property: 'message', type: 'string')]))]
+    public function joinGroup(string $token, Request $request, CsrfTokenManagerInterface $csrfTokenManager): JsonResponse
+    {
+        // CSRF Protection (disabled in dev environment via security.yaml)
+        if ($this->getParameter('kernel.environment') === 'prod') {
+            $csrfError = $this->validateCsrfToken($request, $csrfTokenManager);
+            if ($csrfError) {
+                return $csrfError;
+            }
+        }
+
+        $dto = $this->validateGroupName($request);
+        if ($dto instanceof JsonResponse) {
+            return $dto;
+        }
+
+        $this->groupCartService->join($token, $dto->name);
+
+        return $this->cartResponse($this->buildCartResponse($this->cartService->getCart()), 'Vous avez rejoint la commande groupée', 200);
+    }
+
+    /**
+     * Lock or unlock the group order (owner only)
+     * 
+     * A locked group no longer accepts changes from participants, so the owner
+     * can check out without the cart moving under them.
+     * 
+     * @param Request $request HTTP request containing locked (bool)
+     * @param CsrfTokenManagerInterface $csrfTokenManager CSRF token manager
+     * @return JsonResponse Group cart contents
+     */
+    #[Route('/group/lock', name: 'api_cart_group_lock', methods: ['POST'])]
+    #[OA\Post(
+        path: '/api/cart/group/lock',
+        summary: 'Lock or unlock a group order',
+        description: 'Only the owner can lock the shared cart',
+        requestBody: new OA\RequestBody(
+            required: true,
+            content: new OA\JsonContent(
+                properties: [new OA\Property(property: 'locked', type: 'boolean', example: true)],
+                type: 'object'
+            )
+        ),
+        tags: ['Cart']
+    )]
+    #[OA\Response(response: 200, description: 'Lock state updated', content: new OA\JsonContent(type: 'object', properties: [new OA\Property(property: 'success', type: 'boolean'), new OA\Property(property: 'message', type: 'string', nullable: true), new OA\Property(property: 'cart', type: 'object', nullable: true)]))]
+    #[OA\Response(response: 422, description: 'Validation error, not in a group order or not its owner', content: new OA\JsonContent(type: 'object', properties: [new OA\Property(property: 'success', type: 'boolean'), new OA\Property(property: 'message', type: 'string')]))]
+    public function lockGroup(Request $request, CsrfTokenManagerInterface $csrfTokenManager): JsonResponse
+    {
+        // CSRF Protection (disabled in dev environment via security.yaml)
+        if ($this->getParameter('kernel.environment') === 'prod') {
+            $csrfError = $this->validateCsrfToken($request, $csrfTokenManager);
+            if ($csrfError) {
+                return $csrfError;
+            }
+        }
+
+        $jsonResult = $this->getJsonDataFromRequest($request);
+        if ($jsonResult instanceof JsonResponse) {
+            return $jsonResult;
+        }
+
+        $dto = $this->validateDto($jsonResult, GroupCartLockRequest::class);
+        if ($dto instanceof JsonResponse) {
+            return $dto;
+        }
+
+        $group = $this->groupCartService->setLocked($dto->locked);
+
+        return $this->cartResponse(
+            $this->buildCartResponse($this->cartService->getCart()),
+            $group->isLocked() ? 'Commande groupée verrouillée' : 'Commande groupée rouverte',
+            200
+        );
+    }
+
+    /**
+     * Leave the group order
+     * 
+     * A participant gets back their own cart; the owner cancels the group order
+     * and keeps their own lines.
+     * 
+     * @param Request $request HTTP request
+     * @param CsrfTokenManagerInterface $csrfTokenManager CSRF token manager
+     * @return JsonResponse Visitor's own cart contents
+     */
+    #[Route('/group/leave', name: 'api_cart_group_leave', methods: ['POST'])]
+    #[OA\Post(
+        path: '/api/cart/group/leave',
+        summary: 'Leave a group order',
+        description: 'Participants leave the shared cart; the owner cancels it',
+        tags: ['Cart']
+    )]
+    #[OA\Response(response: 200, description: 'Group order left', content: new OA\JsonContent(type: 'object', properties: [new OA\Property(property: 'success', type: 'boolean'), new OA\Property(property: 'message', type: 'string', nullable: true), new OA\Property(property: 'cart', type: 'object', nullable: true)]))]
+    public function leaveGroup(Request $request, CsrfTokenManagerInterface $csrfTokenManager): JsonResponse
+    {
+        // CSRF Protection (disabled in dev environment via security.yaml)
+        if ($this->getParameter('kernel.environment') === 'prod') {
+            $csrfError = $this->validateCsrfToken($request, $csrfTokenManager);
+            if ($csrfError) {
+                return $csrfError;
+            }
+        }
+
+        $cart = $this->cartService->leaveGroup();
+
+        return $this->cartResponse($this->buildCartResponse($cart), 'Vous avez quitté la commande groupée', 200);
+    }
+
     /**
      * Clear entire cart
      * 
@@ -487,22 +827,7 @@ class CartController extends AbstractApiController
         $cart = $this->cartService->clear();
 
         // Convert cart items to DTOs
-        $cartItems = array_map(function($item) {
-            return new CartItemDTO(
-                id: $item['id'],
-                name: $item['name'],
-                price: $item['price'],
-                quantity: $item['quantity'],
-                image: $item['image'],
-                category: $item['category']
-            );
-        }, $cart['items']);
-
-        $cartResponse = new CartResponseDTO(
-            items: $cartItems,
-            total: $cart['total'],
-            itemCount: $cart['itemCount']
-        );
+        $cartResponse = $this->buildCartResponse($cart);
 
         // Uses base class method from AbstractApiController
         // This method creates response with 'cart' property at top level (not inside 'data')
@@ -535,5 +860,69 @@ class CartController extends AbstractApiController
         // which provides centralized error handling and consistent error response format
         return $this->successResponse(['count' => $count], null, 200);
     }
-}
 
+    /**
+     * Parse and validate the name sent to create or join a group order
+     *
+     * @param Request $request HTTP request containing name
+     * @return GroupCartNameRequest|JsonResponse Validated DTO, or error response
+     */
+    private function validateGroupName(Request $request): GroupCartNameRequest|JsonResponse
+    {
+        $jsonResult = $this->getJsonDataFromRequest($request);
+        if ($jsonResult instanceof JsonResponse) {
+            return $jsonResult;
+        }
+
+        $dto = $this->validateDto($jsonResult, GroupCartNameRequest::class);
+        if ($dto instanceof JsonResponse) {
+            return $dto;
+        }
+
+        // Names are shown to the other participants: reject script injection
+        $xssError = $this->validateXss($dto, ['name']);
+
+        return $xssError ?? $dto;
+    }
+
+    /**
+     * Convert cart data from CartService into the API response DTO
+     *
+     * Shared by every endpoint returning the cart so that all responses
+     * expose the same item fields (including line key and selected options).
+     *
+     * @param array $cart Cart details with keys: items, total, itemCount, group
+     * @return CartResponseDTO Response DTO
+     */
+    private function buildCartResponse(array $cart): CartResponseDTO
+    {
+        $cartItems = array_map(function($item) {
+            return new CartItemDTO(
+                id: $item['id'],
+                name: $item['name'],
+                price: $item['price'],
+                quantity: $item['quantity'],
+                image: $item['image'],
+                category: $item['category'],
+                lineKey: $item['lineKey'] ?? (string) $item['id'],
+                options: $item['options'] ?? [],
+                note: $item['note'] ?? null,
+                itemType: $item['itemType'],
+                taxRate: $item['taxRate'],
+                addedPrice: $item['addedPrice'] ?? null,
+                priceChanged: $item['priceChanged'] ?? false,
+                unavailable: $item['unavailable'] ?? false,
+                participant: $item['participant'] ?? null,
+                participantIndex: $item['participantIndex'] ?? null,
+                nutrition: $item['nutrition'] ?? null
+            );
+        }, $cart['items']);
+
+        return new CartResponseDTO(
+            items: $cartItems,
+            total: $cart['total'] ?? 0,
+            itemCount: $cart['itemCount'] ?? 0,
+            group: $cart['group'] ?? null
+        );
+    }
+}
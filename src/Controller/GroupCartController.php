@@ -0,0 +1,52 @@
+<?php
+
+namespace App\Controller;
+
+use App\Repository\GroupCartRepository;
+use App\Service\GroupCartService;
+use Symfony\Bundle\FrameworkBundle\Controller\AbstractController;
+use Symfony\Component\HttpFoundation\Response;
+use Symfony\Component\Routing\Annotation\Route;
+
+/**
+ * Group Order Join Page Controller
+ *
+ * Renders the page behind the share link of a group order ("commande groupée"):
+ * the visitor enters their name, then fills the shared cart from the menu.
+ * Joining itself goes through the cart API (POST /api/cart/group/join/{token}).
+ */
+class GroupCartController extends AbstractController
+{
+    /**
+     * Display the join page of a group order
+     *
+     * Visitors already in this group (the owner opening their own link) go
+     * straight to the menu.
+     *
+     * @param string $token Token of the share link
+     * @param GroupCartRepository $groupCartRepository Repository to find the group
+     * @param GroupCartService $groupCartService Service giving the visitor's current group
+     * @return Response Rendered join page, or redirect to the menu
+     */
+    #[Route('/commande-groupee/{token}', name: 'app_group_cart_join', requirements: ['token' => '[a-f0-9]{32}'], methods: ['GET'])]
+    public function join(string $token, GroupCartRepository $groupCartRepository, GroupCartService $groupCartService): Response
+    {
+        $group = $groupCartRepository->findOpenByToken($token);
+        if ($group === null) {
+            throw $this->createNotFoundException('Commande groupée introuvable');
+        }
+
+        if ($groupCartService->getCurrent()?->getId() === $group->getId()) {
+            return $this->redirectToRoute('app_menu');
+        }
+
+        return $this->render('pages/group_join.html.twig', [
+            'token' => $token,
+            'owner_name' => $group->getOwnerName(),
+            'participant_count' => count($group->getParticipants()),
+            'locked' => $group->isLocked(),
+            'seo_title' => 'Commande groupée | Le Trois Quarts',
+            'seo_robots' => 'noindex,nofollow',
+        ]);
+    }
+}
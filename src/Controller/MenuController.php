@@ -5,128 +5,33 @@ namespace App\Controller;
 use Symfony\Bundle\FrameworkBundle\Controller\AbstractController;
 use Symfony\Component\HttpFoundation\Response;
 use Symfony\Component\Routing\Attribute\Route;
-use App\Repository\MenuItemRepository;
 use App\Repository\ReviewRepository;
-use App\Repository\DrinkRepository;
+use App\Repository\AllergenRepository;
+use App\Repository\CategoryRepository;
 use App\Entity\MenuItem;
-use Liip\ImagineBundle\Imagine\Cache\CacheManager;
-use Psr\Log\LoggerInterface;
+use App\Service\MenuCatalogService;
+use App\Service\MenuItemImageResolver;
 
 /**
  * Public menu and dish detail pages.
  *
  * Notes:
- * - index() serializes MenuItem entities into lightweight arrays for the frontend JS.
- * - show() prepares dish detail data and uses lightweight queries for related items
- *   plus aggregate ratings to avoid heavy hydration.
+ * - index() only renders the page: the dishes come from GET /api/menu (MenuCatalogService).
+ * - show() prepares dish detail data (photos resolved by MenuItemImageResolver) and uses
+ *   aggregate ratings to avoid heavy hydration; suggested dishes come from
+ *   GET /api/recommendations (RecommendationService).
  */
 final class MenuController extends AbstractController
 {
     #[Route('/menu', name: 'app_menu')]
-    public function index(MenuItemRepository $menuItemRepository, DrinkRepository $drinkRepository, CacheManager $cacheManager, LoggerInterface $logger): Response
+    public function index(AllergenRepository $allergenRepository, MenuCatalogService $menuCatalog): Response
     {
-        // Récupérer toutes les entrées du menu depuis la base de données
-        $items = $menuItemRepository->findAll();
-
-        // Normaliser les entités pour le front (structure attendue par static/js/menu.js)
-        $menuItems = array_map(static function (MenuItem $item) use ($cacheManager, $logger): array {
-            // Extraire les badges (ex. noms ou slugs)
-            $badges = [];
-            if (method_exists($item, 'getBadges')) {
-                foreach ($item->getBadges() as $badge) {
-                    $badges[] = method_exists($badge, 'getName') ? $badge->getName() : (string) $badge;
-                }
-            }
-
-            // Extraire les tags (ex. codes techniques pour le filtrage)
-            $tags = [];
-            if (method_exists($item, 'getTags')) {
-                foreach ($item->getTags() as $tag) {
-                    $tags[] = method_exists($tag, 'getCode') ? $tag->getCode() : (string) $tag;
-                }
-            }
-
-            // Resolve public image path
-            // Images are stored in /static/img/menu/ (all menu items in one folder)
-            $image = $item->getImage();
-            if ($image) {
-                // If it's just a filename from upload, prefix with menu folder
-                if (
-                    !str_starts_with($image, '/uploads/')
-                    && !str_starts_with($image, '/assets/')
-                    && !str_starts_with($image, '/static/')
-                    && !str_starts_with($image, 'http')
-                ) {
-                    $image = '/static/img/menu/' . ltrim($image, '/');
-                }
-                // If path starts with 'assets/' or 'static/', make it absolute under public
-                if (str_starts_with($image, 'assets/') || str_starts_with($image, 'static/')) {
-                    $image = '/' . ltrim($image, '/');
-                }
-            }
-
-            $normalizedImage = $image ? ltrim($image, '/') : null;
-            $imageJpegPath = $imageWebpPath = $imageHeroPath = $imageHeroWebpPath = null;
-            if ($normalizedImage) {
-                try {
-                    $imageJpegPath = $cacheManager->getBrowserPath($normalizedImage, 'gallery_jpeg');
-                    $imageWebpPath = $cacheManager->getBrowserPath($normalizedImage, 'gallery_webp');
-                    $imageHeroPath = $cacheManager->getBrowserPath($normalizedImage, 'hero_jpeg');
-                    $imageHeroWebpPath = $cacheManager->getBrowserPath($normalizedImage, 'hero_webp');
-                } catch (\Throwable $e) {
-                    $logger->warning('LiipImagine failed to generate menu image variant', [
-                        'path' => $normalizedImage,
-                        'error' => $e->getMessage(),
-                    ]);
-                }
-            }
-
-            return [
-                // Forcer l'ID en string pour correspondre au JS (comparaisons strictes)
-                'id' => (string) $item->getId(),
-                'name' => $item->getName(),
-                'description' => $item->getDescription(),
-                'price' => (float) $item->getPrice(),
-                'category' => $item->getCategory(), // valeurs attendues: entrees|plats|desserts|boissons
-                'image' => $image,
-                'image_original' => $image,
-                'image_optimized' => $imageJpegPath,
-                'image_webp' => $imageWebpPath,
-                'image_full' => $imageHeroPath ?? $image,
-                'image_full_webp' => $imageHeroWebpPath,
-                'badges' => $badges,
-                'tags' => $tags,
-            ];
-        }, $items);
-
-        // Encoder en JSON (sans échapper les caractères Unicode et les slashs)
-        $menuItemsJson = json_encode($menuItems, JSON_UNESCAPED_UNICODE | JSON_UNESCAPED_SLASHES);
-
-        // Récupérer les boissons et les regrouper par type
-        $drinks = $drinkRepository->findAll();
-        $drinksGrouped = [
-            'vins' => [],
-            'chaudes' => [],
-            'bieres' => [],
-            'fraiches' => [],
-        ];
-        foreach ($drinks as $drink) {
-            $type = method_exists($drink, 'getType') ? $drink->getType() : 'autres';
-            $entry = [
-                'name' => method_exists($drink, 'getName') ? $drink->getName() : '',
-                'price' => method_exists($drink, 'getPrice') ? $drink->getPrice() : '',
-            ];
-            if (!isset($drinksGrouped[$type])) {
-                $drinksGrouped[$type] = [];
-            }
-            $drinksGrouped[$type][] = $entry;
-        }
-        $drinksJson = json_encode($drinksGrouped, JSON_UNESCAPED_UNICODE | JSON_UNESCAPED_SLASHES);
-
-        // Rendre le template de la page Menu et exposer les données côté client
+        // Les plats et boissons sont chargés par static/js/menu-catalog.js depuis /api/menu
         return $this->render('pages/menu.html.twig', [
-            'menuItemsJson' => $menuItemsJson,
-            'drinksJson' => $drinksJson,
+            // Catégories dans l'ordre d'affichage (boutons de filtre)
+            'categories' => $menuCatalog->getCategories(),
+            // Liste des allergènes pour le panneau « Exclure les allergènes »
+            'allergens' => $allergenRepository->findBy([], ['name' => 'ASC']),
             'seo_title' => 'Menu restaurant | Le Trois Quarts Marseille',
             'seo_description' => 'Consultez le menu complet du Trois Quarts : plats méditerranéens, desserts gourmands et boissons sélectionnées.',
             'seo_og_description' => 'Une carte de saison, des produits frais et des recettes généreuses : découvrez le menu du Trois Quarts.',
@@ -134,8 +39,13 @@ final class MenuController extends AbstractController
     }
 
     #[Route('/dish/{id}', name: 'app_dish_detail', requirements: ['id' => '\\d+'])]
-    public function show(MenuItem $item, MenuItemRepository $menuItemRepository, ReviewRepository $reviewRepository): Response
+    public function show(MenuItem $item, ReviewRepository $reviewRepository, CategoryRepository $categoryRepository, MenuCatalogService $menuCatalog, MenuItemImageResolver $imageResolver): Response
     {
+        // Un plat masqué n'est plus sur la carte
+        if ($item->isHidden()) {
+            throw $this->createNotFoundException('Plat introuvable');
+        }
+
         // Préparer structure pour le template
         $badges = [];
         foreach ($item->getBadges() as $badge) {
@@ -168,28 +78,6 @@ final class MenuController extends AbstractController
             }
         }
 
-        // Related dishes (same category) - optimized lightweight query
-        $related = $menuItemRepository->findRelatedForCard($item->getCategory(), (int) $item->getId(), 3);
-        // Normalize image path as previously
-        foreach ($related as &$rel) {
-            $rImage = $rel['image'] ?? null;
-            if ($rImage) {
-                if (
-                    !str_starts_with($rImage, '/uploads/')
-                    && !str_starts_with($rImage, '/assets/')
-                    && !str_starts_with($rImage, '/static/')
-                    && !str_starts_with($rImage, 'http')
-                ) {
-                    // All menu images are in /static/img/menu/
-                    $rImage = '/static/img/menu/' . ltrim($rImage, '/');
-                }
-                if (str_starts_with($rImage, 'assets/') || str_starts_with($rImage, 'static/')) {
-                    $rImage = '/' . ltrim($rImage, '/');
-                }
-            }
-            $rel['image'] = $rImage;
-        }
-
         // Get ingredients as array
         $ingredients = [];
         if (method_exists($item, 'getIngredientsAsArray')) {
@@ -219,14 +107,22 @@ final class MenuController extends AbstractController
             ? mb_substr($normalizedDescription, 0, 152) . '...'
             : $normalizedDescription;
 
+        // Catégorie du plat (fil d'Ariane), null si le slug n'a pas de Category
+        $category = $categoryRepository->findOneBy(['slug' => $item->getCategory()]);
+
         return $this->render('pages/dish_detail.html.twig', [
             'item' => $item,
+            'category' => $category,
+            'available' => $item->isOrderable(),
+            'soldOutUntil' => $menuCatalog->soldOutUntilTime($item),
+            'optionGroupsJson' => json_encode($menuCatalog->serializeOptionGroups($item), JSON_UNESCAPED_UNICODE | JSON_UNESCAPED_SLASHES),
             'image' => $image,
+            // Photos du plat (bande de miniatures et visionneuse), la première est l'image
+            'photos' => $imageResolver->resolvePhotos($item),
             'badges' => $badges,
             'allergens' => $allergens,
             'ingredients' => $ingredients,
             'prepTimeDisplay' => $prepTimeDisplay,
-            'related' => $related,
             'ratingCount' => $ratingCount,
             'ratingAvg' => $ratingAvg,
             'seo_title' => sprintf('%s | Le Trois Quarts Marseille', $item->getName()),
@@ -5,12 +5,14 @@ namespace App\Controller;
 use App\DTO\ApiResponseDTO;
 use App\DTO\OrderCreateRequest;
 use App\DTO\OrderItemDTO;
+use App\DTO\OrderReorderRequest;
 use App\DTO\OrderResponseDTO;
 use App\Service\ValidationHelper;
 use Symfony\Component\Validator\Validator\ValidatorInterface;
 use Psr\Log\LoggerInterface;
 use Psr\Cache\CacheItemPoolInterface;
 use App\Service\OrderService;
+use App\Service\ReorderService;
 use App\Service\SymfonyEmailService;
 use Symfony\Component\HttpFoundation\JsonResponse;
 use Symfony\Component\HttpFoundation\Request;
@@ -26,6 +28,7 @@ use OpenApi\Attributes as OA;
  * - index(): renders the multi-step checkout page (non-API route)
  * - createOrder(): validates input, delegates order creation to service, returns DTO
  * - getOrder(): returns order data by id for clients needing confirmation/details
+ * - reorder(): puts the items of a previous order back in the cart ("Commander à nouveau")
  *
  * Architecture:
  * - Extends AbstractApiController for common API functionality (JSON parsing, DTO validation, CSRF, responses)
@@ -40,12 +43,14 @@ class OrderController extends AbstractApiController
      *
      * Injects dependencies required for order operations:
      * - OrderService: Handles order creation and retrieval (business logic)
+     * - ReorderService: Finds previous orders and refills the cart from them
      * - SymfonyEmailService: Sends email notifications to admin
      * - LoggerInterface: Logs errors and warnings
      * - CacheInterface: Stores idempotent responses
      * - ValidatorInterface and ValidationHelper: Passed to parent for DTO validation
      *
      * @param OrderService $orderService Service for order operations
+     * @param ReorderService $reorderService Service for "Commander à nouveau"
      * @param SymfonyEmailService $emailService Email service for notifications
      * @param LoggerInterface $logger Logger for error tracking
      * @param CacheItemPoolInterface $cache Cache pool for idempotency (PSR-6)
@@ -54,6 +59,7 @@ class OrderController extends AbstractApiController
      */
     public function __construct(
         private OrderService $orderService,
+        private ReorderService $reorderService,
         private SymfonyEmailService $emailService,
         private LoggerInterface $logger,
         private CacheItemPoolInterface $cache,
@@ -115,6 +121,19 @@ class OrderController extends AbstractApiController
                         example: 'Ring doorbell', 
                         description: 'Delivery instructions'
                     ),
+                    new OA\Property(
+                        property: 'deliveryDate', 
+                        type: 'string',
+                        format: 'date',
+                        example: '2026-10-19', 
+                        description: 'Date of the delivery/pickup slot'
+                    ),
+                    new OA\Property(
+                        property: 'deliveryTime', 
+                        type: 'string',
+                        example: '12:30', 
+                        description: 'Start time of the delivery/pickup slot (HH:MM); dishes served in a time window only must be served at that time'
+                    ),
                     new OA\Property(
                         property: 'deliveryFee', 
                         type: 'number',
@@ -268,7 +287,8 @@ class OrderController extends AbstractApiController
      * Build order response DTO
      *
      * This method converts an Order entity to an OrderResponseDTO for API response.
-     * It includes all order details and converts order items to DTOs.
+     * It includes all order details and converts order items to DTOs, plus the signed
+     * "Commander à nouveau" link shown on the confirmation screen (data.reorderUrl).
      *
      * @param \App\Entity\Order $order Order entity to convert
      * @return array Response data as array (ready for JSON serialization)
@@ -284,7 +304,11 @@ class OrderController extends AbstractApiController
                 productName: $item->getProductName(),
                 unitPrice: (float) $item->getUnitPrice(),
                 quantity: $item->getQuantity(),
-                total: (float) $item->getTotal()
+                total: (float) $item->getTotal(),
+                options: $item->getOptions(),
+                note: $item->getNote(),
+                itemType: $item->getItemType(),
+                participant: $item->getParticipant()
             );
         }
 
@@ -314,7 +338,8 @@ class OrderController extends AbstractApiController
         $response = new ApiResponseDTO(
             success: true,
             message: 'Commande créée avec succès',
-            order: $orderResponse
+            order: $orderResponse,
+            data: ['reorderUrl' => $this->reorderService->getReorderUrl($order)]
         );
 
         return $response->toArray();
@@ -364,6 +389,67 @@ class OrderController extends AbstractApiController
         $this->cache->save($cached);
     }
 
+    /**
+     * Reorder a previous order ("Commander à nouveau")
+     *
+     * Finds the order from its number and the email or phone used to place it (or the
+     * signature of the link shown on the confirmation), adds its items to the cart and
+     * returns its delivery details so the checkout form can be prefilled. Items that
+     * can no longer be ordered are skipped and listed in data.skipped.
+     */
+    #[Route('/api/order/reorder', name: 'api_order_reorder', methods: ['POST'])]
+    #[OA\Post(
+        path: '/api/order/reorder',
+        summary: 'Reorder a previous order',
+        description: 'Adds the items of a previous order to the cart and returns its delivery details',
+        requestBody: new OA\RequestBody(
+            required: true,
+            content: new OA\JsonContent(
+                properties: [
+                    new OA\Property(property: 'no', type: 'string', example: 'ORD-20250107-1234', description: 'Order number'),
+                    new OA\Property(property: 'contact', type: 'string', example: 'jean.dupont@email.com', description: 'Email or phone number used for the order'),
+                    new OA\Property(property: 'signature', type: 'string', description: 'Signature of the reorder link (replaces contact)')
+                ],
+                type: 'object'
+            )
+        ),
+        tags: ['Order']
+    )]
+    #[OA\Response(response: 200, description: 'Items added to the cart', content: new OA\JsonContent(type: 'object', properties: [new OA\Property(property: 'success', type: 'boolean'), new OA\Property(property: 'message', type: 'string', nullable: true), new OA\Property(property: 'data', type: 'object', description: 'added (int), skipped (list of name/reason), prefill (checkout fields)')]))]
+    #[OA\Response(response: 404, description: 'Order not found or contact does not match', content: new OA\JsonContent(type: 'object', properties: [new OA\Property(property: 'success', type: 'boolean'), new OA\Property(property: 'message', type: 'string')]))]
+    #[OA\Response(response: 422, description: 'Validation error', content: new OA\JsonContent(type: 'object', properties: [new OA\Property(property: 'success', type: 'boolean'), new OA\Property(property: 'message', type: 'string'), new OA\Property(property: 'errors', type: 'array', items: new OA\Items(type: 'string'))]))]
+    #[OA\Tag(name: 'Order')]
+    public function reorder(Request $request, CsrfTokenManagerInterface $csrfTokenManager): JsonResponse
+    {
+        $csrfError = $this->validateCsrfToken($request, $csrfTokenManager);
+        if ($csrfError !== null) {
+            return $csrfError;
+        }
+
+        $jsonResult = $this->getJsonDataFromRequest($request);
+        if ($jsonResult instanceof JsonResponse) {
+            return $jsonResult;
+        }
+
+        $dto = $this->validateDto($jsonResult, OrderReorderRequest::class);
+        if ($dto instanceof JsonResponse) {
+            return $dto;
+        }
+
+        try {
+            $order = $this->reorderService->findOrder($dto->no, $dto->contact, $dto->signature);
+        } catch (\InvalidArgumentException $e) {
+            return $this->errorResponse($e->getMessage(), 404);
+        }
+
+        $result = $this->reorderService->reorder($order);
+        $message = $result['added'] > 0
+            ? sprintf('Commande %s ajoutée à votre panier', $order->getNo())
+            : 'Aucun article de cette commande n\'est disponible aujourd\'hui';
+
+        return $this->successResponse($result, $message, 200);
+    }
+
     /**
      * Get order by ID
      */
@@ -403,7 +489,11 @@ class OrderController extends AbstractApiController
                 productName: $item->getProductName(),
                 unitPrice: (float) $item->getUnitPrice(),
                 quantity: $item->getQuantity(),
-                total: (float) $item->getTotal()
+                total: (float) $item->getTotal(),
+                options: $item->getOptions(),
+                note: $item->getNote(),
+                itemType: $item->getItemType(),
+                participant: $item->getParticipant()
             );
         }
 
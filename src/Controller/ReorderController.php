@@ -0,0 +1,44 @@
+<?php
+
+namespace App\Controller;
+
+use App\Service\ReorderService;
+use Symfony\Bundle\FrameworkBundle\Controller\AbstractController;
+use Symfony\Component\HttpFoundation\Request;
+use Symfony\Component\HttpFoundation\Response;
+use Symfony\Component\Routing\Annotation\Route;
+
+/**
+ * Reorder Page Controller ("Commander à nouveau")
+ *
+ * Renders the page where a customer enters a previous order number and the email
+ * or phone used for it. The signed link shown on the order confirmation opens the
+ * same page with the order number and signature: no email or phone is asked.
+ * Reordering itself goes through the order API (POST /api/order/reorder).
+ */
+class ReorderController extends AbstractController
+{
+    /**
+     * Display the reorder page
+     *
+     * @param Request $request HTTP request (optional "no" and "signature" query parameters)
+     * @param ReorderService $reorderService Service checking the link signature
+     * @return Response Rendered reorder page
+     */
+    #[Route('/commander-a-nouveau', name: 'app_reorder', methods: ['GET'])]
+    public function index(Request $request, ReorderService $reorderService): Response
+    {
+        $no = trim((string) $request->query->get('no', ''));
+        $signature = (string) $request->query->get('signature', '');
+        $signed = $no !== '' && $signature !== '' && $reorderService->isValidSignature($no, $signature);
+
+        return $this->render('pages/reorder.html.twig', [
+            'order_no' => mb_substr($no, 0, 40),
+            'signature' => $signed ? $signature : null,
+            'invalid_link' => $signature !== '' && !$signed,
+            'seo_title' => 'Commander à nouveau | Le Trois Quarts',
+            'seo_description' => 'Retrouvez une commande passée au Trois Quarts et commandez à nouveau les mêmes plats en quelques secondes.',
+            'seo_robots' => 'noindex,nofollow',
+        ]);
+    }
+}
@@ -0,0 +1,95 @@
+<?php
+
+namespace App\Controller;
+
+use Symfony\Bundle\FrameworkBundle\Controller\AbstractController;
+use Symfony\Component\DependencyInjection\Attribute\Autowire;
+use Symfony\Component\HttpFoundation\Request;
+use Symfony\Component\HttpFoundation\Response;
+use Symfony\Component\Routing\Attribute\Route;
+use Symfony\Component\Translation\TranslatorBagInterface;
+
+/**
+ * Translation Catalogue Controller
+ *
+ * Serves the messages of the front-end scripts (the "js" domain, i.e.
+ * translations/js+intl-icu.{locale}.yaml) as a script defining window.i18nCatalogue,
+ * read by static/js/utils/i18n.js. base.html.twig loads it before the other scripts.
+ *
+ * The catalogue is generated from the Symfony translation files on each request:
+ * a message added to the YAML files is available to the scripts without a build
+ * step. Keys missing in a locale are filled from the fallback locale (French).
+ *
+ * The response carries an ETag (hash of the catalogue): browsers revalidate it
+ * and get an empty 304 response until the translations change.
+ */
+class TranslationController extends AbstractController
+{
+    /**
+     * Translation domain of the front-end scripts
+     */
+    public const DOMAIN = 'js';
+
+    /**
+     * @param TranslatorBagInterface $translator Translator (message catalogues)
+     * @param string[] $enabledLocales Locales of the site (framework.enabled_locales)
+     */
+    public function __construct(
+        #[Autowire(service: 'translator')]
+        private TranslatorBagInterface $translator,
+        #[Autowire('%kernel.enabled_locales%')]
+        private array $enabledLocales
+    ) {}
+
+    /**
+     * Get the catalogue of a locale
+     *
+     * @param Request $request HTTP request (conditional headers)
+     * @param string $locale Locale code (one of the enabled locales)
+     * @return Response JavaScript, or 304 Not Modified
+     */
+    #[Route('/i18n/{locale}.js', name: 'app_i18n_catalogue', requirements: ['locale' => '[a-z]{2}'], methods: ['GET'])]
+    public function catalogue(Request $request, string $locale): Response
+    {
+        if (!in_array($locale, $this->enabledLocales, true)) {
+            throw $this->createNotFoundException();
+        }
+
+        $json = json_encode(
+            ['locale' => $locale, 'messages' => $this->getMessages($locale)],
+            JSON_UNESCAPED_UNICODE | JSON_UNESCAPED_SLASHES | JSON_HEX_TAG
+        );
+
+        $response = new Response();
+        $response->setEtag(sha1($json));
+        $response->setPublic();
+        $response->headers->addCacheControlDirective('no-cache');
+
+        if ($response->isNotModified($request)) {
+            return $response;
+        }
+
+        $response->headers->set('Content-Type', 'application/javascript; charset=UTF-8');
+        $response->setContent(sprintf("window.i18nCatalogue = %s;\n", $json));
+
+        return $response;
+    }
+
+    /**
+     * Messages of the "js" domain, completed with the fallback locales
+     *
+     * @return array<string, string> Key => ICU message
+     */
+    private function getMessages(string $locale): array
+    {
+        $catalogue = $this->translator->getCatalogue($locale);
+        $messages = $catalogue->all(self::DOMAIN);
+
+        for ($fallback = $catalogue->getFallbackCatalogue(); $fallback; $fallback = $fallback->getFallbackCatalogue()) {
+            $messages += $fallback->all(self::DOMAIN);
+        }
+        ksort($messages);
+
+        return $messages;
+    }
+}
@@ -2,6 +2,7 @@
 
 namespace App\DTO;
 
+use App\Entity\OrderItem;
 use Symfony\Component\Validator\Constraints as Assert;
 
 /**
@@ -23,5 +24,21 @@ class CartAddRequest
     #[Assert\Positive(message: 'La quantité doit être positive')]
     #[Assert\LessThanOrEqual(value: 100, message: 'La quantité ne peut pas dépasser 100')]
     public ?int $quantity = 1;
+
+    /**
+     * Selected option IDs (MenuItemOption), checked against the item's option groups by CartService
+     */
+    #[Assert\Count(max: 20, maxMessage: 'Trop d\'options sélectionnées')]
+    #[Assert\All([
+        new Assert\Type(type: 'integer', message: 'Les options doivent être des identifiants entiers'),
+        new Assert\Positive(message: 'Les identifiants d\'options doivent être positifs'),
+    ])]
+    public array $options = [];
+
+    /**
+     * Item type: 'dish' (itemId is a MenuItem ID) or 'drink' (itemId is a Drink ID)
+     */
+    #[Assert\Choice(choices: [OrderItem::TYPE_DISH, OrderItem::TYPE_DRINK], message: 'Type d\'article invalide')]
+    public string $itemType = OrderItem::TYPE_DISH;
 }
 
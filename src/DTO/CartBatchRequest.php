@@ -0,0 +1,27 @@
+<?php
+
+namespace App\DTO;
+
+use Symfony\Component\Validator\Constraints as Assert;
+
+/**
+ * Cart Batch Request Data Transfer Object
+ *
+ * Ordered list of cart operations applied atomically by CartService::applyBatch().
+ * The shape of each operation (add/update/remove) is checked by the service,
+ * this DTO only bounds the list itself.
+ */
+class CartBatchRequest
+{
+    #[Assert\NotNull(message: 'La liste des opérations est requise')]
+    #[Assert\Count(
+        min: 1,
+        max: 50,
+        minMessage: 'Au moins une opération est requise',
+        maxMessage: 'Trop d\'opérations dans une seule requête (50 maximum)'
+    )]
+    #[Assert\All([
+        new Assert\Type(type: 'array', message: 'Chaque opération doit être un objet'),
+    ])]
+    public ?array $operations = null;
+}
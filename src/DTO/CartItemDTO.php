@@ -12,12 +12,22 @@ use OpenApi\Attributes as OA;
  * to the frontend API clients.
  *
  * Contains:
- * - id: Menu item ID from database
+ * - id: Menu item ID (or drink ID) from database
  * - name: Display name of the menu item
  * - price: Unit price (float, e.g., 14.50)
  * - quantity: Number of this item in cart
  * - image: Path or URL to item image
  * - category: Item category (e.g., 'plats', 'desserts', 'boissons')
+ * - lineKey: Cart line identifier used by update/remove endpoints
+ *   (menu item ID, or "{id}-{optionIds}" when options were selected)
+ * - options: Selected options with their group and price delta
+ * - note: Optional kitchen note written by the customer for this line
+ * - itemType: 'dish' (menu item) or 'drink'
+ * - taxRate: VAT rate of the line (e.g. 0.1, 0.2 for alcoholic drinks)
+ * - addedPrice: Unit price when the line was added (differs from price when priceChanged)
+ * - priceChanged: The menu price changed since the line was added (not yet acknowledged)
+ * - unavailable: The item was removed from the menu or is sold out
+ * - nutrition: Nutrition facts of one serving (dishes only, null when not filled in)
  */
 #[OA\Schema(
     schema: 'CartItem',
@@ -43,7 +53,40 @@ class CartItemDTO
         public string $image,
 
         #[OA\Property(property: 'category', type: 'string', example: 'plats', description: 'Item category')]
-        public string $category
+        public string $category,
+
+        #[OA\Property(property: 'lineKey', type: 'string', example: '12-3_7', description: 'Cart line key (item ID + selected option IDs)')]
+        public ?string $lineKey = null,
+
+        #[OA\Property(property: 'options', type: 'array', items: new OA\Items(type: 'object'), description: 'Selected options: id, group, name, priceDelta')]
+        public array $options = [],
+
+        #[OA\Property(property: 'note', type: 'string', nullable: true, example: 'Sans oignons', description: 'Kitchen note for this line')]
+        public ?string $note = null,
+
+        #[OA\Property(property: 'itemType', type: 'string', enum: ['dish', 'drink'], example: 'dish', description: 'Item type')]
+        public string $itemType = 'dish',
+
+        #[OA\Property(property: 'taxRate', type: 'number', format: 'float', example: 0.1, description: 'VAT rate of the line')]
+        public ?float $taxRate = null,
+
+        #[OA\Property(property: 'addedPrice', type: 'number', format: 'float', example: 13.5, description: 'Unit price when the line was added')]
+        public ?float $addedPrice = null,
+
+        #[OA\Property(property: 'priceChanged', type: 'boolean', example: false, description: 'Price changed since the line was added')]
+        public bool $priceChanged = false,
+
+        #[OA\Property(property: 'unavailable', type: 'boolean', example: false, description: 'Item no longer orderable (removed, hidden or sold out)')]
+        public bool $unavailable = false,
+
+        #[OA\Property(property: 'participant', type: 'string', nullable: true, example: 'Camille', description: 'Person the line is for (group orders only)')]
+        public ?string $participant = null,
+
+        #[OA\Property(property: 'participantIndex', type: 'integer', nullable: true, example: 1, description: 'Index of that person in the group participants (0 = owner)')]
+        public ?int $participantIndex = null,
+
+        #[OA\Property(property: 'nutrition', type: 'object', nullable: true, description: 'Nutrition facts of one serving (caloriesKcal, proteinsG, carbsG, fatsG, fiberG, sodiumMg); null for drinks and dishes without nutrition facts')]
+        public ?array $nutrition = null
     ) {}
 
     /**
@@ -59,7 +102,18 @@ class CartItemDTO
             'price' => $this->price,
             'quantity' => $this->quantity,
             'image' => $this->image,
-            'category' => $this->category
+            'category' => $this->category,
+            'lineKey' => $this->lineKey ?? (string) $this->id,
+            'options' => $this->options,
+            'note' => $this->note,
+            'itemType' => $this->itemType,
+            'taxRate' => $this->taxRate,
+            'addedPrice' => $this->addedPrice ?? $this->price,
+            'priceChanged' => $this->priceChanged,
+            'unavailable' => $this->unavailable,
+            'participant' => $this->participant,
+            'participantIndex' => $this->participantIndex,
+            'nutrition' => $this->nutrition
         ];
     }
 }
@@ -0,0 +1,19 @@
+<?php
+
+namespace App\DTO;
+
+use App\Service\CartService;
+use Symfony\Component\Validator\Constraints as Assert;
+
+/**
+ * Cart Line Note Request Data Transfer Object
+ *
+ * Short free-text note for the kitchen attached to one cart line
+ * (e.g. "sans oignons"). An empty or null note removes it.
+ */
+class CartNoteRequest
+{
+    #[Assert\Type(type: 'string', message: 'La note doit être un texte')]
+    #[Assert\Length(max: CartService::NOTE_MAX_LENGTH, maxMessage: 'La note ne peut pas dépasser {{ limit }} caractères')]
+    public ?string $note = null;
+}
@@ -15,6 +15,7 @@ use OpenApi\Attributes as OA;
  * - items: Array of CartItemDTO objects representing all items in cart
  * - total: Calculated total price of all items (sum of item price × quantity)
  * - itemCount: Total quantity of all items (sum of all item quantities)
+ * - group: Group order the cart belongs to (null for a personal cart)
  */
 #[OA\Schema(
     schema: 'CartResponse',
@@ -31,7 +32,10 @@ class CartResponseDTO
         public float $total,
 
         #[OA\Property(property: 'itemCount', type: 'integer', example: 2, description: 'Total number of items')]
-        public int $itemCount
+        public int $itemCount,
+
+        #[OA\Property(property: 'group', type: 'object', nullable: true, description: 'Group order: token, shareUrl, participants, locked, owner, me')]
+        public ?array $group = null
     ) {}
 
     /**
@@ -47,7 +51,8 @@ class CartResponseDTO
         return [
             'items' => array_map(fn($item) => $item instanceof CartItemDTO ? $item->toArray() : $item, $this->items),
             'total' => $this->total,
-            'itemCount' => $this->itemCount
+            'itemCount' => $this->itemCount,
+            'group' => $this->group
         ];
     }
 }
@@ -0,0 +1,15 @@
+<?php
+
+namespace App\DTO;
+
+use Symfony\Component\Validator\Constraints as Assert;
+
+/**
+ * Group Order Lock Request Data Transfer Object
+ */
+class GroupCartLockRequest
+{
+    #[Assert\NotNull(message: 'Le champ « locked » est requis')]
+    #[Assert\Type(type: 'bool', message: 'Le champ « locked » doit être un booléen')]
+    public ?bool $locked = null;
+}
@@ -0,0 +1,20 @@
+<?php
+
+namespace App\DTO;
+
+use App\Service\GroupCartService;
+use Symfony\Component\Validator\Constraints as Assert;
+
+/**
+ * Group Order Name Request Data Transfer Object
+ *
+ * Name under which a person creates or joins a group order ("commande groupée");
+ * it labels their lines in the cart and their bag.
+ */
+class GroupCartNameRequest
+{
+    #[Assert\NotBlank(message: 'Indiquez votre prénom')]
+    #[Assert\Type(type: 'string', message: 'Le prénom doit être un texte')]
+    #[Assert\Length(max: GroupCartService::NAME_MAX_LENGTH, maxMessage: 'Le prénom ne peut pas dépasser {{ limit }} caractères')]
+    public ?string $name = null;
+}
@@ -26,6 +26,16 @@ class OrderCreateRequest
     #[Assert\Length(max: 500, maxMessage: 'Les instructions de livraison ne peuvent pas dépasser 500 caractères')]
     public ?string $deliveryInstructions = null;
 
+    /**
+     * Delivery/pickup slot (date and start time of the slot); dishes served in
+     * a time window only (lunch formula...) are checked against it
+     */
+    #[Assert\Date(message: 'La date de livraison n\'est pas valide')]
+    public ?string $deliveryDate = null;
+
+    #[Assert\Time(withSeconds: false, message: 'L\'heure de livraison n\'est pas valide')]
+    public ?string $deliveryTime = null;
+
     #[Assert\Type(type: 'numeric', message: 'Les frais de livraison doivent être un nombre')]
     #[Assert\GreaterThanOrEqual(value: 0, message: 'Les frais de livraison ne peuvent pas être négatifs')]
     public ?float $deliveryFee = null;
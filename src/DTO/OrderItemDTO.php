@@ -18,6 +18,10 @@ use OpenApi\Attributes as OA;
  * - unitPrice: Price per unit at time of order
  * - quantity: Number of items ordered
  * - total: Line total (unitPrice × quantity)
+ * - options: Selected dish options (group, name, priceDelta) at time of order
+ * - note: Kitchen note written by the customer for this line
+ * - itemType: 'dish' (productId is a menu item) or 'drink' (productId is a drink)
+ * - participant: Person the line is for in a group order (null otherwise)
  */
 #[OA\Schema(
     schema: 'OrderItem',
@@ -43,7 +47,19 @@ class OrderItemDTO
         public int $quantity,
 
         #[OA\Property(property: 'total', type: 'number', format: 'float', example: 29.0, description: 'Line total')]
-        public float $total
+        public float $total,
+
+        #[OA\Property(property: 'options', type: 'array', items: new OA\Items(type: 'object'), description: 'Selected options: group, name, priceDelta')]
+        public array $options = [],
+
+        #[OA\Property(property: 'note', type: 'string', nullable: true, example: 'Sans oignons', description: 'Kitchen note for this line')]
+        public ?string $note = null,
+
+        #[OA\Property(property: 'itemType', type: 'string', enum: ['dish', 'drink'], example: 'dish', description: 'Item type')]
+        public string $itemType = 'dish',
+
+        #[OA\Property(property: 'participant', type: 'string', nullable: true, example: 'Camille', description: 'Person the line is for (group orders only)')]
+        public ?string $participant = null
     ) {}
 
     /**
@@ -59,7 +75,11 @@ class OrderItemDTO
             'productName' => $this->productName,
             'unitPrice' => $this->unitPrice,
             'quantity' => $this->quantity,
-            'total' => $this->total
+            'total' => $this->total,
+            'options' => $this->options,
+            'note' => $this->note,
+            'itemType' => $this->itemType,
+            'participant' => $this->participant
         ];
     }
 }
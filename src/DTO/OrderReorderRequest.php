@@ -0,0 +1,37 @@
+<?php
+
+namespace App\DTO;
+
+use Symfony\Component\Validator\Constraints as Assert;
+
+/**
+ * Reorder Request Data Transfer Object
+ *
+ * Order number of a previous order ("Commander à nouveau") with the proof that
+ * it belongs to the customer: the email or phone number used for the order, or
+ * the signature of the reorder link (see ReorderService).
+ */
+class OrderReorderRequest
+{
+    #[Assert\NotBlank(message: 'Le numéro de commande est requis')]
+    #[Assert\Type(type: 'string', message: 'Le numéro de commande doit être un texte')]
+    #[Assert\Length(max: 40, maxMessage: 'Le numéro de commande ne peut pas dépasser {{ limit }} caractères')]
+    public ?string $no = null;
+
+    #[Assert\Type(type: 'string', message: 'L\'email ou le téléphone doit être un texte')]
+    #[Assert\Length(max: 180, maxMessage: 'L\'email ou le téléphone ne peut pas dépasser {{ limit }} caractères')]
+    public ?string $contact = null;
+
+    #[Assert\Type(type: 'string', message: 'Lien invalide')]
+    #[Assert\Length(max: 64, maxMessage: 'Lien invalide')]
+    public ?string $signature = null;
+
+    /**
+     * Either the contact or the signature must be given
+     */
+    #[Assert\IsTrue(message: 'Indiquez l\'email ou le téléphone utilisé pour la commande')]
+    public function hasProof(): bool
+    {
+        return trim((string) $this->contact) !== '' || trim((string) $this->signature) !== '';
+    }
+}
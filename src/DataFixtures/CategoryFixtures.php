@@ -0,0 +1,36 @@
+<?php
+
+namespace App\DataFixtures;
+
+use App\Entity\Category;
+use Doctrine\Bundle\FixturesBundle\Fixture;
+use Doctrine\Bundle\FixturesBundle\FixtureGroupInterface;
+use Doctrine\Persistence\ObjectManager;
+
+class CategoryFixtures extends Fixture implements FixtureGroupInterface
+{
+    public static function getGroups(): array
+    {
+        return ['menu'];
+    }
+
+    public function load(ObjectManager $manager): void
+    {
+        $defs = [
+            ['name' => 'Entrées', 'slug' => 'entrees', 'icon' => '🥗', 'position' => 10],
+            ['name' => 'Plats', 'slug' => 'plats', 'icon' => '🍖', 'position' => 20],
+            ['name' => 'Desserts', 'slug' => 'desserts', 'icon' => '🍰', 'position' => 30],
+        ];
+
+        foreach ($defs as $d) {
+            $category = (new Category())
+                ->setName($d['name'])
+                ->setSlug($d['slug'])
+                ->setIcon($d['icon'])
+                ->setPosition($d['position']);
+            $manager->persist($category);
+        }
+
+        $manager->flush();
+    }
+}
@@ -3,6 +3,7 @@
 namespace App\DataFixtures;
 
 use App\Entity\MenuItem;
+use App\Entity\MenuSchedule;
 use Doctrine\Bundle\FixturesBundle\Fixture;
 use Doctrine\Bundle\FixturesBundle\FixtureGroupInterface;
 use Doctrine\Common\DataFixtures\DependentFixtureInterface;
@@ -20,12 +21,21 @@ class MenuFixtures extends Fixture implements FixtureGroupInterface, DependentFi
         return [
             AllergenFixtures::class,
             BadgeFixtures::class,
+            CategoryFixtures::class,
             TagFixtures::class,
         ];
     }
 
     public function load(ObjectManager $manager): void
     {
+        // Service du midi en semaine (plats marqués 'lunch')
+        $lunch = (new MenuSchedule())
+            ->setName('Formule déjeuner')
+            ->setWeekdays([1, 2, 3, 4, 5])
+            ->setStartTime('12:00')
+            ->setEndTime('14:30');
+        $manager->persist($lunch);
+
         $rows = [
             // Entrées
             [
@@ -91,6 +101,7 @@ class MenuFixtures extends Fixture implements FixtureGroupInterface, DependentFi
                 'image' => '/static/img/menu/plat_7.png',
                 'badges' => ['Traditionnel', 'Spécialité'],
                 'tags' => [],
+                'dailySpecial' => true,
             ],
             [
                 'name' => 'Velouté de châtaignes aux pleurottes',
@@ -100,6 +111,7 @@ class MenuFixtures extends Fixture implements FixtureGroupInterface, DependentFi
                 'image' => '/static/img/menu/plat_8.png',
                 'badges' => ['Traditionnel', 'Saison'],
                 'tags' => [],
+                'lunch' => true,
             ],
             [
                 'name' => "Spaghettis à l'ail noir et parmesan",
@@ -174,7 +186,11 @@ class MenuFixtures extends Fixture implements FixtureGroupInterface, DependentFi
                 ->setDescription($r['description'] ?? null)
                 ->setPrice($r['price'])
                 ->setCategory($r['category'])
-                ->setImage($r['image']);
+                ->setImage($r['image'])
+                ->setDailySpecial($r['dailySpecial'] ?? false);
+            if ($r['lunch'] ?? false) {
+                $item->addSchedule($lunch);
+            }
 
             // Lier badges/tags via références
             foreach (($r['badges'] ?? []) as $bn) {
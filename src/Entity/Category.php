@@ -0,0 +1,112 @@
+<?php
+
+namespace App\Entity;
+
+use App\Repository\CategoryRepository;
+use Doctrine\ORM\Mapping as ORM;
+use Symfony\Bridge\Doctrine\Validator\Constraints\UniqueEntity;
+use Symfony\Component\Validator\Constraints as Assert;
+
+/**
+ * Menu category (e.g. Entrées, Plats, Planches, Menu enfant).
+ *
+ * Dishes reference their category by slug (MenuItem::category). The menu page,
+ * its filter buttons and the dish breadcrumbs are generated from this list,
+ * sorted by position.
+ */
+#[ORM\Entity(repositoryClass: CategoryRepository::class)]
+#[UniqueEntity(fields: ['slug'], message: 'Cette catégorie existe déjà')]
+class Category
+{
+    /**
+     * Slugs reserved by the menu filters ("Tout" and the drinks section)
+     */
+    public const RESERVED_SLUGS = ['all', 'boissons'];
+
+    #[ORM\Id]
+    #[ORM\GeneratedValue]
+    #[ORM\Column]
+    private ?int $id = null;
+
+    #[ORM\Column(length: 100)]
+    #[Assert\NotBlank]
+    #[Assert\Length(max: 100)]
+    private ?string $name = null;
+
+    #[ORM\Column(length: 50, unique: true)]
+    #[Assert\NotBlank]
+    #[Assert\Regex(pattern: '/^[a-z0-9]+(?:-[a-z0-9]+)*$/', message: 'Le slug ne peut contenir que des lettres minuscules, des chiffres et des tirets')]
+    #[Assert\Choice(choices: self::RESERVED_SLUGS, match: false, message: 'Ce slug est réservé')]
+    private ?string $slug = null;
+
+    /**
+     * Emoji shown on the filter button (e.g. 🥗)
+     */
+    #[ORM\Column(length: 16, nullable: true)]
+    #[Assert\Length(max: 16)]
+    private ?string $icon = null;
+
+    /**
+     * Display order on the menu (ascending)
+     */
+    #[ORM\Column(options: ['default' => 0])]
+    private int $position = 0;
+
+    public function getId(): ?int
+    {
+        return $this->id;
+    }
+
+    public function getName(): ?string
+    {
+        return $this->name;
+    }
+
+    public function setName(string $name): static
+    {
+        $this->name = $name;
+
+        return $this;
+    }
+
+    public function getSlug(): ?string
+    {
+        return $this->slug;
+    }
+
+    public function setSlug(string $slug): static
+    {
+        $this->slug = $slug;
+
+        return $this;
+    }
+
+    public function getIcon(): ?string
+    {
+        return $this->icon;
+    }
+
+    public function setIcon(?string $icon): static
+    {
+        $this->icon = $icon;
+
+        return $this;
+    }
+
+    public function getPosition(): int
+    {
+        return $this->position;
+    }
+
+    public function setPosition(int $position): static
+    {
+        $this->position = $position;
+
+        return $this;
+    }
+
+    public function __toString(): string
+    {
+        return (string) $this->name;
+    }
+}
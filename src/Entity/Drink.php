@@ -10,10 +10,17 @@ use Doctrine\ORM\Mapping as ORM;
  * Drink item (beverage) displayed alongside the menu.
  *
  * Simple catalog entity used to render grouped drinks (type field) with price.
+ * Drinks can be ordered: they are added to the cart as their own item type
+ * (see CartService) and alcoholic drinks are taxed at the alcohol VAT rate.
  */
 #[ORM\Entity(repositoryClass: DrinkRepository::class)]
 class Drink
 {
+    /**
+     * Types taxed at the alcohol VAT rate (20 %) instead of the restaurant rate
+     */
+    public const ALCOHOLIC_TYPES = ['vins', 'bieres'];
+
     #[ORM\Id]
     #[ORM\GeneratedValue]
     #[ORM\Column]
@@ -68,4 +75,12 @@ class Drink
 
         return $this;
     }
+
+    /**
+     * Whether the drink is taxed as an alcoholic beverage
+     */
+    public function isAlcoholic(): bool
+    {
+        return in_array($this->type, self::ALCOHOLIC_TYPES, true);
+    }
 }
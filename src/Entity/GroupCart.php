@@ -0,0 +1,189 @@
+<?php
+
+namespace App\Entity;
+
+use App\Repository\GroupCartRepository;
+use Doctrine\DBAL\Types\Types;
+use Doctrine\ORM\Mapping as ORM;
+
+/**
+ * Shared cart of a group order ("commande groupée").
+ *
+ * The owner creates it from their cart and shares a link containing the token;
+ * participants who open the link add items under their own name. Cart lines are
+ * stored with the same shape as the session cart (see CartService), each line
+ * also carrying 'participant' (name) and 'participantIndex' (position in participants).
+ * Participant 0 is the owner. A locked group only accepts changes from its owner;
+ * a closed group (order placed or cancelled) can no longer be joined.
+ *
+ * Participants and lines are whole JSON columns, rewritten on every change: the
+ * version column makes a write based on a stale read fail (OptimisticLockException,
+ * 409 for the API) instead of silently dropping the lines another participant
+ * added meanwhile. GroupCartService locks the row while joining, locking or leaving.
+ */
+#[ORM\Entity(repositoryClass: GroupCartRepository::class)]
+#[ORM\HasLifecycleCallbacks]
+#[ORM\Table(name: 'group_cart')]
+class GroupCart
+{
+    /**
+     * Maximum number of people in a group order (owner included)
+     */
+    public const MAX_PARTICIPANTS = 30;
+
+    #[ORM\Id]
+    #[ORM\GeneratedValue]
+    #[ORM\Column]
+    private ?int $id = null;
+
+    /**
+     * Random token used in the share link
+     */
+    #[ORM\Column(length: 32, unique: true)]
+    private ?string $token = null;
+
+    /**
+     * Participant names, index 0 is the owner
+     */
+    #[ORM\Column(type: Types::JSON)]
+    private array $participants = [];
+
+    /**
+     * Cart lines keyed by line key
+     */
+    #[ORM\Column(type: Types::JSON)]
+    private array $items = [];
+
+    #[ORM\Column(options: ['default' => false])]
+    private bool $locked = false;
+
+    /**
+     * Incremented by Doctrine on each update (optimistic locking)
+     */
+    #[ORM\Version]
+    #[ORM\Column(options: ['default' => 1])]
+    private int $version = 1;
+
+    #[ORM\Column(nullable: true)]
+    private ?\DateTimeImmutable $closedAt = null;
+
+    #[ORM\Column]
+    private ?\DateTimeImmutable $createdAt = null;
+
+    #[ORM\Column]
+    private ?\DateTimeImmutable $updatedAt = null;
+
+    public function __construct()
+    {
+        $now = new \DateTimeImmutable();
+        $this->createdAt = $now;
+        $this->updatedAt = $now;
+    }
+
+    #[ORM\PreUpdate]
+    public function setTimestampOnUpdate(): void
+    {
+        $this->updatedAt = new \DateTimeImmutable();
+    }
+
+    public function getId(): ?int
+    {
+        return $this->id;
+    }
+
+    public function getToken(): ?string
+    {
+        return $this->token;
+    }
+
+    public function setToken(string $token): static
+    {
+        $this->token = $token;
+
+        return $this;
+    }
+
+    /**
+     * @return string[] Participant names, index 0 is the owner
+     */
+    public function getParticipants(): array
+    {
+        return $this->participants;
+    }
+
+    /**
+     * Add a participant and return their index
+     */
+    public function addParticipant(string $name): int
+    {
+        $this->participants[] = $name;
+
+        return count($this->participants) - 1;
+    }
+
+    public function getParticipantName(int $index): ?string
+    {
+        return $this->participants[$index] ?? null;
+    }
+
+    public function getOwnerName(): ?string
+    {
+        return $this->getParticipantName(0);
+    }
+
+    public function getItems(): array
+    {
+        return $this->items;
+    }
+
+    public function setItems(array $items): static
+    {
+        $this->items = $items;
+
+        return $this;
+    }
+
+    public function isLocked(): bool
+    {
+        return $this->locked;
+    }
+
+    public function setLocked(bool $locked): static
+    {
+        $this->locked = $locked;
+
+        return $this;
+    }
+
+    public function getVersion(): int
+    {
+        return $this->version;
+    }
+
+    public function getClosedAt(): ?\DateTimeImmutable
+    {
+        return $this->closedAt;
+    }
+
+    public function isClosed(): bool
+    {
+        return $this->closedAt !== null;
+    }
+
+    public function close(): static
+    {
+        $this->closedAt = new \DateTimeImmutable();
+
+        return $this;
+    }
+
+    public function getCreatedAt(): ?\DateTimeImmutable
+    {
+        return $this->createdAt;
+    }
+
+    public function getUpdatedAt(): ?\DateTimeImmutable
+    {
+        return $this->updatedAt;
+    }
+}
@@ -2,6 +2,7 @@
 
 namespace App\Entity;
 
+use App\Enum\MenuItemAvailability;
 use App\Repository\MenuItemRepository;
 use Doctrine\Common\Collections\ArrayCollection;
 use Doctrine\Common\Collections\Collection;
@@ -12,7 +13,13 @@ use Doctrine\ORM\Mapping as ORM;
  * Catalog menu item rendered on customer pages.
  *
  * Many-to-many relations with Tag/Badge/Allergen are used for filtering and UX labels.
+ * Option groups (cooking level, side, extras) are picked by the customer when ordering.
  * Nutrition facts are embedded. Monetary fields are DECIMAL/string for precision.
+ * Availability lets the kitchen "86" a dish (sold out, optionally until a given time)
+ * or hide it without deleting it. Schedules limit a dish to time windows (lunch
+ * formula, weekend brunch); daily specials are featured at the top of the menu.
+ * A dish owns an ordered set of photos; the first one is kept in `image`, the
+ * picture of the menu cards, cart lines and suggested dishes.
  */
 #[ORM\Entity(repositoryClass: MenuItemRepository::class)]
 #[ORM\HasLifecycleCallbacks]
@@ -59,6 +66,15 @@ class MenuItem
     #[ORM\Column(type: 'text', nullable: true)]
     private ?string $chefTip = null;
 
+    #[ORM\Column(type: 'string', length: 16, enumType: MenuItemAvailability::class, options: ['default' => 'available'])]
+    private MenuItemAvailability $availability = MenuItemAvailability::AVAILABLE;
+
+    /**
+     * End of a sold-out period (null = sold out until manually put back on sale)
+     */
+    #[ORM\Column(nullable: true)]
+    private ?\DateTimeImmutable $soldOutUntil = null;
+
     #[ORM\ManyToMany(targetEntity: Allergen::class, inversedBy: 'menuItems')]
     #[ORM\JoinTable(name: 'menu_item_allergen')]
     private Collection $allergens;
@@ -66,6 +82,21 @@ class MenuItem
     #[ORM\Embedded(class: NutritionFacts::class)]
     private NutritionFacts $nutrition;
 
+    /**
+     * Windows the dish is served in (none = whenever the restaurant is open)
+     *
+     * @var Collection<int, MenuSchedule>
+     */
+    #[ORM\ManyToMany(targetEntity: MenuSchedule::class, inversedBy: 'menuItems')]
+    #[ORM\JoinTable(name: 'menu_item_schedule')]
+    private Collection $schedules;
+
+    /**
+     * Featured in "Suggestions du jour" on the days it is served
+     */
+    #[ORM\Column(options: ['default' => false])]
+    private bool $dailySpecial = false;
+
     /**
      * @var Collection<int, Badge>
      */
@@ -79,6 +110,25 @@ class MenuItem
     #[ORM\JoinTable(name: 'menu_item_tag')]
     private Collection $tags;
 
+    /**
+     * @var Collection<int, MenuItemOptionGroup>
+     */
+    #[ORM\OneToMany(targetEntity: MenuItemOptionGroup::class, mappedBy: 'menuItem', orphanRemoval: true, cascade: ['persist'])]
+    #[ORM\OrderBy(['position' => 'ASC', 'id' => 'ASC'])]
+    private Collection $optionGroups;
+
+    /**
+     * Photos of the dish page, the first one is also `image`
+     *
+     * Removed with the dish by the ORM (not only by the database cascade), so that
+     * MenuItemPhotoListener deletes their files.
+     *
+     * @var Collection<int, MenuItemPhoto>
+     */
+    #[ORM\OneToMany(targetEntity: MenuItemPhoto::class, mappedBy: 'menuItem', orphanRemoval: true, cascade: ['persist', 'remove'])]
+    #[ORM\OrderBy(['position' => 'ASC', 'id' => 'ASC'])]
+    private Collection $photos;
+
     public function __construct()
     {
         $now = new \DateTimeImmutable();
@@ -87,6 +137,9 @@ class MenuItem
         $this->badges = new ArrayCollection();
         $this->tags = new ArrayCollection();
         $this->allergens = new ArrayCollection();
+        $this->optionGroups = new ArrayCollection();
+        $this->photos = new ArrayCollection();
+        $this->schedules = new ArrayCollection();
         $this->nutrition = new NutritionFacts();
     }
 
@@ -341,6 +394,141 @@ class MenuItem
         return $this;
     }
 
+    public function getAvailability(): MenuItemAvailability
+    {
+        return $this->availability;
+    }
+
+    public function setAvailability(MenuItemAvailability $availability): static
+    {
+        $this->availability = $availability;
+        if ($availability !== MenuItemAvailability::SOLD_OUT) {
+            $this->soldOutUntil = null;
+        }
+
+        return $this;
+    }
+
+    public function getSoldOutUntil(): ?\DateTimeImmutable
+    {
+        return $this->soldOutUntil;
+    }
+
+    public function setSoldOutUntil(?\DateTimeImmutable $soldOutUntil): static
+    {
+        $this->soldOutUntil = $soldOutUntil;
+
+        return $this;
+    }
+
+    /**
+     * Mark the dish as sold out ("86"), optionally until a given time
+     */
+    public function markSoldOut(?\DateTimeImmutable $until = null): static
+    {
+        $this->availability = MenuItemAvailability::SOLD_OUT;
+        $this->soldOutUntil = $until;
+
+        return $this;
+    }
+
+    /**
+     * Whether the dish is currently sold out (a sold-out period that has ended no longer counts)
+     */
+    public function isSoldOut(?\DateTimeImmutable $now = null): bool
+    {
+        if ($this->availability !== MenuItemAvailability::SOLD_OUT) {
+            return false;
+        }
+
+        return $this->soldOutUntil === null || $this->soldOutUntil > ($now ?? new \DateTimeImmutable());
+    }
+
+    public function isHidden(): bool
+    {
+        return $this->availability === MenuItemAvailability::HIDDEN;
+    }
+
+    /**
+     * Whether the dish can be added to a cart and ordered right now
+     */
+    public function isOrderable(?\DateTimeImmutable $now = null): bool
+    {
+        return !$this->isHidden() && !$this->isSoldOut($now);
+    }
+
+    /**
+     * @return Collection<int, MenuSchedule>
+     */
+    public function getSchedules(): Collection
+    {
+        return $this->schedules;
+    }
+
+    public function addSchedule(MenuSchedule $schedule): static
+    {
+        if (!$this->schedules->contains($schedule)) {
+            $this->schedules->add($schedule);
+        }
+
+        return $this;
+    }
+
+    public function removeSchedule(MenuSchedule $schedule): static
+    {
+        $this->schedules->removeElement($schedule);
+
+        return $this;
+    }
+
+    /**
+     * Whether the dish is served at a given moment (always true without schedules)
+     */
+    public function isServedAt(\DateTimeInterface $at): bool
+    {
+        if ($this->schedules->isEmpty()) {
+            return true;
+        }
+
+        foreach ($this->schedules as $schedule) {
+            if ($schedule->covers($at)) {
+                return true;
+            }
+        }
+
+        return false;
+    }
+
+    /**
+     * Whether the dish is served at some time of a given day
+     */
+    public function isServedOn(\DateTimeInterface $day): bool
+    {
+        if ($this->schedules->isEmpty()) {
+            return true;
+        }
+
+        foreach ($this->schedules as $schedule) {
+            if ($schedule->isOnDay($day)) {
+                return true;
+            }
+        }
+
+        return false;
+    }
+
+    public function isDailySpecial(): bool
+    {
+        return $this->dailySpecial;
+    }
+
+    public function setDailySpecial(bool $dailySpecial): static
+    {
+        $this->dailySpecial = $dailySpecial;
+
+        return $this;
+    }
+
     /**
      * @return Collection<int, Allergen>
      */
@@ -365,6 +553,110 @@ class MenuItem
         return $this;
     }
 
+    /**
+     * @return Collection<int, MenuItemOptionGroup>
+     */
+    public function getOptionGroups(): Collection
+    {
+        return $this->optionGroups;
+    }
+
+    public function addOptionGroup(MenuItemOptionGroup $optionGroup): static
+    {
+        if (!$this->optionGroups->contains($optionGroup)) {
+            $this->optionGroups->add($optionGroup);
+            $optionGroup->setMenuItem($this);
+        }
+
+        return $this;
+    }
+
+    public function removeOptionGroup(MenuItemOptionGroup $optionGroup): static
+    {
+        if ($this->optionGroups->removeElement($optionGroup)) {
+            // set the owning side to null (unless already changed)
+            if ($optionGroup->getMenuItem() === $this) {
+                $optionGroup->setMenuItem(null);
+            }
+        }
+
+        return $this;
+    }
+
+    /**
+     * @return Collection<int, MenuItemPhoto>
+     */
+    public function getPhotos(): Collection
+    {
+        return $this->photos;
+    }
+
+    public function addPhoto(MenuItemPhoto $photo): static
+    {
+        if (!$this->photos->contains($photo)) {
+            $this->photos->add($photo);
+            $photo->setMenuItem($this);
+        }
+
+        return $this;
+    }
+
+    public function removePhoto(MenuItemPhoto $photo): static
+    {
+        if ($this->photos->removeElement($photo)) {
+            // set the owning side to null (unless already changed)
+            if ($photo->getMenuItem() === $this) {
+                $photo->setMenuItem(null);
+            }
+        }
+
+        return $this;
+    }
+
+    /**
+     * Photos in display order
+     *
+     * The collection is only sorted when loaded from the database: photos added
+     * or reordered in the admin form are sorted here by position, then ID
+     * (new photos last).
+     *
+     * @return MenuItemPhoto[]
+     */
+    public function getOrderedPhotos(): array
+    {
+        $photos = $this->photos->toArray();
+        usort($photos, static fn(MenuItemPhoto $a, MenuItemPhoto $b) =>
+            [$a->getPosition(), $a->getId() ?? PHP_INT_MAX] <=> [$b->getPosition(), $b->getId() ?? PHP_INT_MAX]
+        );
+
+        return $photos;
+    }
+
+    /**
+     * Use the first photo as the dish image (menu cards, cart)
+     *
+     * Photos without a file are skipped; if none has one, the image is cleared
+     * (placeholder) rather than left on a photo that was removed. Dishes without
+     * photos keep their image.
+     */
+    public function syncImageFromPhotos(): static
+    {
+        $photos = $this->getOrderedPhotos();
+        if (!$photos) {
+            return $this;
+        }
+
+        $this->image = '';
+        foreach ($photos as $photo) {
+            if ($photo->getPath()) {
+                $this->image = $photo->getPath();
+                break;
+            }
+        }
+
+        return $this;
+    }
+
     public function getNutrition(): NutritionFacts
     {
         return $this->nutrition;
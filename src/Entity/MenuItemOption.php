@@ -0,0 +1,91 @@
+<?php
+
+namespace App\Entity;
+use Doctrine\DBAL\Types\Types;
+use Doctrine\ORM\Mapping as ORM;
+
+/**
+ * Single choice inside a MenuItemOptionGroup (e.g. "Saignant", "Frites maison").
+ *
+ * priceDelta is added to the dish price for each selected option (DECIMAL/string, may be 0).
+ */
+#[ORM\Entity]
+#[ORM\Table(name: 'menu_item_option')]
+class MenuItemOption
+{
+    #[ORM\Id]
+    #[ORM\GeneratedValue]
+    #[ORM\Column]
+    private ?int $id = null;
+
+    #[ORM\ManyToOne(targetEntity: MenuItemOptionGroup::class, inversedBy: 'options')]
+    #[ORM\JoinColumn(name: 'option_group_id', nullable: false, onDelete: 'CASCADE')]
+    private ?MenuItemOptionGroup $optionGroup = null;
+
+    #[ORM\Column(length: 100)]
+    private ?string $name = null;
+
+    #[ORM\Column(type: Types::DECIMAL, precision: 10, scale: 2, options: ['default' => '0.00'])]
+    private string $priceDelta = '0.00';
+
+    #[ORM\Column(options: ['default' => 0])]
+    private int $position = 0;
+
+    public function getId(): ?int
+    {
+        return $this->id;
+    }
+
+    public function getOptionGroup(): ?MenuItemOptionGroup
+    {
+        return $this->optionGroup;
+    }
+
+    public function setOptionGroup(?MenuItemOptionGroup $optionGroup): static
+    {
+        $this->optionGroup = $optionGroup;
+
+        return $this;
+    }
+
+    public function getName(): ?string
+    {
+        return $this->name;
+    }
+
+    public function setName(string $name): static
+    {
+        $this->name = $name;
+
+        return $this;
+    }
+
+    public function getPriceDelta(): string
+    {
+        return $this->priceDelta;
+    }
+
+    public function setPriceDelta(string $priceDelta): static
+    {
+        $this->priceDelta = $priceDelta;
+
+        return $this;
+    }
+
+    public function getPosition(): int
+    {
+        return $this->position;
+    }
+
+    public function setPosition(int $position): static
+    {
+        $this->position = $position;
+
+        return $this;
+    }
+
+    public function __toString(): string
+    {
+        return (string) $this->name;
+    }
+}
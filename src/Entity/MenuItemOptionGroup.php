@@ -0,0 +1,174 @@
+<?php
+
+namespace App\Entity;
+use Doctrine\Common\Collections\ArrayCollection;
+use Doctrine\Common\Collections\Collection;
+use Doctrine\ORM\Mapping as ORM;
+
+/**
+ * Group of choices offered when ordering a menu item (e.g. "Cuisson", "Accompagnement").
+ *
+ * A group is required or optional and bounds how many of its options the customer
+ * may pick (minChoices/maxChoices). Options carry an optional price delta.
+ */
+#[ORM\Entity]
+#[ORM\Table(name: 'menu_item_option_group')]
+class MenuItemOptionGroup
+{
+    #[ORM\Id]
+    #[ORM\GeneratedValue]
+    #[ORM\Column]
+    private ?int $id = null;
+
+    #[ORM\ManyToOne(targetEntity: MenuItem::class, inversedBy: 'optionGroups')]
+    #[ORM\JoinColumn(name: 'menu_item_id', nullable: false, onDelete: 'CASCADE')]
+    private ?MenuItem $menuItem = null;
+
+    #[ORM\Column(length: 100)]
+    private ?string $name = null;
+
+    #[ORM\Column(options: ['default' => false])]
+    private bool $required = false;
+
+    #[ORM\Column(options: ['default' => 0])]
+    private int $minChoices = 0;
+
+    #[ORM\Column(options: ['default' => 1])]
+    private int $maxChoices = 1;
+
+    #[ORM\Column(options: ['default' => 0])]
+    private int $position = 0;
+
+    /**
+     * @var Collection<int, MenuItemOption>
+     */
+    #[ORM\OneToMany(targetEntity: MenuItemOption::class, mappedBy: 'optionGroup', orphanRemoval: true, cascade: ['persist'])]
+    #[ORM\OrderBy(['position' => 'ASC', 'id' => 'ASC'])]
+    private Collection $options;
+
+    public function __construct()
+    {
+        $this->options = new ArrayCollection();
+    }
+
+    public function getId(): ?int
+    {
+        return $this->id;
+    }
+
+    public function getMenuItem(): ?MenuItem
+    {
+        return $this->menuItem;
+    }
+
+    public function setMenuItem(?MenuItem $menuItem): static
+    {
+        $this->menuItem = $menuItem;
+
+        return $this;
+    }
+
+    public function getName(): ?string
+    {
+        return $this->name;
+    }
+
+    public function setName(string $name): static
+    {
+        $this->name = $name;
+
+        return $this;
+    }
+
+    public function isRequired(): bool
+    {
+        return $this->required;
+    }
+
+    public function setRequired(bool $required): static
+    {
+        $this->required = $required;
+
+        return $this;
+    }
+
+    public function getMinChoices(): int
+    {
+        return $this->minChoices;
+    }
+
+    public function setMinChoices(int $minChoices): static
+    {
+        $this->minChoices = $minChoices;
+
+        return $this;
+    }
+
+    public function getMaxChoices(): int
+    {
+        return $this->maxChoices;
+    }
+
+    public function setMaxChoices(int $maxChoices): static
+    {
+        $this->maxChoices = $maxChoices;
+
+        return $this;
+    }
+
+    /**
+     * Minimum number of options the customer has to pick in this group.
+     * A required group always needs at least one choice, even if minChoices is 0.
+     */
+    public function getEffectiveMinChoices(): int
+    {
+        return $this->required ? max(1, $this->minChoices) : $this->minChoices;
+    }
+
+    public function getPosition(): int
+    {
+        return $this->position;
+    }
+
+    public function setPosition(int $position): static
+    {
+        $this->position = $position;
+
+        return $this;
+    }
+
+    /**
+     * @return Collection<int, MenuItemOption>
+     */
+    public function getOptions(): Collection
+    {
+        return $this->options;
+    }
+
+    public function addOption(MenuItemOption $option): static
+    {
+        if (!$this->options->contains($option)) {
+            $this->options->add($option);
+            $option->setOptionGroup($this);
+        }
+
+        return $this;
+    }
+
+    public function removeOption(MenuItemOption $option): static
+    {
+        if ($this->options->removeElement($option)) {
+            // set the owning side to null (unless already changed)
+            if ($option->getOptionGroup() === $this) {
+                $option->setOptionGroup(null);
+            }
+        }
+
+        return $this;
+    }
+
+    public function __toString(): string
+    {
+        return (string) $this->name;
+    }
+}
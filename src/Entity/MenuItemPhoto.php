@@ -0,0 +1,96 @@
+<?php
+
+namespace App\Entity;
+use Doctrine\ORM\Mapping as ORM;
+
+/**
+ * Photo of a menu item, shown in the thumbnail strip and zoom viewer of the dish page.
+ *
+ * Photos are ordered by position; the first one is the dish image of the menu cards
+ * (copied to MenuItem::image, see MenuItem::syncImageFromPhotos()).
+ * The path is stored like MenuItem::image: a file name in /static/img/menu/ or an
+ * absolute path/URL (resolved by MenuItemImageResolver).
+ */
+#[ORM\Entity]
+#[ORM\Table(name: 'menu_item_photo')]
+class MenuItemPhoto
+{
+    #[ORM\Id]
+    #[ORM\GeneratedValue]
+    #[ORM\Column]
+    private ?int $id = null;
+
+    #[ORM\ManyToOne(targetEntity: MenuItem::class, inversedBy: 'photos')]
+    #[ORM\JoinColumn(name: 'menu_item_id', nullable: false, onDelete: 'CASCADE')]
+    private ?MenuItem $menuItem = null;
+
+    #[ORM\Column(length: 255)]
+    private ?string $path = null;
+
+    /**
+     * Alternative text (the dish name is used when empty)
+     */
+    #[ORM\Column(length: 160, nullable: true)]
+    private ?string $alt = null;
+
+    #[ORM\Column(options: ['default' => 0])]
+    private int $position = 0;
+
+    public function getId(): ?int
+    {
+        return $this->id;
+    }
+
+    public function getMenuItem(): ?MenuItem
+    {
+        return $this->menuItem;
+    }
+
+    public function setMenuItem(?MenuItem $menuItem): static
+    {
+        $this->menuItem = $menuItem;
+
+        return $this;
+    }
+
+    public function getPath(): ?string
+    {
+        return $this->path;
+    }
+
+    public function setPath(string $path): static
+    {
+        $this->path = $path;
+
+        return $this;
+    }
+
+    public function getAlt(): ?string
+    {
+        return $this->alt;
+    }
+
+    public function setAlt(?string $alt): static
+    {
+        $this->alt = $alt;
+
+        return $this;
+    }
+
+    public function getPosition(): int
+    {
+        return $this->position;
+    }
+
+    public function setPosition(int $position): static
+    {
+        $this->position = $position;
+
+        return $this;
+    }
+
+    public function __toString(): string
+    {
+        return (string) $this->path;
+    }
+}
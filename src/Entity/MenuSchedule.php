@@ -0,0 +1,183 @@
+<?php
+
+namespace App\Entity;
+
+use Doctrine\Common\Collections\ArrayCollection;
+use Doctrine\Common\Collections\Collection;
+use Doctrine\ORM\Mapping as ORM;
+use Symfony\Component\Validator\Constraints as Assert;
+
+/**
+ * Availability window of menu items (e.g. "Formule déjeuner", Mon-Fri 12:00-14:30).
+ *
+ * A schedule is shared by the dishes it applies to. A dish with no schedule is
+ * served whenever the restaurant is open; a dish with schedules only inside one
+ * of them. Times are stored as HH:MM strings (like Reservation::time), the end
+ * being excluded.
+ */
+#[ORM\Entity]
+#[Assert\Expression('this.getEndTime() > this.getStartTime()', message: 'L\'heure de fin doit être postérieure à l\'heure de début')]
+class MenuSchedule
+{
+    /**
+     * ISO-8601 weekday numbers (DateTimeInterface::format('N')) => labels
+     */
+    public const WEEKDAYS = [
+        1 => 'Lundi',
+        2 => 'Mardi',
+        3 => 'Mercredi',
+        4 => 'Jeudi',
+        5 => 'Vendredi',
+        6 => 'Samedi',
+        7 => 'Dimanche',
+    ];
+
+    #[ORM\Id]
+    #[ORM\GeneratedValue]
+    #[ORM\Column]
+    private ?int $id = null;
+
+    #[ORM\Column(length: 100)]
+    #[Assert\NotBlank]
+    #[Assert\Length(max: 100)]
+    private ?string $name = null;
+
+    /**
+     * Days the window applies to (ISO-8601 numbers, 1 = Monday)
+     *
+     * @var int[]
+     */
+    #[ORM\Column(type: 'json')]
+    #[Assert\Count(min: 1, minMessage: 'Sélectionnez au moins un jour')]
+    #[Assert\All([new Assert\Range(min: 1, max: 7)])]
+    private array $weekdays = [];
+
+    #[ORM\Column(length: 5)]
+    #[Assert\NotBlank]
+    #[Assert\Regex(pattern: '/^([01]\d|2[0-3]):[0-5]\d$/', message: 'Format attendu : HH:MM')]
+    private ?string $startTime = null; // HH:MM
+
+    #[ORM\Column(length: 5)]
+    #[Assert\NotBlank]
+    #[Assert\Regex(pattern: '/^([01]\d|2[0-3]):[0-5]\d$/', message: 'Format attendu : HH:MM')]
+    private ?string $endTime = null; // HH:MM, excluded
+
+    /**
+     * @var Collection<int, MenuItem>
+     */
+    #[ORM\ManyToMany(targetEntity: MenuItem::class, mappedBy: 'schedules')]
+    private Collection $menuItems;
+
+    public function __construct()
+    {
+        $this->menuItems = new ArrayCollection();
+    }
+
+    public function getId(): ?int
+    {
+        return $this->id;
+    }
+
+    public function getName(): ?string
+    {
+        return $this->name;
+    }
+
+    public function setName(string $name): static
+    {
+        $this->name = $name;
+
+        return $this;
+    }
+
+    /**
+     * @return int[]
+     */
+    public function getWeekdays(): array
+    {
+        return $this->weekdays;
+    }
+
+    /**
+     * @param int[] $weekdays ISO-8601 weekday numbers
+     */
+    public function setWeekdays(array $weekdays): static
+    {
+        $weekdays = array_map('intval', $weekdays);
+        sort($weekdays);
+        $this->weekdays = array_values(array_unique($weekdays));
+
+        return $this;
+    }
+
+    public function getStartTime(): ?string
+    {
+        return $this->startTime;
+    }
+
+    public function setStartTime(string $startTime): static
+    {
+        $this->startTime = $startTime;
+
+        return $this;
+    }
+
+    public function getEndTime(): ?string
+    {
+        return $this->endTime;
+    }
+
+    public function setEndTime(string $endTime): static
+    {
+        $this->endTime = $endTime;
+
+        return $this;
+    }
+
+    /**
+     * Whether a moment falls inside the window (start included, end excluded)
+     */
+    public function covers(\DateTimeInterface $at): bool
+    {
+        if (!in_array((int) $at->format('N'), $this->weekdays, true)) {
+            return false;
+        }
+
+        $time = $at->format('H:i');
+
+        return $time >= $this->startTime && $time < $this->endTime;
+    }
+
+    /**
+     * Whether the window applies on the day of a given moment
+     */
+    public function isOnDay(\DateTimeInterface $day): bool
+    {
+        return in_array((int) $day->format('N'), $this->weekdays, true);
+    }
+
+    /**
+     * Human-readable window, e.g. "Lun., Mar. · 12h00 - 14h30"
+     */
+    public function describe(): string
+    {
+        $days = count($this->weekdays) === 7
+            ? 'Tous les jours'
+            : implode(', ', array_map(fn (int $day) => mb_substr(self::WEEKDAYS[$day], 0, 3) . '.', $this->weekdays));
+
+        return sprintf('%s · %s - %s', $days, str_replace(':', 'h', (string) $this->startTime), str_replace(':', 'h', (string) $this->endTime));
+    }
+
+    /**
+     * @return Collection<int, MenuItem>
+     */
+    public function getMenuItems(): Collection
+    {
+        return $this->menuItems;
+    }
+
+    public function __toString(): string
+    {
+        return sprintf('%s (%s)', $this->name, $this->describe());
+    }
+}
@@ -7,11 +7,24 @@ use Doctrine\ORM\Mapping as ORM;
 /**
  * Nutrition facts embedded value-object for menu items.
  *
- * Optional numeric fields; stored directly in the owning entity table.
+ * Optional numeric fields, per serving; stored directly in the owning entity table.
  */
 #[ORM\Embeddable]
 class NutritionFacts
 {
+    /**
+     * Reference intakes of an average adult (EU regulation 1169/2011, annex XIII),
+     * used for the "% AR" column of the dish page. Sodium: 6 g of salt = 2400 mg.
+     * Fibres have no reference intake.
+     */
+    public const REFERENCE_INTAKES = [
+        'caloriesKcal' => 2000,
+        'proteinsG' => 50,
+        'carbsG' => 260,
+        'fatsG' => 70,
+        'sodiumMg' => 2400,
+    ];
+
     #[ORM\Column(type: 'integer', nullable: true)]
     public ?int $caloriesKcal = null;
 
@@ -29,6 +42,50 @@ class NutritionFacts
 
     #[ORM\Column(type: 'integer', nullable: true)]
     public ?int $sodiumMg = null;
-}
 
+    /**
+     * Whether no value was filled in
+     */
+    public function isEmpty(): bool
+    {
+        return $this->caloriesKcal === null
+            && $this->proteinsG === null
+            && $this->carbsG === null
+            && $this->fatsG === null
+            && $this->fiberG === null
+            && $this->sodiumMg === null;
+    }
+
+    /**
+     * Share of the daily reference intake covered by one serving
+     *
+     * @param string $field Property name (caloriesKcal, proteinsG...)
+     * @return int|null Percentage, null when the value or the reference intake is unknown
+     */
+    public function getReferenceIntakePercent(string $field): ?int
+    {
+        $value = $this->toArray()[$field] ?? null;
+        if ($value === null || !isset(self::REFERENCE_INTAKES[$field])) {
+            return null;
+        }
 
+        return (int) round($value * 100 / self::REFERENCE_INTAKES[$field]);
+    }
+
+    /**
+     * Values as numbers (null when not filled in)
+     *
+     * @return array{caloriesKcal: ?int, proteinsG: ?float, carbsG: ?float, fatsG: ?float, fiberG: ?float, sodiumMg: ?int}
+     */
+    public function toArray(): array
+    {
+        return [
+            'caloriesKcal' => $this->caloriesKcal,
+            'proteinsG' => $this->proteinsG !== null ? (float) $this->proteinsG : null,
+            'carbsG' => $this->carbsG !== null ? (float) $this->carbsG : null,
+            'fatsG' => $this->fatsG !== null ? (float) $this->fatsG : null,
+            'fiberG' => $this->fiberG !== null ? (float) $this->fiberG : null,
+            'sodiumMg' => $this->sodiumMg,
+        ];
+    }
+}
@@ -12,10 +12,22 @@ use Doctrine\ORM\Mapping as ORM;
  * Denormalized fields (productId, productName, unitPrice, total) are kept intentionally
  * to preserve historical data even if related catalog items change or are removed.
  * Optional relation to MenuItem provides a live link when present.
+ * Selected dish options are stored as a JSON snapshot for the same reason
+ * (unitPrice already includes their price deltas).
+ * The optional note is the customer's kitchen instruction for this line.
+ * itemType tells whether productId refers to a MenuItem (dish) or a Drink; taxRate is
+ * the VAT rate of the line at order time (drinks with alcohol are taxed differently).
+ * participant is the person the line was ordered for in a group order (used to label bags).
  */
 #[ORM\Entity]
 class OrderItem
 {
+    /**
+     * Item types (same values as the cart line 'itemType')
+     */
+    public const TYPE_DISH = 'dish';
+    public const TYPE_DRINK = 'drink';
+
     #[ORM\Id]
     #[ORM\GeneratedValue]
     #[ORM\Column]
@@ -36,6 +48,36 @@ class OrderItem
     #[ORM\Column(type: Types::DECIMAL, precision: 10, scale: 2)]
     private ?string $total = null;
 
+    /**
+     * Snapshot of selected options: list of ['group' => string, 'name' => string, 'priceDelta' => float]
+     */
+    #[ORM\Column(type: Types::JSON, nullable: true)]
+    private ?array $options = null;
+
+    /**
+     * Kitchen note written by the customer for this line (e.g. "sans oignons")
+     */
+    #[ORM\Column(length: 255, nullable: true)]
+    private ?string $note = null;
+
+    /**
+     * What productId refers to: self::TYPE_DISH (MenuItem) or self::TYPE_DRINK (Drink)
+     */
+    #[ORM\Column(length: 16, options: ['default' => self::TYPE_DISH])]
+    private string $itemType = self::TYPE_DISH;
+
+    /**
+     * VAT rate of the line at order time (e.g. 0.1000); null falls back to the restaurant rate
+     */
+    #[ORM\Column(type: Types::DECIMAL, precision: 5, scale: 4, nullable: true)]
+    private ?string $taxRate = null;
+
+    /**
+     * Name of the person this line is for (group orders only)
+     */
+    #[ORM\Column(length: 80, nullable: true)]
+    private ?string $participant = null;
+
     #[ORM\ManyToOne(inversedBy: 'items', cascade: ['persist'])]
     #[ORM\JoinColumn(name: 'order_id', nullable: false, onDelete: 'CASCADE')]
     private ?Order $orderRef = null;
@@ -116,6 +158,84 @@ class OrderItem
         return $this;
     }
 
+    public function getOptions(): array
+    {
+        return $this->options ?? [];
+    }
+
+    public function setOptions(?array $options): static
+    {
+        $this->options = $options ?: null;
+
+        return $this;
+    }
+
+    /**
+     * Human-readable options for admin views and tickets (e.g. "Cuisson : Saignant, Sauce : Poivre")
+     */
+    public function getOptionsLabel(): string
+    {
+        $parts = [];
+        foreach ($this->getOptions() as $option) {
+            $parts[] = sprintf('%s : %s', $option['group'] ?? '', $option['name'] ?? '');
+        }
+
+        return implode(', ', $parts);
+    }
+
+    public function getNote(): ?string
+    {
+        return $this->note;
+    }
+
+    public function setNote(?string $note): static
+    {
+        $this->note = $note !== null && trim($note) !== '' ? $note : null;
+
+        return $this;
+    }
+
+    public function getItemType(): string
+    {
+        return $this->itemType;
+    }
+
+    public function setItemType(string $itemType): static
+    {
+        $this->itemType = $itemType;
+
+        return $this;
+    }
+
+    public function isDrink(): bool
+    {
+        return $this->itemType === self::TYPE_DRINK;
+    }
+
+    public function getParticipant(): ?string
+    {
+        return $this->participant;
+    }
+
+    public function setParticipant(?string $participant): static
+    {
+        $this->participant = $participant;
+
+        return $this;
+    }
+
+    public function getTaxRate(): ?string
+    {
+        return $this->taxRate;
+    }
+
+    public function setTaxRate(?string $taxRate): static
+    {
+        $this->taxRate = $taxRate;
+
+        return $this;
+    }
+
     public function getOrderRef(): ?Order
     {
         return $this->orderRef;
@@ -0,0 +1,14 @@
+<?php
+namespace App\Enum;
+
+/**
+ * Availability of a menu item
+ * - AVAILABLE: orderable
+ * - SOLD_OUT: shown as "Épuisé", not orderable (until MenuItem::soldOutUntil when set)
+ * - HIDDEN: not shown on the menu at all
+ */
+enum MenuItemAvailability: string {
+    case AVAILABLE = 'available';
+    case SOLD_OUT = 'sold_out';
+    case HIDDEN = 'hidden';
+}
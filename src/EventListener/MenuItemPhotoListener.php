@@ -0,0 +1,56 @@
+<?php
+
+namespace App\EventListener;
+
+use App\Entity\MenuItem;
+use App\Entity\MenuItemPhoto;
+use App\Service\MenuItemPhotoStorage;
+use Doctrine\ORM\Event\PostFlushEventArgs;
+use Doctrine\ORM\Event\PostRemoveEventArgs;
+
+/**
+ * Deletes the files of removed dish photos
+ *
+ * Photos removed from the collection of the dish form are deleted by orphan removal,
+ * and the photos of a deleted dish by the cascade of MenuItem::$photos; their files
+ * are deleted once the flush succeeded, unless another photo or a dish image still
+ * uses the same file.
+ */
+class MenuItemPhotoListener
+{
+    /**
+     * Paths of the photos removed during the current flush
+     *
+     * @var string[]
+     */
+    private array $removedPaths = [];
+
+    public function __construct(
+        private MenuItemPhotoStorage $photoStorage
+    ) {}
+
+    public function postRemove(PostRemoveEventArgs $args): void
+    {
+        $entity = $args->getObject();
+
+        if ($entity instanceof MenuItemPhoto && $entity->getPath()) {
+            $this->removedPaths[] = $entity->getPath();
+        }
+    }
+
+    public function postFlush(PostFlushEventArgs $args): void
+    {
+        $paths = array_unique($this->removedPaths);
+        $this->removedPaths = [];
+
+        $entityManager = $args->getObjectManager();
+        foreach ($paths as $path) {
+            $isUsed = $entityManager->getRepository(MenuItemPhoto::class)->count(['path' => $path]) > 0
+                || $entityManager->getRepository(MenuItem::class)->count(['image' => $path]) > 0;
+
+            if (!$isUsed) {
+                $this->photoStorage->delete($path);
+            }
+        }
+    }
+}
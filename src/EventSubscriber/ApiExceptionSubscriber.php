@@ -54,6 +54,7 @@ use Symfony\Component\HttpKernel\KernelEvents;
  * =======================
  * Different exception types get different HTTP status codes:
  * - InvalidArgumentException → 422 (Unprocessable Entity) - Business logic errors
+ * - OptimisticLockException → 409 (Conflict) - Row changed by a concurrent request (group cart)
  * - TypeError | ValueError → 422 (Unprocessable Entity) - Type validation errors
  * - AccessDeniedException → 403 (Forbidden) - Authorization errors
  * - NotFoundHttpException → 404 (Not Found) - Resource not found
@@ -220,6 +221,7 @@ class ApiExceptionSubscriber implements EventSubscriberInterface
      *
      * Exception type mapping:
      * - InvalidArgumentException: Business logic/validation errors → 422
+     * - OptimisticLockException: Concurrent modification of a versioned entity → 409
      * - TypeError | ValueError: Type validation errors → 422
      * - AccessDeniedException: Authorization errors → 403
      * - NotFoundHttpException: Resource not found → 404
@@ -246,6 +248,17 @@ class ApiExceptionSubscriber implements EventSubscriberInterface
             ];
         }
 
+        // Concurrent modification (versioned entities, e.g. GroupCart)
+        // Another request changed the row since it was read: nothing was written
+        // Status 409 (Conflict) tells the client to reload and try again
+        if ($exception instanceof \Doctrine\ORM\OptimisticLockException) {
+            return [
+                409, // Conflict
+                'Le panier partagé vient d\'être modifié par un autre participant, veuillez réessayer', // Retry message
+                'warning' // Warning level - expected when several participants edit at once
+            ];
+        }
+
         // Type errors (should not happen after DTO validation, but defense in depth)
         // These indicate type mismatches that should have been caught by validation
         // Status 422 indicates validation error
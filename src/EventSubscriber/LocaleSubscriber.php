@@ -0,0 +1,78 @@
+<?php
+
+namespace App\EventSubscriber;
+
+use Symfony\Component\DependencyInjection\Attribute\Autowire;
+use Symfony\Component\EventDispatcher\EventSubscriberInterface;
+use Symfony\Component\HttpKernel\Event\RequestEvent;
+use Symfony\Component\HttpKernel\KernelEvents;
+
+/**
+ * Locale Event Subscriber
+ *
+ * WHAT IT DOES:
+ * Picks the locale of each request (French or English) so that Twig, the
+ * validator and the front-end scripts (/i18n/{locale}.js) speak the visitor's language.
+ *
+ * WHEN IT TRIGGERS:
+ * - On every main request (KernelEvents::REQUEST event)
+ * - Priority 20: runs before Symfony's LocaleListener (priority 16), which
+ *   keeps the locale set here
+ *
+ * HOW IT WORKS:
+ * 1. The "locale" cookie, written by the language switcher of the header
+ *    (static/js/utils/i18n.js), wins when it holds an enabled locale
+ * 2. Otherwise the browser languages (Accept-Language) are matched against
+ *    framework.enabled_locales; the first enabled locale (fr) is the default
+ *
+ * HOW TO DEBUG:
+ * - Check the "locale" cookie in the browser DevTools (Application tab)
+ * - <html lang> and window.i18nCatalogue.locale show the locale in use
+ */
+class LocaleSubscriber implements EventSubscriberInterface
+{
+    /**
+     * Cookie holding the locale chosen in the header
+     */
+    public const COOKIE_NAME = 'locale';
+
+    /**
+     * @param string[] $enabledLocales Locales of the site, default first (framework.enabled_locales)
+     */
+    public function __construct(
+        #[Autowire('%kernel.enabled_locales%')]
+        private array $enabledLocales
+    ) {}
+
+    /**
+     * Tell Symfony which events this subscriber listens to
+     *
+     * @return array Event name => [method to call, priority]
+     */
+    public static function getSubscribedEvents(): array
+    {
+        return [
+            // Priority 20: before LocaleListener (16) and the translator locale (LocaleAwareListener)
+            KernelEvents::REQUEST => ['onKernelRequest', 20],
+        ];
+    }
+
+    /**
+     * Set the locale of the request from the cookie or the browser languages
+     */
+    public function onKernelRequest(RequestEvent $event): void
+    {
+        if (!$event->isMainRequest() || !$this->enabledLocales) {
+            return;
+        }
+
+        $request = $event->getRequest();
+        $locale = $request->cookies->get(self::COOKIE_NAME);
+
+        if (!in_array($locale, $this->enabledLocales, true)) {
+            $locale = $request->getPreferredLanguage($this->enabledLocales);
+        }
+
+        $request->setLocale($locale ?? $this->enabledLocales[0]);
+    }
+}
@@ -0,0 +1,49 @@
+<?php
+
+namespace App\Repository;
+
+use App\Entity\Category;
+use Doctrine\Bundle\DoctrineBundle\Repository\ServiceEntityRepository;
+use Doctrine\Persistence\ManagerRegistry;
+
+/**
+ * Menu category repository.
+ *
+ * @extends ServiceEntityRepository<Category>
+ */
+class CategoryRepository extends ServiceEntityRepository
+{
+    public function __construct(ManagerRegistry $registry)
+    {
+        parent::__construct($registry, Category::class);
+    }
+
+    /**
+     * All categories in menu order
+     *
+     * @return Category[]
+     */
+    public function findOrdered(): array
+    {
+        return $this->createQueryBuilder('c')
+            ->orderBy('c.position', 'ASC')
+            ->addOrderBy('c.name', 'ASC')
+            ->getQuery()
+            ->getResult();
+    }
+
+    /**
+     * Category names by slug, in menu order (EasyAdmin choices, breadcrumbs)
+     *
+     * @return array<string, string>
+     */
+    public function findNamesBySlug(): array
+    {
+        $names = [];
+        foreach ($this->findOrdered() as $category) {
+            $names[$category->getSlug()] = $category->getName();
+        }
+
+        return $names;
+    }
+}
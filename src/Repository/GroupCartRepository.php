@@ -0,0 +1,35 @@
+<?php
+
+namespace App\Repository;
+
+use App\Entity\GroupCart;
+use Doctrine\Bundle\DoctrineBundle\Repository\ServiceEntityRepository;
+use Doctrine\Persistence\ManagerRegistry;
+
+/**
+ * Group cart repository.
+ *
+ * Group carts are looked up by the token of their share link.
+ *
+ * @extends ServiceEntityRepository<GroupCart>
+ */
+class GroupCartRepository extends ServiceEntityRepository
+{
+    public function __construct(ManagerRegistry $registry)
+    {
+        parent::__construct($registry, GroupCart::class);
+    }
+
+    /**
+     * Find a group cart that can still be used (not closed)
+     */
+    public function findOpenByToken(string $token): ?GroupCart
+    {
+        return $this->createQueryBuilder('g')
+            ->andWhere('g.token = :token')
+            ->andWhere('g.closedAt IS NULL')
+            ->setParameter('token', $token)
+            ->getQuery()
+            ->getOneOrNullResult();
+    }
+}
@@ -3,6 +3,7 @@
 namespace App\Repository;
 
 use App\Entity\MenuItem;
+use App\Enum\MenuItemAvailability;
 use Doctrine\Bundle\DoctrineBundle\Repository\ServiceEntityRepository;
 use Doctrine\Persistence\ManagerRegistry;
 
@@ -16,38 +17,35 @@ class MenuItemRepository extends ServiceEntityRepository
 		parent::__construct($registry, MenuItem::class);
 	}
 
-
-
 	/**
-	 * Return lightweight data for related dishes of the same category.
-	 * Only selects required fields to avoid hydrating full entities.
+	 * Return the dishes shown on the public menu (hidden ones excluded).
+	 * Sold out dishes are kept: the menu renders them as disabled "Épuisé" cards.
 	 *
-	 * @param string $category Category code used for filtering
-	 * @param int $excludeId Current dish id to exclude from the list
-	 * @param int $limit Max number of items to return
-	 * @return array<int, array{id:string,name:string,description:?string,price:float,image:?string}>
+	 * @return MenuItem[]
 	 */
-	public function findRelatedForCard(string $category, int $excludeId, int $limit = 3): array
+	public function findVisible(): array
 	{
-		$qb = $this->createQueryBuilder('m')
-			->select('m.id, m.name, m.description, m.price, m.image')
-			->andWhere('m.category = :category')
-			->andWhere('m.id <> :exclude')
-			->setParameter('category', $category)
-			->setParameter('exclude', $excludeId)
-			->setMaxResults($limit)
-			->orderBy('m.id', 'DESC');
-
-		$rows = $qb->getQuery()->getArrayResult();
+		return $this->createQueryBuilder('m')
+			->andWhere('m.availability <> :hidden')
+			->setParameter('hidden', MenuItemAvailability::HIDDEN->value)
+			->getQuery()
+			->getResult();
+	}
 
-		return array_map(static function (array $row): array {
-			return [
-				'id' => (string)($row['id'] ?? ''),
-				'name' => (string)($row['name'] ?? ''),
-				'description' => $row['description'] ?? null,
-				'price' => (float)($row['price'] ?? 0),
-				'image' => $row['image'] ?? null,
-			];
-		}, $rows);
+	/**
+	 * Distinct category slugs of the visible dishes.
+	 *
+	 * @return string[]
+	 */
+	public function findVisibleCategorySlugs(): array
+	{
+		$rows = $this->createQueryBuilder('m')
+			->select('DISTINCT m.category')
+			->andWhere('m.availability <> :hidden')
+			->setParameter('hidden', MenuItemAvailability::HIDDEN->value)
+			->getQuery()
+			->getScalarResult();
+
+		return array_column($rows, 'category');
 	}
 }
@@ -3,6 +3,8 @@
 namespace App\Repository;
 
 use App\Entity\Order;
+use App\Entity\OrderItem;
+use App\Enum\OrderStatus;
 use Doctrine\Bundle\DoctrineBundle\Repository\ServiceEntityRepository;
 use Doctrine\Persistence\ManagerRegistry;
 
@@ -10,8 +12,7 @@ use Doctrine\Persistence\ManagerRegistry;
  * Order repository.
  *
  * Use for custom queries and reporting on orders (e.g., status counts,
- * revenue by period). Currently relies on default ServiceEntityRepository
- * methods; extend as needed.
+ * revenue by period, dishes ordered together). Extend as needed.
  *
  * @extends ServiceEntityRepository<Order>
  */
@@ -21,4 +22,46 @@ class OrderRepository extends ServiceEntityRepository
     {
         parent::__construct($registry, Order::class);
     }
+
+    /**
+     * Count, for each dish, the past orders in which it was ordered with one of the given dishes.
+     *
+     * Feeds the "often ordered together" part of the recommendations. Lines are matched
+     * on productId (kept even when the MenuItem was deleted); cancelled orders are ignored.
+     *
+     * @param int[] $menuItemIds Dishes already chosen (dish page or cart)
+     * @param \DateTimeInterface $since Only the orders placed since this date
+     * @return array<int, int> Number of orders by dish ID (the given dishes and dishes never ordered with them are absent)
+     */
+    public function countDishCoOccurrences(array $menuItemIds, \DateTimeInterface $since): array
+    {
+        if (!$menuItemIds) {
+            return [];
+        }
+
+        $rows = $this->createQueryBuilder('o')
+            ->select('other.productId AS productId, COUNT(DISTINCT o.id) AS cnt')
+            ->join('o.items', 'base')
+            ->join('o.items', 'other')
+            ->andWhere('base.itemType = :dish')
+            ->andWhere('base.productId IN (:ids)')
+            ->andWhere('other.itemType = :dish')
+            ->andWhere('other.productId NOT IN (:ids)')
+            ->andWhere('o.status <> :cancelled')
+            ->andWhere('o.createdAt >= :since')
+            ->setParameter('dish', OrderItem::TYPE_DISH)
+            ->setParameter('ids', array_values($menuItemIds))
+            ->setParameter('cancelled', OrderStatus::CANCELLED->value)
+            ->setParameter('since', $since)
+            ->groupBy('other.productId')
+            ->getQuery()
+            ->getArrayResult();
+
+        $counts = [];
+        foreach ($rows as $row) {
+            $counts[(int) $row['productId']] = (int) $row['cnt'];
+        }
+
+        return $counts;
+    }
 }
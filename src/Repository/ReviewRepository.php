@@ -73,6 +73,34 @@ class ReviewRepository extends ServiceEntityRepository
         ];
     }
 
+    /**
+     * Compute count and average rating of approved reviews for every dish in one query.
+     *
+     * Used by the menu page (sorting by rating) to avoid one query per dish.
+     *
+     * @return array<int, array{cnt:int, avg:float}> Stats keyed by menu item ID (dishes without approved reviews are absent)
+     */
+    public function getApprovedStatsByMenuItem(): array
+    {
+        $rows = $this->createQueryBuilder('r')
+            ->select('IDENTITY(r.menuItem) AS menuItemId, COUNT(r.id) AS cnt, AVG(r.rating) AS avg')
+            ->andWhere('r.menuItem IS NOT NULL')
+            ->andWhere('r.isApproved = 1')
+            ->groupBy('r.menuItem')
+            ->getQuery()
+            ->getArrayResult();
+
+        $stats = [];
+        foreach ($rows as $row) {
+            $stats[(int) $row['menuItemId']] = [
+                'cnt' => (int) $row['cnt'],
+                'avg' => (float) $row['avg'],
+            ];
+        }
+
+        return $stats;
+    }
+
     /**
      * Returns approved general reviews (not linked to dish) paginated.
      *
@@ -135,6 +163,74 @@ class ReviewRepository extends ServiceEntityRepository
             ->getResult();
     }
 
+    /**
+     * Returns a page of approved reviews for a dish, newest first, after a cursor (keyset pagination).
+     *
+     * The cursor is the last review of the previous page: the page continues with the
+     * reviews created before it (ties on the date broken by ID), so reviews approved
+     * meanwhile don't shift the pages like an offset would.
+     *
+     * @param int $menuItemId Dish ID
+     * @param int $limit Max number of reviews to return
+     * @param \DateTimeInterface|null $beforeDate Creation date of the last review already shown (null = first page)
+     * @param int|null $beforeId ID of the last review already shown
+     * @param int|null $rating Only the reviews with this rating (1-5), null for all
+     * @return Review[]
+     */
+    public function findApprovedForDishBefore(
+        int $menuItemId,
+        int $limit,
+        ?\DateTimeInterface $beforeDate = null,
+        ?int $beforeId = null,
+        ?int $rating = null
+    ): array {
+        $qb = $this->qbApprovedBase()
+            ->andWhere('r.menuItem = :id')
+            ->setParameter('id', $menuItemId)
+            ->orderBy('r.createdAt', 'DESC')
+            ->addOrderBy('r.id', 'DESC')
+            ->setMaxResults($limit);
+
+        if ($beforeDate !== null && $beforeId !== null) {
+            $qb->andWhere('r.createdAt < :beforeDate OR (r.createdAt = :beforeDate AND r.id < :beforeId)')
+                ->setParameter('beforeDate', $beforeDate)
+                ->setParameter('beforeId', $beforeId);
+        }
+
+        if ($rating !== null) {
+            $qb->andWhere('r.rating = :rating')
+                ->setParameter('rating', $rating);
+        }
+
+        return $qb->getQuery()->getResult();
+    }
+
+    /**
+     * Count approved reviews of a dish by rating (star histogram of the dish page).
+     *
+     * @return array<int, int> Number of reviews keyed by rating, from 5 down to 1 (0 when none)
+     */
+    public function getApprovedRatingDistributionForMenuItem(int $menuItemId): array
+    {
+        $rows = $this->createQueryBuilder('r')
+            ->select('r.rating AS rating, COUNT(r.id) AS cnt')
+            ->andWhere('r.menuItem = :id')
+            ->andWhere('r.isApproved = 1')
+            ->setParameter('id', $menuItemId)
+            ->groupBy('r.rating')
+            ->getQuery()
+            ->getArrayResult();
+
+        $distribution = [5 => 0, 4 => 0, 3 => 0, 2 => 0, 1 => 0];
+        foreach ($rows as $row) {
+            if (isset($distribution[(int) $row['rating']])) {
+                $distribution[(int) $row['rating']] = (int) $row['cnt'];
+            }
+        }
+
+        return $distribution;
+    }
+
 	/**
 	 * Return latest approved reviews (site-wide), ordered by date DESC.
 	 *
@@ -2,6 +2,11 @@
 
 namespace App\Service;
 
+use App\Entity\Drink;
+use App\Entity\GroupCart;
+use App\Entity\MenuItem;
+use App\Entity\OrderItem;
+use App\Repository\DrinkRepository;
 use App\Repository\MenuItemRepository;
 use Symfony\Component\HttpFoundation\RequestStack;
 
@@ -22,8 +27,27 @@ use Symfony\Component\HttpFoundation\RequestStack;
  *
  * Cart structure:
  * - Stored in session under 'cart' key
- * - Format: [menuItemId => ['id', 'name', 'price', 'image', 'category', 'quantity']]
+ * - Format: [lineKey => ['id', 'lineKey', 'itemType', 'name', 'price', 'taxRate', 'image', 'category', 'options', 'note', 'quantity']]
+ * - lineKey is the menu item ID for dishes without options, or "{id}-{optionIds}"
+ *   (e.g. "12-3_7") so the same dish with different options gets separate lines
+ * - 'itemType' is 'dish' (MenuItem) or 'drink' (Drink); drink lines use the key "d{id}"
+ *   (e.g. "d4") since drink and menu item IDs overlap
+ * - 'taxRate' is the VAT rate of the line (alcoholic drinks are taxed at 20 %)
+ * - 'price' is the unit price including the price deltas of the selected options, as it
+ *   was when the line was added (or when the customer last acknowledged a price change)
+ * - 'note' is an optional kitchen note for the line ("sans oignons"), sanitized on write
  * - Automatically calculates totals and item counts
+ * - Responses use the current menu prices: lines whose price changed since they were
+ *   added ('priceChanged', previous price in 'addedPrice') or whose item can no longer
+ *   be ordered ('unavailable') are flagged so the customer is told before checkout
+ *
+ * Group orders (see GroupCartService):
+ * - While the visitor belongs to a group, lines are read from and written to the
+ *   GroupCart instead of the session
+ * - Lines carry 'participant' (name) and 'participantIndex'; their key ends with
+ *   "@{participantIndex}" (e.g. "12-3_7@2") so each person has their own lines
+ * - Participants only change their own lines, and nothing once the owner locked
+ *   the group; only the owner can check out
  *
  * Design principles:
  * - Single Responsibility: Only handles cart operations, not image path resolution
@@ -33,7 +57,8 @@ use Symfony\Component\HttpFoundation\RequestStack;
  *
  * Side effects:
  * - Modifies session data (cart storage)
- * - Reads from database (MenuItemRepository) when adding new items
+ * - Reads from database (MenuItemRepository, DrinkRepository) when adding new items
+ *   and when formatting the cart (one query per item type to refresh prices)
  * - Does NOT persist to database (cart is temporary until order creation)
  */
 class CartService
@@ -42,10 +67,42 @@ class CartService
      * Session key used to store cart data
      *
      * All cart operations use this key to read/write cart data from session.
-     * The cart is stored as an associative array where keys are menu item IDs.
+     * The cart is stored as an associative array where keys are cart line keys.
      */
     private const CART_SESSION_KEY = 'cart';
 
+    /**
+     * Separators used to build line keys: "{menuItemId}-{optionId}_{optionId}"
+     *
+     * Kept in sync with the route requirement in CartController and with
+     * CartAPI.buildLineKey() in public/static/js/cart-api.js.
+     */
+    private const LINE_KEY_OPTIONS_SEPARATOR = '-';
+    private const LINE_KEY_OPTION_ID_SEPARATOR = '_';
+
+    /**
+     * Prefix of drink line keys: "d{drinkId}"
+     */
+    private const LINE_KEY_DRINK_PREFIX = 'd';
+
+    /**
+     * Maximum length of a kitchen note on a cart line
+     */
+    public const NOTE_MAX_LENGTH = 140;
+
+    /**
+     * Maximum quantity of a cart line (same limit as CartAddRequest)
+     *
+     * Bounds each operation and the quantity the line reaches: repeated adds of the
+     * same dish can't grow a line past it.
+     */
+    private const LINE_MAX_QUANTITY = 100;
+
+    /**
+     * Separator of the participant suffix of group order line keys: "{lineKey}@{participantIndex}"
+     */
+    private const LINE_KEY_PARTICIPANT_SEPARATOR = '@';
+
     /**
      * Constructor
      *
@@ -53,23 +110,33 @@ class CartService
      * - RequestStack: For accessing Symfony session to store/retrieve cart data
      * - MenuItemRepository: For fetching menu item details from database when adding items
      * - MenuItemImageResolver: For resolving image paths to consistent format
+     * - DrinkRepository: For fetching drink details when adding drinks
+     * - TaxCalculationService: For the VAT rate of each line
+     * - GroupCartService: For the shared cart of group orders
      *
      * @param RequestStack $requestStack Symfony request stack for session access
      * @param MenuItemRepository $menuItemRepository Repository for menu item database queries
      * @param MenuItemImageResolver $imageResolver Service for resolving image paths
+     * @param DrinkRepository $drinkRepository Repository for drink database queries
+     * @param TaxCalculationService $taxCalculationService Service providing VAT rates
+     * @param GroupCartService $groupCartService Service managing group orders
      */
     public function __construct(
         private RequestStack $requestStack,
         private MenuItemRepository $menuItemRepository,
-        private MenuItemImageResolver $imageResolver
+        private MenuItemImageResolver $imageResolver,
+        private DrinkRepository $drinkRepository,
+        private TaxCalculationService $taxCalculationService,
+        private GroupCartService $groupCartService
     ) {}
 
     /**
      * Add item to cart or increase quantity if item already exists
      *
      * This method handles two scenarios:
-     * 1. Item already in cart: Increments the existing quantity by the specified amount
-     * 2. New item: Fetches menu item details from database and creates a new cart entry
+     * 1. Line already in cart (same item, same options): Increments the existing quantity
+     * 2. New line: Fetches menu item details from database, validates the selected
+     *    options against the item's option groups and creates a new cart entry
      *
      * When adding a new item, the method:
      * - Fetches menu item entity from database using MenuItemRepository
@@ -81,49 +148,25 @@ class CartService
      * - Modifies session data (updates cart in session)
      * - Reads from database (MenuItemRepository::find) when adding new items
      *
-     * @param int $menuItemId Menu item ID from database (must exist in database)
+     * Drinks (itemType 'drink') are looked up in DrinkRepository instead and never have options.
+     *
+     * @param int $menuItemId Menu item ID, or drink ID for drinks (must exist in database)
      * @param int $quantity Quantity to add (default: 1, must be positive)
+     * @param int[] $optionIds Selected MenuItemOption IDs (empty for dishes without options)
+     * @param string $itemType OrderItem::TYPE_DISH (default) or OrderItem::TYPE_DRINK
      * @return array Updated cart details with items, total, and itemCount
-     * @throws \InvalidArgumentException If menu item not found in database
+     * @throws \InvalidArgumentException If item not found in database or options are invalid
      */
-    public function add(int $menuItemId, int $quantity = 1): array
+    public function add(int $menuItemId, int $quantity = 1, array $optionIds = [], string $itemType = OrderItem::TYPE_DISH): array
     {
-        // Get current session and retrieve existing cart (or empty array if cart doesn't exist)
-        $session = $this->requestStack->getSession();
-        $cart = $session->get(self::CART_SESSION_KEY, []);
+        // Retrieve existing cart (session, or group cart in a group order)
+        $cart = $this->loadCart();
 
-        // Check if item already exists in cart
-        // If yes, increment quantity (don't fetch from database again)
-        if (isset($cart[$menuItemId])) {
-            $cart[$menuItemId]['quantity'] += $quantity;
-        } else {
-            // Item doesn't exist in cart, fetch full details from database
-            // This is necessary to get item name, price, image, and category
-            $menuItem = $this->menuItemRepository->find($menuItemId);
-            
-            // Validate that menu item exists in database
-            // Throw exception if item not found (prevents adding invalid items to cart)
-            if (!$menuItem) {
-                throw new \InvalidArgumentException("Menu item not found: $menuItemId");
-            }
-
-            // Create new cart entry with all item details
-            // Image path is resolved using MenuItemImageResolver to ensure consistent format
-            // Pass category to resolver so it can use the correct folder (entrees, plats, desserts)
-            $category = $menuItem->getCategory();
-            $cart[$menuItemId] = [
-                'id' => $menuItem->getId(),
-                'name' => $menuItem->getName(),
-                'price' => (float) $menuItem->getPrice(),
-                'image' => $this->imageResolver->resolve($menuItem->getImage()),
-                'category' => $category,
-                'quantity' => $quantity,
-            ];
-        }
+        $this->applyAdd($cart, $menuItemId, $quantity, $optionIds, $itemType);
 
-        // Persist updated cart to session
+        // Persist updated cart
         // This ensures cart state is saved and available on next request
-        $session->set(self::CART_SESSION_KEY, $cart);
+        $this->saveCart($cart);
         
         // Return formatted cart details (items array, total, itemCount)
         return $this->getCartDetails($cart);
@@ -132,40 +175,66 @@ class CartService
     /**
      * Remove item completely from cart
      *
-     * Removes the item with the given menu item ID from the cart entirely.
+     * Removes the line with the given line key from the cart entirely.
+     * For dishes without options the line key is the menu item ID.
      * This operation is different from setting quantity to 0 (which also removes it
      * but goes through updateQuantity method).
      *
      * Side effects:
      * - Modifies session data (removes item from cart in session)
      *
-     * @param int $menuItemId Menu item ID to remove (must exist in cart)
+     * @param int|string $lineKey Cart line key to remove (must exist in cart)
      * @return array Updated cart details after removal (items, total, itemCount)
      * @throws \InvalidArgumentException If item not found in cart
      */
-    public function remove(int $menuItemId): array
+    public function remove(int|string $lineKey): array
     {
-        // Get current session and retrieve existing cart
-        $session = $this->requestStack->getSession();
-        $cart = $session->get(self::CART_SESSION_KEY, []);
+        // Retrieve existing cart
+        $cart = $this->loadCart();
 
-        // Validate that item exists in cart before attempting removal
-        // This prevents silent failures and provides clear error messages
-        if (!isset($cart[$menuItemId])) {
-            throw new \InvalidArgumentException("Cart item not found: $menuItemId");
-        }
-
-        // Remove item from cart array using unset
-        // This completely removes the item, not just sets quantity to 0
-        unset($cart[$menuItemId]);
+        $this->applyRemove($cart, $lineKey);
         
-        // Persist updated cart to session (without the removed item)
-        $session->set(self::CART_SESSION_KEY, $cart);
+        // Persist updated cart (without the removed item)
+        $this->saveCart($cart);
 
         // Return formatted cart details after removal
         return $this->getCartDetails($cart);
     }
 
+    /**
+     * Set the kitchen note of a cart line
+     *
+     * Free text written by the customer for one line (e.g. "sans oignons sur le
+     * deuxième burger"). The note is sanitized like other user inputs before being
+     * stored; an empty note removes it. It is copied onto the OrderItem at checkout.
+     *
+     * Side effects:
+     * - Modifies session data (stores or removes the 'note' of the line)
+     *
+     * @param int|string $lineKey Cart line key (must exist in cart)
+     * @param string|null $note Note text (null or empty to remove)
+     * @return array Updated cart details (items, total, itemCount)
+     * @throws \InvalidArgumentException If item not found in cart
+     */
+    public function updateNote(int|string $lineKey, ?string $note): array
+    {
+        // Retrieve existing cart
+        $cart = $this->loadCart();
+
+        // Validate that item exists in cart before attempting update
+        if (!isset($cart[$lineKey])) {
+            throw new \InvalidArgumentException("Cart item not found: $lineKey");
+        }
+        $this->assertCanEditLine($cart[$lineKey]);
+
+        $cart[$lineKey]['note'] = $this->sanitizeNote($note);
+
+        // Persist updated cart
+        $this->saveCart($cart);
+
+        return $this->getCartDetails($cart);
+    }
+
     /**
      * Update item quantity in cart
      *
@@ -176,33 +245,20 @@ class CartService
      * Side effects:
      * - Modifies session data (updates item quantity or removes item from cart)
      *
-     * @param int $menuItemId Menu item ID to update (must exist in cart)
+     * @param int|string $lineKey Cart line key to update (must exist in cart)
      * @param int $quantity New quantity (0 or negative removes the item)
      * @return array Updated cart details after quantity change (items, total, itemCount)
      * @throws \InvalidArgumentException If item not found in cart
      */
-    public function updateQuantity(int $menuItemId, int $quantity): array
+    public function updateQuantity(int|string $lineKey, int $quantity): array
     {
-        // Get current session and retrieve existing cart
-        $session = $this->requestStack->getSession();
-        $cart = $session->get(self::CART_SESSION_KEY, []);
+        // Retrieve existing cart
+        $cart = $this->loadCart();
 
-        // Validate that item exists in cart before attempting update
-        if (!isset($cart[$menuItemId])) {
-            throw new \InvalidArgumentException("Cart item not found: $menuItemId");
-        }
-
-        // Handle quantity update or removal
-        // If quantity is 0 or negative, remove item (same as remove operation)
-        // Otherwise, update quantity to new value
-        if ($quantity <= 0) {
-            unset($cart[$menuItemId]);
-        } else {
-            $cart[$menuItemId]['quantity'] = $quantity;
-        }
+        $this->applyQuantity($cart, $lineKey, $quantity);
         
-        // Persist updated cart to session
-        $session->set(self::CART_SESSION_KEY, $cart);
+        // Persist updated cart
+        $this->saveCart($cart);
 
         // Return formatted cart details after quantity change
         return $this->getCartDetails($cart);
@@ -222,15 +278,14 @@ class CartService
      * - None (read-only operation, does not modify session or database)
      *
      * @return array Cart details with:
-     *   - 'items': Array of cart items (each with id, name, price, image, category, quantity)
+     *   - 'items': Array of cart items (each with id, lineKey, name, price, image, category, options, quantity)
      *   - 'total': Total price of all items (sum of price * quantity for each item)
      *   - 'itemCount': Total quantity of all items (sum of all quantities)
      */
     public function getCart(): array
     {
-        // Get current session and retrieve cart (or empty array if cart doesn't exist)
-        $session = $this->requestStack->getSession();
-        $cart = $session->get(self::CART_SESSION_KEY, []);
+        // Retrieve cart (session, or group cart in a group order)
+        $cart = $this->loadCart();
         
         // Format and return cart details (calculates totals and item count)
         return $this->getCartDetails($cart);
@@ -247,8 +302,12 @@ class CartService
      * - User-initiated cart reset
      * - Session cleanup
      *
+     * In a group order the owner empties the whole group cart, a participant
+     * only removes their own lines.
+     *
      * Side effects:
      * - Modifies session data (removes cart key from session)
+     * - In a group order, modifies the group cart instead
      *
      * @return array Empty cart structure with:
      *   - 'items': Empty array
@@ -257,6 +316,18 @@ class CartService
      */
     public function clear(): array
     {
+        $group = $this->groupCartService->getCurrent();
+        if ($group !== null) {
+            $this->assertGroupUnlocked($group);
+            $me = $this->groupCartService->getParticipantIndex();
+            $cart = $this->groupCartService->isOwner()
+                ? []
+                : array_filter($group->getItems(), static fn(array $line): bool => ($line['participantIndex'] ?? 0) !== $me);
+            $this->groupCartService->saveItems($group, $cart);
+
+            return $this->getCartDetails($cart);
+        }
+
         // Get current session
         $session = $this->requestStack->getSession();
         
@@ -285,9 +356,8 @@ class CartService
      */
     public function getItemCount(): int
     {
-        // Get current session and retrieve cart
-        $session = $this->requestStack->getSession();
-        $cart = $session->get(self::CART_SESSION_KEY, []);
+        // Retrieve cart (session, or group cart in a group order)
+        $cart = $this->loadCart();
         
         // Calculate total quantity by summing all item quantities
         // Loop through each item in cart and add its quantity to total count
@@ -306,7 +376,8 @@ class CartService
      * Result is rounded to 2 decimal places for currency precision (Euro format).
      *
      * Calculation formula:
-     * total = sum(item['price'] * item['quantity']) for all items in cart
+     * total = sum(item['price'] * item['quantity']) for all items in cart,
+     * using the current menu prices (same total as getCart())
      *
      * Side effects:
      * - None (read-only operation, does not modify cart or session)
@@ -315,19 +386,601 @@ class CartService
      */
     public function getTotal(): float
     {
-        // Get current session and retrieve cart
-        $session = $this->requestStack->getSession();
-        $cart = $session->get(self::CART_SESSION_KEY, []);
-        
-        // Calculate total by summing price * quantity for each item
-        // Start with 0 and accumulate total for each cart item
-        $total = 0;
-        foreach ($cart as $item) {
-            $total += $item['price'] * $item['quantity'];
+        return $this->getCart()['total'];
+    }
+
+    /**
+     * Accept the price changes flagged on the cart lines
+     *
+     * Called when the customer dismisses the price change notice: each changed
+     * line takes its current price (and option price deltas), so it is no longer
+     * flagged. Unavailable lines stay flagged until they are removed. In a group
+     * order the notice concerns the whole cart, so any participant can dismiss it.
+     *
+     * Side effects:
+     * - Modifies session data (stored prices of the changed lines)
+     *
+     * @return array Updated cart details (items, total, itemCount)
+     */
+    public function acknowledgeChanges(): array
+    {
+        $cart = $this->loadCart();
+
+        foreach ($this->getCartDetails($cart)['items'] as $item) {
+            if ($item['priceChanged']) {
+                $cart[$item['lineKey']]['price'] = $item['price'];
+                $cart[$item['lineKey']]['options'] = $item['options'];
+            }
         }
-        
-        // Round to 2 decimal places for currency precision (Euro format)
-        return round($total, 2);
+
+        $this->saveCart($cart);
+
+        return $this->getCartDetails($cart);
+    }
+
+    /**
+     * Check that the customer was told about every price change
+     *
+     * Called by OrderService at checkout, after assertItemsAvailable(): the order
+     * must not be placed at prices the customer has not seen.
+     *
+     * @param array $items Cart lines (getCart()['items'])
+     * @throws \InvalidArgumentException Listing the dishes whose price changed
+     */
+    public function assertPricesAcknowledged(array $items): void
+    {
+        $changed = [];
+        foreach ($items as $item) {
+            if (!empty($item['priceChanged'])) {
+                $changed[] = $item['name'];
+            }
+        }
+
+        if (!empty($changed)) {
+            throw new \InvalidArgumentException(sprintf(
+                'Le prix a changé : %s. Vérifiez votre panier avant de valider la commande.',
+                implode(', ', array_unique($changed))
+            ));
+        }
+    }
+
+    /**
+     * Apply an ordered list of cart operations atomically
+     *
+     * Used by the batch endpoint: rapid stepper clicks are coalesced client-side
+     * into one request instead of one request (and one cart refetch) per click.
+     * Operations are applied in order on a copy of the cart; the session is only
+     * written when every operation succeeded, so a failing operation leaves the
+     * cart exactly as it was.
+     *
+     * Supported operations:
+     * - ['type' => 'add', 'itemId' => int, 'quantity' => int, 'options' => int[], 'itemType' => 'dish'|'drink']
+     * - ['type' => 'update', 'lineKey' => string, 'quantity' => int] (0 removes the line)
+     * - ['type' => 'remove', 'lineKey' => string]
+     *
+     * Side effects:
+     * - Modifies session data (only if all operations succeed)
+     * - Reads from database (MenuItemRepository::find) for dish adds and quantity increases
+     *
+     * @param array<int, array> $operations Ordered operations
+     * @return array Updated cart details (items, total, itemCount)
+     * @throws \InvalidArgumentException If an operation is malformed or fails (message prefixed with its position)
+     */
+    public function applyBatch(array $operations): array
+    {
+        $cart = $this->loadCart();
+
+        foreach (array_values($operations) as $index => $operation) {
+            try {
+                if (!is_array($operation)) {
+                    throw new \InvalidArgumentException('Opération invalide');
+                }
+
+                switch ($operation['type'] ?? null) {
+                    case 'add':
+                        $this->applyAdd(
+                            $cart,
+                            $this->requirePositiveInt($operation, 'itemId'),
+                            $this->requirePositiveInt($operation, 'quantity', 1),
+                            is_array($operation['options'] ?? null) ? $operation['options'] : [],
+                            $this->requireItemType($operation)
+                        );
+                        break;
+                    case 'update':
+                        $this->applyQuantity(
+                            $cart,
+                            $this->requireLineKey($operation),
+                            $this->requireQuantity($operation)
+                        );
+                        break;
+                    case 'remove':
+                        $this->applyRemove($cart, $this->requireLineKey($operation));
+                        break;
+                    default:
+                        throw new \InvalidArgumentException('Type d\'opération inconnu');
+                }
+            } catch (\InvalidArgumentException $e) {
+                // Nothing was written to the session: the cart is left untouched
+                throw new \InvalidArgumentException(sprintf('Opération %d : %s', $index + 1, $e->getMessage()), 0, $e);
+            }
+        }
+
+        $this->saveCart($cart);
+
+        return $this->getCartDetails($cart);
+    }
+
+    /**
+     * Add the lines of a previous order to the cart ("Commander à nouveau", see ReorderService)
+     *
+     * Each line is added like add() would. A line that can no longer be added (dish
+     * hidden or sold out, options no longer valid) is reported instead of failing
+     * the whole reorder. The kitchen note is kept on new lines; a line merged into
+     * an existing cart line keeps the note already there.
+     *
+     * Side effects:
+     * - Modifies session data (once, after all lines)
+     *
+     * @param array $lines List of ['itemId', 'itemType', 'quantity', 'options' => int[], 'note', 'name']
+     * @return array ['cart' => cart details, 'skipped' => list of ['name', 'reason']]
+     */
+    public function addLines(array $lines): array
+    {
+        $cart = $this->loadCart();
+        $skipped = [];
+
+        foreach ($lines as $line) {
+            $before = $cart;
+            try {
+                $this->applyAdd($cart, $line['itemId'], max(1, $line['quantity']), $line['options'], $line['itemType']);
+            } catch (\InvalidArgumentException $e) {
+                $skipped[] = ['name' => $line['name'], 'reason' => $e->getMessage()];
+                continue;
+            }
+
+            foreach (array_keys(array_diff_key($cart, $before)) as $lineKey) {
+                $cart[$lineKey]['note'] = $this->sanitizeNote($line['note'] ?? null);
+            }
+        }
+
+        $this->saveCart($cart);
+
+        return ['cart' => $this->getCartDetails($cart), 'skipped' => $skipped];
+    }
+
+    /**
+     * Add a dish (with options) or a drink to a cart array
+     *
+     * Shared by add() and applyBatch(); does not touch the session.
+     *
+     * @param array $cart Cart array (modified in place)
+     * @param int $menuItemId Menu item ID (drink ID for drinks)
+     * @param int $quantity Quantity to add
+     * @param int[] $optionIds Selected option IDs
+     * @param string $itemType OrderItem::TYPE_DISH or OrderItem::TYPE_DRINK
+     * @throws \InvalidArgumentException If item not found, sold out or hidden, options are invalid, or the line would go over 100
+     */
+    private function applyAdd(array &$cart, int $menuItemId, int $quantity, array $optionIds, string $itemType = OrderItem::TYPE_DISH): void
+    {
+        $this->assertCanEditLine();
+
+        if ($itemType === OrderItem::TYPE_DRINK) {
+            $this->applyAddDrink($cart, $menuItemId, $quantity, $optionIds);
+            return;
+        }
+
+        // Same dish with the same options = same line
+        $optionIds = $this->normalizeOptionIds($optionIds);
+        $lineKey = $this->buildLineKey($menuItemId, $optionIds) . $this->participantSuffix();
+
+        // Fetch the dish even when the line already exists: it may have been sold out
+        // or hidden since it entered the cart, and "one more" must then be refused
+        $menuItem = $this->menuItemRepository->find($menuItemId);
+
+        // Validate that menu item exists in database
+        // Throw exception if item not found (prevents adding invalid items to cart)
+        if (!$menuItem) {
+            throw new \InvalidArgumentException("Menu item not found: $menuItemId");
+        }
+
+        // Sold out ("86") or hidden dishes cannot be added
+        $this->assertMenuItemAvailable($menuItem);
+
+        // Check if line already exists in cart
+        // If yes, increment quantity (options were validated when the line was created)
+        if (isset($cart[$lineKey])) {
+            $this->assertLineQuantity($cart[$lineKey]['name'], $cart[$lineKey]['quantity'] + $quantity);
+            $cart[$lineKey]['quantity'] += $quantity;
+        } else {
+            $this->assertLineQuantity($menuItem->getName(), $quantity);
+
+            // Validate selected options (required groups, min/max choices)
+            // and compute the unit price including option price deltas
+            $options = $this->resolveOptions($menuItem, $optionIds);
+            $price = (float) $menuItem->getPrice();
+            foreach ($options as $option) {
+                $price += $option['priceDelta'];
+            }
+
+            // Create new cart entry with all item details
+            // Image path is resolved using MenuItemImageResolver to ensure consistent format
+            // Pass category to resolver so it can use the correct folder (entrees, plats, desserts)
+            $category = $menuItem->getCategory();
+            $cart[$lineKey] = $this->withParticipant([
+                'id' => $menuItem->getId(),
+                'lineKey' => (string) $lineKey,
+                'itemType' => OrderItem::TYPE_DISH,
+                'name' => $menuItem->getName(),
+                'price' => round($price, 2),
+                'taxRate' => $this->taxCalculationService->getTaxRate(),
+                'image' => $this->imageResolver->resolve($menuItem->getImage()),
+                'category' => $category,
+                'options' => $options,
+                'quantity' => $quantity,
+            ]);
+        }
+    }
+
+    /**
+     * Add a drink to a cart array
+     *
+     * Drinks have no options and no image; their category is the drink type
+     * (vins, bieres, chaudes, fraiches) and their VAT rate depends on it.
+     *
+     * @param array $cart Cart array (modified in place)
+     * @param int $drinkId Drink ID
+     * @param int $quantity Quantity to add
+     * @param int[] $optionIds Must be empty
+     * @throws \InvalidArgumentException If drink not found or options were sent
+     */
+    private function applyAddDrink(array &$cart, int $drinkId, int $quantity, array $optionIds): void
+    {
+        if (!empty($optionIds)) {
+            throw new \InvalidArgumentException('Option invalide pour cet article');
+        }
+
+        $lineKey = self::LINE_KEY_DRINK_PREFIX . $drinkId . $this->participantSuffix();
+        if (isset($cart[$lineKey])) {
+            $this->assertLineQuantity($cart[$lineKey]['name'], $cart[$lineKey]['quantity'] + $quantity);
+            $cart[$lineKey]['quantity'] += $quantity;
+            return;
+        }
+
+        $drink = $this->drinkRepository->find($drinkId);
+        if (!$drink) {
+            throw new \InvalidArgumentException("Drink not found: $drinkId");
+        }
+        $this->assertLineQuantity($drink->getName(), $quantity);
+
+        $cart[$lineKey] = $this->withParticipant([
+            'id' => $drink->getId(),
+            'lineKey' => $lineKey,
+            'itemType' => OrderItem::TYPE_DRINK,
+            'name' => $drink->getName(),
+            'price' => round((float) $drink->getPrice(), 2),
+            'taxRate' => $this->taxCalculationService->getDrinkTaxRate($drink),
+            'image' => '',
+            'category' => (string) $drink->getType(),
+            'options' => [],
+            'quantity' => $quantity,
+        ]);
+    }
+
+    /**
+     * Check that a dish can be ordered right now
+     *
+     * @param MenuItem $menuItem Menu item
+     * @throws \InvalidArgumentException If the dish is hidden or sold out
+     */
+    private function assertMenuItemAvailable(MenuItem $menuItem): void
+    {
+        if ($menuItem->isHidden()) {
+            throw new \InvalidArgumentException(sprintf('« %s » n\'est plus disponible', $menuItem->getName()));
+        }
+        if ($menuItem->isSoldOut()) {
+            throw new \InvalidArgumentException(sprintf('« %s » est épuisé', $menuItem->getName()));
+        }
+    }
+
+    /**
+     * Check the quantity a cart line would reach
+     *
+     * @param string $name Dish or drink name (for the message)
+     * @param int $quantity Quantity of the line after the operation
+     * @throws \InvalidArgumentException If it goes over LINE_MAX_QUANTITY
+     */
+    private function assertLineQuantity(string $name, int $quantity): void
+    {
+        if ($quantity > self::LINE_MAX_QUANTITY) {
+            throw new \InvalidArgumentException(sprintf('« %s » : %d maximum par commande', $name, self::LINE_MAX_QUANTITY));
+        }
+    }
+
+    /**
+     * Check that every dish of a cart can still be ordered
+     *
+     * Called by OrderService at checkout: a cart filled before the kitchen marked
+     * a dish as sold out must not go through, nor a dish served only in a time
+     * window (lunch formula...) that does not include the delivery slot.
+     * Drinks have no availability state.
+     *
+     * @param array $items Cart lines (getCart()['items'])
+     * @param \DateTimeImmutable|null $slot Delivery/pickup slot chosen by the customer (null = now)
+     * @throws \InvalidArgumentException Listing the unavailable dishes
+     */
+    public function assertItemsAvailable(array $items, ?\DateTimeImmutable $slot = null): void
+    {
+        $slot ??= new \DateTimeImmutable();
+
+        $unavailable = [];
+        $outOfWindow = [];
+        foreach ($items as $item) {
+            if (($item['itemType'] ?? OrderItem::TYPE_DISH) !== OrderItem::TYPE_DISH) {
+                continue;
+            }
+
+            $menuItem = $this->menuItemRepository->find($item['id']);
+            if (!$menuItem || $menuItem->isHidden() || $menuItem->isSoldOut()) {
+                $unavailable[] = $item['name'];
+            } elseif (!$menuItem->isServedAt($slot)) {
+                $outOfWindow[] = $item['name'];
+            }
+        }
+
+        if (!empty($unavailable)) {
+            throw new \InvalidArgumentException(sprintf(
+                'Plus disponible : %s. Retirez ces articles du panier pour valider la commande.',
+                implode(', ', array_unique($unavailable))
+            ));
+        }
+
+        if (!empty($outOfWindow)) {
+            throw new \InvalidArgumentException(sprintf(
+                'Non servi le %s à %s : %s. Choisissez un autre créneau ou retirez ces articles du panier.',
+                $slot->format('d/m/Y'),
+                $slot->format('H\hi'),
+                implode(', ', array_unique($outOfWindow))
+            ));
+        }
+    }
+
+    /**
+     * Remove a line from a cart array
+     *
+     * @param array $cart Cart array (modified in place)
+     * @param int|string $lineKey Cart line key
+     * @throws \InvalidArgumentException If the line is not in the cart
+     */
+    private function applyRemove(array &$cart, int|string $lineKey): void
+    {
+        // Validate that item exists in cart before attempting removal
+        // This prevents silent failures and provides clear error messages
+        if (!isset($cart[$lineKey])) {
+            throw new \InvalidArgumentException("Cart item not found: $lineKey");
+        }
+        $this->assertCanEditLine($cart[$lineKey]);
+
+        unset($cart[$lineKey]);
+    }
+
+    /**
+     * Set the quantity of a line in a cart array (0 or less removes the line)
+     *
+     * Increasing the quantity of a dish checks its availability like an add: a dish
+     * sold out or hidden since it entered the cart can only be decreased or removed.
+     *
+     * @param array $cart Cart array (modified in place)
+     * @param int|string $lineKey Cart line key
+     * @param int $quantity New quantity
+     * @throws \InvalidArgumentException If the line is not in the cart, the quantity is over 100, or the dish can no longer be ordered
+     */
+    private function applyQuantity(array &$cart, int|string $lineKey, int $quantity): void
+    {
+        // Validate that item exists in cart before attempting update
+        if (!isset($cart[$lineKey])) {
+            throw new \InvalidArgumentException("Cart item not found: $lineKey");
+        }
+        $this->assertCanEditLine($cart[$lineKey]);
+
+        $line = $cart[$lineKey];
+        $this->assertLineQuantity($line['name'], $quantity);
+        if ($quantity > $line['quantity'] && ($line['itemType'] ?? OrderItem::TYPE_DISH) === OrderItem::TYPE_DISH) {
+            $menuItem = $this->menuItemRepository->find($line['id']);
+            if (!$menuItem) {
+                throw new \InvalidArgumentException(sprintf('« %s » n\'est plus disponible', $line['name']));
+            }
+            $this->assertMenuItemAvailable($menuItem);
+        }
+
+        // If quantity is 0 or negative, remove item (same as remove operation)
+        if ($quantity <= 0) {
+            unset($cart[$lineKey]);
+        } else {
+            $cart[$lineKey]['quantity'] = $quantity;
+        }
+    }
+
+    /**
+     * Read a positive integer field of a batch operation
+     *
+     * @param array $operation Batch operation
+     * @param string $field Field name
+     * @param int|null $default Value when the field is missing (null = required)
+     * @return int
+     * @throws \InvalidArgumentException If missing or not a positive integer (max 100 for quantities)
+     */
+    private function requirePositiveInt(array $operation, string $field, ?int $default = null): int
+    {
+        $value = $operation[$field] ?? $default;
+        if (!is_int($value) && !(is_string($value) && ctype_digit($value))) {
+            throw new \InvalidArgumentException(sprintf('Champ « %s » invalide', $field));
+        }
+
+        $value = (int) $value;
+        if ($value <= 0 || ($field === 'quantity' && $value > self::LINE_MAX_QUANTITY)) {
+            throw new \InvalidArgumentException(sprintf('Champ « %s » invalide', $field));
+        }
+
+        return $value;
+    }
+
+    /**
+     * Read the quantity of a batch 'update' operation (0 allowed: removes the line)
+     *
+     * @param array $operation Batch operation
+     * @return int
+     * @throws \InvalidArgumentException If missing or out of range
+     */
+    private function requireQuantity(array $operation): int
+    {
+        $value = $operation['quantity'] ?? null;
+        if (!is_int($value) || $value < 0 || $value > self::LINE_MAX_QUANTITY) {
+            throw new \InvalidArgumentException('Champ « quantity » invalide');
+        }
+
+        return $value;
+    }
+
+    /**
+     * Read the line key of a batch 'update'/'remove' operation
+     *
+     * @param array $operation Batch operation
+     * @return string Line key ("12", "12-3_7", "d4", or "12@2" in a group order)
+     * @throws \InvalidArgumentException If missing or malformed
+     */
+    private function requireLineKey(array $operation): string
+    {
+        $lineKey = (string) ($operation['lineKey'] ?? '');
+        if (!preg_match('/^(d\d+|\d+(-\d+(_\d+)*)?)(@\d+)?$/', $lineKey)) {
+            throw new \InvalidArgumentException('Champ « lineKey » invalide');
+        }
+
+        return $lineKey;
+    }
+
+    /**
+     * Read the item type of a batch 'add' operation (dishes when omitted)
+     *
+     * @param array $operation Batch operation
+     * @return string OrderItem::TYPE_DISH or OrderItem::TYPE_DRINK
+     * @throws \InvalidArgumentException If the type is unknown
+     */
+    private function requireItemType(array $operation): string
+    {
+        $itemType = $operation['itemType'] ?? OrderItem::TYPE_DISH;
+        if (!in_array($itemType, [OrderItem::TYPE_DISH, OrderItem::TYPE_DRINK], true)) {
+            throw new \InvalidArgumentException('Champ « itemType » invalide');
+        }
+
+        return $itemType;
+    }
+
+    /**
+     * Normalize selected option IDs
+     *
+     * Casts to int, drops duplicates and sorts them so that the same selection
+     * always produces the same line key, whatever order the client sent it in.
+     *
+     * @param array $optionIds Raw option IDs from the request
+     * @return int[] Sorted unique option IDs
+     */
+    private function normalizeOptionIds(array $optionIds): array
+    {
+        $optionIds = array_values(array_unique(array_map('intval', $optionIds)));
+        sort($optionIds);
+
+        return $optionIds;
+    }
+
+    /**
+     * Sanitize a kitchen note like other user inputs
+     *
+     * Strips tags/dangerous characters and collapses whitespace (notes are single-line).
+     *
+     * @param string|null $note Raw note
+     * @return string|null Note, null when empty
+     */
+    private function sanitizeNote(?string $note): ?string
+    {
+        $note = InputSanitizer::sanitize((string) $note);
+        $note = preg_replace('/\s+/u', ' ', $note);
+        $note = mb_substr($note, 0, self::NOTE_MAX_LENGTH);
+
+        return $note !== '' ? $note : null;
+    }
+
+    /**
+     * Build the cart line key for a menu item and its selected options
+     *
+     * Examples:
+     * - Item 12 without options → 12 (same key as before options existed)
+     * - Item 12 with options 7 and 3 → "12-3_7"
+     *
+     * @param int $menuItemId Menu item ID
+     * @param int[] $optionIds Normalized option IDs (see normalizeOptionIds())
+     * @return int|string Line key used as cart array key
+     */
+    private function buildLineKey(int $menuItemId, array $optionIds): int|string
+    {
+        if (empty($optionIds)) {
+            return $menuItemId;
+        }
+
+        return $menuItemId . self::LINE_KEY_OPTIONS_SEPARATOR . implode(self::LINE_KEY_OPTION_ID_SEPARATOR, $optionIds);
+    }
+
+    /**
+     * Validate selected options against the menu item's option groups
+     *
+     * Rules:
+     * - Every selected option must belong to one of the item's groups
+     * - Each group must respect its minimum (required groups need at least one choice)
+     *   and maximum number of choices
+     *
+     * @param MenuItem $menuItem Menu item being added
+     * @param int[] $optionIds Normalized option IDs
+     * @return array Snapshot of selected options: list of ['id', 'group', 'name', 'priceDelta']
+     * @throws \InvalidArgumentException If a selection is unknown or breaks a group rule
+     */
+    private function resolveOptions(MenuItem $menuItem, array $optionIds): array
+    {
+        $remaining = array_flip($optionIds);
+        $selected = [];
+
+        foreach ($menuItem->getOptionGroups() as $group) {
+            $count = 0;
+            foreach ($group->getOptions() as $option) {
+                if (!isset($remaining[$option->getId()])) {
+                    continue;
+                }
+                unset($remaining[$option->getId()]);
+                $count++;
+                $selected[] = [
+                    'id' => $option->getId(),
+                    'group' => $group->getName(),
+                    'name' => $option->getName(),
+                    'priceDelta' => (float) $option->getPriceDelta(),
+                ];
+            }
+
+            if ($count < $group->getEffectiveMinChoices()) {
+                throw new \InvalidArgumentException(sprintf('Choix requis pour « %s »', $group->getName()));
+            }
+            if ($count > $group->getMaxChoices()) {
+                throw new \InvalidArgumentException(sprintf(
+                    '« %s » : %d choix maximum',
+                    $group->getName(),
+                    $group->getMaxChoices()
+                ));
+            }
+        }
+
+        // Any ID left was not found in this item's groups
+        if (!empty($remaining)) {
+            throw new \InvalidArgumentException('Option invalide pour cet article');
+        }
+
+        return $selected;
     }
 
     /**
@@ -335,25 +988,40 @@ class CartService
      *
      * This private helper method formats the raw cart array from session into
      * a structured response format suitable for API endpoints. It performs:
-     * 1. Converts associative array (keyed by menuItemId) to indexed array
-     * 2. Calculates total price (sum of price * quantity for all items)
-     * 3. Calculates total item count (sum of all quantities)
-     * 4. Rounds total to 2 decimal places for currency precision
+     * 1. Converts associative array (keyed by line key) to indexed array
+     *    (lines stored before options/drinks existed get their default lineKey/options/itemType/taxRate)
+     * 2. Refreshes each line with the current menu price (see refreshLine()):
+     *    'addedPrice' is the stored price, 'priceChanged' and 'unavailable' flag changes
+     * 3. Calculates total price (sum of price * quantity for all items)
+     * 4. Calculates total item count (sum of all quantities)
+     * 5. Rounds total to 2 decimal places for currency precision
      *
      * This method is used internally by all public methods that return cart data
      * to ensure consistent response format across all cart operations.
      *
-     * @param array $cart Cart array from session (associative array keyed by menuItemId)
+     * @param array $cart Cart array from session (associative array keyed by line key)
      * @return array Formatted cart with:
      *   - 'items': Indexed array of cart items (converted from associative array)
      *   - 'total': Total price rounded to 2 decimals
      *   - 'itemCount': Total quantity of all items
+     *   - 'group': Current group order (GroupCartService::describe()), null outside group orders
      */
     private function getCartDetails(array $cart): array
     {
-        // Convert associative array (keyed by menuItemId) to indexed array
+        // Current menu items and drinks of the cart, fetched once per type
+        $entities = $this->findCartEntities($cart);
+
+        // Convert associative array (keyed by line key) to indexed array
         // This makes the response format consistent and easier to work with in frontend
-        $items = array_values($cart);
+        $items = [];
+        foreach ($cart as $lineKey => $item) {
+            $item['lineKey'] = $item['lineKey'] ?? (string) $lineKey;
+            $item['itemType'] = $item['itemType'] ?? OrderItem::TYPE_DISH;
+            $item['taxRate'] = $item['taxRate'] ?? $this->taxCalculationService->getTaxRate();
+            $item['options'] = $item['options'] ?? [];
+            $item['note'] = $item['note'] ?? null;
+            $items[] = $this->refreshLine($item, $entities[$item['itemType']][$item['id']] ?? null);
+        }
         
         // Initialize counters for calculations
         $total = 0;
@@ -373,7 +1041,250 @@ class CartService
             'items' => $items,
             'total' => round($total, 2),  // Round to 2 decimals for currency precision
             'itemCount' => $itemCount,
+            'group' => $this->groupCartService->describe(),
         ];
     }
-}
 
+    /**
+     * Read the cart lines: the group cart in a group order, the session cart otherwise
+     *
+     * @return array Cart lines keyed by line key
+     */
+    private function loadCart(): array
+    {
+        $group = $this->groupCartService->getCurrent();
+        if ($group !== null) {
+            return $group->getItems();
+        }
+
+        return $this->requestStack->getSession()->get(self::CART_SESSION_KEY, []);
+    }
+
+    /**
+     * Write the cart lines where loadCart() read them
+     *
+     * @param array $cart Cart lines keyed by line key
+     */
+    private function saveCart(array $cart): void
+    {
+        $group = $this->groupCartService->getCurrent();
+        if ($group !== null) {
+            $this->groupCartService->saveItems($group, $cart);
+            return;
+        }
+
+        $this->requestStack->getSession()->set(self::CART_SESSION_KEY, $cart);
+    }
+
+    /**
+     * Line key suffix of the visitor's lines: "@{participantIndex}" in a group order, empty otherwise
+     */
+    private function participantSuffix(): string
+    {
+        $index = $this->groupCartService->getParticipantIndex();
+
+        return $index === null ? '' : self::LINE_KEY_PARTICIPANT_SEPARATOR . $index;
+    }
+
+    /**
+     * Attribute a new line to the visitor in a group order
+     *
+     * @param array $line New cart line
+     * @return array Line with 'participant' and 'participantIndex' in a group order, unchanged otherwise
+     */
+    private function withParticipant(array $line): array
+    {
+        $group = $this->groupCartService->getCurrent();
+        if ($group === null) {
+            return $line;
+        }
+
+        $index = $this->groupCartService->getParticipantIndex();
+        $line['participant'] = $group->getParticipantName($index);
+        $line['participantIndex'] = $index;
+
+        return $line;
+    }
+
+    /**
+     * Check that the visitor may change a line of a group order
+     *
+     * Outside group orders every line can be changed. In a group order, the owner
+     * changes any line; participants only their own lines, and only while the
+     * group is not locked.
+     *
+     * @param array|null $line Line being changed (null when adding a line)
+     * @throws \InvalidArgumentException If the group is locked or the line belongs to someone else
+     */
+    private function assertCanEditLine(?array $line = null): void
+    {
+        $group = $this->groupCartService->getCurrent();
+        if ($group === null || $this->groupCartService->isOwner()) {
+            return;
+        }
+
+        $this->assertGroupUnlocked($group);
+        if ($line !== null && ($line['participantIndex'] ?? 0) !== $this->groupCartService->getParticipantIndex()) {
+            throw new \InvalidArgumentException(sprintf(
+                'Cet article a été ajouté par %s : vous ne pouvez pas le modifier',
+                $line['participant'] ?? $group->getOwnerName()
+            ));
+        }
+    }
+
+    /**
+     * Check that a group order still accepts changes from the visitor
+     *
+     * @param GroupCart $group Current group
+     * @throws \InvalidArgumentException If the group is locked and the visitor is not its owner
+     */
+    private function assertGroupUnlocked(GroupCart $group): void
+    {
+        if ($group->isLocked() && !$this->groupCartService->isOwner()) {
+            throw new \InvalidArgumentException('La commande groupée est verrouillée par son organisateur');
+        }
+    }
+
+    /**
+     * Check that the visitor can place the order
+     *
+     * Called by OrderService at checkout: in a group order only the owner pays for
+     * and places the order.
+     *
+     * @throws \InvalidArgumentException If the visitor is a participant of a group order
+     */
+    public function assertCanCheckout(): void
+    {
+        if ($this->groupCartService->getCurrent() !== null && !$this->groupCartService->isOwner()) {
+            throw new \InvalidArgumentException('Seul l\'organisateur de la commande groupée peut la valider');
+        }
+    }
+
+    /**
+     * Turn the visitor's cart into a group order
+     *
+     * The session cart lines become the owner's lines of the group and the
+     * session cart is emptied (it is given back if the owner cancels the group).
+     *
+     * Side effects:
+     * - Persists a GroupCart, removes the cart from session
+     *
+     * @param string $ownerName Name of the owner
+     * @return array Cart details of the group (items, total, itemCount, group)
+     * @throws \InvalidArgumentException If the name is empty or the visitor is already in a group
+     */
+    public function startGroup(string $ownerName): array
+    {
+        $session = $this->requestStack->getSession();
+        $this->groupCartService->create($ownerName, $session->get(self::CART_SESSION_KEY, []));
+        $session->remove(self::CART_SESSION_KEY);
+
+        return $this->getCart();
+    }
+
+    /**
+     * Leave the current group order
+     *
+     * A participant gets back the cart they had before joining. The owner cancels
+     * the group and keeps their own lines in their session cart.
+     *
+     * @return array Cart details of the visitor's own cart
+     * @throws \InvalidArgumentException If not in a group order
+     */
+    public function leaveGroup(): array
+    {
+        $lines = $this->groupCartService->leave();
+        if (!empty($lines)) {
+            $this->requestStack->getSession()->set(self::CART_SESSION_KEY, $lines);
+        }
+
+        return $this->getCart();
+    }
+
+    /**
+     * Close the group order once its order was placed (no-op outside group orders)
+     */
+    public function closeGroup(): void
+    {
+        $this->groupCartService->close();
+    }
+
+    /**
+     * Fetch the menu items and drinks referenced by a cart
+     *
+     * @param array $cart Cart array from session
+     * @return array{dish: array<int, MenuItem>, drink: array<int, Drink>} Entities indexed by type then ID
+     */
+    private function findCartEntities(array $cart): array
+    {
+        $ids = [OrderItem::TYPE_DISH => [], OrderItem::TYPE_DRINK => []];
+        foreach ($cart as $item) {
+            $ids[$item['itemType'] ?? OrderItem::TYPE_DISH][] = $item['id'];
+        }
+
+        $entities = [OrderItem::TYPE_DISH => [], OrderItem::TYPE_DRINK => []];
+        if (!empty($ids[OrderItem::TYPE_DISH])) {
+            foreach ($this->menuItemRepository->findBy(['id' => array_unique($ids[OrderItem::TYPE_DISH])]) as $menuItem) {
+                $entities[OrderItem::TYPE_DISH][$menuItem->getId()] = $menuItem;
+            }
+        }
+        if (!empty($ids[OrderItem::TYPE_DRINK])) {
+            foreach ($this->drinkRepository->findBy(['id' => array_unique($ids[OrderItem::TYPE_DRINK])]) as $drink) {
+                $entities[OrderItem::TYPE_DRINK][$drink->getId()] = $drink;
+            }
+        }
+
+        return $entities;
+    }
+
+    /**
+     * Compare a cart line with the current menu
+     *
+     * - 'addedPrice': unit price stored in the cart (price when added)
+     * - 'price': current unit price (base price + current option deltas)
+     * - 'priceChanged': true when both prices differ
+     * - 'unavailable': true when the item was deleted, hidden or sold out;
+     *   the stored price is kept for these lines
+     * - 'nutrition': current nutrition facts of one serving of a dish (sidebar
+     *   nutrition total), null for drinks and dishes without nutrition facts
+     *
+     * @param array $item Cart line
+     * @param MenuItem|Drink|null $entity Current menu item or drink (null if deleted)
+     * @return array Cart line with the fields above
+     */
+    private function refreshLine(array $item, MenuItem|Drink|null $entity): array
+    {
+        $item['addedPrice'] = $item['price'];
+        $item['priceChanged'] = false;
+        $item['nutrition'] = $entity instanceof MenuItem && !$entity->getNutrition()->isEmpty()
+            ? $entity->getNutrition()->toArray()
+            : null;
+        $item['unavailable'] = $entity === null
+            || ($entity instanceof MenuItem && ($entity->isHidden() || $entity->isSoldOut()));
+
+        if ($item['unavailable']) {
+            return $item;
+        }
+
+        $price = (float) $entity->getPrice();
+        if ($entity instanceof MenuItem && !empty($item['options'])) {
+            // Current price delta of each selected option (stored delta if the option was removed)
+            $deltas = [];
+            foreach ($entity->getOptionGroups() as $group) {
+                foreach ($group->getOptions() as $option) {
+                    $deltas[$option->getId()] = (float) $option->getPriceDelta();
+                }
+            }
+            foreach ($item['options'] as &$option) {
+                $option['priceDelta'] = $deltas[$option['id']] ?? $option['priceDelta'];
+                $price += $option['priceDelta'];
+            }
+            unset($option);
+        }
+
+        $item['price'] = round($price, 2);
+        $item['priceChanged'] = abs($item['price'] - $item['addedPrice']) >= 0.005;
+
+        return $item;
+    }
+}
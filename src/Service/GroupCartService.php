@@ -0,0 +1,392 @@
+<?php
+
+namespace App\Service;
+
+use App\Entity\GroupCart;
+use App\Repository\GroupCartRepository;
+use Doctrine\DBAL\LockMode;
+use Doctrine\ORM\EntityManagerInterface;
+use Symfony\Component\HttpFoundation\RequestStack;
+use Symfony\Component\Routing\Generator\UrlGeneratorInterface;
+
+/**
+ * Group Order Service ("commande groupée")
+ *
+ * Lets a customer turn their cart into a shared cart: they get a share link,
+ * the people who open it enter their name and fill the same cart through the
+ * normal menu UI. CartService reads and writes the group cart instead of the
+ * session cart while the visitor belongs to a group.
+ *
+ * Responsibilities:
+ * - Create a group from the current session cart (the creator is the owner)
+ * - Join a group from its share link under a name
+ * - Lock/unlock the group (owner only: participants can no longer change it)
+ * - Leave or close a group
+ * - Describe the group for cart API responses
+ *
+ * Session structure:
+ * - Stored under 'group_cart' key: ['token' => string, 'participant' => int]
+ * - 'participant' is the index of the visitor in GroupCart::participants (0 = owner)
+ *
+ * Concurrency (several people edit the same row):
+ * - join(), setLocked(), leave() and close() reload the group with its row locked
+ *   (SELECT ... FOR UPDATE in a transaction): two people joining at once get
+ *   different participant indexes
+ * - saveItems() writes lines computed from the group read at the start of the
+ *   request; GroupCart::version makes the write fail with an OptimisticLockException
+ *   when someone else changed the group meanwhile (409, see ApiExceptionSubscriber)
+ *
+ * Side effects:
+ * - Reads/writes the session (current group membership)
+ * - Persists GroupCart entities (each cart change of a group is flushed)
+ */
+class GroupCartService
+{
+    /**
+     * Session key storing the group the visitor belongs to
+     */
+    private const SESSION_KEY = 'group_cart';
+
+    /**
+     * Maximum length of a participant name
+     */
+    public const NAME_MAX_LENGTH = 40;
+
+    /**
+     * Group of the current request, resolved once (false = not looked up yet)
+     */
+    private GroupCart|null|false $current = false;
+
+    /**
+     * Constructor
+     *
+     * @param RequestStack $requestStack Symfony request stack for session access
+     * @param EntityManagerInterface $entityManager Entity manager persisting group carts
+     * @param GroupCartRepository $groupCartRepository Repository looking up groups by token
+     * @param UrlGeneratorInterface $urlGenerator Router building the share link
+     */
+    public function __construct(
+        private RequestStack $requestStack,
+        private EntityManagerInterface $entityManager,
+        private GroupCartRepository $groupCartRepository,
+        private UrlGeneratorInterface $urlGenerator
+    ) {}
+
+    /**
+     * Get the open group the visitor belongs to
+     *
+     * A group closed meanwhile (order placed by the owner) is forgotten: the
+     * visitor is back to their own session cart.
+     *
+     * @return GroupCart|null Current group, or null when not in a group order
+     */
+    public function getCurrent(): ?GroupCart
+    {
+        if ($this->current !== false) {
+            return $this->current;
+        }
+
+        $session = $this->requestStack->getSession();
+        $membership = $session->get(self::SESSION_KEY, []);
+        $this->current = null;
+
+        if (!empty($membership['token'])) {
+            $this->current = $this->groupCartRepository->findOpenByToken($membership['token']);
+            if ($this->current === null) {
+                $session->remove(self::SESSION_KEY);
+            }
+        }
+
+        return $this->current;
+    }
+
+    /**
+     * Index of the visitor in the participants of the current group
+     *
+     * @return int|null Participant index (0 = owner), null when not in a group order
+     */
+    public function getParticipantIndex(): ?int
+    {
+        if ($this->getCurrent() === null) {
+            return null;
+        }
+
+        return (int) ($this->requestStack->getSession()->get(self::SESSION_KEY, [])['participant'] ?? 0);
+    }
+
+    /**
+     * Whether the visitor owns the current group
+     */
+    public function isOwner(): bool
+    {
+        return $this->getParticipantIndex() === 0;
+    }
+
+    /**
+     * Create a group order from the visitor's cart
+     *
+     * The session cart lines become the owner's lines of the group: their key
+     * gets the participant suffix "@0" (see CartService).
+     *
+     * @param string $ownerName Name of the owner
+     * @param array $lines Current session cart lines (keyed by line key)
+     * @return GroupCart Created group
+     * @throws \InvalidArgumentException If the name is empty or the visitor is already in a group
+     */
+    public function create(string $ownerName, array $lines): GroupCart
+    {
+        if ($this->getCurrent() !== null) {
+            throw new \InvalidArgumentException('Vous participez déjà à une commande groupée');
+        }
+
+        $name = $this->normalizeName($ownerName);
+
+        $group = new GroupCart();
+        $group->setToken(bin2hex(random_bytes(16)));
+        $group->addParticipant($name);
+
+        $items = [];
+        foreach ($lines as $lineKey => $line) {
+            $key = ($line['lineKey'] ?? (string) $lineKey) . '@0';
+            $items[$key] = array_merge($line, ['lineKey' => $key, 'participant' => $name, 'participantIndex' => 0]);
+        }
+        $group->setItems($items);
+
+        $this->entityManager->persist($group);
+        $this->entityManager->flush();
+
+        $this->remember($group, 0);
+
+        return $group;
+    }
+
+    /**
+     * Join a group order from its share link
+     *
+     * Opening the link again from the same browser keeps the existing participant.
+     *
+     * @param string $token Token of the share link
+     * @param string $name Name of the participant
+     * @return GroupCart Joined group
+     * @throws \InvalidArgumentException If the group does not exist, is closed, locked or full
+     */
+    public function join(string $token, string $name): GroupCart
+    {
+        $group = $this->groupCartRepository->findOpenByToken($token);
+        if ($group === null) {
+            throw new \InvalidArgumentException('Cette commande groupée n\'existe pas ou est terminée');
+        }
+
+        $current = $this->getCurrent();
+        if ($current !== null && $current->getId() === $group->getId()) {
+            return $group;
+        }
+        if ($current !== null) {
+            throw new \InvalidArgumentException('Vous participez déjà à une autre commande groupée');
+        }
+        $name = $this->normalizeName($name);
+
+        $index = $this->updateLocked($group, static function (GroupCart $group) use ($name): int {
+            // Checked on the locked row: the group may have been closed, locked or filled meanwhile
+            if ($group->isClosed()) {
+                throw new \InvalidArgumentException('Cette commande groupée n\'existe pas ou est terminée');
+            }
+            if ($group->isLocked()) {
+                throw new \InvalidArgumentException('La commande groupée est verrouillée par son organisateur');
+            }
+            if (count($group->getParticipants()) >= GroupCart::MAX_PARTICIPANTS) {
+                throw new \InvalidArgumentException('La commande groupée est complète');
+            }
+
+            return $group->addParticipant($name);
+        });
+
+        $this->remember($group, $index);
+
+        return $group;
+    }
+
+    /**
+     * Store the lines of the current group
+     *
+     * The lines were computed from the group as read at the start of the request:
+     * if another participant changed it since, the version check of the flush fails
+     * and nothing is written.
+     *
+     * @param GroupCart $group Group being modified
+     * @param array $items Cart lines keyed by line key
+     * @throws \Doctrine\ORM\OptimisticLockException If the group was changed by another request meanwhile
+     */
+    public function saveItems(GroupCart $group, array $items): void
+    {
+        $group->setItems($items);
+        $this->entityManager->flush();
+    }
+
+    /**
+     * Lock or unlock the current group (owner only)
+     *
+     * @param bool $locked True to lock
+     * @return GroupCart Current group
+     * @throws \InvalidArgumentException If not in a group or not its owner
+     */
+    public function setLocked(bool $locked): GroupCart
+    {
+        $group = $this->requireOwnedGroup();
+
+        return $this->updateLocked($group, static fn(GroupCart $group): GroupCart => $group->setLocked($locked));
+    }
+
+    /**
+     * Leave the current group
+     *
+     * A participant simply leaves (their lines stay in the group for the owner to
+     * decide). The owner leaving cancels the group: it is closed and the owner
+     * gets their own lines back in their session cart.
+     *
+     * @return array Lines to put back in the session cart (owner only, keyed by line key)
+     * @throws \InvalidArgumentException If not in a group
+     */
+    public function leave(): array
+    {
+        $group = $this->getCurrent();
+        if ($group === null) {
+            throw new \InvalidArgumentException('Aucune commande groupée en cours');
+        }
+
+        $lines = [];
+        if ($this->isOwner()) {
+            // Lines read on the locked row: the ones added until now go back to the owner
+            $lines = $this->updateLocked($group, static function (GroupCart $group): array {
+                $lines = [];
+                foreach ($group->getItems() as $line) {
+                    if (($line['participantIndex'] ?? 0) !== 0) {
+                        continue;
+                    }
+                    $key = explode('@', $line['lineKey'])[0];
+                    unset($line['participant'], $line['participantIndex']);
+                    $lines[$key] = array_merge($line, ['lineKey' => $key]);
+                }
+                $group->close();
+
+                return $lines;
+            });
+        }
+
+        $this->forget();
+
+        return $lines;
+    }
+
+    /**
+     * Close the current group once its order was placed
+     *
+     * Participants still on the menu are detached on their next request.
+     */
+    public function close(): void
+    {
+        $group = $this->getCurrent();
+        if ($group === null) {
+            return;
+        }
+
+        $this->updateLocked($group, static fn(GroupCart $group): GroupCart => $group->close());
+        $this->forget();
+    }
+
+    /**
+     * Describe the current group for cart responses
+     *
+     * @return array|null ['token', 'shareUrl', 'participants', 'locked', 'owner', 'me'], null when not in a group
+     */
+    public function describe(): ?array
+    {
+        $group = $this->getCurrent();
+        if ($group === null) {
+            return null;
+        }
+
+        return [
+            'token' => $group->getToken(),
+            'shareUrl' => $this->urlGenerator->generate(
+                'app_group_cart_join',
+                ['token' => $group->getToken()],
+                UrlGeneratorInterface::ABSOLUTE_URL
+            ),
+            'participants' => $group->getParticipants(),
+            'locked' => $group->isLocked(),
+            'owner' => $this->isOwner(),
+            'me' => $this->getParticipantIndex(),
+        ];
+    }
+
+    /**
+     * Get the current group, checking that the visitor owns it
+     *
+     * @throws \InvalidArgumentException If not in a group or not its owner
+     */
+    private function requireOwnedGroup(): GroupCart
+    {
+        $group = $this->getCurrent();
+        if ($group === null) {
+            throw new \InvalidArgumentException('Aucune commande groupée en cours');
+        }
+        if (!$this->isOwner()) {
+            throw new \InvalidArgumentException('Seul l\'organisateur peut faire cette action');
+        }
+
+        return $group;
+    }
+
+    /**
+     * Apply a change to a group with its row locked
+     *
+     * The group is reloaded with SELECT ... FOR UPDATE inside a transaction, so the
+     * change sees what concurrent requests wrote; they wait until it is committed.
+     *
+     * @template T
+     * @param GroupCart $group Group to change
+     * @param callable(GroupCart): T $change Change, applied to the reloaded group
+     * @return T Result of the change
+     * @throws \InvalidArgumentException Thrown by the change (transaction rolled back)
+     */
+    private function updateLocked(GroupCart $group, callable $change): mixed
+    {
+        // wrapInTransaction() flushes before committing
+        return $this->entityManager->wrapInTransaction(function () use ($group, $change): mixed {
+            $this->entityManager->refresh($group, LockMode::PESSIMISTIC_WRITE);
+
+            return $change($group);
+        });
+    }
+
+    /**
+     * Sanitize a participant name
+     *
+     * @throws \InvalidArgumentException If the name is empty
+     */
+    private function normalizeName(string $name): string
+    {
+        $name = InputSanitizer::sanitize($name);
+        $name = trim(preg_replace('/\s+/u', ' ', $name));
+        $name = mb_substr($name, 0, self::NAME_MAX_LENGTH);
+
+        if ($name === '') {
+            throw new \InvalidArgumentException('Indiquez votre prénom');
+        }
+
+        return $name;
+    }
+
+    private function remember(GroupCart $group, int $index): void
+    {
+        $this->requestStack->getSession()->set(self::SESSION_KEY, ['token' => $group->getToken(), 'participant' => $index]);
+        $this->current = $group;
+    }
+
+    private function forget(): void
+    {
+        $this->requestStack->getSession()->remove(self::SESSION_KEY);
+        $this->current = null;
+    }
+}
@@ -20,6 +20,8 @@ class JsonFieldWhitelistService
             'deliveryAddress',
             'deliveryZip',
             'deliveryInstructions',
+            'deliveryDate',
+            'deliveryTime',
             'deliveryFee',
             'paymentMode',
             'clientFirstName',
@@ -30,12 +32,20 @@ class JsonFieldWhitelistService
             'couponId',
             'discountAmount',
         ],
+        // Reorder a previous order ("Commander à nouveau")
+        '/api/order/reorder' => [
+            'no',
+            'contact',
+            'signature',
+        ],
         // Backward-compat: older clients may still call /api/order/create
         '/api/order/create' => [
             'deliveryMode',
             'deliveryAddress',
             'deliveryZip',
             'deliveryInstructions',
+            'deliveryDate',
+            'deliveryTime',
             'deliveryFee',
             'paymentMode',
             'clientFirstName',
@@ -51,11 +61,31 @@ class JsonFieldWhitelistService
         '/api/cart/*' => [
             'itemId',
             'quantity',
+            'options', // Selected dish option IDs
+            'itemType', // 'dish' (default) or 'drink'
         ],
         // Cart update endpoint (specific pattern for /api/cart/update/{id})
         '/api/cart/update/*' => [
             'quantity',
         ],
+        // Atomic batch of cart operations
+        '/api/cart/batch' => [
+            'operations',
+        ],
+        // Cart line note endpoint (/api/cart/note/{id})
+        '/api/cart/note/*' => [
+            'note',
+        ],
+        // Group orders: owner's name on creation, participant's name when joining
+        '/api/cart/group' => [
+            'name',
+        ],
+        '/api/cart/group/join/*' => [
+            'name',
+        ],
+        '/api/cart/group/lock' => [
+            'locked',
+        ],
         
         // Coupon endpoints
         '/api/coupon/validate' => [
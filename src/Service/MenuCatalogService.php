@@ -0,0 +1,350 @@
+<?php
+
+namespace App\Service;
+
+use App\Entity\MenuItem;
+use App\Repository\AllergenRepository;
+use App\Repository\CategoryRepository;
+use App\Repository\DrinkRepository;
+use App\Repository\MenuItemRepository;
+use App\Repository\ReviewRepository;
+use Liip\ImagineBundle\Imagine\Cache\CacheManager;
+use Psr\Log\LoggerInterface;
+
+/**
+ * Menu Catalog Service
+ *
+ * Builds the catalogue of the menu page (categories, dishes, drinks, badges, tags, allergens)
+ * in the structure expected by static/js/menu-catalog.js and static/js/menu.js.
+ * Served by GET /api/menu.
+ *
+ * Responsibilities:
+ * - Serialize the visible dishes (images, badges, tags, allergens, nutrition,
+ *   options, availability, service windows, rating aggregates)
+ * - List the categories in display order (Category entities, plus the slugs
+ *   of dishes without a Category so they never disappear from the menu)
+ * - Group the drinks by type
+ * - Compute the catalogue version (ETag) and last modification date
+ *
+ * The version is a hash of the serialized catalogue: it changes with any change
+ * the customer can see (price, availability, new review...), including the ones
+ * that do not touch MenuItem::updatedAt (drinks, reviews).
+ */
+class MenuCatalogService
+{
+    /**
+     * Constructor
+     *
+     * @param MenuItemRepository $menuItemRepository Visible dishes
+     * @param DrinkRepository $drinkRepository Drinks
+     * @param AllergenRepository $allergenRepository Allergen dictionary
+     * @param CategoryRepository $categoryRepository Menu categories
+     * @param ReviewRepository $reviewRepository Rating aggregates
+     * @param CacheManager $cacheManager LiipImagine cache (image variants)
+     * @param LoggerInterface $logger Logger for image variant failures
+     */
+    public function __construct(
+        private MenuItemRepository $menuItemRepository,
+        private DrinkRepository $drinkRepository,
+        private AllergenRepository $allergenRepository,
+        private CategoryRepository $categoryRepository,
+        private ReviewRepository $reviewRepository,
+        private CacheManager $cacheManager,
+        private LoggerInterface $logger
+    ) {}
+
+    /**
+     * Build the menu catalogue
+     *
+     * @return array [
+     *   'version' => string hash of the catalogue (used as ETag),
+     *   'data' => ['version', 'categories', 'items', 'drinks', 'badges', 'tags', 'allergens']
+     * ]
+     */
+    public function getCatalog(): array
+    {
+        $ratings = $this->reviewRepository->getApprovedStatsByMenuItem();
+
+        $items = [];
+        $badges = [];
+        $tags = [];
+
+        foreach ($this->menuItemRepository->findVisible() as $item) {
+            $items[] = $this->serializeItem($item, $ratings);
+
+            foreach ($item->getBadges() as $badge) {
+                $badges[$badge->getName()] = ['name' => $badge->getName(), 'slug' => $badge->getSlug()];
+            }
+            foreach ($item->getTags() as $tag) {
+                $tags[$tag->getCode()] = ['code' => $tag->getCode(), 'name' => $tag->getName()];
+            }
+        }
+
+        $allergens = [];
+        foreach ($this->allergenRepository->findBy([], ['name' => 'ASC']) as $allergen) {
+            $allergens[] = ['code' => $allergen->getCode(), 'name' => $allergen->getName()];
+        }
+
+        $data = [
+            'categories' => $this->getCategories(),
+            'items' => $items,
+            'drinks' => $this->serializeDrinks(),
+            'badges' => array_values($badges),
+            'tags' => array_values($tags),
+            'allergens' => $allergens,
+        ];
+        $version = sha1(json_encode($data, JSON_UNESCAPED_UNICODE | JSON_UNESCAPED_SLASHES));
+
+        return [
+            'version' => $version,
+            'data' => ['version' => $version] + $data,
+        ];
+    }
+
+    /**
+     * Categories of the menu, in display order
+     *
+     * A dish saved with a slug that has no Category gets a section named after
+     * the slug at the end of the menu instead of disappearing.
+     *
+     * @return array<int, array{slug: string, name: string, icon: ?string}>
+     */
+    public function getCategories(): array
+    {
+        $categories = [];
+        foreach ($this->categoryRepository->findOrdered() as $category) {
+            $categories[$category->getSlug()] = [
+                'slug' => $category->getSlug(),
+                'name' => $category->getName(),
+                'icon' => $category->getIcon(),
+            ];
+        }
+
+        foreach ($this->menuItemRepository->findVisibleCategorySlugs() as $slug) {
+            if ($slug !== null && $slug !== '' && !isset($categories[$slug])) {
+                $categories[$slug] = ['slug' => $slug, 'name' => ucfirst($slug), 'icon' => null];
+            }
+        }
+
+        return array_values($categories);
+    }
+
+    /**
+     * Time ("H:i") at which a sold out dish comes back, when that is later today
+     *
+     * The one-click "86" action sells out until midnight: no time is shown then,
+     * the card simply reads "Épuisé".
+     */
+    public function soldOutUntilTime(MenuItem $item): ?string
+    {
+        $until = $item->getSoldOutUntil();
+        if (!$until || !$item->isSoldOut() || $until >= new \DateTimeImmutable('tomorrow')) {
+            return null;
+        }
+
+        return $until->format('H:i');
+    }
+
+    /**
+     * Serialize the option groups of a dish for the front-end option picker
+     *
+     * Min choices are exported as the effective value (a required group always
+     * needs at least one choice) so the client enforces the same rule as CartService.
+     *
+     * @return array<int, array{id: int, name: string, required: bool, minChoices: int, maxChoices: int, options: array<int, array{id: int, name: string, priceDelta: float}>}>
+     */
+    public function serializeOptionGroups(MenuItem $item): array
+    {
+        $groups = [];
+        foreach ($item->getOptionGroups() as $group) {
+            $options = [];
+            foreach ($group->getOptions() as $option) {
+                $options[] = [
+                    'id' => $option->getId(),
+                    'name' => $option->getName(),
+                    'priceDelta' => (float) $option->getPriceDelta(),
+                ];
+            }
+            if (!$options) {
+                continue;
+            }
+            $groups[] = [
+                'id' => $group->getId(),
+                'name' => $group->getName(),
+                'required' => $group->isRequired(),
+                'minChoices' => $group->getEffectiveMinChoices(),
+                'maxChoices' => $group->getMaxChoices(),
+                'options' => $options,
+            ];
+        }
+
+        return $groups;
+    }
+
+    /**
+     * Serialize a dish for the menu page
+     *
+     * @param MenuItem $item Visible dish
+     * @param array<int, array{cnt:int, avg:float}> $ratings Rating aggregates by dish ID
+     */
+    private function serializeItem(MenuItem $item, array $ratings): array
+    {
+        $badges = [];
+        foreach ($item->getBadges() as $badge) {
+            $badges[] = $badge->getName();
+        }
+
+        // Codes techniques pour le filtrage
+        $tags = [];
+        foreach ($item->getTags() as $tag) {
+            $tags[] = $tag->getCode();
+        }
+
+        // Codes des allergènes (filtre « Exclure les allergènes »)
+        $allergens = [];
+        foreach ($item->getAllergens() as $allergen) {
+            $allergens[] = $allergen->getCode();
+        }
+
+        $image = $this->resolveImagePath($item->getImage());
+        $variants = $this->resolveImageVariants($image);
+
+        return [
+            // Forcer l'ID en string pour correspondre au JS (comparaisons strictes)
+            'id' => (string) $item->getId(),
+            'name' => $item->getName(),
+            'description' => $item->getDescription(),
+            'price' => (float) $item->getPrice(),
+            'category' => $item->getCategory(), // slug d'une catégorie (voir getCategories())
+            'image' => $image,
+            'image_original' => $image,
+            'image_optimized' => $variants['gallery_jpeg'],
+            'image_webp' => $variants['gallery_webp'],
+            'image_full' => $variants['hero_jpeg'] ?? $image,
+            'image_full_webp' => $variants['hero_webp'],
+            'badges' => $badges,
+            'tags' => $tags,
+            'allergens' => $allergens,
+            // Ingrédients : recherchés par la barre de recherche du menu
+            'ingredients' => array_values($item->getIngredientsAsArray()),
+            'nutrition' => $item->getNutrition()->toArray(), // par portion, null = non renseigné
+            'optionGroups' => $this->serializeOptionGroups($item),
+            // Disponibilité : un plat épuisé reste affiché mais ne peut pas être commandé
+            'available' => $item->isOrderable(),
+            'soldOutUntil' => $this->soldOutUntilTime($item),
+            // Horaires de service (formule déjeuner...) : aucun = servi à toute heure
+            'schedules' => $this->serializeSchedules($item),
+            'dailySpecial' => $item->isDailySpecial(),
+            // Tri du menu : note moyenne, temps de préparation (minutes), date d'ajout
+            'ratingAvg' => round($ratings[$item->getId()]['avg'] ?? 0, 1),
+            'ratingCount' => $ratings[$item->getId()]['cnt'] ?? 0,
+            'prepTimeMin' => $item->getPrepTimeMin(),
+            'prepTimeMax' => $item->getPrepTimeMax(),
+            'createdAt' => $item->getCreatedAt()?->format('c'),
+        ];
+    }
+
+    /**
+     * Service windows of a dish
+     *
+     * Whether the dish is served right now is computed by the browser: the
+     * catalogue (and its ETag) does not change with the time of day.
+     *
+     * @return array<int, array{name: string, weekdays: int[], start: string, end: string}>
+     */
+    private function serializeSchedules(MenuItem $item): array
+    {
+        $schedules = [];
+        foreach ($item->getSchedules() as $schedule) {
+            $schedules[] = [
+                'name' => $schedule->getName(),
+                'weekdays' => $schedule->getWeekdays(),
+                'start' => $schedule->getStartTime(),
+                'end' => $schedule->getEndTime(),
+            ];
+        }
+
+        return $schedules;
+    }
+
+    /**
+     * Drinks grouped by type (vins, chaudes, bieres, fraiches...)
+     *
+     * @return array<string, array<int, array{id: int, name: string, price: float}>>
+     */
+    private function serializeDrinks(): array
+    {
+        $drinks = [
+            'vins' => [],
+            'chaudes' => [],
+            'bieres' => [],
+            'fraiches' => [],
+        ];
+        foreach ($this->drinkRepository->findAll() as $drink) {
+            // id : permet d'ajouter la boisson au panier (itemType 'drink')
+            $drinks[$drink->getType() ?? 'autres'][] = [
+                'id' => $drink->getId(),
+                'name' => $drink->getName(),
+                'price' => (float) $drink->getPrice(),
+            ];
+        }
+
+        return $drinks;
+    }
+
+    /**
+     * Resolve the public path of a dish image
+     *
+     * Images are stored in /static/img/menu/ (all menu items in one folder).
+     */
+    private function resolveImagePath(?string $image): ?string
+    {
+        if (!$image) {
+            return null;
+        }
+
+        // If it's just a filename from upload, prefix with menu folder
+        if (
+            !str_starts_with($image, '/uploads/')
+            && !str_starts_with($image, '/assets/')
+            && !str_starts_with($image, '/static/')
+            && !str_starts_with($image, 'http')
+        ) {
+            $image = '/static/img/menu/' . ltrim($image, '/');
+        }
+        // If path starts with 'assets/' or 'static/', make it absolute under public
+        if (str_starts_with($image, 'assets/') || str_starts_with($image, 'static/')) {
+            $image = '/' . ltrim($image, '/');
+        }
+
+        return $image;
+    }
+
+    /**
+     * LiipImagine variants of a dish image (null values when unavailable)
+     *
+     * @return array{gallery_jpeg: ?string, gallery_webp: ?string, hero_jpeg: ?string, hero_webp: ?string}
+     */
+    private function resolveImageVariants(?string $image): array
+    {
+        $variants = ['gallery_jpeg' => null, 'gallery_webp' => null, 'hero_jpeg' => null, 'hero_webp' => null];
+
+        $normalizedImage = $image ? ltrim($image, '/') : null;
+        if (!$normalizedImage) {
+            return $variants;
+        }
+
+        try {
+            foreach (array_keys($variants) as $filter) {
+                $variants[$filter] = $this->cacheManager->getBrowserPath($normalizedImage, $filter);
+            }
+        } catch (\Throwable $e) {
+            $this->logger->warning('LiipImagine failed to generate menu image variant', [
+                'path' => $normalizedImage,
+                'error' => $e->getMessage(),
+            ]);
+        }
+
+        return $variants;
+    }
+}
@@ -2,6 +2,8 @@
 
 namespace App\Service;
 
+use App\Entity\MenuItem;
+
 /**
  * Menu Item Image Path Resolver Service
  *
@@ -21,6 +23,9 @@ namespace App\Service;
  * - Other relative paths - prepended with /static/img/menu/
  * - Null/empty values - returns default placeholder image
  *
+ * resolvePhotos() resolves the ordered photos of a dish (dish page thumbnail
+ * strip and zoom viewer), falling back to its image for dishes without photos.
+ *
  * Usage:
  * This service is typically injected into services that need to resolve menu item
  * image paths, such as CartService or MenuController.
@@ -97,5 +102,28 @@ class MenuItemImageResolver
         // Example: '/dish.jpg' → '/static/img/menu/dish.jpg' (ltrim removes leading slash)
         return '/static/img/menu/' . ltrim($image, '/');
     }
-}
 
+    /**
+     * Resolve the photos of a dish, in display order
+     *
+     * Dishes without photos (created before photos existed, fixtures) get their
+     * image as the only photo, so the dish page always has something to show.
+     *
+     * @param MenuItem $menuItem Dish
+     * @return array<int, array{src: string, alt: string}> Resolved paths with their alternative text (dish name when empty)
+     */
+    public function resolvePhotos(MenuItem $menuItem): array
+    {
+        $name = (string) $menuItem->getName();
+
+        $photos = [];
+        foreach ($menuItem->getOrderedPhotos() as $photo) {
+            $photos[] = [
+                'src' => $this->resolve($photo->getPath()),
+                'alt' => $photo->getAlt() ?: $name,
+            ];
+        }
+
+        return $photos ?: [['src' => $this->resolve($menuItem->getImage()), 'alt' => $name]];
+    }
+}
@@ -0,0 +1,183 @@
+<?php
+
+namespace App\Service;
+
+use App\Entity\MenuItem;
+use App\Entity\MenuItemPhoto;
+use Psr\Log\LoggerInterface;
+use Symfony\Component\DependencyInjection\Attribute\Autowire;
+use Symfony\Component\HttpFoundation\File\Exception\FileException;
+use Symfony\Component\HttpFoundation\File\UploadedFile;
+
+/**
+ * Menu Item Photo Storage Service
+ *
+ * Stores the photos uploaded for a dish in the back-office (MenuItemCrudController)
+ * and deletes the files of removed photos (MenuItemPhotoListener).
+ *
+ * Files live in public/static/img/menu/ (all menu items in one folder); only the
+ * file name is saved in MenuItemPhoto::path, MenuItemImageResolver prefixes it
+ * with /static/img/menu/ for display.
+ *
+ * Note: files are moved manually to ensure they are saved to the correct location
+ * on the hosting server. EasyAdmin's automatic file handling can sometimes fail on
+ * hosting environments due to path resolution issues.
+ */
+class MenuItemPhotoStorage
+{
+    public function __construct(
+        private FileUploadValidator $fileValidator,
+        private LoggerInterface $logger,
+        #[Autowire('%kernel.project_dir%/public/static/img/menu')]
+        private string $uploadDir
+    ) {
+    }
+
+    /**
+     * Add uploaded photos to a dish
+     *
+     * Every file is validated before any is stored, so a rejected file doesn't leave
+     * the others half added. New photos go after the existing ones, in upload order.
+     *
+     * @param UploadedFile[] $uploadedFiles
+     * @return MenuItemPhoto[] The added photos
+     * @throws FileException if a file is rejected ("<file name> : <reason>"), nothing is stored
+     * @throws \RuntimeException|\InvalidArgumentException if a file can't be stored, nothing is added
+     */
+    public function addUploadedPhotos(MenuItem $menuItem, array $uploadedFiles): array
+    {
+        // Validate files: MIME type, extension, and size
+        foreach ($uploadedFiles as $uploadedFile) {
+            try {
+                $this->fileValidator->validate($uploadedFile);
+            } catch (FileException $e) {
+                throw new FileException(sprintf('%s : %s', $uploadedFile->getClientOriginalName(), $e->getMessage()), 0, $e);
+            }
+        }
+
+        $position = 0;
+        foreach ($menuItem->getPhotos() as $photo) {
+            $position = max($position, $photo->getPosition() + 1);
+        }
+
+        $fileNames = [];
+        try {
+            foreach ($uploadedFiles as $uploadedFile) {
+                $fileNames[] = $this->store($menuItem, $uploadedFile);
+            }
+        } catch (\Exception $e) {
+            // Don't keep the files of the batch already stored
+            foreach ($fileNames as $fileName) {
+                $this->delete($fileName);
+            }
+            throw $e;
+        }
+
+        $photos = [];
+        foreach ($fileNames as $fileName) {
+            $photo = (new MenuItemPhoto())
+                ->setPath($fileName)
+                ->setPosition($position++);
+            $menuItem->addPhoto($photo);
+            $photos[] = $photo;
+        }
+
+        return $photos;
+    }
+
+    /**
+     * Delete the file of a photo from the menu images folder
+     *
+     * Only plain file names are handled: absolute paths and URLs (seeded or external
+     * images) point outside the folder and are left alone.
+     *
+     * @return bool Whether a file was deleted
+     */
+    public function delete(string $path): bool
+    {
+        if ($path === '' || $path !== basename($path) || str_starts_with($path, '.')) {
+            return false;
+        }
+
+        $fullPath = $this->uploadDir . '/' . $path;
+        if (!is_file($fullPath)) {
+            return false;
+        }
+
+        if (!@unlink($fullPath)) {
+            $this->logger->warning('Menu item image deletion failed', ['full_path' => $fullPath]);
+
+            return false;
+        }
+
+        return true;
+    }
+
+    /**
+     * Move an uploaded photo to the menu images folder
+     *
+     * @return string File name stored in MenuItemPhoto::path
+     */
+    private function store(MenuItem $menuItem, UploadedFile $uploadedFile): string
+    {
+        $uploadDir = $this->uploadDir;
+
+        // Ensure upload directory exists with proper permissions
+        if (!is_dir($uploadDir)) {
+            if (!mkdir($uploadDir, 0755, true)) {
+                throw new \RuntimeException('Failed to create upload directory: ' . $uploadDir);
+            }
+        }
+
+        // Check if directory is writable
+        if (!is_writable($uploadDir)) {
+            throw new \RuntimeException('Upload directory is not writable: ' . $uploadDir);
+        }
+
+        // Generate unique filename (similar to gallery - using uniqid for simplicity)
+        $extension = $uploadedFile->guessExtension() ?: $uploadedFile->getClientOriginalExtension();
+        $fileName = uniqid() . '.' . $extension;
+
+        // Ensure filename is unique (in case of rapid uploads)
+        $fullPath = $uploadDir . '/' . $fileName;
+        $counter = 1;
+        while (file_exists($fullPath)) {
+            $fileName = uniqid() . '-' . $counter . '.' . $extension;
+            $fullPath = $uploadDir . '/' . $fileName;
+            $counter++;
+        }
+
+        try {
+            $uploadedFile->move($uploadDir, $fileName);
+
+            // Verify file was actually moved
+            if (!file_exists($fullPath)) {
+                throw new \RuntimeException('File was not saved after move operation');
+            }
+
+            $this->logger->info('Menu item image uploaded', [
+                'menu_item_id' => $menuItem->getId(),
+                'menu_item_name' => $menuItem->getName(),
+                'filename' => $fileName,
+                'full_path' => $fullPath,
+                'upload_dir' => $uploadDir,
+            ]);
+
+            return $fileName;
+        } catch (\Exception $e) {
+            // Clean up if file was partially moved
+            if (file_exists($fullPath)) {
+                @unlink($fullPath);
+            }
+
+            $this->logger->error('Menu item image upload failed', [
+                'menu_item_id' => $menuItem->getId(),
+                'menu_item_name' => $menuItem->getName(),
+                'error' => $e->getMessage(),
+                'upload_dir' => $uploadDir,
+            ]);
+
+            throw new \InvalidArgumentException('Erreur lors de l\'upload du fichier: ' . $e->getMessage());
+        }
+    }
+}
@@ -68,7 +68,7 @@ class OrderService
      * Create a new order from current cart contents
      *
      * This method performs an atomic transaction that:
-     * 1. Validates cart is not empty
+     * 1. Validates cart is not empty, every dish is still available (and served at the chosen slot) and price changes were acknowledged
      * 2. Creates Order entity with initial state (PENDING status)
      * 3. Validates and populates delivery fields based on delivery mode (DELIVERY or PICKUP)
      * 4. Calculates pricing (subtotal, tax, total, delivery fee)
@@ -89,7 +89,7 @@ class OrderService
      *
      * @param OrderCreateRequest $dto Validated order creation DTO
      * @return Order Created and persisted Order entity
-     * @throws \InvalidArgumentException If cart is empty, phone number is invalid, or validation fails
+     * @throws \InvalidArgumentException If cart is empty, a dish is sold out or not served at the chosen slot, a price changed, a group participant checks out, phone number is invalid, or validation fails
      * @throws \RuntimeException If database transaction fails
      */
     public function createOrder(OrderCreateRequest $dto): Order
@@ -101,6 +101,16 @@ class OrderService
             throw new \InvalidArgumentException("Le panier est vide");
         }
 
+        // Dishes marked sold out or hidden since they were added to the cart,
+        // or served only in a time window that excludes the chosen slot
+        $this->cartService->assertItemsAvailable($cart['items'], $this->resolveDeliverySlot($dto));
+
+        // Prices changed since the items were added, and not yet shown to the customer
+        $this->cartService->assertPricesAcknowledged($cart['items']);
+
+        // Group orders are placed by their owner only
+        $this->cartService->assertCanCheckout();
+
         // Wrap entire order creation in transaction for atomicity
         // This ensures order, items, and coupon updates are all committed together
         // or rolled back together if any step fails
@@ -275,6 +285,30 @@ class OrderService
         return false;
     }
 
+    /**
+     * Delivery/pickup slot chosen by the customer
+     *
+     * The slot is optional for older clients: null means "as soon as possible",
+     * and dishes are then checked against the current time.
+     *
+     * @param OrderCreateRequest $dto Order creation DTO
+     * @return \DateTimeImmutable|null Start of the slot, null when not sent
+     * @throws \InvalidArgumentException If the date or time cannot be parsed
+     */
+    private function resolveDeliverySlot(OrderCreateRequest $dto): ?\DateTimeImmutable
+    {
+        if (empty($dto->deliveryDate) || empty($dto->deliveryTime)) {
+            return null;
+        }
+
+        $slot = \DateTimeImmutable::createFromFormat('!Y-m-d H:i', $dto->deliveryDate . ' ' . $dto->deliveryTime);
+        if ($slot === false) {
+            throw new \InvalidArgumentException('Créneau de livraison invalide');
+        }
+
+        return $slot;
+    }
+
     /**
      * Create Order entity with initial state
      *
@@ -377,9 +411,12 @@ class OrderService
      * - Unit price (snapshot at order time)
      * - Quantity
      * - Total (unit price * quantity)
+     * - Selected options (snapshot of group/name/price delta; unit price already includes them)
+     * - Kitchen note (already sanitized by CartService)
+     * - Item type (dish or drink) and VAT rate of the line, used by TaxCalculationService
      *
      * @param Order $order Order entity to add items to (will be modified in place)
-     * @param array $cartItems Array of cart items with keys: id, name, price, quantity
+     * @param array $cartItems Array of cart items with keys: id, name, price, quantity, options, note, itemType, taxRate
      */
     private function createOrderItemsFromCart(Order $order, array $cartItems): void
     {
@@ -391,6 +428,15 @@ class OrderService
             $orderItem->setUnitPrice((string) $cartItem['price']);
             $orderItem->setQuantity($cartItem['quantity']);
             $orderItem->setTotal((string) ($cartItem['price'] * $cartItem['quantity']));
+            $orderItem->setOptions(array_map(static fn(array $option): array => [
+                'group' => $option['group'],
+                'name' => $option['name'],
+                'priceDelta' => $option['priceDelta'],
+            ], $cartItem['options'] ?? []));
+            $orderItem->setNote($cartItem['note'] ?? null);
+            $orderItem->setParticipant($cartItem['participant'] ?? null);
+            $orderItem->setItemType($cartItem['itemType'] ?? OrderItem::TYPE_DISH);
+            $orderItem->setTaxRate(isset($cartItem['taxRate']) ? (string) $cartItem['taxRate'] : null);
             $orderItem->setOrderRef($order);
             
             // Add item to order (bidirectional relationship)
@@ -403,7 +449,7 @@ class OrderService
      *
      * This method performs the final steps of order creation:
      * 1. Persists the order and all its items to the database
-     * 2. Clears the cart after successful persistence
+     * 2. Clears the cart after successful persistence (and closes the group order, if any)
      *
      * Note: Cart clearing is session-based and won't be rolled back if transaction fails,
      * which is acceptable (cart can be cleared manually if needed).
@@ -415,6 +461,7 @@ class OrderService
         $this->entityManager->persist($order);
         $this->entityManager->flush();
         $this->cartService->clear();
+        $this->cartService->closeGroup();
     }
 
     /**
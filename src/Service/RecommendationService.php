@@ -0,0 +1,239 @@
+<?php
+
+namespace App\Service;
+
+use App\Entity\MenuItem;
+use App\Repository\CategoryRepository;
+use App\Repository\MenuItemRepository;
+use App\Repository\OrderRepository;
+
+/**
+ * Recommendation Service
+ *
+ * Suggests dishes to go with the dishes already chosen: "Vous aimerez aussi" on the
+ * dish page (one dish) and "Pour compléter votre commande" in the cart sidebar (the
+ * dishes of the cart). Served by GET /api/recommendations.
+ *
+ * Every visible dish gets a score:
+ * - shared tags (végétarien, épicé...) and badges (Fait maison...) with the chosen dishes
+ * - category complement: the next course in menu order (entrée → plat → dessert)
+ *   scores high, the same category (an alternative) a little
+ * - co-occurrence: how many recent orders contained it with one of the chosen dishes
+ *
+ * Dishes that can't be ordered (sold out, hidden) and dishes containing one of the
+ * allergens the customer excludes are never suggested, nor are the chosen dishes.
+ * Dishes without any point in common are left out rather than suggested at random.
+ */
+class RecommendationService
+{
+    public const DEFAULT_LIMIT = 6;
+    public const MAX_LIMIT = 12;
+
+    /**
+     * Points per tag / badge shared with the chosen dishes
+     */
+    private const TAG_WEIGHT = 2.0;
+    private const BADGE_WEIGHT = 1.0;
+
+    /**
+     * Points for the course following a chosen dish, and for the same category
+     */
+    private const NEXT_COURSE_WEIGHT = 3.0;
+    private const SAME_CATEGORY_WEIGHT = 1.0;
+
+    /**
+     * Points per order shared with the chosen dishes, capped so that a best seller
+     * doesn't push every other criterion aside
+     */
+    private const CO_ORDER_WEIGHT = 0.5;
+    private const CO_ORDER_MAX_POINTS = 5.0;
+
+    /**
+     * Orders taken into account for the co-occurrence (the menu changes with the seasons)
+     */
+    private const CO_ORDER_PERIOD = '-6 months';
+
+    /**
+     * Constructor
+     *
+     * @param MenuItemRepository $menuItemRepository Visible dishes
+     * @param OrderRepository $orderRepository Dishes ordered together
+     * @param CategoryRepository $categoryRepository Menu categories (course order)
+     * @param MenuItemImageResolver $imageResolver Image paths of the suggested dishes
+     */
+    public function __construct(
+        private MenuItemRepository $menuItemRepository,
+        private OrderRepository $orderRepository,
+        private CategoryRepository $categoryRepository,
+        private MenuItemImageResolver $imageResolver
+    ) {}
+
+    /**
+     * Recommend dishes to go with the given dishes
+     *
+     * @param int[] $menuItemIds Chosen dishes (the dish of the page, or the dishes of the cart)
+     * @param string[] $excludedAllergens Allergen codes excluded by the customer (Allergen::code)
+     * @param int $limit Max number of dishes (clamped to 1..MAX_LIMIT)
+     * @return array<int, array{id: string, name: string, price: float, image: string, category: string, allergens: string[], hasOptions: bool, reason: string}>
+     *   Best first. reason is the criterion that weighed most: 'together' (ordered
+     *   together), 'course' (next course) or 'similar' (tags, badges, same category)
+     */
+    public function recommend(array $menuItemIds, array $excludedAllergens = [], int $limit = self::DEFAULT_LIMIT): array
+    {
+        $limit = max(1, min(self::MAX_LIMIT, $limit));
+        $chosenIds = array_values(array_unique(array_filter(array_map('intval', $menuItemIds), static fn(int $id) => $id > 0)));
+        if (!$chosenIds) {
+            return [];
+        }
+
+        $dishes = [];
+        foreach ($this->menuItemRepository->findVisible() as $dish) {
+            $dishes[$dish->getId()] = $dish;
+        }
+
+        $chosen = array_values(array_intersect_key($dishes, array_flip($chosenIds)));
+        if (!$chosen) {
+            return [];
+        }
+
+        $profile = $this->buildProfile($chosen);
+        $coOrders = $this->orderRepository->countDishCoOccurrences(
+            $chosenIds,
+            new \DateTimeImmutable(self::CO_ORDER_PERIOD)
+        );
+
+        $scored = [];
+        foreach ($dishes as $id => $dish) {
+            if (in_array($id, $chosenIds, true) || !$dish->isOrderable() || $this->containsAllergen($dish, $excludedAllergens)) {
+                continue;
+            }
+
+            $points = $this->score($dish, $profile, $coOrders[$id] ?? 0);
+            $total = array_sum($points);
+            if ($total <= 0) {
+                continue;
+            }
+
+            $scored[] = ['dish' => $dish, 'score' => $total, 'reason' => array_search(max($points), $points, true)];
+        }
+
+        // Best score first, then the dishes most often ordered together, then by name
+        usort($scored, static fn(array $a, array $b) =>
+            [$b['score'], $coOrders[$b['dish']->getId()] ?? 0, $a['dish']->getName()]
+            <=> [$a['score'], $coOrders[$a['dish']->getId()] ?? 0, $b['dish']->getName()]
+        );
+
+        return array_map(
+            fn(array $entry) => $this->serializeDish($entry['dish'], $entry['reason']),
+            array_slice($scored, 0, $limit)
+        );
+    }
+
+    /**
+     * Tags, badges and categories of the chosen dishes, and the courses that follow them
+     *
+     * @param MenuItem[] $chosen Chosen dishes
+     * @return array{tags: array<string, true>, badges: array<string, true>, categories: array<string, true>, nextCourses: array<string, true>}
+     */
+    private function buildProfile(array $chosen): array
+    {
+        $profile = ['tags' => [], 'badges' => [], 'categories' => [], 'nextCourses' => []];
+        foreach ($chosen as $dish) {
+            foreach ($dish->getTags() as $tag) {
+                $profile['tags'][$tag->getCode()] = true;
+            }
+            foreach ($dish->getBadges() as $badge) {
+                $profile['badges'][$badge->getName()] = true;
+            }
+            $profile['categories'][$dish->getCategory()] = true;
+        }
+
+        // Course order = menu order of the categories (entrées, plats, desserts)
+        $slugs = array_map(static fn($category) => $category->getSlug(), $this->categoryRepository->findOrdered());
+        foreach ($slugs as $index => $slug) {
+            if (isset($profile['categories'][$slug], $slugs[$index + 1]) && !isset($profile['categories'][$slugs[$index + 1]])) {
+                $profile['nextCourses'][$slugs[$index + 1]] = true;
+            }
+        }
+
+        return $profile;
+    }
+
+    /**
+     * Points of a candidate dish by criterion
+     *
+     * @param MenuItem $dish Candidate dish
+     * @param array $profile Chosen dishes (buildProfile())
+     * @param int $coOrderCount Recent orders shared with the chosen dishes
+     * @return array{together: float, course: float, similar: float}
+     */
+    private function score(MenuItem $dish, array $profile, int $coOrderCount): array
+    {
+        $similar = 0.0;
+        foreach ($dish->getTags() as $tag) {
+            if (isset($profile['tags'][$tag->getCode()])) {
+                $similar += self::TAG_WEIGHT;
+            }
+        }
+        foreach ($dish->getBadges() as $badge) {
+            if (isset($profile['badges'][$badge->getName()])) {
+                $similar += self::BADGE_WEIGHT;
+            }
+        }
+        if (isset($profile['categories'][$dish->getCategory()])) {
+            $similar += self::SAME_CATEGORY_WEIGHT;
+        }
+
+        return [
+            'together' => min(self::CO_ORDER_MAX_POINTS, $coOrderCount * self::CO_ORDER_WEIGHT),
+            'course' => isset($profile['nextCourses'][$dish->getCategory()]) ? self::NEXT_COURSE_WEIGHT : 0.0,
+            'similar' => $similar,
+        ];
+    }
+
+    /**
+     * Whether a dish contains one of the excluded allergens
+     *
+     * @param string[] $excludedAllergens Allergen codes
+     */
+    private function containsAllergen(MenuItem $dish, array $excludedAllergens): bool
+    {
+        if (!$excludedAllergens) {
+            return false;
+        }
+
+        foreach ($dish->getAllergens() as $allergen) {
+            if (in_array($allergen->getCode(), $excludedAllergens, true)) {
+                return true;
+            }
+        }
+
+        return false;
+    }
+
+    /**
+     * Serialize a suggested dish for the carousel and the cart strip
+     *
+     * Dishes with option groups can't be added in one click: the cards link to the
+     * dish page instead (hasOptions).
+     */
+    private function serializeDish(MenuItem $dish, string $reason): array
+    {
+        $allergens = [];
+        foreach ($dish->getAllergens() as $allergen) {
+            $allergens[] = $allergen->getCode();
+        }
+
+        return [
+            // ID en string comme dans le catalogue (comparaisons strictes côté JS)
+            'id' => (string) $dish->getId(),
+            'name' => $dish->getName(),
+            'price' => (float) $dish->getPrice(),
+            'image' => $this->imageResolver->resolve($dish->getImage()),
+            'category' => (string) $dish->getCategory(),
+            'allergens' => $allergens,
+            'hasOptions' => !$dish->getOptionGroups()->isEmpty(),
+            'reason' => $reason,
+        ];
+    }
+}
@@ -0,0 +1,262 @@
+<?php
+
+namespace App\Service;
+
+use App\Entity\MenuItem;
+use App\Entity\Order;
+use App\Entity\OrderItem;
+use App\Repository\DrinkRepository;
+use App\Repository\MenuItemRepository;
+use App\Repository\OrderRepository;
+use Symfony\Component\DependencyInjection\ParameterBag\ParameterBagInterface;
+use Symfony\Component\Routing\Generator\UrlGeneratorInterface;
+
+/**
+ * Reorder Service ("Commander à nouveau")
+ *
+ * Lets a customer put the items of a previous order back in their cart and find
+ * their delivery details prefilled at checkout.
+ *
+ * Responsibilities:
+ * - Find an order from its number and the email or phone used to place it, or
+ *   from a signed link (shown on the confirmation screen and in the confirmation email)
+ * - Add its lines to the current cart through CartService, skipping the items that
+ *   can no longer be ordered (removed, hidden, sold out, option no longer offered)
+ * - Return the delivery and contact details of the order for the checkout form
+ *
+ * Options are stored on OrderItem as a snapshot (group and option names): they are
+ * matched by name against the current options of the dish.
+ *
+ * Side effects:
+ * - Modifies the cart (via CartService)
+ */
+class ReorderService
+{
+    /**
+     * Same message for an unknown number and a wrong email/phone, so the form
+     * cannot be used to check which order numbers exist
+     */
+    private const NOT_FOUND_MESSAGE = 'Commande introuvable : vérifiez le numéro de commande et l\'email ou le téléphone';
+
+    /**
+     * Constructor
+     *
+     * @param OrderRepository $orderRepository Repository looking up orders by number
+     * @param MenuItemRepository $menuItemRepository Current dishes (availability, options)
+     * @param DrinkRepository $drinkRepository Current drinks
+     * @param CartService $cartService Cart receiving the lines
+     * @param UrlGeneratorInterface $urlGenerator Router building the signed link
+     * @param ParameterBagInterface $parameterBag Access to kernel.secret (link signature)
+     */
+    public function __construct(
+        private OrderRepository $orderRepository,
+        private MenuItemRepository $menuItemRepository,
+        private DrinkRepository $drinkRepository,
+        private CartService $cartService,
+        private UrlGeneratorInterface $urlGenerator,
+        private ParameterBagInterface $parameterBag
+    ) {}
+
+    /**
+     * Find the order to repeat
+     *
+     * The customer proves the order is theirs with the email or the phone number
+     * of the order, or with the signature of a reorder link.
+     *
+     * @param string $no Order number (e.g. ORD-20250107-1234)
+     * @param string|null $contact Email or phone number used for the order
+     * @param string|null $signature Signature of a reorder link (see getReorderUrl())
+     * @return Order Matching order
+     * @throws \InvalidArgumentException If no order matches
+     */
+    public function findOrder(string $no, ?string $contact = null, ?string $signature = null): Order
+    {
+        $order = $this->orderRepository->findOneBy(['no' => trim($no)]);
+        if (!$order) {
+            throw new \InvalidArgumentException(self::NOT_FOUND_MESSAGE);
+        }
+
+        $allowed = $signature !== null && $signature !== ''
+            ? $this->isValidSignature($order->getNo(), $signature)
+            : $this->matchesContact($order, (string) $contact);
+
+        if (!$allowed) {
+            throw new \InvalidArgumentException(self::NOT_FOUND_MESSAGE);
+        }
+
+        return $order;
+    }
+
+    /**
+     * Add the items of an order to the current cart
+     *
+     * @param Order $order Previous order
+     * @return array [
+     *   'added' => int number of lines added,
+     *   'skipped' => list of ['name', 'reason'] for the items left out,
+     *   'prefill' => delivery and contact details of the order (checkout form fields)
+     * ]
+     */
+    public function reorder(Order $order): array
+    {
+        $lines = [];
+        $skipped = [];
+
+        foreach ($order->getItems() as $item) {
+            try {
+                $lines[] = $this->buildCartLine($item);
+            } catch (\InvalidArgumentException $e) {
+                $skipped[] = ['name' => $item->getProductName(), 'reason' => $e->getMessage()];
+            }
+        }
+
+        $result = $this->cartService->addLines($lines);
+
+        return [
+            'added' => count($lines) - count($result['skipped']),
+            'skipped' => array_merge($skipped, $result['skipped']),
+            'prefill' => [
+                'deliveryMode' => $order->getDeliveryMode()->value,
+                'deliveryAddress' => $order->getDeliveryAddress(),
+                'deliveryZip' => $order->getDeliveryZip(),
+                'deliveryInstructions' => $order->getDeliveryInstructions(),
+                'paymentMode' => $order->getPaymentMode()->value,
+                'clientFirstName' => $order->getClientFirstName(),
+                'clientLastName' => $order->getClientLastName(),
+                'clientPhone' => $order->getClientPhone(),
+                'clientEmail' => $order->getClientEmail(),
+            ],
+        ];
+    }
+
+    /**
+     * Signed link opening the reorder page for an order, without asking for the email or phone
+     *
+     * @param Order $order Order to repeat
+     * @return string Absolute URL
+     */
+    public function getReorderUrl(Order $order): string
+    {
+        return $this->urlGenerator->generate(
+            'app_reorder',
+            ['no' => $order->getNo(), 'signature' => $this->sign($order->getNo())],
+            UrlGeneratorInterface::ABSOLUTE_URL
+        );
+    }
+
+    /**
+     * Check the signature of a reorder link
+     *
+     * @param string $no Order number
+     * @param string $signature Signature from the link
+     */
+    public function isValidSignature(string $no, string $signature): bool
+    {
+        return hash_equals($this->sign($no), $signature);
+    }
+
+    /**
+     * Convert an order line into a cart line for CartService::addLines()
+     *
+     * @throws \InvalidArgumentException If the item or one of its options is no longer on the menu
+     */
+    private function buildCartLine(OrderItem $item): array
+    {
+        $line = [
+            'itemId' => (int) $item->getProductId(),
+            'itemType' => $item->getItemType(),
+            'quantity' => (int) $item->getQuantity(),
+            'options' => [],
+            'note' => $item->getNote(),
+            'name' => $item->getProductName(),
+        ];
+
+        if ($item->getItemType() === OrderItem::TYPE_DRINK) {
+            if (!$this->drinkRepository->find($line['itemId'])) {
+                throw new \InvalidArgumentException('N\'est plus à la carte');
+            }
+
+            return $line;
+        }
+
+        $menuItem = $this->menuItemRepository->find($line['itemId']);
+        if (!$menuItem) {
+            throw new \InvalidArgumentException('N\'est plus à la carte');
+        }
+
+        foreach ($item->getOptions() as $option) {
+            $line['options'][] = $this->findOptionId($menuItem, $option);
+        }
+
+        return $line;
+    }
+
+    /**
+     * Find the current option matching an option snapshot of an order line
+     *
+     * @param MenuItem $menuItem Current dish
+     * @param array $option Snapshot ['group', 'name', 'priceDelta']
+     * @return int Option ID
+     * @throws \InvalidArgumentException If the option is no longer offered
+     */
+    private function findOptionId(MenuItem $menuItem, array $option): int
+    {
+        foreach ($menuItem->getOptionGroups() as $group) {
+            if ($group->getName() !== ($option['group'] ?? null)) {
+                continue;
+            }
+            foreach ($group->getOptions() as $candidate) {
+                if ($candidate->getName() === ($option['name'] ?? null)) {
+                    return $candidate->getId();
+                }
+            }
+        }
+
+        throw new \InvalidArgumentException(sprintf('L\'option « %s » n\'est plus proposée', $option['name'] ?? ''));
+    }
+
+    /**
+     * Whether an email or phone number is the one of the order
+     *
+     * Emails are compared case-insensitively, phone numbers digit by digit
+     * ("06 12 34 56 78" and "+33612345678" are the same number).
+     */
+    private function matchesContact(Order $order, string $contact): bool
+    {
+        $contact = trim($contact);
+        if ($contact === '') {
+            return false;
+        }
+
+        if (str_contains($contact, '@')) {
+            return $order->getClientEmail() !== null
+                && mb_strtolower(trim($order->getClientEmail())) === mb_strtolower($contact);
+        }
+
+        $phone = $this->normalizePhone($contact);
+
+        return $phone !== '' && $order->getClientPhone() !== null
+            && $this->normalizePhone($order->getClientPhone()) === $phone;
+    }
+
+    /**
+     * Reduce a French phone number to its national digits (0XXXXXXXXX)
+     */
+    private function normalizePhone(string $phone): string
+    {
+        $digits = preg_replace('/\D/', '', $phone);
+        if (str_starts_with($digits, '33') && strlen($digits) === 11) {
+            $digits = '0' . substr($digits, 2);
+        }
+
+        return $digits;
+    }
+
+    /**
+     * Signature of a reorder link (HMAC of the order number with the application secret)
+     */
+    private function sign(string $no): string
+    {
+        return hash_hmac('sha256', 'reorder|' . $no, (string) $this->parameterBag->get('kernel.secret'));
+    }
+}
@@ -76,6 +76,17 @@ class RestaurantSettingsService
         return (float) $restaurant['tax']['vat_rate'];
     }
 
+    /**
+     * Get VAT rate applied to alcoholic drinks
+     *
+     * @return float VAT rate as decimal (e.g., 0.2 for 20%)
+     */
+    public function getAlcoholVatRate(): float
+    {
+        $restaurant = $this->parameterBag->get('restaurant');
+        return (float) ($restaurant['tax']['alcohol_vat_rate'] ?? 0.20);
+    }
+
     /**
      * Get restaurant contact phone number
      *
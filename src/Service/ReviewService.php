@@ -5,16 +5,23 @@ namespace App\Service;
 use App\DTO\ReviewCreateRequest;
 use App\Entity\MenuItem;
 use App\Entity\Review;
+use App\Repository\ReviewRepository;
 use Doctrine\ORM\EntityManagerInterface;
 
 /**
  * Review Service
  *
- * Handles creation and persistence of reviews (general and per dish).
+ * Handles creation and persistence of reviews (general and per dish), and the
+ * paginated list of a dish's reviews with its rating breakdown.
  * Keeps controllers focused on I/O while this service encapsulates domain changes.
  */
 class ReviewService
 {
+    /**
+     * Max number of reviews per page of a dish's reviews
+     */
+    public const DISH_REVIEWS_MAX_LIMIT = 100;
+
     public function __construct(private EntityManagerInterface $entityManager)
     {
     }
@@ -56,6 +63,69 @@ class ReviewService
         return $review;
     }
 
+    /**
+     * Get a page of a dish's approved reviews with the rating breakdown of the dish
+     *
+     * Pages are chained with cursors: `nextCursor` (null on the last page) is passed
+     * back as $cursor to get the following reviews. The summary always covers every
+     * approved review of the dish, whatever the rating filter.
+     *
+     * @param MenuItem $menuItem Dish
+     * @param string|null $cursor Cursor returned with the previous page (null = first page)
+     * @param int $limit Reviews per page (1 to DISH_REVIEWS_MAX_LIMIT)
+     * @param int|null $rating Only the reviews with this rating (1-5), null for all
+     * @return array{
+     *   reviews: array<int, array{id: int, name: string, rating: int, comment: string, createdAt: string}>,
+     *   summary: array{count: int, average: float, distribution: array<int, int>},
+     *   pagination: array{per_page: int, rating: int|null, has_more: bool, next_cursor: string|null}
+     * }
+     * @throws \InvalidArgumentException When the cursor, limit or rating is invalid
+     */
+    public function getDishReviewPage(MenuItem $menuItem, ?string $cursor, int $limit, ?int $rating = null): array
+    {
+        if ($limit < 1 || $limit > self::DISH_REVIEWS_MAX_LIMIT) {
+            throw new \InvalidArgumentException(sprintf('La limite doit être comprise entre 1 et %d', self::DISH_REVIEWS_MAX_LIMIT));
+        }
+        if ($rating !== null && ($rating < 1 || $rating > 5)) {
+            throw new \InvalidArgumentException('La note doit être comprise entre 1 et 5');
+        }
+
+        [$beforeDate, $beforeId] = $cursor !== null && $cursor !== '' ? $this->decodeCursor($cursor) : [null, null];
+
+        /** @var ReviewRepository $repository */
+        $repository = $this->entityManager->getRepository(Review::class);
+        $menuItemId = (int) $menuItem->getId();
+
+        // One extra review tells whether there is a next page
+        $reviews = $repository->findApprovedForDishBefore($menuItemId, $limit + 1, $beforeDate, $beforeId, $rating);
+        $hasMore = count($reviews) > $limit;
+        $reviews = array_slice($reviews, 0, $limit);
+
+        $stats = $repository->getApprovedStatsForMenuItem($menuItemId);
+        $last = end($reviews);
+
+        return [
+            'reviews' => array_map(static fn(Review $review) => [
+                'id' => $review->getId(),
+                'name' => $review->getName(),
+                'rating' => $review->getRating(),
+                'comment' => $review->getComment(),
+                'createdAt' => $review->getCreatedAt()->format('Y-m-d H:i'),
+            ], $reviews),
+            'summary' => [
+                'count' => $stats['cnt'],
+                'average' => round($stats['avg'], 1),
+                'distribution' => $repository->getApprovedRatingDistributionForMenuItem($menuItemId),
+            ],
+            'pagination' => [
+                'per_page' => $limit,
+                'rating' => $rating,
+                'has_more' => $hasMore,
+                'next_cursor' => $hasMore && $last ? $this->encodeCursor($last) : null,
+            ],
+        ];
+    }
+
     /**
      * Persist a Review entity coming from legacy forms, ensuring moderation flag default.
      *
@@ -80,6 +150,38 @@ class ReviewService
 
         return $review;
     }
-}
 
+    /**
+     * Encode the position of a review as an opaque cursor
+     *
+     * @param Review $review Last review of a page
+     * @return string URL-safe cursor ("<date>|<id>" in base64url)
+     */
+    private function encodeCursor(Review $review): string
+    {
+        $position = $review->getCreatedAt()->format('Y-m-d H:i:s') . '|' . $review->getId();
 
+        return rtrim(strtr(base64_encode($position), '+/', '-_'), '=');
+    }
+
+    /**
+     * Decode a cursor built by encodeCursor()
+     *
+     * @return array{0: \DateTimeImmutable, 1: int} Creation date and ID of the last review shown
+     * @throws \InvalidArgumentException When the cursor is malformed
+     */
+    private function decodeCursor(string $cursor): array
+    {
+        $position = base64_decode(strtr($cursor, '-_', '+/'), true);
+        if ($position === false || !preg_match('/^(\d{4}-\d{2}-\d{2} \d{2}:\d{2}:\d{2})\|(\d+)$/', $position, $matches)) {
+            throw new \InvalidArgumentException('Curseur de pagination invalide');
+        }
+
+        $date = \DateTimeImmutable::createFromFormat('Y-m-d H:i:s', $matches[1]);
+        if ($date === false) {
+            throw new \InvalidArgumentException('Curseur de pagination invalide');
+        }
+
+        return [$date, (int) $matches[2]];
+    }
+}
@@ -7,6 +7,7 @@ use Symfony\Component\Mime\Email;
 use Symfony\Component\Mime\Address;
 use App\Entity\Reservation;
 use App\Entity\Order;
+use App\Entity\OrderItem;
 
 class SymfonyEmailService
 {
@@ -439,7 +440,13 @@ class SymfonyEmailService
         </html>";
     }
 
-    public function sendOrderConfirmation(string $clientEmail, string $clientName, string $subject, string $message, Order $order): bool
+    /**
+     * Send the order confirmation to the client
+     *
+     * The optional reorder link (ReorderService::getReorderUrl()) lets the client
+     * order the same items again later ("Commander à nouveau").
+     */
+    public function sendOrderConfirmation(string $clientEmail, string $clientName, string $subject, string $message, Order $order, ?string $reorderUrl = null): bool
     {
         try {
             $email = (new Email())
@@ -447,7 +454,7 @@ class SymfonyEmailService
                 ->to(new Address($clientEmail, $clientName))
                 ->replyTo(new Address($this->fromEmail, $this->fromName))
                 ->subject($subject)
-                ->html($this->getOrderConfirmationTemplate($clientName, $message, $order));
+                ->html($this->getOrderConfirmationTemplate($clientName, $message, $order, $reorderUrl));
 
             $this->mailer->send($email);
             return true;
@@ -456,7 +463,24 @@ class SymfonyEmailService
         }
     }
 
-    private function getOrderConfirmationTemplate(string $clientName, string $message, Order $order): string
+    /**
+     * Options and kitchen note of an order line, rendered under the line in order emails
+     * (the admin notification is what the kitchen prints)
+     */
+    private function getOrderItemExtrasHtml(OrderItem $item): string
+    {
+        $html = '';
+        if ($item->getOptionsLabel() !== '') {
+            $html .= "<div style='font-size: 0.9em; color: #666; padding-left: 1em;'>" . htmlspecialchars($item->getOptionsLabel()) . "</div>";
+        }
+        if ($item->getNote()) {
+            $html .= "<div style='font-size: 0.9em; color: #b02a37; padding-left: 1em;'>Note : " . htmlspecialchars($item->getNote()) . "</div>";
+        }
+
+        return $html;
+    }
+
+    private function getOrderConfirmationTemplate(string $clientName, string $message, Order $order, ?string $reorderUrl = null): string
     {
         $orderNumber = $order->getNo();
         $total = $order->getTotal();
@@ -468,6 +492,10 @@ class SymfonyEmailService
             default => 'Non spécifié'
         };
 
+        $reorderHtml = $reorderUrl
+            ? "<p style='font-size: 16px; margin: 20px 0 0 0;'>Envie des mêmes plats une prochaine fois ? <a href='" . htmlspecialchars($reorderUrl) . "' style='color: #8b4513; font-weight: 600;'>Commander à nouveau</a></p>"
+            : '';
+
         // Format order items
         $itemsHtml = '';
         foreach ($order->getItems() as $item) {
@@ -475,7 +503,7 @@ class SymfonyEmailService
                 <div class='detail-row'>
                     <span class='detail-label'>{$item->getQuantity()}x {$item->getProductName()}</span>
                     <span>{$item->getTotal()}€</span>
-                </div>";
+                </div>" . $this->getOrderItemExtrasHtml($item);
         }
 
         return "
@@ -535,6 +563,7 @@ class SymfonyEmailService
                         </div>
                     </div>
                     
+                    {$reorderHtml}
                     <p style='font-size: 16px; margin-top: 25px; margin-bottom: 15px;'>Nous vous remercions pour votre commande !</p>
                     <p style='font-size: 16px; margin-bottom: 0;'>Cordialement,<br><strong>L'équipe du Trois Quarts</strong></p>
                 </div>
@@ -602,7 +631,7 @@ class SymfonyEmailService
                 <div class='detail-row'>
                     <span class='detail-label'>{$item->getQuantity()}x {$item->getProductName()}</span>
                     <span>{$item->getTotal()}€</span>
-                </div>";
+                </div>" . $this->getOrderItemExtrasHtml($item);
         }
 
         $currentTime = date('d/m/Y H:i');
@@ -2,7 +2,9 @@
 
 namespace App\Service;
 
+use App\Entity\Drink;
 use App\Entity\Order;
+use App\Entity\OrderItem;
 
 class TaxCalculationService
 {
@@ -24,15 +26,11 @@ class TaxCalculationService
      */
     public function recalculateTotals(\App\Entity\Order $order, ?\App\Entity\Coupon $coupon, ?float $manualDiscount): void
     {
-        // 1) Recalculate items and sum TTC
-        $subtotalWithTax = 0.0;
-        foreach ($order->getItems() as $item) {
-            $item->recalculateTotal();
-            $subtotalWithTax += (float) $item->getTotal();
-        }
+        // 1) Recalculate items, sum TTC and split HT/TVA line by line (rates differ for alcohol)
+        $taxBreakdown = $this->calculateItemsTax($order);
+        $subtotalWithTax = $taxBreakdown['amountWithTax'];
 
-        // 2) HT/TVA from TTC
-        $taxBreakdown = $this->calculateTaxFromTTC($subtotalWithTax);
+        // 2) Store HT/TVA
         $order->setSubtotal($this->formatAmount($taxBreakdown['amountWithoutTax']));
         $order->setTaxAmount($this->formatAmount($taxBreakdown['taxAmount']));
 
@@ -113,16 +111,11 @@ class TaxCalculationService
     {
         // Kept for backward compatibility with existing code paths.
         // New code should prefer recalculateTotals() which accepts coupon/discount input.
-        $subtotalWithTax = 0.0;
-
-        foreach ($order->getItems() as $item) {
-            $item->recalculateTotal();
-            $subtotalWithTax += (float) $item->getTotal();
-        }
+        $taxBreakdown = $this->calculateItemsTax($order);
+        $subtotalWithTax = $taxBreakdown['amountWithTax'];
 
         $deliveryFee = (float) ($order->getDeliveryFee() ?? 0);
 
-        $taxBreakdown = $this->calculateTaxFromTTC($subtotalWithTax);
         $order->setSubtotal($this->formatAmount($taxBreakdown['amountWithoutTax']));
         $order->setTaxAmount($this->formatAmount($taxBreakdown['taxAmount']));
 
@@ -146,6 +139,51 @@ class TaxCalculationService
         return $this->restaurantSettings->getVatRate();
     }
 
+    /**
+     * Gets the VAT rate of a drink (alcohol rate for wines and beers, restaurant rate otherwise)
+     */
+    public function getDrinkTaxRate(Drink $drink): float
+    {
+        return $drink->isAlcoholic()
+            ? $this->restaurantSettings->getAlcoholVatRate()
+            : $this->restaurantSettings->getVatRate();
+    }
+
+    /**
+     * Gets the VAT rate of an order line (rate stored at order time, restaurant rate for older lines)
+     */
+    public function getItemTaxRate(OrderItem $item): float
+    {
+        return $item->getTaxRate() !== null ? (float) $item->getTaxRate() : $this->getTaxRate();
+    }
+
+    /**
+     * Recalculates every line total and splits the order items amount (TTC) into HT/TVA.
+     *
+     * Each line is converted with its own VAT rate so an order mixing dishes (10 %)
+     * and wine (20 %) is taxed correctly; amounts are rounded once, on the sums.
+     *
+     * @return array{amountWithTax: float, amountWithoutTax: float, taxAmount: float}
+     */
+    private function calculateItemsTax(Order $order): array
+    {
+        $amountWithTax = 0.0;
+        $amountWithoutTax = 0.0;
+
+        foreach ($order->getItems() as $item) {
+            $item->recalculateTotal();
+            $lineTotal = (float) $item->getTotal();
+            $amountWithTax += $lineTotal;
+            $amountWithoutTax += $lineTotal / (1 + $this->getItemTaxRate($item));
+        }
+
+        return [
+            'amountWithTax' => $amountWithTax,
+            'amountWithoutTax' => round($amountWithoutTax, 2),
+            'taxAmount' => round($amountWithTax - $amountWithoutTax, 2),
+        ];
+    }
+
     /**
      * Helper to ensure all persisted monetary values keep a consistent format.
      */
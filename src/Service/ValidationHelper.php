@@ -173,6 +173,10 @@ class ValidationHelper
                 if (isset($dto->quantity) && is_string($dto->quantity)) {
                     $dto->quantity = $this->convertToInt($dto->quantity);
                 }
+                // Option IDs may arrive as strings when read from data-attributes
+                if (is_array($dto->options)) {
+                    $dto->options = array_map(fn($id) => $this->convertToInt($id), $dto->options);
+                }
                 break;
                 
             case CouponValidateRequest::class:
@@ -486,6 +490,7 @@ class ValidationHelper
             'clientPhone' => 'Le numéro de téléphone du client',
             'deliveryAddress' => 'L\'adresse de livraison',
             'deliveryInstructions' => 'Les instructions de livraison',
+            'note' => 'La note',
             'address' => 'L\'adresse',
             'zipCode' => 'Le code postal',
         ];
@@ -0,0 +1,160 @@
+<?php
+
+namespace App\Tests\Integration\Controller;
+
+use App\Controller\Api\MenuApiController;
+use App\Entity\Drink;
+use App\Entity\MenuItem;
+use Doctrine\ORM\EntityManagerInterface;
+use Doctrine\ORM\Tools\SchemaTool;
+use Symfony\Bundle\FrameworkBundle\Test\KernelTestCase;
+use Symfony\Component\HttpFoundation\Request;
+
+/**
+ * Integration tests of GET /api/menu and its HTTP revalidation.
+ * The real controller and MenuCatalogService run against the in-memory database: the
+ * ETag is the catalogue version, so it must stay the same while nothing changes and
+ * change as soon as the customer could see a difference (here: a dish sold out).
+ * There is no Last-Modified: a date-only revalidation always gets the full catalogue.
+ */
+final class MenuApiControllerIntegrationTest extends KernelTestCase
+{
+    /**
+     * Real Doctrine entity manager used to seed the menu and change a dish.
+     */
+    private EntityManagerInterface $entityManager;
+
+    /**
+     * Controller under test, from the container (real MenuCatalogService).
+     */
+    private MenuApiController $controller;
+
+    protected function setUp(): void
+    {
+        // Fresh kernel on an in-memory SQLite database for every test.
+        self::ensureKernelShutdown();
+
+        $sqliteUrl = 'sqlite:///:memory:';
+        putenv('DATABASE_URL=' . $sqliteUrl);
+        $_ENV['DATABASE_URL'] = $sqliteUrl;
+        $_SERVER['DATABASE_URL'] = $sqliteUrl;
+
+        self::bootKernel();
+        $this->entityManager = static::getContainer()->get(EntityManagerInterface::class);
+        $this->controller = static::getContainer()->get(MenuApiController::class);
+
+        $schemaTool = new SchemaTool($this->entityManager);
+        $metadata = $this->entityManager->getMetadataFactory()->getAllMetadata();
+        $schemaTool->dropSchema($metadata);
+        $schemaTool->createSchema($metadata);
+    }
+
+    protected function tearDown(): void
+    {
+        parent::tearDown();
+
+        $this->entityManager->close();
+        self::ensureKernelShutdown();
+    }
+
+    public function testMenuIsRevalidatedWithItsEtagUntilAvailabilityChanges(): void
+    {
+        // --- Arrange ---------------------------------------------------------------------------------------------
+        // Two dishes on the menu.
+        $bouillabaisse = (new MenuItem())
+            ->setName('Bouillabaisse')
+            ->setPrice('28.00')
+            ->setCategory('plats')
+            ->setImage('bouillabaisse.jpg');
+        $panisses = (new MenuItem())
+            ->setName('Panisses')
+            ->setPrice('7.50')
+            ->setCategory('entrees')
+            ->setImage('panisses.jpg');
+        $this->entityManager->persist($bouillabaisse);
+        $this->entityManager->persist($panisses);
+        $this->entityManager->flush();
+
+        // --- Act & Assert: first load ----------------------------------------------------------------------------
+        // Full catalogue with its version as ETag; the client must revalidate every time.
+        $first = $this->controller->getMenu(Request::create('/api/menu'));
+        $etag = $first->getEtag();
+
+        self::assertSame(200, $first->getStatusCode());
+        self::assertNotEmpty($etag);
+        self::assertTrue($first->headers->hasCacheControlDirective('no-cache'));
+        $payload = json_decode($first->getContent(), true);
+        self::assertTrue($payload['success']);
+        self::assertSame(trim($etag, '"'), $payload['data']['version']);
+        self::assertEqualsCanonicalizing(['Bouillabaisse', 'Panisses'], array_column($payload['data']['items'], 'name'));
+
+        // --- Act & Assert: revalidation, nothing changed ---------------------------------------------------------
+        // Same If-None-Match: empty 304 carrying the same ETag.
+        $notModified = $this->controller->getMenu($this->createConditionalRequest($etag));
+
+        self::assertSame(304, $notModified->getStatusCode());
+        self::assertSame($etag, $notModified->getEtag());
+        self::assertSame('', (string) $notModified->getContent());
+
+        // --- Act & Assert: the kitchen sells out a dish ----------------------------------------------------------
+        // The old ETag no longer matches: full catalogue, new version, the dish reads "Épuisé".
+        $bouillabaisse->markSoldOut();
+        $this->entityManager->flush();
+
+        $changed = $this->controller->getMenu($this->createConditionalRequest($etag));
+
+        self::assertSame(200, $changed->getStatusCode());
+        self::assertNotSame($etag, $changed->getEtag());
+        $items = array_column(json_decode($changed->getContent(), true)['data']['items'], null, 'name');
+        self::assertFalse($items['Bouillabaisse']['available']);
+        self::assertTrue($items['Panisses']['available']);
+
+        // The new ETag revalidates again.
+        $revalidated = $this->controller->getMenu($this->createConditionalRequest($changed->getEtag()));
+        self::assertSame(304, $revalidated->getStatusCode());
+    }
+
+    public function testMenuIsNotRevalidatedByDateAlone(): void
+    {
+        // --- Arrange ---------------------------------------------------------------------------------------------
+        $bouillabaisse = (new MenuItem())
+            ->setName('Bouillabaisse')
+            ->setPrice('28.00')
+            ->setCategory('plats')
+            ->setImage('bouillabaisse.jpg');
+        $this->entityManager->persist($bouillabaisse);
+        $this->entityManager->flush();
+
+        $first = $this->controller->getMenu(Request::create('/api/menu'));
+
+        // A drink is added: the catalogue changes, but no dish was updated.
+        $pastis = (new Drink())
+            ->setName('Pastis')
+            ->setPrice('4.00')
+            ->setType('fraiches');
+        $this->entityManager->persist($pastis);
+        $this->entityManager->flush();
+
+        // --- Act -------------------------------------------------------------------------------------------------
+        // A proxy revalidating with If-Modified-Since only (no If-None-Match), dated after every dish update.
+        $response = $this->controller->getMenu(Request::create('/api/menu', 'GET', server: [
+            'HTTP_IF_MODIFIED_SINCE' => (new \DateTimeImmutable('+1 day'))->format(\DATE_RFC7231),
+        ]));
+
+        // --- Assert ----------------------------------------------------------------------------------------------
+        // No Last-Modified to compare against: the full, up-to-date catalogue comes back.
+        self::assertFalse($first->headers->has('Last-Modified'));
+        self::assertSame(200, $response->getStatusCode());
+        self::assertNotSame($first->getEtag(), $response->getEtag());
+        $drinks = json_decode($response->getContent(), true)['data']['drinks'];
+        self::assertSame(['Pastis'], array_column($drinks['fraiches'], 'name'));
+    }
+
+    /**
+     * GET /api/menu request revalidating a cached catalogue.
+     */
+    private function createConditionalRequest(string $etag): Request
+    {
+        return Request::create('/api/menu', 'GET', server: ['HTTP_IF_NONE_MATCH' => $etag]);
+    }
+}
@@ -0,0 +1,130 @@
+<?php
+
+namespace App\Tests\Integration\EventListener;
+
+use App\Entity\MenuItem;
+use App\Entity\MenuItemPhoto;
+use Doctrine\ORM\EntityManagerInterface;
+use Doctrine\ORM\Tools\SchemaTool;
+use Symfony\Bundle\FrameworkBundle\Test\KernelTestCase;
+
+/**
+ * Integration tests of the deletion of dish photo files.
+ * Deleting a dish from the back-office removes its photos through the ORM, and the
+ * real MenuItemPhotoListener deletes their files from public/static/img/menu/ once
+ * the flush succeeded. Test files get a unique name and are cleaned up afterwards.
+ */
+final class MenuItemPhotoListenerIntegrationTest extends KernelTestCase
+{
+    /**
+     * Real Doctrine entity manager used to save and delete the dishes.
+     */
+    private EntityManagerInterface $entityManager;
+
+    /**
+     * Menu images folder of the project
+     */
+    private string $uploadDir;
+
+    /**
+     * Files created by the test, removed in tearDown() if still there
+     *
+     * @var string[]
+     */
+    private array $createdFiles = [];
+
+    protected function setUp(): void
+    {
+        // Fresh kernel on an in-memory SQLite database for every test.
+        self::ensureKernelShutdown();
+
+        $sqliteUrl = 'sqlite:///:memory:';
+        putenv('DATABASE_URL=' . $sqliteUrl);
+        $_ENV['DATABASE_URL'] = $sqliteUrl;
+        $_SERVER['DATABASE_URL'] = $sqliteUrl;
+
+        self::bootKernel();
+        $this->entityManager = static::getContainer()->get(EntityManagerInterface::class);
+        $this->uploadDir = static::getContainer()->getParameter('kernel.project_dir') . '/public/static/img/menu';
+
+        $schemaTool = new SchemaTool($this->entityManager);
+        $metadata = $this->entityManager->getMetadataFactory()->getAllMetadata();
+        $schemaTool->dropSchema($metadata);
+        $schemaTool->createSchema($metadata);
+    }
+
+    protected function tearDown(): void
+    {
+        foreach ($this->createdFiles as $file) {
+            if (is_file($file)) {
+                unlink($file);
+            }
+        }
+
+        parent::tearDown();
+
+        $this->entityManager->close();
+        self::ensureKernelShutdown();
+    }
+
+    public function testDeletingDishDeletesFilesOfItsPhotos(): void
+    {
+        // --- Arrange ---------------------------------------------------------------------------------------------
+        // "Bouillabaisse" has two uploaded photos; the second file is also used by "Soupe de poisson".
+        $ownFile = $this->createPhotoFile();
+        $sharedFile = $this->createPhotoFile();
+
+        $bouillabaisse = $this->createDish('Bouillabaisse', [$ownFile, $sharedFile]);
+        $soupe = $this->createDish('Soupe de poisson', [$sharedFile]);
+        $this->entityManager->flush();
+
+        // --- Act -------------------------------------------------------------------------------------------------
+        $this->entityManager->remove($bouillabaisse);
+        $this->entityManager->flush();
+
+        // --- Assert ----------------------------------------------------------------------------------------------
+        // The photos went with the dish, the file of the other dish stays.
+        self::assertSame(1, $this->entityManager->getRepository(MenuItemPhoto::class)->count([]));
+        self::assertFileDoesNotExist($this->uploadDir . '/' . $ownFile);
+        self::assertFileExists($this->uploadDir . '/' . $sharedFile);
+        self::assertSame($sharedFile, $soupe->getImage());
+    }
+
+    /**
+     * Dish with photos in the given order, its image taken from the first one.
+     *
+     * @param string[] $paths
+     */
+    private function createDish(string $name, array $paths): MenuItem
+    {
+        $dish = (new MenuItem())
+            ->setName($name)
+            ->setPrice('24.00')
+            ->setCategory('plats');
+        foreach ($paths as $position => $path) {
+            $dish->addPhoto((new MenuItemPhoto())->setPath($path)->setPosition($position));
+        }
+        $dish->syncImageFromPhotos();
+        $this->entityManager->persist($dish);
+
+        return $dish;
+    }
+
+    /**
+     * Uploaded photo file in the menu images folder.
+     *
+     * @return string File name, as stored in MenuItemPhoto::path
+     */
+    private function createPhotoFile(): string
+    {
+        if (!is_dir($this->uploadDir)) {
+            mkdir($this->uploadDir, 0755, true);
+        }
+
+        $fileName = 'test-' . uniqid() . '.jpg';
+        file_put_contents($this->uploadDir . '/' . $fileName, 'photo');
+        $this->createdFiles[] = $this->uploadDir . '/' . $fileName;
+
+        return $fileName;
+    }
+}
@@ -0,0 +1,217 @@
+<?php
+
+namespace App\Tests\Integration\Service;
+
+use App\Entity\Category;
+use App\Entity\Drink;
+use App\Entity\MenuItem;
+use App\Enum\MenuItemAvailability;
+use App\Repository\CategoryRepository;
+use App\Service\MenuCatalogService;
+use Doctrine\ORM\EntityManagerInterface;
+use Doctrine\ORM\Tools\SchemaTool;
+use Symfony\Bundle\FrameworkBundle\Test\KernelTestCase;
+
+/**
+ * Integration tests of the menu categories: the Category entities managed in the
+ * back-office decide the sections of the menu page, their order and their names.
+ * CategoryRepository and MenuCatalogService run against the in-memory database.
+ *
+ * The catalogue version is also the key of the menu view (menu.js builds the cards
+ * once per version): it must change with anything shown on the page, and only then.
+ */
+final class MenuCatalogServiceIntegrationTest extends KernelTestCase
+{
+    /**
+     * Real Doctrine entity manager used to seed categories and dishes.
+     */
+    private EntityManagerInterface $entityManager;
+
+    private CategoryRepository $categoryRepository;
+
+    private MenuCatalogService $menuCatalog;
+
+    protected function setUp(): void
+    {
+        // Fresh kernel on an in-memory SQLite database for every test.
+        self::ensureKernelShutdown();
+
+        $sqliteUrl = 'sqlite:///:memory:';
+        putenv('DATABASE_URL=' . $sqliteUrl);
+        $_ENV['DATABASE_URL'] = $sqliteUrl;
+        $_SERVER['DATABASE_URL'] = $sqliteUrl;
+
+        self::bootKernel();
+        $this->entityManager = static::getContainer()->get(EntityManagerInterface::class);
+        $this->categoryRepository = static::getContainer()->get(CategoryRepository::class);
+        $this->menuCatalog = static::getContainer()->get(MenuCatalogService::class);
+
+        $schemaTool = new SchemaTool($this->entityManager);
+        $metadata = $this->entityManager->getMetadataFactory()->getAllMetadata();
+        $schemaTool->dropSchema($metadata);
+        $schemaTool->createSchema($metadata);
+
+        // Categories saved out of order: position first, then name for equal positions.
+        foreach ([
+            ['desserts', 'Desserts', '🍰', 30],
+            ['plats', 'Plats', '🍲', 20],
+            ['planches', 'Planches', null, 10],
+            ['entrees', 'Entrées', '🥗', 10],
+        ] as [$slug, $name, $icon, $position]) {
+            $category = (new Category())
+                ->setSlug($slug)
+                ->setName($name)
+                ->setIcon($icon)
+                ->setPosition($position);
+            $this->entityManager->persist($category);
+        }
+        $this->entityManager->flush();
+    }
+
+    protected function tearDown(): void
+    {
+        parent::tearDown();
+
+        $this->entityManager->close();
+        self::ensureKernelShutdown();
+    }
+
+    public function testCategoriesAreOrderedByPositionThenName(): void
+    {
+        // --- Act -------------------------------------------------------------------------------------------------
+        $slugs = array_map(static fn(Category $category) => $category->getSlug(), $this->categoryRepository->findOrdered());
+
+        // --- Assert ----------------------------------------------------------------------------------------------
+        // "Entrées" and "Planches" share position 10: alphabetical order between them.
+        self::assertSame(['entrees', 'planches', 'plats', 'desserts'], $slugs);
+    }
+
+    public function testNamesAreLookedUpBySlugInMenuOrder(): void
+    {
+        // --- Act -------------------------------------------------------------------------------------------------
+        $names = $this->categoryRepository->findNamesBySlug();
+
+        // --- Assert ----------------------------------------------------------------------------------------------
+        // Keys are the slugs stored on MenuItem::category (EasyAdmin choices, breadcrumbs).
+        self::assertSame([
+            'entrees' => 'Entrées',
+            'planches' => 'Planches',
+            'plats' => 'Plats',
+            'desserts' => 'Desserts',
+        ], $names);
+        self::assertArrayNotHasKey('boissons', $names);
+    }
+
+    public function testDishSlugWithoutCategoryKeepsItsOwnSection(): void
+    {
+        // --- Arrange ---------------------------------------------------------------------------------------------
+        // A dish whose category was deleted (slug "suggestions"), and a hidden dish of
+        // another unknown slug: only the visible one gets a section.
+        foreach ([
+            ['Aïoli du vendredi', 'suggestions', MenuItemAvailability::AVAILABLE],
+            ['Daube provençale', 'plats', MenuItemAvailability::AVAILABLE],
+            ['Pieds paquets', 'anciens', MenuItemAvailability::HIDDEN],
+        ] as [$name, $slug, $availability]) {
+            $dish = (new MenuItem())
+                ->setName($name)
+                ->setPrice('18.00')
+                ->setCategory($slug)
+                ->setImage('dish.jpg')
+                ->setAvailability($availability);
+            $this->entityManager->persist($dish);
+        }
+        $this->entityManager->flush();
+
+        // --- Act -------------------------------------------------------------------------------------------------
+        $categories = $this->menuCatalog->getCategories();
+        $catalog = $this->menuCatalog->getCatalog();
+
+        // --- Assert ----------------------------------------------------------------------------------------------
+        // Managed categories first (in menu order, even without dishes), then the orphan
+        // slug named after itself, without icon.
+        self::assertSame(['entrees', 'planches', 'plats', 'desserts', 'suggestions'], array_column($categories, 'slug'));
+        self::assertSame(['slug' => 'entrees', 'name' => 'Entrées', 'icon' => '🥗'], $categories[0]);
+        self::assertSame(['slug' => 'suggestions', 'name' => 'Suggestions', 'icon' => null], $categories[4]);
+
+        // The catalogue served to the menu page carries the same list, and the dish is still listed.
+        self::assertSame($categories, $catalog['data']['categories']);
+        $dishes = array_column($catalog['data']['items'], 'category', 'name');
+        self::assertSame('suggestions', $dishes['Aïoli du vendredi']);
+        self::assertArrayNotHasKey('Pieds paquets', $dishes);
+    }
+
+    public function testVersionChangesOnlyWithWhatTheMenuShows(): void
+    {
+        // --- Arrange ---------------------------------------------------------------------------------------------
+        $daube = $this->createDish('Daube provençale', 'plats');
+        $this->entityManager->flush();
+
+        $version = $this->menuCatalog->getCatalog()['version'];
+
+        // --- Act & Assert: nothing visible changed ---------------------------------------------------------------
+        // Same catalogue, same version (the cards are not rebuilt); it is also sent in the payload.
+        $catalog = $this->menuCatalog->getCatalog();
+        self::assertSame($version, $catalog['version']);
+        self::assertSame($version, $catalog['data']['version']);
+
+        // A hidden dish is not on the menu: same version.
+        $this->createDish('Pieds paquets', 'plats')->setAvailability(MenuItemAvailability::HIDDEN);
+        $this->entityManager->flush();
+        self::assertSame($version, $this->menuCatalog->getCatalog()['version']);
+
+        // --- Act & Assert: what the menu shows changes -----------------------------------------------------------
+        // Price of a card.
+        $daube->setPrice('21.00');
+        $this->entityManager->flush();
+        $afterPrice = $this->menuCatalog->getCatalog()['version'];
+        self::assertNotSame($version, $afterPrice);
+
+        // Title of a section.
+        $this->categoryRepository->findOneBy(['slug' => 'plats'])->setName('Plats du jour');
+        $this->entityManager->flush();
+        $afterCategory = $this->menuCatalog->getCatalog()['version'];
+        self::assertNotSame($afterPrice, $afterCategory);
+
+        // Drinks list.
+        $this->entityManager->persist((new Drink())->setName('Pastis')->setPrice('4.00')->setType('fraiches'));
+        $this->entityManager->flush();
+        self::assertNotSame($afterCategory, $this->menuCatalog->getCatalog()['version']);
+    }
+
+    public function testEveryVisibleDishHasASection(): void
+    {
+        // --- Arrange ---------------------------------------------------------------------------------------------
+        // Dishes of managed categories and of a slug without Category.
+        $this->createDish('Panisses', 'entrees');
+        $this->createDish('Tarte tropézienne', 'desserts');
+        $this->createDish('Aïoli du vendredi', 'suggestions');
+        $this->entityManager->flush();
+
+        // --- Act -------------------------------------------------------------------------------------------------
+        $catalog = $this->menuCatalog->getCatalog()['data'];
+
+        // --- Assert ----------------------------------------------------------------------------------------------
+        // The sections of the payload cover the category of every dish, so the client
+        // fallback (section named after the raw slug) is not needed for them.
+        $slugs = array_column($catalog['categories'], 'slug');
+        foreach ($catalog['items'] as $item) {
+            self::assertContains($item['category'], $slugs, $item['name']);
+        }
+        self::assertSame('Suggestions', array_column($catalog['categories'], 'name', 'slug')['suggestions']);
+    }
+
+    /**
+     * Visible dish of a category (persisted, not flushed).
+     */
+    private function createDish(string $name, string $slug): MenuItem
+    {
+        $dish = (new MenuItem())
+            ->setName($name)
+            ->setPrice('18.00')
+            ->setCategory($slug)
+            ->setImage('dish.jpg');
+        $this->entityManager->persist($dish);
+
+        return $dish;
+    }
+}
@@ -4,9 +4,11 @@ namespace App\Tests\Integration\Service;
 
 use App\DTO\OrderCreateRequest;
 use App\Entity\Coupon;
+use App\Entity\MenuItem;
 use App\Entity\Order;
 use App\Enum\OrderStatus;
 use App\Service\CartService;
+use App\Service\GroupCartService;
 use App\Service\MenuItemImageResolver;
 use App\Service\OrderService;
 use App\Service\RestaurantSettingsService;
@@ -19,6 +21,7 @@ use Symfony\Component\HttpFoundation\Request;
 use Symfony\Component\HttpFoundation\RequestStack;
 use Symfony\Component\HttpFoundation\Session\Session;
 use Symfony\Component\HttpFoundation\Session\Storage\MockArraySessionStorage;
+use Symfony\Component\Routing\Generator\UrlGeneratorInterface;
 
 /**
  * This class runs integration tests against the real `OrderService`.
@@ -88,8 +91,21 @@ final class OrderServiceIntegrationTest extends KernelTestCase
         // Use the real menu item repository + image resolver from the container.
         // This means the cart interacts with the actual database and image logic, keeping the test realistic.
         $menuItemRepository = $this->entityManager->getRepository(\App\Entity\MenuItem::class);
+        $drinkRepository = $this->entityManager->getRepository(\App\Entity\Drink::class);
         $imageResolver = $container->get(MenuItemImageResolver::class);
-        $this->cartService = new CartService($requestStack, $menuItemRepository, $imageResolver);
+        $this->cartService = new CartService(
+            $requestStack,
+            $menuItemRepository,
+            $imageResolver,
+            $drinkRepository,
+            $container->get(TaxCalculationService::class),
+            new GroupCartService(
+                $requestStack,
+                $this->entityManager,
+                $this->entityManager->getRepository(\App\Entity\GroupCart::class),
+                $container->get(UrlGeneratorInterface::class)
+            )
+        );
 
         $this->parameterBag = $container->get(ParameterBagInterface::class);
     }
@@ -117,14 +133,22 @@ final class OrderServiceIntegrationTest extends KernelTestCase
             ->setValidUntil(new \DateTime('+1 day'))
             ->setIsActive(true);
 
+        // The dish must exist: checkout rejects dishes that are no longer on the menu.
+        $dish = (new MenuItem())
+            ->setName('Pâtes maison')
+            ->setPrice('15.00')
+            ->setCategory('plats')
+            ->setImage('pates.jpg');
+
         $this->entityManager->persist($coupon);
+        $this->entityManager->persist($dish);
         $this->entityManager->flush();
 
         // 2) Seed the cart session with a realistic payload: two main dishes at 15€ each.
         //    We mimic exactly what the frontend would store so `CartService` reads familiar data.
         $this->session->set('cart', [
-            1 => [
-                'id' => 1,
+            $dish->getId() => [
+                'id' => $dish->getId(),
                 'name' => 'Pâtes maison',
                 'price' => 15.0,
                 'image' => '/uploads/menu/pates.jpg',
@@ -3,6 +3,7 @@
 namespace App\Tests\Integration\Service;
 
 use App\DTO\ReviewCreateRequest;
+use App\Entity\MenuItem;
 use App\Entity\Review;
 use App\Service\ReviewService;
 use Doctrine\ORM\EntityManagerInterface;
@@ -83,5 +84,64 @@ final class ReviewServiceIntegrationTest extends KernelTestCase
         $persisted = $this->entityManager->getRepository(Review::class)->findAll();
         self::assertCount(1, $persisted);
     }
-}
 
+    public function testDishReviewPagesFollowCursorsAndKeepTheFullSummary(): void
+    {
+        // --- Arrange ---------------------------------------------------------------------------------------------
+        // One dish with four approved reviews (two created at the same second) and one pending review.
+        $dish = (new MenuItem())
+            ->setName('Bouillabaisse')
+            ->setPrice('24.00')
+            ->setCategory('plats')
+            ->setImage('bouillabaisse.jpg');
+        $this->entityManager->persist($dish);
+
+        $sameSecond = new \DateTime('2026-10-18 20:00:00');
+        foreach ([
+            ['Alice', 5, new \DateTime('2026-10-18 21:00:00'), true],
+            ['Bruno', 4, $sameSecond, true],
+            ['Chloé', 5, $sameSecond, true],
+            ['Denis', 2, new \DateTime('2026-10-17 12:00:00'), true],
+            ['Eve', 1, new \DateTime('2026-10-18 22:00:00'), false],
+        ] as [$name, $rating, $createdAt, $approved]) {
+            $review = (new Review())
+                ->setName($name)
+                ->setRating($rating)
+                ->setComment('Avis de ' . $name)
+                ->setCreatedAt(clone $createdAt)
+                ->setIsApproved($approved)
+                ->setMenuItem($dish);
+            $this->entityManager->persist($review);
+        }
+        $this->entityManager->flush();
+
+        $service = new ReviewService($this->entityManager);
+
+        // --- Act -------------------------------------------------------------------------------------------------
+        // Walk through the pages two reviews at a time, then filter on the 5-star reviews.
+        $first = $service->getDishReviewPage($dish, null, 2);
+        $second = $service->getDishReviewPage($dish, $first['pagination']['next_cursor'], 2);
+        $fiveStars = $service->getDishReviewPage($dish, null, 10, 5);
+
+        // --- Assert ----------------------------------------------------------------------------------------------
+        // Newest first, the reviews of the same second are not skipped nor repeated across pages.
+        $names = array_merge(array_column($first['reviews'], 'name'), array_column($second['reviews'], 'name'));
+        self::assertCount(4, $names);
+        self::assertSame('Alice', $names[0]);
+        self::assertSame('Denis', $names[3]);
+        self::assertEqualsCanonicalizing(['Bruno', 'Chloé'], array_slice($names, 1, 2));
+        self::assertTrue($first['pagination']['has_more']);
+        self::assertFalse($second['pagination']['has_more']);
+        self::assertNull($second['pagination']['next_cursor']);
+
+        // The summary covers every approved review (pending ones excluded), whatever the filter.
+        self::assertSame(['Alice', 'Chloé'], array_column($fiveStars['reviews'], 'name'));
+        self::assertSame(4, $fiveStars['summary']['count']);
+        self::assertSame(4.0, $fiveStars['summary']['average']);
+        self::assertSame([5 => 2, 4 => 1, 3 => 0, 2 => 1, 1 => 0], $fiveStars['summary']['distribution']);
+
+        // A tampered cursor is rejected instead of silently restarting from the first page.
+        $this->expectException(\InvalidArgumentException::class);
+        $service->getDishReviewPage($dish, 'not-a-cursor', 2);
+    }
+}
@@ -0,0 +1,147 @@
+<?php
+
+namespace App\Tests\Unit\Entity;
+
+use App\Entity\MenuItem;
+use App\Entity\MenuItemPhoto;
+use PHPUnit\Framework\TestCase;
+
+/**
+ * Unit Tests for the photos of MenuItem
+ *
+ * The photos of a dish are edited in the back-office (reordered, removed, added);
+ * the first one is copied to MenuItem::image, shown on the menu cards and in the cart.
+ *
+ * Test Coverage:
+ * - Display order of the photos (position, then ID, new photos last)
+ * - Dish image taken from the first photo
+ * - Dish image after the first photo is removed
+ *
+ * @package App\Tests\Unit\Entity
+ * @author Le Trois Quarts Development Team
+ */
+class MenuItemTest extends TestCase
+{
+    /**
+     * Test: photos are ordered by position, then ID
+     *
+     * Scenario: photos added out of order, two of them sharing position 1, one of
+     * them not saved yet (no ID)
+     * Expected Result: position order; for equal positions, the saved photo first
+     */
+    public function testOrderedPhotosSortByPositionThenId(): void
+    {
+        $dish = new MenuItem();
+        $dish->addPhoto($this->createPhoto('terrasse.jpg', 2, 12));
+        $dish->addPhoto($this->createPhoto('nouvelle.jpg', 1));
+        $dish->addPhoto($this->createPhoto('assiette.jpg', 0, 15));
+        $dish->addPhoto($this->createPhoto('detail.jpg', 1, 14));
+
+        $this->assertSame(
+            ['assiette.jpg', 'detail.jpg', 'nouvelle.jpg', 'terrasse.jpg'],
+            $this->getPaths($dish->getOrderedPhotos())
+        );
+    }
+
+    /**
+     * Test: the first photo becomes the dish image
+     *
+     * Scenario: the second photo is moved before the first one
+     * Expected Result: the image follows the new first photo
+     */
+    public function testFirstPhotoBecomesImage(): void
+    {
+        $dish = (new MenuItem())->setImage('ancienne.jpg');
+        $dish->addPhoto($this->createPhoto('assiette.jpg', 0, 1));
+        $terrasse = $this->createPhoto('terrasse.jpg', 1, 2);
+        $dish->addPhoto($terrasse);
+
+        $dish->syncImageFromPhotos();
+        $this->assertSame('assiette.jpg', $dish->getImage());
+
+        $terrasse->setPosition(-1);
+        $dish->syncImageFromPhotos();
+        $this->assertSame('terrasse.jpg', $dish->getImage());
+    }
+
+    /**
+     * Test: removing the first photo doesn't leave its file as the dish image
+     *
+     * Scenario: the first photo is deleted and the next one has no file (row added
+     * without upload); a third photo has one
+     * Expected Result: the image is reassigned to the first photo with a file
+     */
+    public function testImageSkipsPhotosWithoutFileAfterFirstIsRemoved(): void
+    {
+        $dish = new MenuItem();
+        $first = $this->createPhoto('assiette.jpg', 0, 1);
+        $dish->addPhoto($first);
+        $dish->addPhoto($this->createPhoto(null, 1, 2));
+        $dish->addPhoto($this->createPhoto('terrasse.jpg', 2, 3));
+        $dish->syncImageFromPhotos();
+
+        $dish->removePhoto($first);
+        $dish->syncImageFromPhotos();
+
+        $this->assertSame('terrasse.jpg', $dish->getImage());
+    }
+
+    /**
+     * Test: the image is cleared when no remaining photo has a file
+     *
+     * Expected Result: empty image (placeholder on the menu), not the removed photo
+     */
+    public function testImageIsClearedWhenNoPhotoHasFile(): void
+    {
+        $dish = new MenuItem();
+        $first = $this->createPhoto('assiette.jpg', 0, 1);
+        $dish->addPhoto($first);
+        $dish->addPhoto($this->createPhoto(null, 1, 2));
+        $dish->syncImageFromPhotos();
+
+        $dish->removePhoto($first);
+        $dish->syncImageFromPhotos();
+
+        $this->assertSame('', $dish->getImage());
+    }
+
+    /**
+     * Test: dishes without photos keep their image
+     */
+    public function testDishWithoutPhotosKeepsImage(): void
+    {
+        $dish = (new MenuItem())->setImage('bouillabaisse.jpg');
+
+        $dish->syncImageFromPhotos();
+
+        $this->assertSame([], $dish->getOrderedPhotos());
+        $this->assertSame('bouillabaisse.jpg', $dish->getImage());
+    }
+
+    /**
+     * Helper method: photo with an ID as if loaded from the database (null = new photo)
+     */
+    private function createPhoto(?string $path, int $position, ?int $id = null): MenuItemPhoto
+    {
+        $photo = (new MenuItemPhoto())->setPosition($position);
+        if ($path !== null) {
+            $photo->setPath($path);
+        }
+        if ($id !== null) {
+            (new \ReflectionProperty(MenuItemPhoto::class, 'id'))->setValue($photo, $id);
+        }
+
+        return $photo;
+    }
+
+    /**
+     * Helper method: paths of photos, in the given order
+     *
+     * @param MenuItemPhoto[] $photos
+     * @return array<string|null>
+     */
+    private function getPaths(array $photos): array
+    {
+        return array_map(static fn(MenuItemPhoto $photo) => $photo->getPath(), $photos);
+    }
+}
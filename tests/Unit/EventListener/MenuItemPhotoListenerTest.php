@@ -0,0 +1,121 @@
+<?php
+
+namespace App\Tests\Unit\EventListener;
+
+use App\Entity\MenuItem;
+use App\Entity\MenuItemPhoto;
+use App\EventListener\MenuItemPhotoListener;
+use App\Service\MenuItemPhotoStorage;
+use Doctrine\ORM\EntityManagerInterface;
+use Doctrine\ORM\EntityRepository;
+use Doctrine\ORM\Event\PostFlushEventArgs;
+use Doctrine\ORM\Event\PostRemoveEventArgs;
+use PHPUnit\Framework\TestCase;
+
+/**
+ * Unit Tests for MenuItemPhotoListener
+ *
+ * Photos removed from the dish form (collection with allow_delete) are deleted by
+ * orphan removal; the listener deletes their files once the flush succeeded.
+ *
+ * Test Coverage:
+ * - Files of removed photos deleted after the flush
+ * - Files still used by another photo or as a dish image kept
+ *
+ * @package App\Tests\Unit\EventListener
+ * @author Le Trois Quarts Development Team
+ */
+class MenuItemPhotoListenerTest extends TestCase
+{
+    /**
+     * @var EntityManagerInterface&\PHPUnit\Framework\MockObject\MockObject
+     */
+    private EntityManagerInterface $entityManager;
+
+    /**
+     * @var MenuItemPhotoStorage&\PHPUnit\Framework\MockObject\MockObject
+     */
+    private MenuItemPhotoStorage $photoStorage;
+
+    private MenuItemPhotoListener $listener;
+
+    /**
+     * Files still referenced in the database after the flush: photo paths and dish images
+     */
+    private array $photoPaths = ['partagee.jpg'];
+
+    private array $dishImages = ['carte.jpg'];
+
+    protected function setUp(): void
+    {
+        $photoRepository = $this->createMock(EntityRepository::class);
+        $photoRepository->method('count')
+            ->willReturnCallback(fn(array $criteria) => count(array_keys($this->photoPaths, $criteria['path'], true)));
+        $dishRepository = $this->createMock(EntityRepository::class);
+        $dishRepository->method('count')
+            ->willReturnCallback(fn(array $criteria) => count(array_keys($this->dishImages, $criteria['image'], true)));
+
+        $this->entityManager = $this->createMock(EntityManagerInterface::class);
+        $this->entityManager->method('getRepository')
+            ->willReturnMap([
+                [MenuItemPhoto::class, $photoRepository],
+                [MenuItem::class, $dishRepository],
+            ]);
+
+        $this->photoStorage = $this->createMock(MenuItemPhotoStorage::class);
+        $this->listener = new MenuItemPhotoListener($this->photoStorage);
+    }
+
+    /**
+     * Test: the files of removed photos are deleted once, after the flush
+     *
+     * Scenario: two photos removed from the dish form, then another flush
+     * Expected Result: both files deleted after the first flush, nothing on the next one
+     */
+    public function testFilesOfRemovedPhotosAreDeletedAfterFlush(): void
+    {
+        $deleted = [];
+        $this->photoStorage->method('delete')
+            ->willReturnCallback(function (string $path) use (&$deleted) {
+                $deleted[] = $path;
+
+                return true;
+            });
+
+        $this->removePhoto('assiette.jpg');
+        $this->removePhoto('terrasse.jpg');
+        $this->assertSame([], $deleted, 'Files are kept until the flush succeeded');
+
+        $this->listener->postFlush(new PostFlushEventArgs($this->entityManager));
+        $this->listener->postFlush(new PostFlushEventArgs($this->entityManager));
+
+        $this->assertSame(['assiette.jpg', 'terrasse.jpg'], $deleted);
+    }
+
+    /**
+     * Test: files still in use are kept
+     *
+     * Scenario: the removed photos share their file with another photo, or with the
+     * image of a dish; another entity is removed in the same flush
+     * Expected Result: no file deleted
+     */
+    public function testFilesStillInUseAreKept(): void
+    {
+        $this->photoStorage->expects($this->never())->method('delete');
+
+        $this->removePhoto('partagee.jpg');
+        $this->removePhoto('carte.jpg');
+        $this->listener->postRemove(new PostRemoveEventArgs((new MenuItem())->setImage('plat.jpg'), $this->entityManager));
+
+        $this->listener->postFlush(new PostFlushEventArgs($this->entityManager));
+    }
+
+    /**
+     * Helper method: a photo is deleted during the flush
+     */
+    private function removePhoto(string $path): void
+    {
+        $photo = (new MenuItemPhoto())->setPath($path);
+        $this->listener->postRemove(new PostRemoveEventArgs($photo, $this->entityManager));
+    }
+}
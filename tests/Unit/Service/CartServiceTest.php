@@ -2,10 +2,21 @@
 
 namespace App\Tests\Unit\Service;
 
+use App\Entity\Drink;
+use App\Entity\GroupCart;
 use App\Entity\MenuItem;
+use App\Entity\MenuItemOption;
+use App\Entity\MenuItemOptionGroup;
+use App\Entity\MenuSchedule;
+use App\Entity\NutritionFacts;
+use App\Repository\DrinkRepository;
 use App\Repository\MenuItemRepository;
 use App\Service\CartService;
+use App\Service\GroupCartService;
 use App\Service\MenuItemImageResolver;
+use App\Service\RestaurantSettingsService;
+use App\Service\TaxCalculationService;
+use Doctrine\Common\Collections\ArrayCollection;
 use PHPUnit\Framework\TestCase;
 use Symfony\Component\HttpFoundation\RequestStack;
 use Symfony\Component\HttpFoundation\Session\SessionInterface;
@@ -29,6 +40,11 @@ use Symfony\Component\HttpFoundation\Session\SessionInterface;
  * - Calculating cart total
  * - Counting items in cart
  * - Clearing entire cart
+ * - Dish options (separate lines, price deltas, required groups)
+ * - Kitchen notes per line (sanitization)
+ * - Atomic batch operations
+ * - Drinks (own item type, line key and VAT rate)
+ * - Group orders (lines per participant, locked group, checkout by the owner)
  * - Error handling (non-existent items)
  * 
  * @package App\Tests\Unit\Service
@@ -64,6 +80,20 @@ class CartServiceTest extends TestCase
      */
     private MenuItemRepository $menuItemRepository;
 
+    /**
+     * Mocked `DrinkRepository` (PHPUnit mock object) representing database access for drinks.
+     *
+     * @var DrinkRepository&\PHPUnit\Framework\MockObject\MockObject
+     */
+    private DrinkRepository $drinkRepository;
+
+    /**
+     * Mocked `GroupCartService` (PHPUnit mock object): not in a group order unless a test says so.
+     *
+     * @var GroupCartService&\PHPUnit\Framework\MockObject\MockObject
+     */
+    private GroupCartService $groupCartService;
+
     /**
      * Simulated cart data stored in "session"
      * 
@@ -99,6 +129,12 @@ class CartServiceTest extends TestCase
 
         // Create mock of MenuItemRepository (database access)
         $this->menuItemRepository = $this->createMock(MenuItemRepository::class);
+        $this->drinkRepository = $this->createMock(DrinkRepository::class);
+
+        // VAT rates: 10 % for food and soft drinks, 20 % for alcohol
+        $restaurantSettings = $this->createMock(RestaurantSettingsService::class);
+        $restaurantSettings->method('getVatRate')->willReturn(0.10);
+        $restaurantSettings->method('getAlcoholVatRate')->willReturn(0.20);
 
         // Create mock of SessionInterface (user session)
         $this->session = $this->createMock(SessionInterface::class);
@@ -129,12 +165,18 @@ class CartServiceTest extends TestCase
         $this->requestStack->method('getSession')
             ->willReturn($this->session);
 
+        // Group orders: getCurrent() returns null by default (session cart)
+        $this->groupCartService = $this->createMock(GroupCartService::class);
+
         // Create the service under test with mocked dependencies
         $this->cartService = new CartService(
             $this->requestStack,
             $this->menuItemRepository,
             // Image resolver is real (no external dependencies) and keeps behaviour identical to production code.
-            new MenuItemImageResolver()
+            new MenuItemImageResolver(),
+            $this->drinkRepository,
+            new TaxCalculationService($restaurantSettings),
+            $this->groupCartService
         );
     }
 
@@ -228,9 +270,9 @@ class CartServiceTest extends TestCase
             image: 'pasta.jpg'
         );
 
-        // Repository should be called only on first add (item cached in cart after)
+        // Repository is called on both adds: the second one checks the dish is still available
         $this->menuItemRepository
-            ->expects($this->once())  // Called only ONCE (not twice)
+            ->expects($this->exactly(2))
             ->method('find')
             ->with(1)
             ->willReturn($menuItem);
@@ -720,6 +762,817 @@ class CartServiceTest extends TestCase
         $this->assertEquals(43.95, $result['total']);
     }
 
+    /**
+     * Test: Same dish with different options creates separate lines
+     * 
+     * Scenario: Customer orders one steak "saignant" and one steak "à point" with fries (+2€)
+     * Expected Result: Two cart lines with their own line key, options and unit price
+     * 
+     * The kitchen must see each cooking level separately, so options are part
+     * of the line identity (line key "itemId-optionId_optionId").
+     * 
+     * @return void
+     */
+    public function testAddSameItemWithDifferentOptionsCreatesSeparateLines(): void
+    {
+        // ARRANGE: Steak with a required cooking group and an optional side group
+        $cooking = $this->createMockOptionGroup('Cuisson', true, 0, 1, [
+            3 => ['Saignant', '0.00'],
+            4 => ['À point', '0.00'],
+        ]);
+        $side = $this->createMockOptionGroup('Accompagnement', false, 0, 1, [
+            7 => ['Frites maison', '2.00'],
+        ]);
+        $steak = $this->createMockMenuItem(12, 'Entrecôte', '24.00', 'plats', 'steak.jpg', [$cooking, $side]);
+
+        $this->menuItemRepository->method('find')->with(12)->willReturn($steak);
+
+        // ACT: Two different option combinations, then the first one again
+        $this->cartService->add(12, 1, [3]);
+        $this->cartService->add(12, 1, [7, 4]);
+        $result = $this->cartService->add(12, 1, [3]);
+
+        // ASSERT: Two lines, the repeated combination was merged
+        $this->assertCount(2, $result['items']);
+        $this->assertEquals(3, $result['itemCount']);
+
+        $lines = array_column($result['items'], null, 'lineKey');
+        $this->assertArrayHasKey('12-3', $lines);
+        $this->assertArrayHasKey('12-4_7', $lines);
+
+        // ASSERT: First line keeps the base price, second includes the side supplement
+        $this->assertEquals(2, $lines['12-3']['quantity']);
+        $this->assertEquals(24.00, $lines['12-3']['price']);
+        $this->assertEquals(26.00, $lines['12-4_7']['price']);
+        $this->assertEquals(['Cuisson', 'Accompagnement'], array_column($lines['12-4_7']['options'], 'group'));
+
+        // ASSERT: Total = 24 × 2 + 26
+        $this->assertEquals(74.00, $result['total']);
+
+        // ACT: Lines are updated and removed by line key
+        $this->cartService->updateQuantity('12-3', 1);
+        $result = $this->cartService->remove('12-4_7');
+
+        $this->assertCount(1, $result['items']);
+        $this->assertEquals(24.00, $result['total']);
+    }
+
+    /**
+     * Test: Missing choice in a required option group is rejected
+     * 
+     * Scenario: Customer adds a steak without choosing the cooking level
+     * Expected Result: InvalidArgumentException, cart untouched
+     * 
+     * @return void
+     */
+    public function testAddWithoutRequiredOptionThrowsException(): void
+    {
+        // ARRANGE: Steak with a required cooking group
+        $cooking = $this->createMockOptionGroup('Cuisson', true, 0, 1, [
+            3 => ['Saignant', '0.00'],
+        ]);
+        $steak = $this->createMockMenuItem(12, 'Entrecôte', '24.00', 'plats', 'steak.jpg', [$cooking]);
+
+        $this->menuItemRepository->method('find')->with(12)->willReturn($steak);
+
+        // ASSERT: Exception with a message the customer can understand
+        $this->expectException(\InvalidArgumentException::class);
+        $this->expectExceptionMessage('Choix requis pour « Cuisson »');
+
+        // ACT: Add without options
+        $this->cartService->add(12, 1);
+    }
+
+    /**
+     * Test: Option IDs that do not belong to the dish are rejected
+     * 
+     * Scenario: Manually crafted request sends an option of another dish
+     * Expected Result: InvalidArgumentException
+     * 
+     * @return void
+     */
+    public function testAddWithForeignOptionThrowsException(): void
+    {
+        // ARRANGE: Dish without any option group
+        $menuItem = $this->createMockMenuItem(1, 'Pasta Carbonara', '15.50', 'plats', 'pasta.jpg');
+        $this->menuItemRepository->method('find')->with(1)->willReturn($menuItem);
+
+        $this->expectException(\InvalidArgumentException::class);
+        $this->expectExceptionMessage('Option invalide pour cet article');
+
+        // ACT: Send option ID 99 which belongs to no group of this dish
+        $this->cartService->add(1, 1, [99]);
+    }
+
+    /**
+     * Test: Kitchen note is sanitized and stored on the cart line
+     * 
+     * Scenario: Customer writes "no onions" on a burger line, then clears the note
+     * Expected Result: Note stored without HTML and extra whitespace; empty note removes it
+     * 
+     * The note ends up on the kitchen ticket, so markup must never reach it.
+     * 
+     * @return void
+     */
+    public function testUpdateNoteSanitizesAndStoresNote(): void
+    {
+        // ARRANGE: Burger in cart
+        $burger = $this->createMockMenuItem(5, 'Burger', '16.00', 'plats', 'burger.jpg');
+        $this->menuItemRepository->method('find')->with(5)->willReturn($burger);
+        $this->cartService->add(5, 2);
+
+        // ACT: Note with markup and line breaks
+        $result = $this->cartService->updateNote(5, "  <b>Sans</b>   oignons\nsur le 2e  ");
+
+        // ASSERT: Tags stripped, whitespace collapsed, quantity untouched
+        $this->assertEquals('Sans oignons sur le 2e', $result['items'][0]['note']);
+        $this->assertEquals(2, $result['items'][0]['quantity']);
+
+        // ACT: Empty note removes it
+        $result = $this->cartService->updateNote(5, '   ');
+
+        // ASSERT: No note anymore
+        $this->assertNull($result['items'][0]['note']);
+    }
+
+    /**
+     * Test: Note on a line that is not in the cart throws exception
+     * 
+     * @return void
+     */
+    public function testUpdateNoteOfNonExistentItemThrowsException(): void
+    {
+        $this->expectException(\InvalidArgumentException::class);
+        $this->expectExceptionMessage('Cart item not found: 999');
+
+        $this->cartService->updateNote(999, 'Sans sel');
+    }
+
+    /**
+     * Test: Batch operations are applied in order
+     * 
+     * Scenario: Customer clicks "+" twice on a salad and "-" on a pasta within
+     * the same short window; the client sends one batch request
+     * Expected Result: One cart reflecting every operation, in order
+     * 
+     * @return void
+     */
+    public function testApplyBatchAppliesOperationsInOrder(): void
+    {
+        // ARRANGE: Pasta ×2 already in cart
+        $salad = $this->createMockMenuItem(1, 'Salad', '8.00', 'entrees', 'salad.jpg');
+        $pasta = $this->createMockMenuItem(2, 'Pasta Carbonara', '15.50', 'plats', 'pasta.jpg');
+        $this->menuItemRepository->method('find')
+            ->willReturnMap([
+                [1, null, $salad],
+                [2, null, $pasta],
+            ]);
+        $this->cartService->add(2, 2);
+
+        // ACT: add, add, update (line keys arrive as strings from the client)
+        $result = $this->cartService->applyBatch([
+            ['type' => 'add', 'itemId' => 1, 'quantity' => 1],
+            ['type' => 'add', 'itemId' => 1, 'quantity' => 1],
+            ['type' => 'update', 'lineKey' => '2', 'quantity' => 1],
+        ]);
+
+        // ASSERT: Salad ×2 + Pasta ×1 = 31.50
+        $this->assertCount(2, $result['items']);
+        $this->assertEquals(3, $result['itemCount']);
+        $this->assertEquals(31.50, $result['total']);
+    }
+
+    /**
+     * Test: Repeated adds can't grow a line past the maximum quantity
+     * 
+     * Scenario: Pasta ×60 in the cart, the customer adds 50 more; then a batch
+     * adds 30 twice to the same line
+     * Expected Result: Both rejected (each operation alone is within 100, the line
+     * would not be), the line stays at 60
+     * 
+     * @return void
+     */
+    public function testAddRejectsLineQuantityOverMaximum(): void
+    {
+        // ARRANGE: Pasta ×60
+        $pasta = $this->createMockMenuItem(2, 'Pasta Carbonara', '15.50', 'plats', 'pasta.jpg');
+        $this->menuItemRepository->method('find')->with(2)->willReturn($pasta);
+        $this->cartService->add(2, 60);
+
+        // ACT: second add on the same line
+        try {
+            $this->cartService->add(2, 50);
+            $this->fail('Expected InvalidArgumentException');
+        } catch (\InvalidArgumentException $e) {
+            $this->assertSame('« Pasta Carbonara » : 100 maximum par commande', $e->getMessage());
+        }
+
+        // ACT: batch of two adds on the same line
+        try {
+            $this->cartService->applyBatch([
+                ['type' => 'add', 'itemId' => 2, 'quantity' => 30],
+                ['type' => 'add', 'itemId' => 2, 'quantity' => 30],
+            ]);
+            $this->fail('Expected InvalidArgumentException');
+        } catch (\InvalidArgumentException $e) {
+            $this->assertSame('Opération 2 : « Pasta Carbonara » : 100 maximum par commande', $e->getMessage());
+        }
+
+        // ASSERT: Line untouched, and the maximum itself is accepted
+        $this->assertEquals(60, $this->cartService->getItemCount());
+        $result = $this->cartService->add(2, 40);
+        $this->assertEquals(100, $result['items'][0]['quantity']);
+    }
+
+    /**
+     * Test: Setting a quantity over the maximum is rejected
+     * 
+     * Expected Result: Exception, quantity unchanged
+     * 
+     * @return void
+     */
+    public function testUpdateQuantityOverMaximumThrowsException(): void
+    {
+        // ARRANGE: Pasta ×2
+        $pasta = $this->createMockMenuItem(2, 'Pasta Carbonara', '15.50', 'plats', 'pasta.jpg');
+        $this->menuItemRepository->method('find')->with(2)->willReturn($pasta);
+        $this->cartService->add(2, 2);
+
+        try {
+            // ACT
+            $this->cartService->updateQuantity(2, 101);
+            $this->fail('Expected InvalidArgumentException');
+        } catch (\InvalidArgumentException $e) {
+            $this->assertSame('« Pasta Carbonara » : 100 maximum par commande', $e->getMessage());
+        }
+
+        // ASSERT
+        $this->assertEquals(2, $this->cartService->getItemCount());
+    }
+
+    /**
+     * Test: A failing batch operation leaves the cart untouched
+     * 
+     * Scenario: Second operation targets a line that is not in the cart
+     * Expected Result: Exception naming the operation, first operation NOT applied
+     * 
+     * Atomicity matters: a half-applied batch would leave the steppers showing
+     * quantities that don't match the server cart.
+     * 
+     * @return void
+     */
+    public function testApplyBatchIsAtomic(): void
+    {
+        // ARRANGE: Salad ×1 in cart
+        $salad = $this->createMockMenuItem(1, 'Salad', '8.00', 'entrees', 'salad.jpg');
+        $this->menuItemRepository->method('find')->with(1)->willReturn($salad);
+        $this->cartService->add(1, 1);
+
+        try {
+            // ACT: valid add followed by a remove of an unknown line
+            $this->cartService->applyBatch([
+                ['type' => 'add', 'itemId' => 1, 'quantity' => 3],
+                ['type' => 'remove', 'lineKey' => '999'],
+            ]);
+            $this->fail('Expected InvalidArgumentException');
+        } catch (\InvalidArgumentException $e) {
+            // ASSERT: Message points to the failing operation
+            $this->assertStringStartsWith('Opération 2 :', $e->getMessage());
+        }
+
+        // ASSERT: Cart still holds Salad ×1 (the add was rolled back)
+        $this->assertEquals(1, $this->cartService->getItemCount());
+    }
+
+    /**
+     * Test: Drinks get their own line, key and VAT rate
+     * 
+     * Scenario: Customer orders dish #1 and drink #1 (a bottle of wine)
+     * Expected Result: Two separate lines; the drink line is keyed "d1" and taxed at 20 %
+     * 
+     * Drink and menu item IDs overlap, so the drink must never be merged
+     * into the dish line with the same ID.
+     * 
+     * @return void
+     */
+    public function testAddDrinkCreatesSeparateLine(): void
+    {
+        // ARRANGE: Dish #1 and wine #1
+        $salad = $this->createMockMenuItem(1, 'Salad', '8.00', 'entrees', 'salad.jpg');
+        $this->menuItemRepository->method('find')->with(1)->willReturn($salad);
+        $wine = $this->createMockDrink(1, 'Côtes du Rhône rouge (bouteille)', '25.00', 'vins', true);
+        $this->drinkRepository->method('find')->with(1)->willReturn($wine);
+
+        // ACT
+        $this->cartService->add(1, 1);
+        $result = $this->cartService->add(1, 2, [], 'drink');
+
+        // ASSERT: Separate lines, drink line carries its type and alcohol VAT rate
+        $this->assertCount(2, $result['items']);
+        $drinkLine = $result['items'][1];
+        $this->assertSame('d1', $drinkLine['lineKey']);
+        $this->assertSame('drink', $drinkLine['itemType']);
+        $this->assertSame('vins', $drinkLine['category']);
+        $this->assertEquals(0.20, $drinkLine['taxRate']);
+        $this->assertEquals(0.10, $result['items'][0]['taxRate']);
+        $this->assertEquals(58.00, $result['total']);
+
+        // ACT: Drink line keys work in batches too
+        $result = $this->cartService->applyBatch([
+            ['type' => 'add', 'itemId' => 1, 'quantity' => 1, 'itemType' => 'drink'],
+            ['type' => 'update', 'lineKey' => 'd1', 'quantity' => 1],
+        ]);
+
+        // ASSERT: Salad ×1 + wine ×1
+        $this->assertEquals(2, $result['itemCount']);
+        $this->assertEquals(33.00, $result['total']);
+    }
+
+    /**
+     * Test: Drinks don't accept options
+     * 
+     * @return void
+     */
+    public function testAddDrinkWithOptionsThrowsException(): void
+    {
+        $this->expectException(\InvalidArgumentException::class);
+
+        $this->cartService->add(1, 1, [3], 'drink');
+    }
+
+    /**
+     * Test: Sold out ("86") dishes cannot be added
+     * 
+     * Scenario: Kitchen marked the dish as sold out, customer clicks "+" on a stale page
+     * Expected Result: InvalidArgumentException naming the dish, cart unchanged
+     * 
+     * @return void
+     */
+    public function testAddSoldOutItemThrowsException(): void
+    {
+        // ARRANGE: Sold out dish
+        $menuItem = $this->createMockMenuItem(4, 'Bouillabaisse', '28.00', 'plats', 'bouillabaisse.jpg');
+        $menuItem->method('isSoldOut')->willReturn(true);
+        $this->menuItemRepository->method('find')->willReturn($menuItem);
+
+        // ASSERT
+        $this->expectException(\InvalidArgumentException::class);
+        $this->expectExceptionMessage('« Bouillabaisse » est épuisé');
+
+        // ACT
+        $this->cartService->add(4, 1);
+    }
+
+    /**
+     * Test: A dish sold out after entering the cart can't be incremented
+     *
+     * Scenario: Bouillabaisse x1 is in the cart, then the kitchen marks it as sold out;
+     * the customer clicks "+" in the sidebar, then adds it again from the menu
+     * Expected Result: Both rejected with the sold out message, quantity unchanged;
+     * decreasing or removing the line still works
+     *
+     * @return void
+     */
+    public function testIncrementSoldOutItemInCartThrowsException(): void
+    {
+        // ARRANGE: Line added while the dish was available, sold out since
+        $this->sessionCart['cart'] = [
+            4 => ['id' => 4, 'lineKey' => '4', 'itemType' => 'dish', 'name' => 'Bouillabaisse', 'price' => 28.0, 'taxRate' => 0.10, 'image' => '', 'category' => 'plats', 'options' => [], 'quantity' => 2],
+        ];
+        $menuItem = $this->createMockMenuItem(4, 'Bouillabaisse', '28.00', 'plats', 'bouillabaisse.jpg');
+        $menuItem->method('isSoldOut')->willReturn(true);
+        $this->menuItemRepository->method('find')->with(4)->willReturn($menuItem);
+
+        // ACT + ASSERT: "+" in the sidebar (quantity update) is refused
+        try {
+            $this->cartService->updateQuantity(4, 3);
+            $this->fail('Increasing a sold out dish should throw');
+        } catch (\InvalidArgumentException $e) {
+            $this->assertSame('« Bouillabaisse » est épuisé', $e->getMessage());
+        }
+
+        // ACT + ASSERT: adding it again (existing line) is refused, batch included
+        try {
+            $this->cartService->add(4, 1);
+            $this->fail('Adding a sold out dish to its existing line should throw');
+        } catch (\InvalidArgumentException $e) {
+            $this->assertSame('« Bouillabaisse » est épuisé', $e->getMessage());
+        }
+        try {
+            $this->cartService->applyBatch([['type' => 'update', 'lineKey' => '4', 'quantity' => 5]]);
+            $this->fail('A batch increasing a sold out dish should throw');
+        } catch (\InvalidArgumentException $e) {
+            $this->assertSame('Opération 1 : « Bouillabaisse » est épuisé', $e->getMessage());
+        }
+        $this->assertEquals(2, $this->sessionCart['cart'][4]['quantity']);
+
+        // ACT + ASSERT: decreasing is still allowed
+        $this->cartService->updateQuantity(4, 1);
+        $this->assertEquals(1, $this->sessionCart['cart'][4]['quantity']);
+    }
+
+    /**
+     * Test: Checkout rejects dishes sold out or hidden since they were added
+     * 
+     * Scenario: Cart holds a salad, a dish sold out meanwhile and a wine
+     * Expected Result: Exception listing only the sold out dish (drinks are not checked)
+     * 
+     * @return void
+     */
+    public function testAssertItemsAvailableListsUnavailableDishes(): void
+    {
+        // ARRANGE: Salad still available, pasta sold out
+        $salad = $this->createMockMenuItem(1, 'Salad', '8.00', 'entrees', 'salad.jpg');
+        $pasta = $this->createMockMenuItem(2, 'Pasta Carbonara', '15.50', 'plats', 'pasta.jpg');
+        $pasta->method('isSoldOut')->willReturn(true);
+        $this->menuItemRepository
+            ->method('find')
+            ->willReturnMap([
+                [1, null, $salad],
+                [2, null, $pasta],
+            ]);
+
+        $items = [
+            ['id' => 1, 'name' => 'Salad', 'itemType' => 'dish'],
+            ['id' => 2, 'name' => 'Pasta Carbonara', 'itemType' => 'dish'],
+            ['id' => 7, 'name' => 'Bandol rouge (bouteille)', 'itemType' => 'drink'],
+        ];
+
+        // ASSERT
+        $this->expectException(\InvalidArgumentException::class);
+        $this->expectExceptionMessage('Plus disponible : Pasta Carbonara.');
+
+        // ACT
+        $this->cartService->assertItemsAvailable($items);
+    }
+
+    /**
+     * Test: Checkout rejects dishes served only outside the chosen delivery slot
+     * 
+     * Scenario: Cart holds the lunch formula (Mon-Fri 12:00-14:30) and a dish without schedule
+     * Expected Result: Accepted for Monday 12:30, rejected for Monday 19:00 listing only the formula
+     * 
+     * @return void
+     */
+    public function testAssertItemsAvailableRejectsDishesOutsideTheirWindow(): void
+    {
+        // ARRANGE: Lunch formula limited to weekday lunchtime, salad always served
+        $lunch = (new MenuSchedule())
+            ->setName('Formule déjeuner')
+            ->setWeekdays([1, 2, 3, 4, 5])
+            ->setStartTime('12:00')
+            ->setEndTime('14:30');
+        $formula = (new MenuItem())->setName('Formule du midi')->addSchedule($lunch);
+        $salad = (new MenuItem())->setName('Salad');
+        $this->menuItemRepository
+            ->method('find')
+            ->willReturnMap([
+                [1, null, $salad],
+                [3, null, $formula],
+            ]);
+
+        $items = [
+            ['id' => 1, 'name' => 'Salad', 'itemType' => 'dish'],
+            ['id' => 3, 'name' => 'Formule du midi', 'itemType' => 'dish'],
+        ];
+
+        // ACT: Monday lunchtime slot goes through
+        $this->cartService->assertItemsAvailable($items, new \DateTimeImmutable('2026-10-19 12:30'));
+
+        // ASSERT: Monday evening slot is rejected
+        $this->expectException(\InvalidArgumentException::class);
+        $this->expectExceptionMessage('Non servi le 19/10/2026 à 19h00 : Formule du midi.');
+
+        $this->cartService->assertItemsAvailable($items, new \DateTimeImmutable('2026-10-19 19:00'));
+    }
+
+    /**
+     * Test: Cart lines are compared with the current menu
+     * 
+     * Scenario: Pasta added at €15.50, then the admin raises it to €16.50;
+     * the wine in the cart was removed from the menu meanwhile
+     * Expected Result: Pasta flagged priceChanged (addedPrice 15.50, price 16.50),
+     * wine flagged unavailable, total uses the current pasta price
+     * 
+     * @return void
+     */
+    public function testGetCartFlagsPriceChangesAndUnavailableItems(): void
+    {
+        // ARRANGE: Pasta and wine added at their former prices
+        $pasta = $this->createMockMenuItem(2, 'Pasta Carbonara', '15.50', 'plats', 'pasta.jpg');
+        $wine = $this->createMockDrink(1, 'Bandol rouge (bouteille)', '25.00', 'vins', true);
+        $this->menuItemRepository->method('find')->willReturn($pasta);
+        $this->drinkRepository->method('find')->willReturn($wine);
+        $this->cartService->add(2, 2);
+        $this->cartService->add(1, 1, [], 'drink');
+
+        // Pasta now costs €16.50, the wine no longer exists
+        $repricedPasta = $this->createMockMenuItem(2, 'Pasta Carbonara', '16.50', 'plats', 'pasta.jpg');
+        $this->menuItemRepository->method('findBy')->willReturn([$repricedPasta]);
+        $this->drinkRepository->method('findBy')->willReturn([]);
+
+        // ACT
+        $result = $this->cartService->getCart();
+
+        // ASSERT: Pasta repriced and flagged
+        $lines = array_column($result['items'], null, 'lineKey');
+        $this->assertTrue($lines['2']['priceChanged']);
+        $this->assertFalse($lines['2']['unavailable']);
+        $this->assertEquals(15.50, $lines['2']['addedPrice']);
+        $this->assertEquals(16.50, $lines['2']['price']);
+
+        // ASSERT: Wine flagged unavailable, keeps its price
+        $this->assertTrue($lines['d1']['unavailable']);
+        $this->assertFalse($lines['d1']['priceChanged']);
+        $this->assertEquals(25.00, $lines['d1']['price']);
+
+        // Total: 2 × 16.50 + 25.00
+        $this->assertEquals(58.00, $result['total']);
+    }
+
+    /**
+     * Test: Cart lines carry the nutrition facts of one serving
+     * 
+     * Scenario: Cart holds a pasta with nutrition facts, a salad without and a wine
+     * Expected Result: Pasta line carries its current values, salad and wine lines carry null
+     * 
+     * @return void
+     */
+    public function testGetCartLinesCarryNutritionPerServing(): void
+    {
+        // ARRANGE: Pasta with nutrition facts, salad without, a wine
+        $nutrition = new NutritionFacts();
+        $nutrition->caloriesKcal = 720;
+        $nutrition->proteinsG = '28.5';
+        $pasta = $this->createMockMenuItem(2, 'Pasta Carbonara', '15.50', 'plats', 'pasta.jpg');
+        $pasta->method('getNutrition')->willReturn($nutrition);
+        $salad = $this->createMockMenuItem(1, 'Salad', '8.00', 'entrees', 'salad.jpg');
+        $salad->method('getNutrition')->willReturn(new NutritionFacts());
+        $wine = $this->createMockDrink(1, 'Bandol rouge (bouteille)', '25.00', 'vins', true);
+        $this->menuItemRepository->method('find')->willReturnMap([[1, null, $salad], [2, null, $pasta]]);
+        $this->menuItemRepository->method('findBy')->willReturn([$salad, $pasta]);
+        $this->drinkRepository->method('find')->willReturn($wine);
+        $this->drinkRepository->method('findBy')->willReturn([$wine]);
+        $this->cartService->add(2, 2);
+        $this->cartService->add(1, 1);
+        $this->cartService->add(1, 1, [], 'drink');
+
+        // ACT
+        $lines = array_column($this->cartService->getCart()['items'], null, 'lineKey');
+
+        // ASSERT: Values of one serving, as numbers
+        $this->assertSame(720, $lines['2']['nutrition']['caloriesKcal']);
+        $this->assertSame(28.5, $lines['2']['nutrition']['proteinsG']);
+        $this->assertNull($lines['2']['nutrition']['fatsG']);
+        $this->assertNull($lines['1']['nutrition']);
+        $this->assertNull($lines['d1']['nutrition']);
+    }
+
+    /**
+     * Test: Acknowledging changes accepts the current prices
+     * 
+     * Scenario: Customer dismisses the price change notice, then checks out
+     * Expected Result: Line no longer flagged, its stored price is the current one;
+     * before acknowledging, checkout is refused
+     * 
+     * @return void
+     */
+    public function testAcknowledgeChangesAcceptsCurrentPrices(): void
+    {
+        // ARRANGE: Salad added at €8.00, now €9.00
+        $salad = $this->createMockMenuItem(1, 'Salad', '8.00', 'entrees', 'salad.jpg');
+        $this->menuItemRepository->method('find')->willReturn($salad);
+        $this->cartService->add(1, 1);
+
+        $repricedSalad = $this->createMockMenuItem(1, 'Salad', '9.00', 'entrees', 'salad.jpg');
+        $this->menuItemRepository->method('findBy')->willReturn([$repricedSalad]);
+
+        // ASSERT: Checkout refused while the change is not acknowledged
+        try {
+            $this->cartService->assertPricesAcknowledged($this->cartService->getCart()['items']);
+            $this->fail('Unacknowledged price change should be rejected');
+        } catch (\InvalidArgumentException $e) {
+            $this->assertStringContainsString('Salad', $e->getMessage());
+        }
+
+        // ACT
+        $result = $this->cartService->acknowledgeChanges();
+
+        // ASSERT: New price accepted and stored
+        $this->assertFalse($result['items'][0]['priceChanged']);
+        $this->assertEquals(9.00, $result['items'][0]['addedPrice']);
+        $this->assertEquals(9.00, $this->sessionCart['cart'][1]['price']);
+        $this->cartService->assertPricesAcknowledged($result['items']);
+    }
+
+    /**
+     * Test: Reordering adds the lines of a previous order, skipping what cannot be ordered
+     * 
+     * Scenario: "Commander à nouveau" on an order with 2 burgers "sans oignons"
+     * and a bouillabaisse sold out today
+     * Expected Result: Burgers added with their note, bouillabaisse reported as skipped,
+     * nothing thrown
+     * 
+     * @return void
+     */
+    public function testAddLinesSkipsUnavailableItemsAndKeepsNotes(): void
+    {
+        // ARRANGE: Burger available, bouillabaisse sold out
+        $burger = $this->createMockMenuItem(5, 'Burger', '16.00', 'plats', 'burger.jpg');
+        $bouillabaisse = $this->createMockMenuItem(4, 'Bouillabaisse', '28.00', 'plats', 'bouillabaisse.jpg');
+        $bouillabaisse->method('isSoldOut')->willReturn(true);
+        $this->menuItemRepository
+            ->method('find')
+            ->willReturnMap([
+                [5, null, $burger],
+                [4, null, $bouillabaisse],
+            ]);
+
+        // ACT
+        $result = $this->cartService->addLines([
+            ['itemId' => 5, 'itemType' => 'dish', 'quantity' => 2, 'options' => [], 'note' => 'Sans <b>oignons</b>', 'name' => 'Burger'],
+            ['itemId' => 4, 'itemType' => 'dish', 'quantity' => 1, 'options' => [], 'note' => null, 'name' => 'Bouillabaisse'],
+        ]);
+
+        // ASSERT: Burger line stored with its sanitized note, bouillabaisse skipped
+        $this->assertCount(1, $this->sessionCart['cart']);
+        $this->assertEquals(2, $this->sessionCart['cart'][5]['quantity']);
+        $this->assertEquals('Sans oignons', $this->sessionCart['cart'][5]['note']);
+        $this->assertEquals(
+            [['name' => 'Bouillabaisse', 'reason' => '« Bouillabaisse » est épuisé']],
+            $result['skipped']
+        );
+    }
+
+    /**
+     * Test: In a group order, new lines are attributed to the participant
+     * 
+     * Scenario: Samir joined Camille's group order and adds a pasta
+     * Expected Result: Line stored in the group cart (not the session) under
+     * "2@1", with Samir's name
+     * 
+     * @return void
+     */
+    public function testAddInGroupOrderAttributesLineToParticipant(): void
+    {
+        // ARRANGE: Samir is participant 1 of Camille's group
+        $group = $this->createGroupCart(['Camille', 'Samir']);
+        $this->joinGroupAs($group, 1);
+        $pasta = $this->createMockMenuItem(2, 'Pasta Carbonara', '15.50', 'plats', 'pasta.jpg');
+        $this->menuItemRepository->method('find')->willReturn($pasta);
+        $this->menuItemRepository->method('findBy')->willReturn([$pasta]);
+
+        // ACT
+        $result = $this->cartService->add(2, 1);
+
+        // ASSERT: Line attributed to Samir, stored in the group
+        $this->assertSame('2@1', $result['items'][0]['lineKey']);
+        $this->assertSame('Samir', $result['items'][0]['participant']);
+        $this->assertSame(1, $result['items'][0]['participantIndex']);
+        $this->assertArrayHasKey('2@1', $group->getItems());
+        $this->assertArrayNotHasKey('cart', $this->sessionCart);
+    }
+
+    /**
+     * Test: Participants only change their own lines
+     * 
+     * Scenario: Samir tries to change the quantity of Camille's line
+     * Expected Result: Exception naming Camille; the owner can change it
+     * 
+     * @return void
+     */
+    public function testParticipantCannotChangeOtherParticipantsLine(): void
+    {
+        // ARRANGE: Camille's pasta in the group cart
+        $group = $this->createGroupCart(['Camille', 'Samir']);
+        $group->setItems(['2@0' => $this->createGroupLine(2, '2@0', 'Camille', 0)]);
+        $this->joinGroupAs($group, 1);
+
+        // ACT & ASSERT: Samir is refused
+        try {
+            $this->cartService->updateQuantity('2@0', 3);
+            $this->fail('A participant should not change another participant\'s line');
+        } catch (\InvalidArgumentException $e) {
+            $this->assertStringContainsString('Camille', $e->getMessage());
+        }
+        $this->assertSame(1, $group->getItems()['2@0']['quantity']);
+    }
+
+    /**
+     * Test: A locked group only accepts changes from its owner, who alone checks out
+     * 
+     * Scenario: Camille locked the group; Samir tries to add a dish and to check out
+     * Expected Result: Both refused
+     * 
+     * @return void
+     */
+    public function testLockedGroupRejectsParticipantChanges(): void
+    {
+        // ARRANGE
+        $group = $this->createGroupCart(['Camille', 'Samir']);
+        $group->setLocked(true);
+        $this->joinGroupAs($group, 1);
+
+        // ACT & ASSERT: Adding refused
+        try {
+            $this->cartService->add(2, 1);
+            $this->fail('A locked group should reject participants\' changes');
+        } catch (\InvalidArgumentException $e) {
+            $this->assertStringContainsString('verrouillée', $e->getMessage());
+        }
+
+        // ACT & ASSERT: Checkout refused
+        $this->expectException(\InvalidArgumentException::class);
+        $this->cartService->assertCanCheckout();
+    }
+
+    /**
+     * Helper method: Create a group cart
+     * 
+     * @param string[] $participants Participant names (index 0 is the owner)
+     * @return GroupCart Group cart entity
+     */
+    private function createGroupCart(array $participants): GroupCart
+    {
+        $group = (new GroupCart())->setToken(str_repeat('a', 32));
+        foreach ($participants as $name) {
+            $group->addParticipant($name);
+        }
+
+        return $group;
+    }
+
+    /**
+     * Helper method: Make the visitor a participant of a group order
+     * 
+     * The mocked GroupCartService returns the group and stores the lines in it,
+     * like the real service does.
+     * 
+     * @param GroupCart $group Group cart
+     * @param int $index Participant index of the visitor (0 = owner)
+     * @return void
+     */
+    private function joinGroupAs(GroupCart $group, int $index): void
+    {
+        $this->groupCartService->method('getCurrent')->willReturn($group);
+        $this->groupCartService->method('getParticipantIndex')->willReturn($index);
+        $this->groupCartService->method('isOwner')->willReturn($index === 0);
+        $this->groupCartService->method('saveItems')
+            ->willReturnCallback(function (GroupCart $group, array $items) {
+                $group->setItems($items);
+            });
+    }
+
+    /**
+     * Helper method: Build a group cart line
+     * 
+     * @param int $id Menu item ID
+     * @param string $lineKey Line key (with participant suffix)
+     * @param string $participant Participant name
+     * @param int $participantIndex Participant index
+     * @return array Cart line
+     */
+    private function createGroupLine(int $id, string $lineKey, string $participant, int $participantIndex): array
+    {
+        return [
+            'id' => $id,
+            'lineKey' => $lineKey,
+            'itemType' => 'dish',
+            'name' => 'Pasta Carbonara',
+            'price' => 15.50,
+            'taxRate' => 0.10,
+            'image' => '',
+            'category' => 'plats',
+            'options' => [],
+            'quantity' => 1,
+            'participant' => $participant,
+            'participantIndex' => $participantIndex,
+        ];
+    }
+
+    /**
+     * Helper method: Create a mock Drink entity
+     * 
+     * @param int $id Drink ID
+     * @param string $name Drink name
+     * @param string $price Price as string (database format)
+     * @param string $type Drink type (vins, bieres, chaudes, fraiches)
+     * @param bool $alcoholic Whether the drink is taxed as alcohol
+     * @return Drink Mocked entity
+     */
+    private function createMockDrink(int $id, string $name, string $price, string $type, bool $alcoholic): Drink
+    {
+        $drink = $this->createMock(Drink::class);
+
+        $drink->method('getId')->willReturn($id);
+        $drink->method('getName')->willReturn($name);
+        $drink->method('getPrice')->willReturn($price);
+        $drink->method('getType')->willReturn($type);
+        $drink->method('isAlcoholic')->willReturn($alcoholic);
+
+        return $drink;
+    }
+
     /**
      * Helper method: Create a mock MenuItem entity
      * 
@@ -731,6 +1584,7 @@ class CartServiceTest extends TestCase
      * @param string $price Price as string (database format)
      * @param string $category Category (entrees, plats, desserts)
      * @param string $image Image filename
+     * @param MenuItemOptionGroup[] $optionGroups Option groups (none by default)
      * @return MenuItem Mocked entity
      */
     private function createMockMenuItem(
@@ -738,7 +1592,8 @@ class CartServiceTest extends TestCase
         string $name,
         string $price,
         string $category,
-        string $image
+        string $image,
+        array $optionGroups = []
     ): MenuItem {
         $menuItem = $this->createMock(MenuItem::class);
         
@@ -747,8 +1602,46 @@ class CartServiceTest extends TestCase
         $menuItem->method('getPrice')->willReturn($price);
         $menuItem->method('getCategory')->willReturn($category);
         $menuItem->method('getImage')->willReturn($image);
+        $menuItem->method('getOptionGroups')->willReturn(new ArrayCollection($optionGroups));
         
         return $menuItem;
     }
+
+    /**
+     * Helper method: Create a mock option group with its options
+     * 
+     * @param string $name Group name (e.g. "Cuisson")
+     * @param bool $required Whether at least one choice is required
+     * @param int $minChoices Minimum number of choices
+     * @param int $maxChoices Maximum number of choices
+     * @param array<int, array{0: string, 1: string}> $options Option ID => [name, price delta]
+     * @return MenuItemOptionGroup Mocked entity
+     */
+    private function createMockOptionGroup(
+        string $name,
+        bool $required,
+        int $minChoices,
+        int $maxChoices,
+        array $options
+    ): MenuItemOptionGroup {
+        $mockOptions = [];
+        foreach ($options as $optionId => [$optionName, $priceDelta]) {
+            $option = $this->createMock(MenuItemOption::class);
+            $option->method('getId')->willReturn($optionId);
+            $option->method('getName')->willReturn($optionName);
+            $option->method('getPriceDelta')->willReturn($priceDelta);
+            $mockOptions[] = $option;
+        }
+
+        $group = $this->createMock(MenuItemOptionGroup::class);
+        $group->method('getName')->willReturn($name);
+        $group->method('isRequired')->willReturn($required);
+        $group->method('getMinChoices')->willReturn($minChoices);
+        $group->method('getMaxChoices')->willReturn($maxChoices);
+        $group->method('getEffectiveMinChoices')->willReturn($required ? max(1, $minChoices) : $minChoices);
+        $group->method('getOptions')->willReturn(new ArrayCollection($mockOptions));
+
+        return $group;
+    }
 }
 
@@ -0,0 +1,337 @@
+<?php
+
+namespace App\Tests\Unit\Service;
+
+use App\Entity\GroupCart;
+use App\Repository\GroupCartRepository;
+use App\Service\GroupCartService;
+use Doctrine\DBAL\LockMode;
+use Doctrine\ORM\EntityManagerInterface;
+use Doctrine\ORM\OptimisticLockException;
+use PHPUnit\Framework\TestCase;
+use Symfony\Component\HttpFoundation\RequestStack;
+use Symfony\Component\HttpFoundation\Session\SessionInterface;
+use Symfony\Component\Routing\Generator\UrlGeneratorInterface;
+
+/**
+ * Unit Tests for GroupCartService
+ *
+ * Group orders share one GroupCart row between several visitors: joining, locking,
+ * leaving and closing reload it with its row locked, so that a change made by
+ * another participant in the meantime is taken into account instead of overwritten.
+ *
+ * The entity manager is mocked: wrapInTransaction() runs the change, and refresh()
+ * plays what a concurrent request committed before the lock was acquired.
+ *
+ * Test Coverage:
+ * - Joining (participant index, membership in session, checks on the locked row)
+ * - Locking (owner only)
+ * - Leaving (participant vs owner, lines given back to the owner)
+ * - Closing after checkout
+ * - Stale writes of the lines (optimistic lock failure)
+ *
+ * @package App\Tests\Unit\Service
+ * @author Le Trois Quarts Development Team
+ */
+class GroupCartServiceTest extends TestCase
+{
+    private const TOKEN = '0123456789abcdef0123456789abcdef';
+
+    /**
+     * @var EntityManagerInterface&\PHPUnit\Framework\MockObject\MockObject
+     */
+    private EntityManagerInterface $entityManager;
+
+    /**
+     * @var GroupCartRepository&\PHPUnit\Framework\MockObject\MockObject
+     */
+    private GroupCartRepository $groupCartRepository;
+
+    private GroupCartService $groupCartService;
+
+    /**
+     * Simulated session data
+     */
+    private array $sessionData = [];
+
+    /**
+     * Change committed by another request before the row lock is acquired (null = none)
+     *
+     * @var (callable(GroupCart): void)|null
+     */
+    private $concurrentChange = null;
+
+    /**
+     * Lock modes of the reloads of the group (refresh() calls)
+     *
+     * @var array<LockMode|int|null>
+     */
+    private array $refreshLocks = [];
+
+    /**
+     * The group shared by the tests: "Camille" owns it, "Léa" joined it
+     */
+    private GroupCart $group;
+
+    /**
+     * Set up: an open group, found by its token, and a session-less visitor
+     */
+    protected function setUp(): void
+    {
+        $this->sessionData = [];
+        $this->concurrentChange = null;
+        $this->refreshLocks = [];
+
+        $this->group = (new GroupCart())->setToken(self::TOKEN);
+        $this->group->addParticipant('Camille');
+        $this->group->addParticipant('Léa');
+
+        $session = $this->createMock(SessionInterface::class);
+        $session->method('get')->willReturnCallback(fn($key, $default = null) => $this->sessionData[$key] ?? $default);
+        $session->method('set')->willReturnCallback(function ($key, $value) {
+            $this->sessionData[$key] = $value;
+        });
+        $session->method('remove')->willReturnCallback(function ($key) {
+            unset($this->sessionData[$key]);
+        });
+
+        $requestStack = $this->createMock(RequestStack::class);
+        $requestStack->method('getSession')->willReturn($session);
+
+        $this->groupCartRepository = $this->createMock(GroupCartRepository::class);
+        $this->groupCartRepository->method('findOpenByToken')
+            ->willReturnCallback(fn(string $token) => $token === self::TOKEN ? $this->group : null);
+
+        $this->entityManager = $this->createMock(EntityManagerInterface::class);
+        $this->entityManager->method('wrapInTransaction')
+            ->willReturnCallback(fn(callable $func) => $func($this->entityManager));
+        // Reloading the row plays the change committed meanwhile by another request
+        $this->entityManager->method('refresh')
+            ->willReturnCallback(function (object $entity, LockMode|int|null $lockMode = null) {
+                $this->refreshLocks[] = $lockMode;
+                if ($this->concurrentChange !== null) {
+                    ($this->concurrentChange)($entity);
+                }
+            });
+
+        $this->groupCartService = new GroupCartService(
+            $requestStack,
+            $this->entityManager,
+            $this->groupCartRepository,
+            $this->createMock(UrlGeneratorInterface::class)
+        );
+    }
+
+    /**
+     * Test: joining adds the visitor after the participants committed meanwhile
+     *
+     * Scenario: "Noé" opens the share link while "Hugo" joins from another browser
+     * Expected Result: the row is reloaded with a write lock before the participant
+     * is added, so Noé gets index 3 (not 2, Hugo's) and it is remembered in session
+     */
+    public function testJoinAddsParticipantOnLockedRow(): void
+    {
+        $this->concurrentChange = static fn(GroupCart $group) => $group->addParticipant('Hugo');
+
+        $group = $this->groupCartService->join(self::TOKEN, '  Noé  ');
+
+        $this->assertRowLockedOnce();
+        $this->assertSame(['Camille', 'Léa', 'Hugo', 'Noé'], $group->getParticipants());
+        $this->assertSame(['token' => self::TOKEN, 'participant' => 3], $this->sessionData['group_cart']);
+        $this->assertSame(3, $this->groupCartService->getParticipantIndex());
+        $this->assertFalse($this->groupCartService->isOwner());
+    }
+
+    /**
+     * Test: a group locked by its owner meanwhile can't be joined
+     *
+     * Scenario: the owner locks the group between the page load and the join
+     * Expected Result: exception, no participant added, not remembered in session
+     */
+    public function testJoinRejectsGroupLockedMeanwhile(): void
+    {
+        $this->concurrentChange = static fn(GroupCart $group) => $group->setLocked(true);
+
+        try {
+            $this->groupCartService->join(self::TOKEN, 'Noé');
+            $this->fail('Joining a locked group should fail');
+        } catch (\InvalidArgumentException $e) {
+            $this->assertSame('La commande groupée est verrouillée par son organisateur', $e->getMessage());
+        }
+
+        $this->assertSame(['Camille', 'Léa'], $this->group->getParticipants());
+        $this->assertArrayNotHasKey('group_cart', $this->sessionData);
+    }
+
+    /**
+     * Test: a group closed meanwhile (order placed) can't be joined
+     *
+     * Expected Result: same message as an unknown share link
+     */
+    public function testJoinRejectsGroupClosedMeanwhile(): void
+    {
+        $this->concurrentChange = static fn(GroupCart $group) => $group->close();
+
+        $this->expectException(\InvalidArgumentException::class);
+        $this->expectExceptionMessage('Cette commande groupée n\'existe pas ou est terminée');
+
+        $this->groupCartService->join(self::TOKEN, 'Noé');
+    }
+
+    /**
+     * Test: a full group can't be joined
+     *
+     * Scenario: the last seats were taken by concurrent joins
+     * Expected Result: exception, the participant count stays at the maximum
+     */
+    public function testJoinRejectsFullGroup(): void
+    {
+        $this->concurrentChange = static function (GroupCart $group) {
+            while (count($group->getParticipants()) < GroupCart::MAX_PARTICIPANTS) {
+                $group->addParticipant('Invité');
+            }
+        };
+
+        try {
+            $this->groupCartService->join(self::TOKEN, 'Noé');
+            $this->fail('Joining a full group should fail');
+        } catch (\InvalidArgumentException $e) {
+            $this->assertSame('La commande groupée est complète', $e->getMessage());
+        }
+
+        $this->assertCount(GroupCart::MAX_PARTICIPANTS, $this->group->getParticipants());
+    }
+
+    /**
+     * Test: only the owner can lock the group
+     *
+     * Scenario: participant 1 (Léa) tries to lock it
+     * Expected Result: exception, the row is not even locked
+     */
+    public function testSetLockedIsOwnerOnly(): void
+    {
+        $this->sessionData['group_cart'] = ['token' => self::TOKEN, 'participant' => 1];
+        $this->entityManager->expects($this->never())->method('wrapInTransaction');
+
+        $this->expectException(\InvalidArgumentException::class);
+        $this->expectExceptionMessage('Seul l\'organisateur peut faire cette action');
+
+        $this->groupCartService->setLocked(true);
+    }
+
+    /**
+     * Test: the owner locks the group
+     *
+     * Expected Result: the group is locked on the reloaded row
+     */
+    public function testOwnerLocksGroup(): void
+    {
+        $this->sessionData['group_cart'] = ['token' => self::TOKEN, 'participant' => 0];
+
+        $group = $this->groupCartService->setLocked(true);
+
+        $this->assertRowLockedOnce();
+        $this->assertTrue($group->isLocked());
+        $this->assertTrue($this->groupCartService->describe()['locked']);
+    }
+
+    /**
+     * Test: the owner leaving cancels the group and gets their lines back
+     *
+     * Scenario: the owner leaves while Léa adds a line from another browser
+     * Expected Result: the group is closed, the owner gets their own line (key without
+     * the "@0" suffix, no participant fields), not Léa's; the membership is forgotten
+     */
+    public function testOwnerLeavingClosesGroupAndReturnsOwnLines(): void
+    {
+        $this->sessionData['group_cart'] = ['token' => self::TOKEN, 'participant' => 0];
+        $this->group->setItems([
+            '12@0' => ['id' => 12, 'name' => 'Bouillabaisse', 'quantity' => 2, 'lineKey' => '12@0', 'participant' => 'Camille', 'participantIndex' => 0],
+        ]);
+        $this->concurrentChange = static fn(GroupCart $group) => $group->setItems($group->getItems() + [
+            '7@1' => ['id' => 7, 'name' => 'Panisses', 'quantity' => 1, 'lineKey' => '7@1', 'participant' => 'Léa', 'participantIndex' => 1],
+        ]);
+
+        $lines = $this->groupCartService->leave();
+
+        $this->assertRowLockedOnce();
+        $this->assertSame(['12' => ['id' => 12, 'name' => 'Bouillabaisse', 'quantity' => 2, 'lineKey' => '12']], $lines);
+        $this->assertTrue($this->group->isClosed());
+        $this->assertArrayNotHasKey('group_cart', $this->sessionData);
+        $this->assertNull($this->groupCartService->getCurrent());
+    }
+
+    /**
+     * Test: a participant leaving keeps the group open
+     *
+     * Expected Result: nothing given back (their lines stay for the owner to decide),
+     * the group is untouched and the membership is forgotten
+     */
+    public function testParticipantLeavingKeepsGroupOpen(): void
+    {
+        $this->sessionData['group_cart'] = ['token' => self::TOKEN, 'participant' => 1];
+        $this->entityManager->expects($this->never())->method('wrapInTransaction');
+
+        $this->assertSame([], $this->groupCartService->leave());
+        $this->assertFalse($this->group->isClosed());
+        $this->assertArrayNotHasKey('group_cart', $this->sessionData);
+    }
+
+    /**
+     * Test: leaving without a group fails
+     */
+    public function testLeaveWithoutGroupThrowsException(): void
+    {
+        $this->expectException(\InvalidArgumentException::class);
+        $this->expectExceptionMessage('Aucune commande groupée en cours');
+
+        $this->groupCartService->leave();
+    }
+
+    /**
+     * Test: the group is closed once its order is placed
+     *
+     * Expected Result: closed on the locked row, membership forgotten; without a
+     * group, nothing happens
+     */
+    public function testCloseClosesGroupAndForgetsIt(): void
+    {
+        $this->sessionData['group_cart'] = ['token' => self::TOKEN, 'participant' => 0];
+
+        $this->groupCartService->close();
+
+        $this->assertRowLockedOnce();
+        $this->assertTrue($this->group->isClosed());
+        $this->assertArrayNotHasKey('group_cart', $this->sessionData);
+
+        // Already forgotten: a second call is a no-op
+        $this->groupCartService->close();
+        $this->assertRowLockedOnce();
+    }
+
+    /**
+     * Test: lines computed from a stale group are not written
+     *
+     * Scenario: another participant changed the group since it was read
+     * Expected Result: the OptimisticLockException of the version check reaches the
+     * caller (409 for the API)
+     */
+    public function testSaveItemsOnStaleGroupThrowsOptimisticLockException(): void
+    {
+        $this->entityManager->expects($this->once())
+            ->method('flush')
+            ->willThrowException(OptimisticLockException::lockFailed($this->group));
+
+        $this->expectException(OptimisticLockException::class);
+
+        $this->groupCartService->saveItems($this->group, []);
+    }
+
+    /**
+     * Helper method: the group was reloaded exactly once, with a write lock
+     */
+    private function assertRowLockedOnce(): void
+    {
+        $this->assertSame([LockMode::PESSIMISTIC_WRITE], $this->refreshLocks);
+    }
+}
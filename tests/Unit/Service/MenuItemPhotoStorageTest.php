@@ -0,0 +1,259 @@
+<?php
+
+namespace App\Tests\Unit\Service;
+
+use App\Entity\MenuItem;
+use App\Entity\MenuItemPhoto;
+use App\Service\FileUploadValidator;
+use App\Service\MenuItemPhotoStorage;
+use PHPUnit\Framework\TestCase;
+use Psr\Log\NullLogger;
+use Symfony\Component\HttpFoundation\File\Exception\FileException;
+use Symfony\Component\HttpFoundation\File\UploadedFile;
+
+/**
+ * Unit Tests for MenuItemPhotoStorage
+ *
+ * Photos uploaded in the dish form of the back-office are validated, moved to the
+ * menu images folder and added after the existing photos of the dish.
+ *
+ * The upload folder is a temporary directory, and the file validator is mocked:
+ * files named *.pdf are rejected.
+ *
+ * Test Coverage:
+ * - Validation of every file before any is stored
+ * - Positions of new photos (after the existing ones, in upload order)
+ * - First photo of a new dish used as its image
+ * - Files of a batch that can't be stored completely
+ * - Deletion of photo files (file names only)
+ *
+ * @package App\Tests\Unit\Service
+ * @author Le Trois Quarts Development Team
+ */
+class MenuItemPhotoStorageTest extends TestCase
+{
+    /**
+     * Temporary directory: uploaded files (tmp/) and menu images folder (menu/)
+     */
+    private string $workDir;
+
+    private string $uploadDir;
+
+    /**
+     * @var FileUploadValidator&\PHPUnit\Framework\MockObject\MockObject
+     */
+    private FileUploadValidator $fileValidator;
+
+    private MenuItemPhotoStorage $photoStorage;
+
+    protected function setUp(): void
+    {
+        $this->workDir = sys_get_temp_dir() . '/menu-photo-storage-' . uniqid();
+        $this->uploadDir = $this->workDir . '/menu';
+        mkdir($this->workDir . '/tmp', 0755, true);
+
+        $this->fileValidator = $this->createMock(FileUploadValidator::class);
+        $this->fileValidator->method('validate')
+            ->willReturnCallback(static function (UploadedFile $file) {
+                if ($file->getClientOriginalExtension() === 'pdf') {
+                    throw new FileException('Extension de fichier non autorisée : pdf');
+                }
+            });
+
+        $this->photoStorage = new MenuItemPhotoStorage($this->fileValidator, new NullLogger(), $this->uploadDir);
+    }
+
+    protected function tearDown(): void
+    {
+        $this->removeDirectory($this->workDir);
+    }
+
+    /**
+     * Test: a rejected file stops the upload before any file is stored
+     *
+     * Scenario: three files uploaded, the second one is a PDF
+     * Expected Result: exception naming the rejected file, no file in the menu
+     * images folder (not even the first one), no photo added to the dish
+     */
+    public function testEveryFileIsValidatedBeforeAnyIsStored(): void
+    {
+        $dish = $this->createDish(['assiette.jpg']);
+        $files = [
+            $this->createUploadedFile('plat.png', 'plat'),
+            $this->createUploadedFile('carte.pdf', 'carte'),
+            $this->createUploadedFile('detail.png', 'detail'),
+        ];
+
+        try {
+            $this->photoStorage->addUploadedPhotos($dish, $files);
+            $this->fail('A rejected file should stop the upload');
+        } catch (FileException $e) {
+            $this->assertSame('carte.pdf : Extension de fichier non autorisée : pdf', $e->getMessage());
+        }
+
+        $this->assertSame([], $this->getStoredFiles());
+        $this->assertFileExists($files[0]->getPathname());
+        $this->assertSame(['assiette.jpg'], $this->getPhotoPaths($dish));
+    }
+
+    /**
+     * Test: new photos go after the existing ones, in upload order
+     *
+     * Scenario: the dish has photos at positions 0 and 4 (one was removed in between);
+     * two files are uploaded
+     * Expected Result: positions 5 and 6 in upload order, each pointing to the stored
+     * copy of its own file
+     */
+    public function testNewPhotosAreAppendedAfterExistingPhotosInUploadOrder(): void
+    {
+        $dish = $this->createDish(['assiette.jpg', 'terrasse.jpg'], [0, 4]);
+
+        $added = $this->photoStorage->addUploadedPhotos($dish, [
+            $this->createUploadedFile('plat.png', 'plat'),
+            $this->createUploadedFile('detail.png', 'detail'),
+        ]);
+
+        $this->assertCount(2, $added);
+        $this->assertSame([5, 6], array_map(static fn(MenuItemPhoto $photo) => $photo->getPosition(), $added));
+        $this->assertSame('plat', file_get_contents($this->uploadDir . '/' . $added[0]->getPath()));
+        $this->assertSame('detail', file_get_contents($this->uploadDir . '/' . $added[1]->getPath()));
+
+        $this->assertSame(
+            ['assiette.jpg', 'terrasse.jpg', $added[0]->getPath(), $added[1]->getPath()],
+            $this->getPhotoPaths($dish)
+        );
+        $this->assertCount(2, $this->getStoredFiles());
+    }
+
+    /**
+     * Test: the first uploaded photo of a new dish becomes its image
+     *
+     * Expected Result: after syncImageFromPhotos() (done by the dish form), the
+     * image is the stored file of the first upload
+     */
+    public function testFirstUploadedPhotoBecomesImage(): void
+    {
+        $dish = new MenuItem();
+
+        $added = $this->photoStorage->addUploadedPhotos($dish, [
+            $this->createUploadedFile('plat.png', 'plat'),
+            $this->createUploadedFile('detail.png', 'detail'),
+        ]);
+        $dish->syncImageFromPhotos();
+
+        $this->assertSame([0, 1], array_map(static fn(MenuItemPhoto $photo) => $photo->getPosition(), $added));
+        $this->assertSame($added[0]->getPath(), $dish->getImage());
+        $this->assertSame('plat', file_get_contents($this->uploadDir . '/' . $dish->getImage()));
+    }
+
+    /**
+     * Test: a file that can't be stored doesn't leave the others of the batch behind
+     *
+     * Scenario: the temporary file of the second upload disappeared before the move
+     * Expected Result: exception, the first stored file is deleted again, no photo added
+     */
+    public function testStorageFailureKeepsNoFileOfTheBatch(): void
+    {
+        $dish = new MenuItem();
+        $missing = $this->createUploadedFile('detail.png', 'detail');
+        unlink($missing->getPathname());
+
+        try {
+            $this->photoStorage->addUploadedPhotos($dish, [$this->createUploadedFile('plat.png', 'plat'), $missing]);
+            $this->fail('A file that can\'t be stored should stop the upload');
+        } catch (\InvalidArgumentException) {
+            // Reported to the form as "Erreur lors de l'upload du fichier"
+        }
+
+        $this->assertSame([], $this->getStoredFiles());
+        $this->assertTrue($dish->getPhotos()->isEmpty());
+    }
+
+    /**
+     * Test: only files of the menu images folder are deleted
+     *
+     * Expected Result: a stored file name is deleted; relative paths leaving the
+     * folder, absolute paths, URLs and unknown files are ignored
+     */
+    public function testDeleteOnlyRemovesFilesOfMenuImagesFolder(): void
+    {
+        mkdir($this->uploadDir);
+        file_put_contents($this->uploadDir . '/assiette.jpg', 'assiette');
+        file_put_contents($this->workDir . '/secret.jpg', 'secret');
+
+        $this->assertTrue($this->photoStorage->delete('assiette.jpg'));
+        $this->assertFileDoesNotExist($this->uploadDir . '/assiette.jpg');
+
+        $this->assertFalse($this->photoStorage->delete('../secret.jpg'));
+        $this->assertFalse($this->photoStorage->delete($this->workDir . '/secret.jpg'));
+        $this->assertFalse($this->photoStorage->delete('https://cdn.example.com/secret.jpg'));
+        $this->assertFalse($this->photoStorage->delete('inconnue.jpg'));
+        $this->assertFalse($this->photoStorage->delete(''));
+        $this->assertFileExists($this->workDir . '/secret.jpg');
+    }
+
+    /**
+     * Helper method: dish with saved photos
+     *
+     * @param string[] $paths
+     * @param int[]|null $positions Positions of the photos (default: 0, 1, ...)
+     */
+    private function createDish(array $paths, ?array $positions = null): MenuItem
+    {
+        $positions ??= array_keys($paths);
+        $dish = (new MenuItem())->setName('Bouillabaisse');
+        foreach ($paths as $index => $path) {
+            $photo = (new MenuItemPhoto())
+                ->setPath($path)
+                ->setPosition($positions[$index]);
+            (new \ReflectionProperty(MenuItemPhoto::class, 'id'))->setValue($photo, $index + 1);
+            $dish->addPhoto($photo);
+        }
+
+        return $dish;
+    }
+
+    /**
+     * Helper method: file uploaded through the form (test mode, no real HTTP upload)
+     */
+    private function createUploadedFile(string $originalName, string $content): UploadedFile
+    {
+        $path = tempnam($this->workDir . '/tmp', 'upload');
+        file_put_contents($path, $content);
+
+        return new UploadedFile($path, $originalName, null, null, true);
+    }
+
+    /**
+     * Helper method: files in the menu images folder
+     *
+     * @return string[]
+     */
+    private function getStoredFiles(): array
+    {
+        return is_dir($this->uploadDir) ? array_values(array_diff(scandir($this->uploadDir), ['.', '..'])) : [];
+    }
+
+    /**
+     * Helper method: paths of the photos of a dish, in display order
+     *
+     * @return array<string|null>
+     */
+    private function getPhotoPaths(MenuItem $dish): array
+    {
+        return array_map(static fn(MenuItemPhoto $photo) => $photo->getPath(), $dish->getOrderedPhotos());
+    }
+
+    private function removeDirectory(string $dir): void
+    {
+        if (!is_dir($dir)) {
+            return;
+        }
+
+        foreach (array_diff(scandir($dir), ['.', '..']) as $entry) {
+            $path = $dir . '/' . $entry;
+            is_dir($path) ? $this->removeDirectory($path) : unlink($path);
+        }
+        rmdir($dir);
+    }
+}
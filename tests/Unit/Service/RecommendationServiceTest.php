@@ -0,0 +1,195 @@
+<?php
+
+namespace App\Tests\Unit\Service;
+
+use App\Entity\Allergen;
+use App\Entity\Badge;
+use App\Entity\Category;
+use App\Entity\MenuItem;
+use App\Entity\Tag;
+use App\Repository\CategoryRepository;
+use App\Repository\MenuItemRepository;
+use App\Repository\OrderRepository;
+use App\Service\MenuItemImageResolver;
+use App\Service\RecommendationService;
+use Doctrine\Common\Collections\ArrayCollection;
+use PHPUnit\Framework\TestCase;
+
+/**
+ * Unit Tests for RecommendationService
+ *
+ * Suggestions of the dish page ("Vous aimerez aussi") and of the cart sidebar
+ * ("Pour compléter votre commande"), scored by shared tags and badges, next
+ * course, same category and dishes ordered together.
+ *
+ * Test Coverage:
+ * - Ranking by criterion, with the reason of each suggestion
+ * - Dishes left out: chosen, sold out, containing an excluded allergen, no point in common
+ * - Co-occurrence in past orders, capped
+ * - Unknown dishes (no query on the orders)
+ *
+ * @package App\Tests\Unit\Service
+ * @author Le Trois Quarts Development Team
+ */
+class RecommendationServiceTest extends TestCase
+{
+    /**
+     * @var MenuItemRepository&\PHPUnit\Framework\MockObject\MockObject
+     */
+    private MenuItemRepository $menuItemRepository;
+
+    /**
+     * @var OrderRepository&\PHPUnit\Framework\MockObject\MockObject
+     */
+    private OrderRepository $orderRepository;
+
+    private RecommendationService $recommendationService;
+
+    /**
+     * Set up: menu categories entrees → plats → desserts, no past orders by default
+     */
+    protected function setUp(): void
+    {
+        $this->menuItemRepository = $this->createMock(MenuItemRepository::class);
+        $this->orderRepository = $this->createMock(OrderRepository::class);
+
+        $categories = [];
+        foreach (['entrees' => 'Entrées', 'plats' => 'Plats', 'desserts' => 'Desserts'] as $slug => $name) {
+            $categories[] = (new Category())->setSlug($slug)->setName($name)->setPosition(count($categories) * 10 + 10);
+        }
+        $categoryRepository = $this->createMock(CategoryRepository::class);
+        $categoryRepository->method('findOrdered')->willReturn($categories);
+
+        $this->recommendationService = new RecommendationService(
+            $this->menuItemRepository,
+            $this->orderRepository,
+            $categoryRepository,
+            new MenuItemImageResolver()
+        );
+    }
+
+    /**
+     * Test: the next course and shared tags come first; unsuitable dishes are left out
+     *
+     * Scenario: the customer looks at a vegetarian starter and excludes gluten
+     * Expected Result: the vegetarian plat (next course + shared tag), the other plat
+     * (next course) and the other starter (same category) are suggested; the sold-out
+     * plat, the gluten plat and the dessert (two courses later) are not
+     */
+    public function testRanksByCriterionAndLeavesOutUnsuitableDishes(): void
+    {
+        $vegetarian = $this->createTag('vegetarien');
+        $gluten = $this->createAllergen('gluten');
+
+        $this->menuItemRepository->method('findVisible')->willReturn([
+            $this->createMockMenuItem(1, 'Salade de chèvre', 'entrees', tags: [$vegetarian]),
+            $this->createMockMenuItem(2, 'Daube provençale', 'plats'),
+            $this->createMockMenuItem(3, 'Risotto aux cèpes', 'plats', tags: [$vegetarian]),
+            $this->createMockMenuItem(4, 'Pâtes au pistou', 'plats', allergens: [$gluten]),
+            $this->createMockMenuItem(5, 'Loup grillé', 'plats', orderable: false),
+            $this->createMockMenuItem(6, 'Tarte au citron', 'desserts'),
+            $this->createMockMenuItem(7, 'Panisses', 'entrees'),
+        ]);
+        $this->orderRepository->method('countDishCoOccurrences')->willReturn([]);
+
+        $items = $this->recommendationService->recommend([1], ['gluten']);
+
+        // Risotto: next course (3) + shared tag (2); Daube: next course; Panisses: same category
+        $this->assertSame(['3', '2', '7'], array_column($items, 'id'));
+        $this->assertSame(['course', 'course', 'similar'], array_column($items, 'reason'));
+        $this->assertSame('Risotto aux cèpes', $items[0]['name']);
+        $this->assertSame(16.5, $items[0]['price']);
+        $this->assertFalse($items[0]['hasOptions']);
+    }
+
+    /**
+     * Test: dishes often ordered together come first, with a capped bonus
+     *
+     * Scenario: the cart holds a plat; a dessert was ordered with it 40 times,
+     * another plat twice
+     * Expected Result: the dessert comes first ("together", 3 + 5 points, not 3 + 20),
+     * then the other dessert (next course only), then the plat
+     */
+    public function testOrderedTogetherComesFirstWithACappedBonus(): void
+    {
+        $this->menuItemRepository->method('findVisible')->willReturn([
+            $this->createMockMenuItem(10, 'Bouillabaisse', 'plats'),
+            $this->createMockMenuItem(11, 'Navettes', 'desserts'),
+            $this->createMockMenuItem(12, 'Tarte au citron', 'desserts'),
+            $this->createMockMenuItem(13, 'Daube provençale', 'plats'),
+        ]);
+        $this->orderRepository->expects($this->once())
+            ->method('countDishCoOccurrences')
+            ->with([10], $this->isInstanceOf(\DateTimeInterface::class))
+            ->willReturn([12 => 40, 13 => 2]);
+
+        $items = $this->recommendationService->recommend(['10'], [], 2);
+
+        $this->assertSame(['12', '11'], array_column($items, 'id'));
+        $this->assertSame('together', $items[0]['reason']);
+        $this->assertSame('course', $items[1]['reason']);
+    }
+
+    /**
+     * Test: no suggestion for unknown or hidden dishes
+     *
+     * Expected Result: empty list, and the orders are not queried
+     */
+    public function testUnknownDishesGetNoSuggestion(): void
+    {
+        $this->menuItemRepository->method('findVisible')->willReturn([
+            $this->createMockMenuItem(1, 'Salade de chèvre', 'entrees'),
+        ]);
+        $this->orderRepository->expects($this->never())->method('countDishCoOccurrences');
+
+        $this->assertSame([], $this->recommendationService->recommend([99]));
+        $this->assertSame([], $this->recommendationService->recommend([]));
+    }
+
+    /**
+     * Helper method: Create a mock MenuItem with its tags, badges and allergens
+     *
+     * @param int $id Menu item ID
+     * @param string $name Dish name
+     * @param string $category Category slug (entrees, plats, desserts)
+     * @param Tag[] $tags Tags
+     * @param Badge[] $badges Badges
+     * @param Allergen[] $allergens Allergens
+     * @param bool $orderable False for a sold-out dish
+     * @return MenuItem Mocked entity
+     */
+    private function createMockMenuItem(
+        int $id,
+        string $name,
+        string $category,
+        array $tags = [],
+        array $badges = [],
+        array $allergens = [],
+        bool $orderable = true
+    ): MenuItem {
+        $menuItem = $this->createMock(MenuItem::class);
+
+        $menuItem->method('getId')->willReturn($id);
+        $menuItem->method('getName')->willReturn($name);
+        $menuItem->method('getPrice')->willReturn('16.50');
+        $menuItem->method('getCategory')->willReturn($category);
+        $menuItem->method('getImage')->willReturn('dish.jpg');
+        $menuItem->method('getTags')->willReturn(new ArrayCollection($tags));
+        $menuItem->method('getBadges')->willReturn(new ArrayCollection($badges));
+        $menuItem->method('getAllergens')->willReturn(new ArrayCollection($allergens));
+        $menuItem->method('getOptionGroups')->willReturn(new ArrayCollection());
+        $menuItem->method('isOrderable')->willReturn($orderable);
+
+        return $menuItem;
+    }
+
+    private function createTag(string $code): Tag
+    {
+        return (new Tag())->setCode($code)->setName(ucfirst($code));
+    }
+
+    private function createAllergen(string $code): Allergen
+    {
+        return (new Allergen())->setCode($code)->setName(ucfirst($code));
+    }
+}
@@ -0,0 +1,432 @@
+<?php
+
+namespace App\Tests\Unit\Service;
+
+use App\Entity\MenuItem;
+use App\Entity\MenuItemOption;
+use App\Entity\MenuItemOptionGroup;
+use App\Entity\Order;
+use App\Entity\OrderItem;
+use App\Enum\DeliveryMode;
+use App\Enum\PaymentMode;
+use App\Repository\DrinkRepository;
+use App\Repository\MenuItemRepository;
+use App\Repository\OrderRepository;
+use App\Service\CartService;
+use App\Service\GroupCartService;
+use App\Service\MenuItemImageResolver;
+use App\Service\ReorderService;
+use App\Service\RestaurantSettingsService;
+use App\Service\TaxCalculationService;
+use Doctrine\Common\Collections\ArrayCollection;
+use PHPUnit\Framework\TestCase;
+use Symfony\Component\DependencyInjection\ParameterBag\ParameterBag;
+use Symfony\Component\HttpFoundation\RequestStack;
+use Symfony\Component\HttpFoundation\Session\SessionInterface;
+use Symfony\Component\Routing\Generator\UrlGeneratorInterface;
+
+/**
+ * Unit Tests for ReorderService
+ *
+ * "Commander à nouveau" is reachable without an account (POST /api/order/reorder is
+ * public): the customer proves the order is theirs with its email or phone number,
+ * or with the signed link of the confirmation email. The lines then go back to the
+ * cart through the real CartService, so availability rules are those of add().
+ *
+ * Test Coverage:
+ * - Finding an order: matching and mismatched email/phone, unknown number
+ * - Signed links: valid, tampered, signed for another order or with another secret
+ * - Options matched by name (option recreated, renamed or removed)
+ * - Items left out: sold-out or hidden dishes, dishes and drinks removed from the menu
+ * - Checkout prefill
+ *
+ * @package App\Tests\Unit\Service
+ * @author Le Trois Quarts Development Team
+ */
+class ReorderServiceTest extends TestCase
+{
+    private const SECRET = 'test-secret';
+
+    /**
+     * @var OrderRepository&\PHPUnit\Framework\MockObject\MockObject
+     */
+    private OrderRepository $orderRepository;
+
+    /**
+     * @var MenuItemRepository&\PHPUnit\Framework\MockObject\MockObject
+     */
+    private MenuItemRepository $menuItemRepository;
+
+    /**
+     * @var DrinkRepository&\PHPUnit\Framework\MockObject\MockObject
+     */
+    private DrinkRepository $drinkRepository;
+
+    private ReorderService $reorderService;
+
+    /**
+     * Simulated session data (the cart)
+     */
+    private array $sessionData = [];
+
+    /**
+     * Current dishes by ID, returned by MenuItemRepository::find()
+     *
+     * @var array<int, MenuItem>
+     */
+    private array $menuItems = [];
+
+    /**
+     * Route parameters of the last generated reorder link
+     */
+    private array $linkParameters = [];
+
+    /**
+     * Set up: empty session cart, real CartService on mocked repositories
+     */
+    protected function setUp(): void
+    {
+        $this->sessionData = [];
+        $this->menuItems = [];
+        $this->linkParameters = [];
+
+        $this->orderRepository = $this->createMock(OrderRepository::class);
+        $this->menuItemRepository = $this->createMock(MenuItemRepository::class);
+        $this->menuItemRepository->method('find')
+            ->willReturnCallback(fn($id) => $this->menuItems[$id] ?? null);
+        $this->drinkRepository = $this->createMock(DrinkRepository::class);
+        $urlGenerator = $this->createMock(UrlGeneratorInterface::class);
+        $urlGenerator->method('generate')
+            ->willReturnCallback(function (string $route, array $parameters) {
+                $this->linkParameters = $parameters;
+
+                return 'https://example.test/commander-a-nouveau';
+            });
+
+        $session = $this->createMock(SessionInterface::class);
+        $session->method('get')->willReturnCallback(fn($key, $default = null) => $this->sessionData[$key] ?? $default);
+        $session->method('set')->willReturnCallback(function ($key, $value) {
+            $this->sessionData[$key] = $value;
+        });
+        $requestStack = $this->createMock(RequestStack::class);
+        $requestStack->method('getSession')->willReturn($session);
+
+        $restaurantSettings = $this->createMock(RestaurantSettingsService::class);
+        $restaurantSettings->method('getVatRate')->willReturn(0.10);
+        $restaurantSettings->method('getAlcoholVatRate')->willReturn(0.20);
+
+        $cartService = new CartService(
+            $requestStack,
+            $this->menuItemRepository,
+            new MenuItemImageResolver(),
+            $this->drinkRepository,
+            new TaxCalculationService($restaurantSettings),
+            // Not in a group order
+            $this->createMock(GroupCartService::class)
+        );
+
+        $this->reorderService = new ReorderService(
+            $this->orderRepository,
+            $this->menuItemRepository,
+            $this->drinkRepository,
+            $cartService,
+            $urlGenerator,
+            new ParameterBag(['kernel.secret' => self::SECRET])
+        );
+    }
+
+    /**
+     * Test: the order is found with its email or its phone number
+     *
+     * Scenario: the customer types the email with other letter cases, or the phone
+     * number in international format
+     * Expected Result: the order is returned; the number is trimmed before the lookup
+     */
+    public function testFindOrderWithMatchingContact(): void
+    {
+        $order = $this->createOrder();
+        $this->orderRepository->expects($this->exactly(3))
+            ->method('findOneBy')
+            ->with(['no' => 'ORD-20250107-1234'])
+            ->willReturn($order);
+
+        $this->assertSame($order, $this->reorderService->findOrder(' ORD-20250107-1234 ', ' Camille.Martin@Example.com '));
+        $this->assertSame($order, $this->reorderService->findOrder('ORD-20250107-1234', '+33 6 12 34 56 78'));
+        $this->assertSame($order, $this->reorderService->findOrder('ORD-20250107-1234', '06.12.34.56.78'));
+    }
+
+    /**
+     * Test: a wrong email or phone number is refused like an unknown number
+     *
+     * Scenario: someone tries an order number with another person's details, or
+     * without any detail
+     * Expected Result: every attempt fails with the same message, so the form can't
+     * tell which order numbers exist
+     */
+    public function testFindOrderWithMismatchedContactThrowsException(): void
+    {
+        $order = $this->createOrder();
+        $this->orderRepository->method('findOneBy')
+            ->willReturnCallback(fn(array $criteria) => $criteria['no'] === 'ORD-20250107-1234' ? $order : null);
+
+        $attempts = [
+            ['ORD-20250107-1234', 'someone.else@example.com'],
+            ['ORD-20250107-1234', '06 98 76 54 32'],
+            ['ORD-20250107-1234', ''],
+            ['ORD-20250107-1234', null],
+            // Not an email (no "@") and no digits to compare as a phone number
+            ['ORD-20250107-1234', 'camille.martin'],
+            ['ORD-20250107-9999', 'camille.martin@example.com'],
+        ];
+
+        foreach ($attempts as [$no, $contact]) {
+            try {
+                $this->reorderService->findOrder($no, $contact);
+                $this->fail(sprintf('Order %s should not be found with "%s"', $no, $contact));
+            } catch (\InvalidArgumentException $e) {
+                $this->assertSame(
+                    'Commande introuvable : vérifiez le numéro de commande et l\'email ou le téléphone',
+                    $e->getMessage()
+                );
+            }
+        }
+    }
+
+    /**
+     * Test: the signed link of the confirmation email opens the order without contact details
+     *
+     * Expected Result: the signature put in the link by getReorderUrl() is accepted
+     */
+    public function testFindOrderWithValidSignature(): void
+    {
+        $order = $this->createOrder();
+        $this->orderRepository->method('findOneBy')->willReturn($order);
+
+        $signature = $this->getLinkSignature($order);
+
+        $this->assertSame(64, strlen($signature));
+        $this->assertTrue($this->reorderService->isValidSignature('ORD-20250107-1234', $signature));
+        $this->assertSame($order, $this->reorderService->findOrder('ORD-20250107-1234', null, $signature));
+    }
+
+    /**
+     * Test: a tampered or foreign signature is refused
+     *
+     * Scenario: the signature is altered, copied from another order's link, or was
+     * made with another secret; the right email is given along with the bad signature
+     * Expected Result: refused with the "not found" message (a signature, when
+     * present, is never replaced by the contact check)
+     */
+    public function testFindOrderWithBadSignatureThrowsException(): void
+    {
+        $order = $this->createOrder();
+        $this->orderRepository->method('findOneBy')->willReturn($order);
+
+        $valid = $this->getLinkSignature($order);
+        $signatures = [
+            'tampered' => substr($valid, 0, -1) . ($valid[-1] === '0' ? '1' : '0'),
+            'other order' => $this->getLinkSignature($this->createOrder('ORD-20250107-5678')),
+            'other secret' => hash_hmac('sha256', 'reorder|ORD-20250107-1234', 'another-secret'),
+            'no prefix' => hash_hmac('sha256', 'ORD-20250107-1234', self::SECRET),
+        ];
+
+        foreach ($signatures as $case => $signature) {
+            $this->assertFalse($this->reorderService->isValidSignature('ORD-20250107-1234', $signature), $case);
+
+            try {
+                $this->reorderService->findOrder('ORD-20250107-1234', 'camille.martin@example.com', $signature);
+                $this->fail(sprintf('Signature "%s" should be refused', $case));
+            } catch (\InvalidArgumentException $e) {
+                $this->assertStringStartsWith('Commande introuvable', $e->getMessage());
+            }
+        }
+    }
+
+    /**
+     * Test: options are matched by name against the current options of the dish
+     *
+     * Scenario: the "Saignant" option was deleted and created again (new ID 31);
+     * "À point" was renamed "Rosé" since the order
+     * Expected Result: the first line comes back with the new option ID; the second
+     * is left out with the name of the option no longer offered
+     */
+    public function testOptionsAreMatchedByName(): void
+    {
+        $this->menuItems[5] = $this->createMockMenuItem(5, 'Entrecôte', '24.00', [
+            $this->createMockOptionGroup('Cuisson', [31 => 'Saignant', 32 => 'Rosé', 33 => 'Bien cuit']),
+        ]);
+
+        $order = $this->createOrder();
+        $order->addItem($this->createOrderItem(5, 'Entrecôte', 1, [['group' => 'Cuisson', 'name' => 'Saignant', 'priceDelta' => 0]]));
+        $order->addItem($this->createOrderItem(5, 'Entrecôte', 2, [['group' => 'Cuisson', 'name' => 'À point', 'priceDelta' => 0]]));
+
+        $result = $this->reorderService->reorder($order);
+
+        $this->assertSame(1, $result['added']);
+        $this->assertSame([['name' => 'Entrecôte', 'reason' => 'L\'option « À point » n\'est plus proposée']], $result['skipped']);
+
+        $cart = $this->sessionData['cart'];
+        $this->assertSame(['5-31'], array_keys($cart));
+        $this->assertSame(31, $cart['5-31']['options'][0]['id']);
+        $this->assertSame(1, $cart['5-31']['quantity']);
+    }
+
+    /**
+     * Test: an option is only matched within the group of the same name
+     *
+     * Scenario: "Frites" moved from the "Accompagnement" group to a "Supplément" group
+     * Expected Result: the line is left out rather than given another choice
+     */
+    public function testOptionMovedToAnotherGroupIsNotMatched(): void
+    {
+        $this->menuItems[5] = $this->createMockMenuItem(5, 'Entrecôte', '24.00', [
+            $this->createMockOptionGroup('Supplément', [40 => 'Frites']),
+        ]);
+
+        $order = $this->createOrder();
+        $order->addItem($this->createOrderItem(5, 'Entrecôte', 1, [['group' => 'Accompagnement', 'name' => 'Frites', 'priceDelta' => 0]]));
+
+        $result = $this->reorderService->reorder($order);
+
+        $this->assertSame(0, $result['added']);
+        $this->assertSame('L\'option « Frites » n\'est plus proposée', $result['skipped'][0]['reason']);
+        $this->assertSame([], $this->sessionData['cart']);
+    }
+
+    /**
+     * Test: dishes that can no longer be ordered are left out, the others are added
+     *
+     * Scenario: the previous order had a sold-out dish, a hidden dish, a dish and a
+     * drink removed from the menu, and an available dish with a kitchen note
+     * Expected Result: only the available dish is added (with its quantity and note);
+     * each other item is reported with its reason; the checkout is prefilled
+     */
+    public function testSoldOutAndRemovedItemsAreSkipped(): void
+    {
+        $this->menuItems[1] = $this->createMockMenuItem(1, 'Bouillabaisse', '28.00');
+        $this->menuItems[2] = $this->createMockMenuItem(2, 'Daube provençale', '19.00', soldOut: true);
+        $this->menuItems[3] = $this->createMockMenuItem(3, 'Pieds paquets', '21.00', hidden: true);
+        $this->drinkRepository->method('find')->willReturn(null);
+
+        $order = $this->createOrder();
+        $order->addItem($this->createOrderItem(1, 'Bouillabaisse', 2)->setNote('Sans rouille'));
+        $order->addItem($this->createOrderItem(2, 'Daube provençale', 1));
+        $order->addItem($this->createOrderItem(3, 'Pieds paquets', 1));
+        $order->addItem($this->createOrderItem(4, 'Aïoli', 1));
+        $order->addItem($this->createOrderItem(9, 'Bandol rosé', 1)->setItemType(OrderItem::TYPE_DRINK));
+
+        $result = $this->reorderService->reorder($order);
+
+        $this->assertSame(1, $result['added']);
+        $this->assertEqualsCanonicalizing([
+            ['name' => 'Aïoli', 'reason' => 'N\'est plus à la carte'],
+            ['name' => 'Bandol rosé', 'reason' => 'N\'est plus à la carte'],
+            ['name' => 'Daube provençale', 'reason' => '« Daube provençale » est épuisé'],
+            ['name' => 'Pieds paquets', 'reason' => '« Pieds paquets » n\'est plus disponible'],
+        ], $result['skipped']);
+
+        $cart = $this->sessionData['cart'];
+        $this->assertSame([1], array_column($cart, 'id'));
+        $this->assertSame(2, $cart[1]['quantity']);
+        $this->assertSame('Sans rouille', $cart[1]['note']);
+
+        $this->assertSame('delivery', $result['prefill']['deliveryMode']);
+        $this->assertSame('card', $result['prefill']['paymentMode']);
+        $this->assertSame('06 12 34 56 78', $result['prefill']['clientPhone']);
+    }
+
+    /**
+     * Helper method: signature put in the reorder link of an order
+     */
+    private function getLinkSignature(Order $order): string
+    {
+        $this->reorderService->getReorderUrl($order);
+        $this->assertSame($order->getNo(), $this->linkParameters['no']);
+
+        return $this->linkParameters['signature'];
+    }
+
+    /**
+     * Helper method: an order placed by Camille Martin, in delivery, paid by card
+     */
+    private function createOrder(string $no = 'ORD-20250107-1234'): Order
+    {
+        return (new Order())
+            ->setNo($no)
+            ->setDeliveryMode(DeliveryMode::DELIVERY)
+            ->setPaymentMode(PaymentMode::CARD)
+            ->setDeliveryAddress('12 rue Paradis')
+            ->setDeliveryZip('13001')
+            ->setClientFirstName('Camille')
+            ->setClientLastName('Martin')
+            ->setClientEmail('camille.martin@example.com')
+            ->setClientPhone('06 12 34 56 78');
+    }
+
+    /**
+     * Helper method: an order line (dish by default) with its options snapshot
+     *
+     * @param array $options List of ['group', 'name', 'priceDelta']
+     */
+    private function createOrderItem(int $productId, string $name, int $quantity, array $options = []): OrderItem
+    {
+        return (new OrderItem())
+            ->setProductId($productId)
+            ->setProductName($name)
+            ->setUnitPrice('20.00')
+            ->setQuantity($quantity)
+            ->setOptions($options);
+    }
+
+    /**
+     * Helper method: Create a mock MenuItem, available unless told otherwise
+     *
+     * @param MenuItemOptionGroup[] $optionGroups Current option groups
+     */
+    private function createMockMenuItem(
+        int $id,
+        string $name,
+        string $price,
+        array $optionGroups = [],
+        bool $soldOut = false,
+        bool $hidden = false
+    ): MenuItem {
+        $menuItem = $this->createMock(MenuItem::class);
+
+        $menuItem->method('getId')->willReturn($id);
+        $menuItem->method('getName')->willReturn($name);
+        $menuItem->method('getPrice')->willReturn($price);
+        $menuItem->method('getCategory')->willReturn('plats');
+        $menuItem->method('getImage')->willReturn('dish.jpg');
+        $menuItem->method('getOptionGroups')->willReturn(new ArrayCollection($optionGroups));
+        $menuItem->method('isSoldOut')->willReturn($soldOut);
+        $menuItem->method('isHidden')->willReturn($hidden);
+
+        return $menuItem;
+    }
+
+    /**
+     * Helper method: Create a mock optional single-choice option group
+     *
+     * @param array<int, string> $options Option ID => name
+     */
+    private function createMockOptionGroup(string $name, array $options): MenuItemOptionGroup
+    {
+        $mockOptions = [];
+        foreach ($options as $optionId => $optionName) {
+            $option = $this->createMock(MenuItemOption::class);
+            $option->method('getId')->willReturn($optionId);
+            $option->method('getName')->willReturn($optionName);
+            $option->method('getPriceDelta')->willReturn('0.00');
+            $mockOptions[] = $option;
+        }
+
+        $group = $this->createMock(MenuItemOptionGroup::class);
+        $group->method('getName')->willReturn($name);
+        $group->method('getMaxChoices')->willReturn(1);
+        $group->method('getEffectiveMinChoices')->willReturn(0);
+        $group->method('getOptions')->willReturn(new ArrayCollection($mockOptions));
+
+        return $group;
+    }
+}
@@ -71,6 +71,11 @@ class TaxCalculationServiceTest extends TestCase
         $this->restaurantSettings
             ->method('getVatRate')
             ->willReturn(0.10);
+
+        // Alcoholic drinks (wines, beers) are taxed at 20 %
+        $this->restaurantSettings
+            ->method('getAlcoholVatRate')
+            ->willReturn(0.20);
         
         // Instantiate the service under test with the mocked dependency
         // This is the actual service we'll be testing in all test methods
@@ -647,5 +652,33 @@ class TaxCalculationServiceTest extends TestCase
         $this->assertSame('50.00', $manualOrder->getDiscountAmount(), 'Manual discount value should be preserved.');
         $this->assertSame('0.00', $manualOrder->getTotal(), 'Total should never be negative after discount clamping.');
     }
-}
 
+    /**
+     * Test: Order mixing dishes and wine is taxed line by line.
+     *
+     * Dish lines without a stored rate use the restaurant rate (10 %),
+     * the wine line keeps the 20 % rate stored at order time.
+     */
+    public function testApplyOrderTotalsWithMixedTaxRates(): void
+    {
+        $order = new Order();
+        $order->setDeliveryFee('0.00');
+
+        // 22.00 TTC at 10 % → 20.00 HT
+        $order->addItem((new OrderItem())->setUnitPrice('11.00')->setQuantity(2));
+        // 24.00 TTC at 20 % → 20.00 HT
+        $order->addItem(
+            (new OrderItem())
+                ->setItemType(OrderItem::TYPE_DRINK)
+                ->setTaxRate('0.2000')
+                ->setUnitPrice('24.00')
+                ->setQuantity(1)
+        );
+
+        $this->taxCalculationService->applyOrderTotals($order);
+
+        $this->assertSame('40.00', $order->getSubtotal(), 'Each line should be converted to HT with its own rate.');
+        $this->assertSame('6.00', $order->getTaxAmount(), 'Tax should be 2.00 (10 %) + 4.00 (20 %).');
+        $this->assertSame('46.00', $order->getTotal(), 'Total stays the TTC amount.');
+    }
+}